@@ -0,0 +1,87 @@
+// 🧪 expo-sqlite's async API over sql.js (SQLite compiled to WebAssembly) - the real SQL runs in tests.
+// Databases live in memory per test module; a name keeps its data until deleted, like a file on disk.
+
+// sql.js reads strings through the global TextDecoder when it starts - Expo's polyfill (expo/src/winter)
+// can't decode its memory views, so it starts with Node's
+function loadSqlJs() {
+  const { TextDecoder } = globalThis;
+  globalThis.TextDecoder = jest.requireActual("util").TextDecoder;
+  try {
+    return jest.requireActual("sql.js")();
+  } finally {
+    globalThis.TextDecoder = TextDecoder;
+  }
+}
+
+let loading = null;
+const files = new Map(); // name -> sql.js Database
+
+const toParams = (params) =>
+  params.map((value) => {
+    if (value === undefined) return null;
+    if (typeof value === "boolean") return value ? 1 : 0;
+    return value;
+  });
+
+class SQLiteDatabase {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async execAsync(source) {
+    this.db.exec(source);
+  }
+
+  async runAsync(source, params = []) {
+    this.db.run(source, toParams(params));
+    const changes = this.db.getRowsModified();
+    const [{ values }] = this.db.exec(`SELECT last_insert_rowid()`);
+    return { changes, lastInsertRowId: values[0][0] };
+  }
+
+  async getAllAsync(source, params = []) {
+    const statement = this.db.prepare(source);
+    try {
+      statement.bind(toParams(params));
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  async getFirstAsync(source, params = []) {
+    const rows = await this.getAllAsync(source, params);
+    return rows[0] ?? null;
+  }
+
+  async withExclusiveTransactionAsync(task) {
+    this.db.exec(`BEGIN EXCLUSIVE`);
+    try {
+      await task(this);
+      this.db.exec(`COMMIT`);
+    } catch (error) {
+      this.db.exec(`ROLLBACK`);
+      throw error;
+    }
+  }
+
+  async closeAsync() {}
+}
+
+export async function openDatabaseAsync(name) {
+  if (!loading) loading = loadSqlJs();
+  const SQL = await loading;
+
+  if (!files.has(name)) files.set(name, new SQL.Database());
+  return new SQLiteDatabase(files.get(name));
+}
+
+export async function deleteDatabaseAsync(name) {
+  files.get(name)?.close();
+  files.delete(name);
+}
+
+// Test helper: whether a database "file" exists
+export const __hasDatabase = (name) => files.has(name);
@@ -1,8 +1,34 @@
+// Backend hosts per environment. Pick one with API_ENV (production | staging | mock)
+// or point at any host with API_URL.
+const API_ENVIRONMENTS = {
+  production: 'https://api.bahirandelivery.cloud',
+  staging: 'https://bahrain-delivery-backend.onrender.com',
+  mock: 'http://localhost:3000',
+};
+
+const QR_PUBLIC_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
 module.exports = ({ config }) => {
   const envApiKey = process.env.GOOGLE_MAPS_API_KEY;
   const existingApiKey = config?.android?.config?.googleMaps?.apiKey || '';
   const apiKey = envApiKey || existingApiKey || '';
 
+  const apiEnv = API_ENVIRONMENTS[process.env.API_ENV] ? process.env.API_ENV : 'production';
+  const apiUrl = process.env.API_URL || API_ENVIRONMENTS[apiEnv];
+
+  // Ed25519 public key (64 hex chars) for signed customer QR codes (utils/qr-payload.js).
+  // Only the public half ships in the app - the private key stays with the backend that signs them.
+  const qrPublicKey = (process.env.QR_PUBLIC_KEY || '').trim().toLowerCase();
+  if (!QR_PUBLIC_KEY_PATTERN.test(qrPublicKey)) {
+    const problem = qrPublicKey ? 'QR_PUBLIC_KEY must be a 32-byte Ed25519 key in hex' : 'QR_PUBLIC_KEY is not set';
+    // Store builds must be able to verify QR codes - development and preview builds fall back to typed codes.
+    // EAS sets EAS_BUILD_PROFILE; the key comes from the QR_PUBLIC_KEY EAS environment variable (see QUICK_START.md)
+    if (process.env.EAS_BUILD_PROFILE === 'production') {
+      throw new Error(`${problem} - it is required for production builds`);
+    }
+    console.warn(`⚠️ ${problem}; signed QR codes will be rejected`);
+  }
+
   return {
     ...config,
     android: {
@@ -14,5 +40,11 @@ module.exports = ({ config }) => {
         },
       },
     },
+    extra: {
+      ...(config.extra || {}),
+      apiEnv,
+      apiUrl,
+      qrPublicKey: QR_PUBLIC_KEY_PATTERN.test(qrPublicKey) ? qrPublicKey : null,
+    },
   };
 };
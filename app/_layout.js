@@ -5,6 +5,7 @@ import React, { useEffect } from "react";
 import { GestureHandlerRootView } from "react-native-gesture-handler";
 import { DeliveryProvider } from "../providers/delivery-provider";
 import { AuthProvider } from "../providers/auth-provider";
+import proximityService from "../services/proximity-service";
  
 SplashScreen.preventAutoHideAsync();
  
@@ -60,6 +61,16 @@ function RootLayoutNav() {
           headerTitleStyle: { fontWeight: 'bold' },
         }} 
       />
+      <Stack.Screen 
+        name="order-map/[orderId]" 
+        options={{
+          title: "Live Map",
+          headerShown: true,
+          headerStyle: { backgroundColor: "#667eea" },
+          headerTintColor: "#fff",
+          headerTitleStyle: { fontWeight: 'bold' },
+        }} 
+      />
     </Stack>
   );
 }
@@ -68,6 +79,12 @@ export default function RootLayout() {
   useEffect(() => {
     SplashScreen.hideAsync();
   }, []);
+
+  // Background location updates can show alerts on screen from now on
+  useEffect(() => {
+    proximityService.setUiMounted(true);
+    return () => proximityService.setUiMounted(false);
+  }, []);
  
   return (
     <QueryClientProvider client={queryClient}>
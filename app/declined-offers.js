@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { ArrowLeft, RefreshCw, Undo2, XCircle, BarChart3 } from "lucide-react-native";
+
+import { router } from "expo-router";
+import { useDelivery } from "../providers/delivery-provider";
+import orderJournalService, { ORDER_EVENTS } from "../services/order-journal-service";
+import {
+  DECLINE_STATS_DAYS,
+  getDeclineReason,
+  summarizeDeclines,
+  getDeclineSuggestion,
+} from "../utils/decline-reasons";
+import {
+  REJECTED_ORDER_EXPIRY_OPTIONS,
+  getDeclinedOffers,
+  getRejectedOrderExpiryHours,
+  setRejectedOrderExpiryHours,
+} from "../utils/rejected-orders";
+
+const getTimeAgo = (timestamp) => {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / 1440)}d ago`;
+};
+
+export default function DeclinedOffersScreen() {
+  const { availableOrders, fetchAvailableOrders, restoreDeclinedOrder } = useDelivery();
+
+  const [offers, setOffers] = useState([]);
+  const [declineStats, setDeclineStats] = useState({ total: 0, reasons: [] });
+  const [expiryHours, setExpiryHours] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+
+  // ----------------------------------------------------------
+  // Load declined offers and refresh what is still available
+  // ----------------------------------------------------------
+  const loadOffers = useCallback(async () => {
+    try {
+      const statsSince = Date.now() - DECLINE_STATS_DAYS * 24 * 60 * 60 * 1000;
+      const [declined, hours, declineEvents] = await Promise.all([
+        getDeclinedOffers(),
+        getRejectedOrderExpiryHours(),
+        orderJournalService.getEvents(ORDER_EVENTS.DECLINED, statsSince),
+        fetchAvailableOrders(true),
+      ]);
+      setOffers(declined);
+      setExpiryHours(hours);
+      setDeclineStats(summarizeDeclines(declineEvents));
+    } finally {
+      setIsLoading(false);
+      setRefreshing(false);
+    }
+  }, [fetchAvailableOrders]);
+
+  useEffect(() => {
+    loadOffers();
+  }, []);
+
+  const availableList = Array.isArray(availableOrders) ? availableOrders : availableOrders?.data || [];
+  const availableIds = new Set(
+    availableList.map((order) => String(order.orderId || order.id || order._id))
+  );
+
+  const handleExpiryChange = async (hours) => {
+    const result = await setRejectedOrderExpiryHours(hours);
+    if (!result.success) {
+      Alert.alert("Error", result.error);
+      return;
+    }
+    setExpiryHours(hours);
+    setOffers(await getDeclinedOffers());
+  };
+
+  const handleRestore = async (offer) => {
+    setRestoringId(offer.orderId);
+    const restored = await restoreDeclinedOrder(offer.orderId);
+    setRestoringId(null);
+
+    if (!restored) {
+      Alert.alert("Error", "Could not restore this offer. Please try again.");
+      return;
+    }
+
+    setOffers((prev) => prev.filter((entry) => entry.orderId !== offer.orderId));
+    Alert.alert(
+      "↩️ Offer Restored",
+      `${offer.orderCode || "The order"} is back in your available orders.`,
+      [
+        { text: "Stay Here", style: "cancel" },
+        { text: "View Orders", onPress: () => router.push("/tabs/orders") },
+      ]
+    );
+  };
+
+  if (isLoading)
+    return (
+      <SafeAreaView style={styles.center}>
+        <ActivityIndicator color="#2563EB" size={48} />
+        <Text style={{ color: "#6B7280", marginTop: 10 }}>
+          Loading declined offers…
+        </Text>
+      </SafeAreaView>
+    );
+
+  return (
+    <SafeAreaView style={styles.container}>
+
+      {/* HEADER */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <ArrowLeft size={24} color="#1F2937" />
+        </TouchableOpacity>
+
+        <Text style={styles.headerTitle}>Declined Offers</Text>
+
+        <TouchableOpacity
+          onPress={() => {
+            setRefreshing(true);
+            loadOffers();
+          }}
+        >
+          <RefreshCw size={22} color="#2563EB" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={() => {
+              setRefreshing(true);
+              loadOffers();
+            }}
+          />
+        }
+      >
+        {/* WHY YOU DECLINE */}
+        {declineStats.total > 0 && (
+          <View style={styles.statsCard}>
+            <View style={styles.statsHeader}>
+              <BarChart3 size={18} color="#2563EB" />
+              <Text style={styles.statsTitle}>
+                Why you declined ({declineStats.total} in {DECLINE_STATS_DAYS} days)
+              </Text>
+            </View>
+
+            {declineStats.reasons.map((entry) => (
+              <View key={entry.id} style={styles.statsRow}>
+                <View style={styles.statsLabelRow}>
+                  <Text style={styles.statsLabel}>{entry.emoji} {entry.label}</Text>
+                  <Text style={styles.statsCount}>
+                    {entry.count} · {Math.round(entry.share * 100)}%
+                  </Text>
+                </View>
+                <View style={styles.statsBarTrack}>
+                  <View style={[styles.statsBarFill, { width: `${Math.round(entry.share * 100)}%` }]} />
+                </View>
+              </View>
+            ))}
+
+            {declineStats.reasons[0] && getDeclineSuggestion(declineStats.reasons[0]) && (
+              <Text style={styles.statsSuggestion}>
+                💡 {getDeclineSuggestion(declineStats.reasons[0])}
+              </Text>
+            )}
+          </View>
+        )}
+
+        {/* EXPIRY WINDOW */}
+        <View style={styles.expiryCard}>
+          <Text style={styles.expiryTitle}>Keep declined offers hidden for</Text>
+          <View style={styles.expiryOptions}>
+            {REJECTED_ORDER_EXPIRY_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.hours}
+                style={[styles.expiryChip, expiryHours === option.hours && styles.expiryChipActive]}
+                onPress={() => handleExpiryChange(option.hours)}
+              >
+                <Text
+                  style={[
+                    styles.expiryChipText,
+                    expiryHours === option.hours && styles.expiryChipTextActive,
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.expiryHint}>
+            After that they are forgotten and can notify you again.
+          </Text>
+        </View>
+
+        {/* DECLINED LIST */}
+        {offers.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <XCircle size={40} color="#9CA3AF" />
+            <Text style={styles.emptyText}>No declined offers</Text>
+          </View>
+        ) : (
+          offers.map((offer) => {
+            const stillAvailable = availableIds.has(String(offer.orderId));
+
+            return (
+              <View key={offer.orderId} style={styles.card}>
+                <View style={styles.cardInfo}>
+                  <Text style={styles.orderCode}>{offer.orderCode || "Order"}</Text>
+                  {offer.restaurantName && (
+                    <Text style={styles.restaurant} numberOfLines={1}>{offer.restaurantName}</Text>
+                  )}
+                  <Text style={styles.meta}>
+                    Declined {getTimeAgo(offer.rejectedAt)}
+                    {offer.earnings ? ` · ${offer.earnings.toFixed(2)} ETB` : ""}
+                  </Text>
+                  {offer.reason && (
+                    <Text style={styles.reason}>
+                      {getDeclineReason(offer.reason).emoji} {getDeclineReason(offer.reason).label}
+                    </Text>
+                  )}
+                </View>
+
+                {stillAvailable ? (
+                  <TouchableOpacity
+                    style={styles.restoreButton}
+                    onPress={() => handleRestore(offer)}
+                    disabled={restoringId === offer.orderId}
+                  >
+                    {restoringId === offer.orderId ? (
+                      <ActivityIndicator color="#2563EB" size="small" />
+                    ) : (
+                      <>
+                        <Undo2 size={16} color="#2563EB" />
+                        <Text style={styles.restoreText}>Un-decline</Text>
+                      </>
+                    )}
+                  </TouchableOpacity>
+                ) : (
+                  <Text style={styles.unavailableText}>No longer available</Text>
+                )}
+              </View>
+            );
+          })
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F8FAFC" },
+  center: { flex: 1, alignItems: "center", justifyContent: "center" },
+
+  header: {
+    padding: 16,
+    backgroundColor: "white",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E5E7EB",
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+
+  headerTitle: { fontSize: 18, fontWeight: "700" },
+
+  statsCard: {
+    backgroundColor: "white",
+    marginHorizontal: 16,
+    marginTop: 16,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  statsHeader: { flexDirection: "row", alignItems: "center", gap: 8, marginBottom: 12 },
+  statsTitle: { fontSize: 14, fontWeight: "600", color: "#374151" },
+  statsRow: { marginBottom: 10 },
+  statsLabelRow: { flexDirection: "row", justifyContent: "space-between", marginBottom: 4 },
+  statsLabel: { fontSize: 13, color: "#374151" },
+  statsCount: { fontSize: 12, color: "#6B7280" },
+  statsBarTrack: { height: 6, borderRadius: 3, backgroundColor: "#F3F4F6", overflow: "hidden" },
+  statsBarFill: { height: 6, borderRadius: 3, backgroundColor: "#2563EB" },
+  statsSuggestion: { fontSize: 12, color: "#1E40AF", marginTop: 6, lineHeight: 18 },
+
+  expiryCard: {
+    backgroundColor: "white",
+    margin: 16,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  expiryTitle: { fontSize: 14, fontWeight: "600", color: "#374151" },
+  expiryOptions: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginTop: 10 },
+  expiryChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#D1D5DB",
+  },
+  expiryChipActive: { backgroundColor: "#2563EB", borderColor: "#2563EB" },
+  expiryChipText: { fontSize: 13, color: "#374151" },
+  expiryChipTextActive: { color: "white", fontWeight: "600" },
+  expiryHint: { fontSize: 12, color: "#6B7280", marginTop: 10 },
+
+  emptyContainer: { alignItems: "center", marginTop: 40, gap: 10 },
+  emptyText: { fontSize: 15, color: "#6B7280" },
+
+  card: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginHorizontal: 16,
+    marginBottom: 10,
+    padding: 16,
+    backgroundColor: "white",
+    borderRadius: 12,
+    elevation: 2,
+  },
+
+  cardInfo: { flex: 1, marginRight: 12 },
+  orderCode: { fontSize: 15, fontWeight: "700", color: "#111827" },
+  restaurant: { fontSize: 13, color: "#374151", marginTop: 2 },
+  meta: { fontSize: 12, color: "#6B7280", marginTop: 4 },
+  reason: { fontSize: 12, color: "#92400E", marginTop: 4 },
+
+  restoreButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: "#EFF6FF",
+  },
+  restoreText: { fontSize: 13, fontWeight: "600", color: "#2563EB" },
+  unavailableText: { fontSize: 12, color: "#9CA3AF" },
+});
@@ -19,10 +19,11 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Truck, Lock, Eye, EyeOff, CheckCircle, AlertCircle, Phone, X, Key, FileText } from 'lucide-react-native';
 import { router } from 'expo-router';
 import { useAuth } from '../providers/auth-provider';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { saveSession } from '../utils/secure-storage';
+import apiService from '../services/api-service';
 
 export default function LoginScreen() {
-  const { login, isLoading } = useAuth();
+  const { login, isLoading, sessionExpiredReason, consumeReturnPath, dismissSessionExpired } = useAuth();
   const [phone, setPhone] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
@@ -93,12 +94,12 @@ export default function LoginScreen() {
       }
       
       setSuccessMessage('Login successful! Redirecting...');
-      // Immediate navigation
-      router.replace('/tabs/dashboard');
+      // Immediate navigation - back to where the session expired, if anywhere
+      router.replace(consumeReturnPath() || '/tabs/dashboard');
     } else {
       setErrorMessage(result.message || 'Invalid credentials. Please try again.');
     }
-  }, [phone, password, login]);
+  }, [phone, password, login, consumeReturnPath]);
 
   useEffect(() => {
     if (errorMessage || successMessage) {
@@ -125,17 +126,9 @@ export default function LoginScreen() {
 
     try {
       const fullPhone = `+251${resetPhone.trim()}`;
-      const response = await fetch('https://api.bahirandelivery.cloud/api/v1/users/requestResetOTP', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ phone: fullPhone }),
-      });
-
-      const data = await response.json();
+      const data = await apiService.post('/users/requestResetOTP', { phone: fullPhone }, { token: false });
 
-      if (response.ok && data.status === 'success') {
+      if (data?.status === 'success') {
         setVerificationId(data.data?.verificationId || '');
         setResetSuccess(data.data?.message || 'OTP sent successfully!');
         setTimeout(() => {
@@ -143,21 +136,11 @@ export default function LoginScreen() {
           setResetSuccess('');
         }, 1500);
       } else {
-        // Display server error message
-        const serverMessage = data.message || data?.error || 
-                             (data?.errors && data?.errors[0]?.msg) || 
-                             'Failed to send OTP. Please try again.';
-        setResetError(serverMessage);
+        setResetError(data?.message || 'Failed to send OTP. Please try again.');
       }
     } catch (error) {
       console.error('Error requesting OTP:', error);
-      
-      // Check if it's a network error or something else
-      const errorMessage = error.message === 'Failed to fetch' || error.message.includes('Network request failed')
-        ? 'Unable to connect to server. Please check your internet connection and try again.'
-        : 'Something went wrong. Please try again later.';
-      
-      setResetError(errorMessage);
+      setResetError(error.message || 'Failed to send OTP. Please try again.');
     } finally {
       setIsResettingPassword(false);
     }
@@ -194,22 +177,18 @@ export default function LoginScreen() {
 
     try {
       const fullPhone = `+251${resetPhone.trim()}`;
-      const response = await fetch('https://api.bahirandelivery.cloud/api/v1/users/resetPasswordOTP', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
+      const data = await apiService.post(
+        '/users/resetPasswordOTP',
+        {
           phone: fullPhone,
           code: otp.trim(),
           password: newPassword.trim(),
           passwordConfirm: confirmPassword.trim(),
-        }),
-      });
-
-      const data = await response.json();
+        },
+        { token: false }
+      );
 
-      if (response.ok && data.status === 'success') {
+      if (data?.status === 'success') {
         // Check if user is a Delivery Person
         if (data.data?.user?.role !== 'Delivery_Person') {
           setResetError('Access denied. Only delivery personnel can access this app.');
@@ -222,13 +201,14 @@ export default function LoginScreen() {
         if (data.token && data.data?.user) {
           const { token, data: { user } } = data;
           
-          // Store auth data in AsyncStorage (same as login flow)
-          await Promise.all([
-            AsyncStorage.setItem('authToken', token),
-            AsyncStorage.setItem('userId', user._id),
-            AsyncStorage.setItem('userRole', user.role),
-            AsyncStorage.setItem('userProfile', JSON.stringify(user)),
-          ]);
+          // Store auth data securely (same as login flow)
+          await saveSession({
+            token,
+            refreshToken: data.refreshToken,
+            userId: user._id,
+            userRole: user.role,
+            user,
+          });
 
           
           setTimeout(() => {
@@ -248,21 +228,11 @@ export default function LoginScreen() {
           }, 1500);
         }
       } else {
-        // Display server error message
-        const serverMessage = data.message || data?.error || 
-                             (data?.errors && data?.errors[0]?.msg) || 
-                             'Failed to reset password. Please try again.';
-        setResetError(serverMessage);
+        setResetError(data?.message || 'Failed to reset password. Please try again.');
       }
     } catch (error) {
       console.error('Error resetting password:', error);
-      
-      // Check if it's a network error or something else
-      const errorMessage = error.message === 'Failed to fetch' || error.message.includes('Network request failed')
-        ? 'Unable to connect to server. Please check your internet connection and try again.'
-        : 'Something went wrong. Please try again later.';
-      
-      setResetError(errorMessage);
+      setResetError(error.message || 'Failed to reset password. Please try again.');
     } finally {
       setIsResettingPassword(false);
     }
@@ -310,6 +280,20 @@ export default function LoginScreen() {
                   colors={['rgba(255,255,255,0.95)', 'rgba(255,255,255,0.9)']}
                   style={styles.formGradient}
                 >
+                  {/* Session Expired Banner */}
+                  {sessionExpiredReason && (
+                    <View style={styles.sessionBanner}>
+                      <AlertCircle color="#b45309" size={20} />
+                      <Text style={styles.sessionBannerText}>{sessionExpiredReason}</Text>
+                      <TouchableOpacity
+                        onPress={dismissSessionExpired}
+                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                      >
+                        <X color="#b45309" size={18} />
+                      </TouchableOpacity>
+                    </View>
+                  )}
+
                   {/* Phone Input */}
                   <View style={styles.inputContainer}>
                     <View style={[
@@ -1103,6 +1087,24 @@ const styles = StyleSheet.create({
     backgroundColor: '#fee2e2',
     borderColor: '#ef4444',
   },
+  sessionBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fef3c7',
+    borderColor: '#f59e0b',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 16,
+  },
+  sessionBannerText: {
+    flex: 1,
+    marginHorizontal: 10,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#92400e',
+  },
   messageIcon: {
     marginRight: 12,
   },
@@ -0,0 +1,319 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import MapView, { Marker, Polyline } from 'react-native-maps';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useLocalSearchParams, router } from 'expo-router';
+import { AlertCircle, Crosshair, ExternalLink, MapPin, Store, Truck } from 'lucide-react-native';
+import { useDelivery } from '../../providers/delivery-provider';
+import { useLocationTracking } from '../../services/location-service';
+import { distanceKm, AVERAGE_SPEED_KMH } from '../../utils/distance';
+import { getPickupPoint, getDropoffPoint, isAwaitingPickup } from '../../utils/active-orders';
+import { openExternalNavigation } from '../../utils/navigation-links';
+
+const EDGE_PADDING = { top: 80, right: 60, bottom: 260, left: 60 };
+const FOLLOW_DELTA = 0.01; // Zoom level while following the rider
+
+// Total length of a path of { latitude, longitude } points in km
+const pathLengthKm = (points) =>
+  points.slice(1).reduce(
+    (total, point, index) =>
+      total + distanceKm(points[index].latitude, points[index].longitude, point.latitude, point.longitude),
+    0
+  );
+
+export default function OrderMapScreen() {
+  const { orderId } = useLocalSearchParams();
+  const { getActiveOrderById } = useDelivery();
+  const { location } = useLocationTracking();
+  const mapRef = useRef(null);
+  const [isFollowing, setIsFollowing] = useState(true);
+
+  const order = useMemo(() => getActiveOrderById(orderId), [getActiveOrderById, orderId]);
+
+  const restaurant = getPickupPoint(order);
+  const customer = getDropoffPoint(order);
+  const needsPickup = !!order && isAwaitingPickup(order) && !!restaurant;
+  const rider = location ? { latitude: location.latitude, longitude: location.longitude } : null;
+
+  // Rider → restaurant (while the food is still there) → customer
+  const path = [rider, needsPickup ? restaurant : null, customer].filter(Boolean);
+  const remainingKm = pathLengthKm(path);
+  const remainingMinutes = Math.round((remainingKm / AVERAGE_SPEED_KMH) * 60);
+
+  const nextStop = needsPickup
+    ? { point: restaurant, label: order.restaurantName || 'Restaurant' }
+    : { point: customer, label: order?.userName || 'Customer' };
+
+  // Keep the rider in view while following
+  useEffect(() => {
+    if (!isFollowing || !rider || !mapRef.current) return;
+    mapRef.current.animateToRegion(
+      { ...rider, latitudeDelta: FOLLOW_DELTA, longitudeDelta: FOLLOW_DELTA },
+      500
+    );
+  }, [isFollowing, rider?.latitude, rider?.longitude]);
+
+  // 🎯 Show the whole trip and start following the rider again
+  const handleRecenter = () => {
+    setIsFollowing(true);
+    if (mapRef.current && path.length > 1) {
+      mapRef.current.fitToCoordinates(path, { edgePadding: EDGE_PADDING, animated: true });
+    }
+  };
+
+  if (!order) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <AlertCircle color="#EF4444" size={48} />
+          <Text style={styles.errorTitle}>Order Not Found</Text>
+          <Text style={styles.errorMessage}>
+            The order you're looking for is not available or has been completed.
+          </Text>
+          <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+            <Text style={styles.backButtonText}>Go Back</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const initialPoint = rider || restaurant || customer;
+
+  return (
+    <View style={styles.container}>
+      {initialPoint ? (
+        <MapView
+          ref={mapRef}
+          style={styles.map}
+          initialRegion={{ ...initialPoint, latitudeDelta: FOLLOW_DELTA, longitudeDelta: FOLLOW_DELTA }}
+          onPanDrag={() => setIsFollowing(false)}
+          showsCompass
+        >
+          {restaurant && (
+            <Marker
+              coordinate={restaurant}
+              title={order.restaurantName || 'Restaurant'}
+              description={needsPickup ? 'Pickup' : 'Picked up'}
+              pinColor={needsPickup ? '#10B981' : '#9CA3AF'}
+            />
+          )}
+
+          {customer && (
+            <Marker
+              coordinate={customer}
+              title={order.userName || 'Customer'}
+              description={`Deliver ${order.orderCode || ''}`.trim()}
+              pinColor="#EF4444"
+            />
+          )}
+
+          {rider && (
+            <Marker coordinate={rider} title="You" anchor={{ x: 0.5, y: 0.5 }}>
+              <View style={styles.riderMarker}>
+                <Truck color="#FFFFFF" size={16} />
+              </View>
+            </Marker>
+          )}
+
+          {path.length > 1 && (
+            <Polyline coordinates={path} strokeColor="#3B82F6" strokeWidth={4} lineDashPattern={[1]} />
+          )}
+        </MapView>
+      ) : (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#1E40AF" />
+          <Text style={styles.loadingText}>Waiting for your location...</Text>
+        </View>
+      )}
+
+      {/* Recenter */}
+      <TouchableOpacity style={styles.recenterButton} onPress={handleRecenter}>
+        <Crosshair color={isFollowing ? '#3B82F6' : '#6B7280'} size={22} />
+      </TouchableOpacity>
+
+      {/* Trip summary */}
+      <SafeAreaView edges={['bottom']} style={styles.panel}>
+        <View style={styles.panelRow}>
+          {needsPickup ? <Store color="#059669" size={20} /> : <MapPin color="#DC2626" size={20} />}
+          <View style={styles.panelInfo}>
+            <Text style={styles.panelLabel}>{needsPickup ? 'Next: pick up at' : 'Next: deliver to'}</Text>
+            <Text style={styles.panelTitle} numberOfLines={1}>{nextStop.label}</Text>
+          </View>
+          <Text style={styles.orderCode}>{order.orderCode}</Text>
+        </View>
+
+        <View style={styles.statsRow}>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{rider ? `${remainingKm.toFixed(1)} km` : '--'}</Text>
+            <Text style={styles.statLabel}>Remaining (straight line)</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{rider ? `~${remainingMinutes} min` : '--'}</Text>
+            <Text style={styles.statLabel}>Estimated time</Text>
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={styles.externalButton}
+          onPress={() => openExternalNavigation(nextStop.point, nextStop.label)}
+        >
+          <ExternalLink color="#1E40AF" size={16} />
+          <Text style={styles.externalButtonText}>Open in Google Maps</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  map: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: '#6B7280',
+  },
+  errorTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginTop: 16,
+  },
+  errorMessage: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  backButton: {
+    backgroundColor: '#1E40AF',
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+  },
+  backButtonText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  riderMarker: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#3B82F6',
+    borderWidth: 3,
+    borderColor: '#FFFFFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  recenterButton: {
+    position: 'absolute',
+    right: 16,
+    top: 16,
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#FFFFFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    elevation: 4,
+  },
+  panel: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  panelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  panelInfo: {
+    flex: 1,
+  },
+  panelLabel: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  panelTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  orderCode: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3B82F6',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    marginTop: 16,
+    gap: 12,
+  },
+  stat: {
+    flex: 1,
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    padding: 12,
+  },
+  statValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  externalButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    marginTop: 12,
+    paddingVertical: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#BFDBFE',
+  },
+  externalButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1E40AF',
+  },
+});
@@ -22,13 +22,26 @@ import {
   AlertCircle,
   ArrowLeft,
   Navigation,
+  ExternalLink,
   Scan,
+  Camera,
   X
 } from 'lucide-react-native';
 import QRScanner from '../../components/QRScanner';
+import ProofOfDeliveryModal from '../../components/ProofOfDeliveryModal';
+import deliveryProofService from '../../services/delivery-proof-service';
+import OrderTimeline from '../../components/OrderTimeline';
+import GeofenceSuggestions from '../../components/GeofenceSuggestions';
+import {
+  MAX_VERIFICATION_ATTEMPTS,
+  useVerificationLock,
+  formatLockCountdown,
+} from '../../services/verification-lock-service';
 import { useLocalSearchParams, router } from 'expo-router';
 import { useDelivery } from '../../providers/delivery-provider';
 import { useAuth } from '../../providers/auth-provider';
+import { getOrderId, getPickupPoint, getDropoffPoint } from '../../utils/active-orders';
+import { openExternalNavigation } from '../../utils/navigation-links';
 
 // Helper function to format Ethiopian currency
 const formatETB = (amount) => {
@@ -40,31 +53,29 @@ const formatETB = (amount) => {
 
 export default function OrderDetailsScreen() {
   const { orderId } = useLocalSearchParams();
-  const { activeOrder, verifyDelivery, completeOrder, isLoadingActiveOrder } = useDelivery();
+  const { getActiveOrderById, verifyDelivery, completeOrder, isLoadingActiveOrder } = useDelivery();
   const { user } = useAuth();
   
   const [showVerificationModal, setShowVerificationModal] = useState(false);
   const [verificationCode, setVerificationCode] = useState('');
   const [isVerifying, setIsVerifying] = useState(false);
   const [verificationError, setVerificationError] = useState('');
-  const [attemptsLeft, setAttemptsLeft] = useState(3);
-  const [isLocked, setIsLocked] = useState(false);
   const [showQRScanner, setShowQRScanner] = useState(false);
+  const [showProofModal, setShowProofModal] = useState(false);
+  const [isSubmittingProof, setIsSubmittingProof] = useState(false);
+
+  // Find the order from the route param (id or order code) among the rider's active orders
+  const order = useMemo(() => getActiveOrderById(orderId), [getActiveOrderById, orderId]);
 
-  // Find the order details (support activeOrder being null, an array, or a single object)
-  const order = useMemo(() => {
-    if (!activeOrder) return null;
-    if (Array.isArray(activeOrder)) return activeOrder[0] || null;
-    if (typeof activeOrder === 'object') return activeOrder;
-    return null;
-  }, [activeOrder]);
-console.log('order', order);
+  // 🔐 Attempts are stored per order, so leaving the screen doesn't reset them
+  const { attemptsLeft, isLocked, remainingMs } = useVerificationLock(order ? getOrderId(order) : null);
+  const lockMessage = `Too many failed attempts. You can try again in ${formatLockCountdown(remainingMs)}, or complete with a photo & signature.`;
 
 
 
   const handleVerifyAndComplete = async (code) => {
     if (isLocked) {
-      Alert.alert('Locked', 'Too many failed attempts. Please contact support.');
+      Alert.alert('🔒 Verification Locked', lockMessage);
       return;
     }
 
@@ -77,8 +88,16 @@ console.log('order', order);
 
     try {
       // First verify the delivery
-      const result = await verifyDelivery(order.id, code);
+      const result = await verifyDelivery(getOrderId(order), code);
       
+      if (result?.queued) {
+        // Offline - the code will be sent when the connection is back, not a failed attempt
+        setShowVerificationModal(false);
+        setVerificationCode('');
+        setVerificationError('');
+        return;
+      }
+
       if (result.success) {
         // Show success message
         Alert.alert(
@@ -91,48 +110,66 @@ console.log('order', order);
                 setShowVerificationModal(false);
                 setVerificationCode('');
                 setVerificationError('');
-                setAttemptsLeft(3);
                 router.back();
               }
             }
           ]
         );
+      } else if (result?.isLocked) {
+        // The provider already counted the attempt (and synced it with the server's count)
+        setVerificationError('❌ Verification locked for this order.');
+        setVerificationCode('');
       } else {
-        // Handle verification failure
-        const newAttemptsLeft = attemptsLeft - 1;
-        setAttemptsLeft(newAttemptsLeft);
-        
-        if (newAttemptsLeft === 0) {
-          setIsLocked(true);
-          setVerificationError('❌ Account locked. Too many failed attempts. Please contact support.');
-          Alert.alert(
-            'Account Locked',
-            'You have exceeded the maximum number of verification attempts. Please contact support.',
-            [{ text: 'OK' }]
-          );
-        } else {
-          const errorMessage = result.error || 'Invalid verification code';
-          setVerificationError(`❌ ${errorMessage}. ${newAttemptsLeft} ${newAttemptsLeft === 1 ? 'attempt' : 'attempts'} remaining.`);
-          setVerificationCode(''); // Clear the code for retry
-        }
+        const errorMessage = result?.error || 'Invalid verification code';
+        const remaining = result?.attemptsLeft ?? attemptsLeft;
+        setVerificationError(`❌ ${errorMessage}. ${remaining} ${remaining === 1 ? 'attempt' : 'attempts'} remaining.`);
+        setVerificationCode(''); // Clear the code for retry
       }
     } catch (error) {
       console.error('Error verifying delivery:', error);
-      const newAttemptsLeft = attemptsLeft - 1;
-      setAttemptsLeft(newAttemptsLeft);
-      
-      if (newAttemptsLeft === 0) {
-        setIsLocked(true);
-        setVerificationError('❌ Account locked. Too many failed attempts. Please contact support.');
-      } else {
-        setVerificationError(`❌ Failed to verify. ${newAttemptsLeft} ${newAttemptsLeft === 1 ? 'attempt' : 'attempts'} remaining.`);
-        setVerificationCode('');
-      }
+      setVerificationError('❌ Failed to verify. Please try again.');
+      setVerificationCode('');
     } finally {
       setIsVerifying(false);
     }
   };
 
+  // 📸 Customer has no code - complete with a photo + signature instead
+  const handleSubmitProof = async ({ photoBase64, signatureSvg, recipientName }) => {
+    setIsSubmittingProof(true);
+
+    try {
+      const proofId = await deliveryProofService.saveProof({
+        orderId: getOrderId(order),
+        orderCode: order.orderCode,
+        photoBase64,
+        signatureSvg,
+        recipientName,
+      });
+
+      const result = await verifyDelivery(getOrderId(order), null, proofId);
+
+      if (result?.queued) {
+        setShowProofModal(false);
+        return;
+      }
+
+      // Failures here don't use up code attempts - the rider can retake and resubmit
+      if (result?.success) {
+        setShowProofModal(false);
+        router.back();
+      } else if (result?.pending) {
+        // The server wants a code after all - back to the code entry
+        setShowProofModal(false);
+      }
+    } catch (error) {
+      console.error('Error submitting proof of delivery:', error);
+      Alert.alert('Error', error.message || 'Failed to save proof of delivery');
+    } finally {
+      setIsSubmittingProof(false);
+    }
+  };
+
   // Handle verification code change with auto-submit
   const handleVerificationCodeChange = (text) => {
     // Only allow numbers
@@ -155,89 +192,18 @@ console.log('order', order);
   };
 
 
-  const handleNavigateToRestaurant = () => {
-    // Get restaurant location - handle both object format and coordinates array
-    let lat, lng;
-    
-    if (order.restaurantLocation) {
-      // Check if location is already transformed to {lat, lng} format
-      if (order.restaurantLocation.lat !== undefined && order.restaurantLocation.lng !== undefined) {
-        lat = order.restaurantLocation.lat;
-        lng = order.restaurantLocation.lng;
-      } 
-      // Check if coordinates array exists [lng, lat]
-      else if (order.restaurantLocation.coordinates && order.restaurantLocation.coordinates.length >= 2) {
-        lng = order.restaurantLocation.coordinates[0]; // longitude is first in backend [lng, lat]
-        lat = order.restaurantLocation.coordinates[1]; // latitude is second in backend [lng, lat]
-      }
-    }
+  // 🗺️ Follow the delivery on the in-app map
+  const handleOpenMap = () => {
+    router.push(`/order-map/${getOrderId(order) || order.orderCode}`);
+  };
 
-    if (lat && lng) {
-      const restaurantName = order.restaurantLocation?.name || order.restaurantName || 'Restaurant';
-      
-      // Open Google Maps with the restaurant location
-      const googleMapsUrl = `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}&destination_place_id=${encodeURIComponent(restaurantName)}`;
-      
-      Linking.canOpenURL(googleMapsUrl)
-        .then((supported) => {
-          if (supported) {
-            return Linking.openURL(googleMapsUrl);
-          } else {
-            Alert.alert('Error', 'Cannot open Google Maps on this device');
-          }
-        })
-        .catch((error) => {
-          console.error('Error opening Google Maps:', error);
-          Alert.alert('Error', 'Failed to open Google Maps');
-      });
-    } else {
-      Alert.alert('Error', 'Restaurant location not available');
-    }
+  const handleNavigateToRestaurant = () => {
+    const restaurantName = order.restaurantLocation?.name || order.restaurantName || 'Restaurant';
+    openExternalNavigation(getPickupPoint(order), restaurantName);
   };
 
   const handleNavigateToDelivery = () => {
-    // Get delivery location - check multiple possible field names
-    const deliveryLocationData = order?.destinationLocation || order?.deliveryLocation || order?.deliverLocation;
-    
-    if (!deliveryLocationData) {
-      Alert.alert('Error', 'Delivery location not available');
-      return;
-    }
-    
-    let lat, lng;
-    
-    // Check if location is already transformed to {lat, lng} format
-    if (deliveryLocationData.lat !== undefined && deliveryLocationData.lng !== undefined) {
-      lat = deliveryLocationData.lat;
-      lng = deliveryLocationData.lng;
-    } 
-    // Check if coordinates array exists [lng, lat]
-    else if (deliveryLocationData.coordinates && deliveryLocationData.coordinates.length >= 2) {
-      lng = deliveryLocationData.coordinates[0]; // longitude is first in backend [lng, lat]
-      lat = deliveryLocationData.coordinates[1]; // latitude is second in backend [lng, lat]
-    }
-    
-    if (lat && lng) {
-      const deliveryName = 'Delivery Location';
-      
-      // Open Google Maps with the delivery location
-      const googleMapsUrl = `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}&destination_place_id=${encodeURIComponent(deliveryName)}`;
-      
-      Linking.canOpenURL(googleMapsUrl)
-        .then((supported) => {
-          if (supported) {
-            return Linking.openURL(googleMapsUrl);
-          } else {
-            Alert.alert('Error', 'Cannot open Google Maps on this device');
-          }
-        })
-        .catch((error) => {
-          console.error('Error opening Google Maps:', error);
-          Alert.alert('Error', 'Failed to open Google Maps');
-      });
-    } else {
-      Alert.alert('Error', 'Delivery location not available');
-    }
+    openExternalNavigation(getDropoffPoint(order), 'Delivery Location');
   };
 
   const handleCallCustomer = () => {
@@ -277,7 +243,7 @@ console.log('order', order);
     return new Date(dateString).toLocaleDateString();
   };
 
-  if (isLoadingActiveOrder) {
+  if (isLoadingActiveOrder && !order) {
     return (
       <SafeAreaView style={styles.container}>
         <View style={styles.loadingContainer}>
@@ -400,13 +366,22 @@ console.log('order', order);
                  }
             </Text>
             
-            <TouchableOpacity 
-              style={styles.navigateButton}
-              onPress={handleNavigateToRestaurant}
-            >
-              <Navigation color="#1E40AF" size={16} />
-              <Text style={styles.navigateButtonText}>Navigate to Restaurant</Text>
-            </TouchableOpacity>
+            <View style={styles.navigateActions}>
+              <TouchableOpacity 
+                style={styles.navigateButton}
+                onPress={handleOpenMap}
+              >
+                <Navigation color="#1E40AF" size={16} />
+                <Text style={styles.navigateButtonText}>Navigate to Restaurant</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.externalNavigateButton}
+                onPress={handleNavigateToRestaurant}
+              >
+                <ExternalLink color="#6B7280" size={14} />
+                <Text style={styles.externalNavigateText}>Google Maps</Text>
+              </TouchableOpacity>
+            </View>
           </View>
         </View>
 
@@ -423,15 +398,24 @@ console.log('order', order);
               }
             </Text>
             
-            <TouchableOpacity 
-              style={[styles.navigateButton, styles.deliveryNavigateButton]}
-              onPress={handleNavigateToDelivery}
-            >
-              <Navigation color="#10B981" size={16} />
-              <Text style={[styles.navigateButtonText, styles.deliveryNavigateText]}>
-                Navigate to Delivery
-              </Text>
-            </TouchableOpacity>
+            <View style={styles.navigateActions}>
+              <TouchableOpacity 
+                style={[styles.navigateButton, styles.deliveryNavigateButton]}
+                onPress={handleOpenMap}
+              >
+                <Navigation color="#10B981" size={16} />
+                <Text style={[styles.navigateButtonText, styles.deliveryNavigateText]}>
+                  Navigate to Delivery
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.externalNavigateButton}
+                onPress={handleNavigateToDelivery}
+              >
+                <ExternalLink color="#6B7280" size={14} />
+                <Text style={styles.externalNavigateText}>Google Maps</Text>
+              </TouchableOpacity>
+            </View>
           </View>
         </View>
 
@@ -526,15 +510,25 @@ console.log('order', order);
           </View>
         </View>
 
+        {/* Order Timeline */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Timeline</Text>
+          <View style={styles.infoCard}>
+            <OrderTimeline orderId={getOrderId(order)} orderCode={order.orderCode} />
+          </View>
+        </View>
+
         {/* Action Buttons */}
         <View style={styles.actionsSection}>
+          <GeofenceSuggestions orderId={getOrderId(order)} />
+
           <TouchableOpacity 
             style={styles.primaryButton}
             onPress={() => {
               if (!isLocked) {
                 setShowVerificationModal(true);
               } else {
-                Alert.alert('Locked', 'Too many failed attempts. Please contact support.');
+                Alert.alert('🔒 Verification Locked', lockMessage);
               }
             }}
             disabled={isVerifying || isLocked}
@@ -555,10 +549,17 @@ console.log('order', order);
           </TouchableOpacity>
           
           {isLocked && (
-            <Text style={styles.lockedText}>
-              Account locked due to multiple failed attempts. Please contact support.
-            </Text>
+            <Text style={styles.lockedText}>{lockMessage}</Text>
           )}
+
+          <TouchableOpacity
+            style={styles.proofButton}
+            onPress={() => setShowProofModal(true)}
+            disabled={isVerifying || isSubmittingProof}
+          >
+            <Camera color="#1E40AF" size={18} />
+            <Text style={styles.proofButtonText}>No code? Complete with photo & signature</Text>
+          </TouchableOpacity>
         </View>
       </ScrollView>
 
@@ -585,9 +586,15 @@ console.log('order', order);
             
             {/* Attempts Counter */}
             <View style={styles.attemptsContainer}>
-              <Text style={styles.attemptsText}>
-                Attempts remaining: <Text style={styles.attemptsBold}>{attemptsLeft}/3</Text>
-              </Text>
+              {isLocked ? (
+                <Text style={styles.attemptsText}>
+                  🔒 Locked — try again in <Text style={styles.attemptsBold}>{formatLockCountdown(remainingMs)}</Text>
+                </Text>
+              ) : (
+                <Text style={styles.attemptsText}>
+                  Attempts remaining: <Text style={styles.attemptsBold}>{attemptsLeft}/{MAX_VERIFICATION_ATTEMPTS}</Text>
+                </Text>
+              )}
             </View>
             
             <View style={styles.inputContainer}>
@@ -660,6 +667,19 @@ console.log('order', order);
                   <Text style={styles.qrScanButtonText}>Scan Customer QR Code</Text>
                 </LinearGradient>
               </TouchableOpacity>
+
+              <TouchableOpacity
+                style={styles.proofLink}
+                onPress={() => {
+                  setShowVerificationModal(false);
+                  setVerificationCode('');
+                  setVerificationError('');
+                  setShowProofModal(true);
+                }}
+                disabled={isVerifying}
+              >
+                <Text style={styles.proofLinkText}>Customer has no code? Take photo & signature</Text>
+              </TouchableOpacity>
             </View>
             
             <TouchableOpacity 
@@ -691,9 +711,19 @@ console.log('order', order);
             // Auto-verify after scan
             handleVerifyAndComplete(scannedCode);
           }}
-          orderId={order?.id || order?._id}
+          orderId={getOrderId(order)}
+          orderCode={order?.orderCode}
         />
       )}
+
+      {/* Proof of Delivery */}
+      <ProofOfDeliveryModal
+        visible={showProofModal}
+        orderCode={order.orderCode}
+        onClose={() => setShowProofModal(false)}
+        onSubmit={handleSubmitProof}
+        isSubmitting={isSubmittingProof}
+      />
     </SafeAreaView>
   );
 }
@@ -891,6 +921,23 @@ const styles = StyleSheet.create({
   deliveryNavigateText: {
     color: '#10B981',
   },
+  navigateActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  externalNavigateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 4,
+  },
+  externalNavigateText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginLeft: 4,
+    textDecorationLine: 'underline',
+  },
   itemsCard: {
     backgroundColor: '#FFFFFF',
     borderRadius: 12,
@@ -1249,4 +1296,30 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#FFFFFF',
   },
+  proofButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    marginTop: 12,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#BFDBFE',
+    backgroundColor: '#EFF6FF',
+  },
+  proofButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1E40AF',
+  },
+  proofLink: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  proofLinkText: {
+    fontSize: 14,
+    color: '#1E40AF',
+    textDecorationLine: 'underline',
+  },
 });
\ No newline at end of file
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -15,14 +15,17 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { Truck, DollarSign, Clock, MapPin, Wifi, WifiOff, User, Award, RefreshCw, Scan, Navigation, Volume2, VolumeX } from 'lucide-react-native';
+import { Truck, DollarSign, Clock, MapPin, Wifi, WifiOff, User, Award, RefreshCw, Scan, Navigation, Volume2, VolumeX, Store } from 'lucide-react-native';
 import { useDelivery } from '../../providers/delivery-provider';
 import { useAuth } from '../../providers/auth-provider';
 import { useKeepAwake } from 'expo-keep-awake';
 import { router } from 'expo-router';
 import OrderModal from '../../components/OrderModal';
 import VerificationModal from '../../components/VerificationModal';
+import GeofenceSuggestions from '../../components/GeofenceSuggestions';
+import LocationModeIndicator from '../../components/LocationModeIndicator';
 import { logger } from '../../utils/logger';
+import { getOrderId, MAX_ACTIVE_ORDERS, planActiveRoute } from '../../utils/active-orders';
 import locationService from '../../services/location-service';
 import { getAllOrders } from '../../db/ordersDb';
 import { getProximityRadius, setProximityRadius, updateCachedRadius, RADIUS_OPTIONS } from '../../utils/proximity-settings';
@@ -38,12 +41,19 @@ const formatETB = (amount) => {
   }).format(amount || 0);
 };
 
+// Arrival time of a planned stop (e.g. 14:35)
+const formatEta = (timestamp) => {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
 export default function DashboardScreen() {
   const { 
     isConnected, 
     isOnline, 
     availableOrdersCount, 
     activeOrder, 
+    activeOrders,
+    getActiveOrderById,
     toggleOnlineStatus,
     orderHistory,
     fetchActiveOrder,
@@ -64,6 +74,8 @@ export default function DashboardScreen() {
     acceptedOrder,
     fetchAvailableOrders,
     fetchDeliveryHistory,
+    pendingActionsCount,
+    currentLocation,
   } = useDelivery();
   useKeepAwake();
   const { user, checkAuthStatus } = useAuth();
@@ -71,6 +83,12 @@ export default function DashboardScreen() {
   const [showVerificationModal, setShowVerificationModal] = useState(false);
   const [isVerifying, setIsVerifying] = useState(false);
   const [orderIdToVerify, setOrderIdToVerify] = useState(null);
+
+  // 🗺️ Suggested visiting order - re-planned as stops are completed or the rider moves
+  const routePlan = useMemo(
+    () => planActiveRoute(activeOrders, currentLocation),
+    [activeOrders, currentLocation]
+  );
   const [lastRefreshTime, setLastRefreshTime] = useState(null);
   
   // Find Near Order states
@@ -429,7 +447,10 @@ export default function DashboardScreen() {
     setIsVerifying(true);
     try {
       const result = await verifyDelivery(orderIdToVerify, verificationCode);
-      if (result.success) {
+      if (result?.queued) {
+        setShowVerificationModal(false);
+        setOrderIdToVerify(null);
+      } else if (result?.success) {
         setShowVerificationModal(false);
         setOrderIdToVerify(null);
         // Note: verifyDelivery already fetches history automatically
@@ -600,8 +621,20 @@ export default function DashboardScreen() {
           </View>
         )}
 
+        {/* Location sampling mode (accuracy / frequency / battery saver) */}
+        <LocationModeIndicator />
+
+        {/* Offline Outbox - actions waiting for connectivity */}
+        {pendingActionsCount > 0 && (
+          <View style={styles.pendingActionsBanner}>
+            <Text style={styles.pendingActionsText}>
+              📤 {pendingActionsCount} action{pendingActionsCount > 1 ? 's' : ''} waiting to sync — will be sent when you're back online
+            </Text>
+          </View>
+        )}
+
         {/* Active Order Mode Warning - Shows for ANY active order */}
-        {activeOrder && (Array.isArray(activeOrder) ? activeOrder.length > 0 : true) && (
+        {activeOrders.length > 0 && (
           <View style={styles.activeDeliveryWarning}>
             <LinearGradient
               colors={['#F59E0B', '#D97706']}
@@ -611,8 +644,15 @@ export default function DashboardScreen() {
               <View style={styles.activeDeliveryTextContainer}>
                 <Text style={styles.activeDeliveryTitle}>ACTIVE ORDER MODE</Text>
                 <Text style={styles.activeDeliveryMessage}>
-                  You have an active order. Online status and location are locked until you complete the order.
+                  {activeOrders.length > 1
+                    ? `You have ${activeOrders.length} active orders. Online status and location are locked until you complete them.`
+                    : 'You have an active order. Online status and location are locked until you complete the order.'}
                 </Text>
+                {activeOrders.length < MAX_ACTIVE_ORDERS && (
+                  <Text style={styles.activeDeliveryHint}>
+                    New offers along your route will still be shown.
+                  </Text>
+                )}
               </View>
             </LinearGradient>
           </View>
@@ -702,17 +742,22 @@ export default function DashboardScreen() {
           </LinearGradient>
         </View>
 
-        {/* Currently Delivering Order */}
-        {activeOrder && activeOrder.length > 0 && (
+        {/* Currently Delivering Orders */}
+        {activeOrders.length > 0 && (
           <View style={styles.activeOrderContainer}>
-            <Text style={styles.sectionTitle}>🚚 Currently Delivering</Text>
+            <Text style={styles.sectionTitle}>
+              🚚 Currently Delivering{activeOrders.length > 1 ? ` (${activeOrders.length})` : ''}
+            </Text>
 
-            {activeOrder.map((order, index) => (
+            {/* Arrival / pickup steps detected by the geofences */}
+            <GeofenceSuggestions />
+
+            {activeOrders.map((order, index) => (
 
               <TouchableOpacity
-                key={index}
+                key={getOrderId(order) || index}
                 style={styles.activeOrderCard}
-                onPress={() => router.push(`/order/${order.orderCode}`)}
+                onPress={() => router.push(`/order/${getOrderId(order) || order.orderCode}`)}
               >
                 <LinearGradient
                   colors={['#3B82F6', '#1D4ED8']}
@@ -720,7 +765,7 @@ export default function DashboardScreen() {
                 >
                   <View style={styles.activeOrderHeader}>
                     <Text style={styles.activeOrderCode}>{order.orderCode}</Text>
-                    <Text style={styles.activeOrderStatus}>{order.orderStatus}</Text>
+                    <Text style={styles.activeOrderStatus}>{order.orderStatus || order.status}</Text>
                   </View>
 
                   <View style={styles.activeOrderInfo}>
@@ -751,7 +796,7 @@ export default function DashboardScreen() {
                       style={styles.qrVerifyButton}
                       onPress={(e) => {
                         e.stopPropagation();
-                        setOrderIdToVerify(order.id || order._id);
+                        setOrderIdToVerify(getOrderId(order));
                         setShowVerificationModal(true);
                       }}
                     >
@@ -766,6 +811,44 @@ export default function DashboardScreen() {
           </View>
         )}
 
+        {/* Planned Route - pickups always come before their drop-offs */}
+        {routePlan.stops.length > 1 && (
+          <View style={styles.routePlanContainer}>
+            <Text style={styles.sectionTitle}>🗺️ Suggested Route</Text>
+            <View style={styles.routePlanCard}>
+              {routePlan.stops.map((stop, index) => {
+                const isPickup = stop.type === 'pickup';
+                return (
+                  <View
+                    key={stop.id}
+                    style={[styles.routeStopRow, index === 0 && styles.routeStopRowNext]}
+                  >
+                    <View style={[styles.routeStopBadge, isPickup ? styles.routeStopPickup : styles.routeStopDropoff]}>
+                      <Text style={styles.routeStopNumber}>{index + 1}</Text>
+                    </View>
+                    {isPickup
+                      ? <Store color="#059669" size={18} />
+                      : <MapPin color="#DC2626" size={18} />}
+                    <View style={styles.routeStopInfo}>
+                      <Text style={styles.routeStopTitle} numberOfLines={1}>
+                        {isPickup
+                          ? `Pick up at ${stop.order.restaurantName || 'restaurant'}`
+                          : `Deliver ${stop.order.orderCode || 'order'}${stop.order.userName ? ` to ${stop.order.userName}` : ''}`}
+                      </Text>
+                      <Text style={styles.routeStopMeta}>
+                        {stop.legKm.toFixed(1)} km · ETA {formatEta(stop.eta)} ({Math.round(stop.etaMinutes)} min)
+                      </Text>
+                    </View>
+                  </View>
+                );
+              })}
+              <Text style={styles.routePlanTotal}>
+                Total {routePlan.totalKm.toFixed(1)} km · about {Math.round(routePlan.totalMinutes)} min
+              </Text>
+            </View>
+          </View>
+        )}
+
         {/* Quick Actions */}
         <View style={styles.quickActionsContainer}>
           <Text style={styles.sectionTitle}>Quick Actions</Text>
@@ -916,7 +999,7 @@ export default function DashboardScreen() {
         )}
 
         {/* No Active Orders Message */}
-        {isOnline && activeOrder && activeOrder.length === 0 && (
+        {isOnline && activeOrders.length === 0 && (
           <View style={styles.noOrdersContainer}>
             <Text style={styles.noOrdersTitle}>No Active Deliveries</Text>
             <Text style={styles.noOrdersText}>
@@ -956,7 +1039,7 @@ export default function DashboardScreen() {
         onClose={handleCloseVerificationModal}
         onVerify={handleVerifyDelivery}
         orderId={orderIdToVerify}
-        orderCode={activeOrder?.order_id}
+        orderCode={getActiveOrderById(orderIdToVerify)?.orderCode}
         isLoading={isVerifying}
       />
 
@@ -1107,6 +1190,21 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     textAlign: 'center',
   },
+  pendingActionsBanner: {
+    marginHorizontal: 20,
+    marginBottom: 16,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#FEF3C7',
+    borderWidth: 1,
+    borderColor: '#F59E0B',
+  },
+  pendingActionsText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#92400E',
+    textAlign: 'center',
+  },
   activeDeliveryWarning: {
     marginHorizontal: 20,
     marginBottom: 20,
@@ -1226,10 +1324,78 @@ const styles = StyleSheet.create({
     color: '#FFFFFF',
     opacity: 0.9,
   },
+  activeDeliveryHint: {
+    fontSize: 12,
+    color: '#FFFFFF',
+    opacity: 0.85,
+    marginTop: 4,
+  },
   activeOrderContainer: {
     paddingHorizontal: 20,
     marginBottom: 30,
   },
+  routePlanContainer: {
+    paddingHorizontal: 20,
+    marginBottom: 30,
+  },
+  routePlanCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  routeStopRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+  },
+  routeStopRowNext: {
+    backgroundColor: '#EFF6FF',
+  },
+  routeStopBadge: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  routeStopPickup: {
+    backgroundColor: '#10B981',
+  },
+  routeStopDropoff: {
+    backgroundColor: '#EF4444',
+  },
+  routeStopNumber: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  routeStopInfo: {
+    flex: 1,
+  },
+  routeStopTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  routeStopMeta: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  routePlanTotal: {
+    fontSize: 13,
+    color: '#4B5563',
+    textAlign: 'right',
+    marginTop: 10,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -13,9 +13,10 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { Calendar, Filter, TrendingUp, DollarSign, Package, Award, ArrowLeft } from 'lucide-react-native';
+import { Calendar, Filter, TrendingUp, DollarSign, Package, Award, ArrowLeft, ChevronDown, ChevronUp } from 'lucide-react-native';
 import { router } from 'expo-router';
 import { useDelivery } from '../../providers/delivery-provider';
+import OrderTimeline from '../../components/OrderTimeline';
 
 const { width } = Dimensions.get('window');
 
@@ -32,6 +33,7 @@ export default function HistoryScreen() {
     originalHistory: [], // Store original data for filtering
   });
   const [refreshing, setRefreshing] = useState(false);
+  const [expandedOrderId, setExpandedOrderId] = useState(null); // Order whose timeline is shown
   const [filters, setFilters] = useState({
     dateRange: 'all', // 'today', 'week', 'month', 'all'
     sortBy: 'newest', // 'newest', 'oldest', 'highestEarning'
@@ -236,8 +238,14 @@ export default function HistoryScreen() {
                          extractNumber(item.grandTotal) || 
                          (deliveryFee + tip);
 
+    const isExpanded = expandedOrderId === item.id;
+
     return (
-      <View style={styles.orderCard}>
+      <TouchableOpacity
+        style={styles.orderCard}
+        activeOpacity={0.8}
+        onPress={() => setExpandedOrderId(isExpanded ? null : item.id)}
+      >
         <View style={styles.orderHeader}>
           <Text style={styles.restaurantName}>{item.restaurantName || 'Unknown Restaurant'}</Text>
           <Text style={styles.orderCode}>{item.orderCode || 'N/A'}</Text>
@@ -268,7 +276,18 @@ export default function HistoryScreen() {
             <Text style={styles.statusText}>{item.orderStatus || 'Completed'}</Text>
           </View>
         </View>
-      </View>
+
+        <View style={styles.timelineToggle}>
+          <Text style={styles.timelineToggleText}>{isExpanded ? 'Hide timeline' : 'Show timeline'}</Text>
+          {isExpanded ? <ChevronUp color="#6B7280" size={16} /> : <ChevronDown color="#6B7280" size={16} />}
+        </View>
+
+        {isExpanded && (
+          <View style={styles.timelineContainer}>
+            <OrderTimeline orderId={item.id} orderCode={item.orderCode} />
+          </View>
+        )}
+      </TouchableOpacity>
     );
   };
 
@@ -682,6 +701,20 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: '#F3F4F6',
   },
+  timelineToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingTop: 10,
+  },
+  timelineToggleText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginRight: 4,
+  },
+  timelineContainer: {
+    paddingTop: 12,
+  },
   dateText: {
     fontSize: 12,
     color: '#9CA3AF',
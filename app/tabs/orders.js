@@ -23,15 +23,46 @@ import {
   Navigation,
   Zap,
   Building,
-  Map
+  Map,
+  TrendingUp,
+  ArrowUpDown,
+  Plus,
+  Star
 } from 'lucide-react-native';
 import { useDelivery } from '../../providers/delivery-provider';
 import { useAuth } from '../../providers/auth-provider';
 import { router } from 'expo-router';
 import locationService from '../../services/location-service';
+import { scoreOffer, compareScores, getScoreTier } from '../../utils/offer-scoring';
+import { getScoringWeights, getScoringWeightsSync, subscribeScoringWeights } from '../../utils/offer-scoring-settings';
+import {
+  BUILT_IN_PRESETS,
+  DEFAULT_PRESET_ID,
+  matchesPreset,
+  getFilterPresets,
+  getDefaultPresetId,
+  setDefaultPresetId,
+} from '../../utils/filter-presets';
+import FilterPresetModal from '../../components/FilterPresetModal';
+import {
+  RESTAURANT_PREFERENCE,
+  getRestaurantPreference,
+  getRestaurantPreferences,
+  setRestaurantPreference,
+  subscribeRestaurantPreferences,
+} from '../../utils/restaurant-preferences';
 
 const { width } = Dimensions.get('window');
 
+// Chip icons for the built-in presets; the rider's own presets use Filter
+const PRESET_ICONS = {
+  truck: Truck,
+  navigation: Navigation,
+  dollar: DollarSign,
+  zap: Zap,
+  building: Building,
+};
+
 // Haversine formula to calculate distance between two coordinates in kilometers
 const calculateDistance = (lat1, lon1, lat2, lon2) => {
   const R = 6371; // Earth's radius in kilometers
@@ -54,16 +85,43 @@ export default function OrdersScreen() {
     ordersError,
     isConnected,
     isOnline,
+    isNetworkAvailable,
     acceptOrder,
     fetchActiveOrder
   } = useDelivery();
   
   const { userId } = useAuth();
   const [refreshing, setRefreshing] = useState(false);
-  const [filterBy, setFilterBy] = useState('active');
+  const [filterBy, setFilterBy] = useState(DEFAULT_PRESET_ID);
+  const [presets, setPresets] = useState(BUILT_IN_PRESETS);
+  const [defaultPresetId, setDefaultPreset] = useState(DEFAULT_PRESET_ID);
+  const [editingPreset, setEditingPreset] = useState(null);
+  const [showPresetEditor, setShowPresetEditor] = useState(false);
+  const [, setRestaurantPreferences] = useState(getRestaurantPreferences);
+
+  // Re-render when a restaurant is blocked or favorited (here or in the profile)
+  useEffect(() => subscribeRestaurantPreferences(setRestaurantPreferences), []);
   const [showFilters, setShowFilters] = useState(true);
   const [fadeAnim] = useState(new Animated.Value(0));
   const [userLocation, setUserLocation] = useState(null);
+  const [sortBy, setSortBy] = useState('distance');
+  const [scoringWeights, setScoringWeights] = useState(getScoringWeightsSync);
+
+  // Scoring weights are edited in the profile - pick up changes while this tab stays mounted
+  useEffect(() => {
+    getScoringWeights().then(setScoringWeights);
+    return subscribeScoringWeights(setScoringWeights);
+  }, []);
+
+  // Load saved presets and open on the rider's default one
+  useEffect(() => {
+    Promise.all([getFilterPresets(), getDefaultPresetId()]).then(([savedPresets, savedDefaultId]) => {
+      const defaultId = savedPresets.some((preset) => preset.id === savedDefaultId) ? savedDefaultId : DEFAULT_PRESET_ID;
+      setPresets(savedPresets);
+      setDefaultPreset(defaultId);
+      setFilterBy(defaultId);
+    });
+  }, []);
 
   // Fetch orders and get real user location
   useEffect(() => {
@@ -132,8 +190,11 @@ export default function OrdersScreen() {
 
   // 📦 Accept order - Requires being ONLINE (socket connection)
   const handleAcceptOrder = async (order) => {
+    // No signal: the provider queues the accept and replays it when the connection is back
+    const canQueueOffline = !isNetworkAvailable;
+
     // Check if user is online and connected to socket
-    if (!isOnline) {
+    if (!isOnline && !canQueueOffline) {
       Alert.alert(
         'Go Online First',
         'You need to be ONLINE to accept orders. Please go to Dashboard and switch to Online mode.',
@@ -142,7 +203,7 @@ export default function OrdersScreen() {
       return;
     }
 
-    if (!isConnected) {
+    if (!isConnected && !canQueueOffline) {
       Alert.alert(
         'Not Connected',
         'Not connected to server. Please wait while we establish connection, then try again.',
@@ -255,6 +316,13 @@ const getOrderPriority = (order) => {
   }
 };
 
+// Minutes since the order was created (null when unknown)
+const getOrderAgeMinutes = (order) => {
+  if (!order?.createdAt) return null;
+  const date = new Date(order.createdAt);
+  return isNaN(date.getTime()) ? null : (Date.now() - date.getTime()) / (1000 * 60);
+};
+
 
   // Calculate distance for an order using coordinates
   const getOrderDistance = (order) => {
@@ -322,28 +390,42 @@ const getOrderPriority = (order) => {
 
   const ordersData = getOrdersData();
 
-  // Filter orders based on selected filter
+  // Value estimates per order (ETB/km, ETB/minute and the weighted score)
+  const offerScores = new WeakMap(
+    ordersData.map((order) => [
+      order,
+      scoreOffer(order, {
+        riderLocation: userLocation,
+        priority: getOrderPriority(order).label,
+        weights: scoringWeights,
+      }),
+    ])
+  );
+
+  const activePreset = presets.find((preset) => preset.id === filterBy) || presets[0];
+
+  // Filter orders based on the selected preset (blocked restaurants are always hidden)
   const filteredOrders = ordersData.filter(order => {
-    const totalEarnings = (order.deliveryFee || 0) + (order.tip || 0);
-    const priority = getOrderPriority(order);
+    if (getRestaurantPreference(order.restaurantName) === RESTAURANT_PREFERENCE.BLOCKED) return false;
+
     const distance = parseFloat(getOrderDistance(order));
-    
-    switch (filterBy) {
-      case 'active':
-        // Show all active listed orders (default - all available orders are active)
-        return true;
-      case 'nearby':
-        return !isNaN(distance) && distance <= 1;
-      case 'high-value':
-        return totalEarnings >= 200;
-      case 'urgent':
-        return priority.label === 'URGENT';
-      case 'all':
-        return true;
-      default:
-        return true;
-    }
+
+    return matchesPreset(order, activePreset, {
+      distanceKm: isNaN(distance) ? null : distance,
+      earnings: offerScores.get(order).earnings,
+      ageMinutes: getOrderAgeMinutes(order),
+    });
   }).sort((a, b) => {
+    // Favorite restaurants first
+    const favoriteA = getRestaurantPreference(a.restaurantName) === RESTAURANT_PREFERENCE.FAVORITE;
+    const favoriteB = getRestaurantPreference(b.restaurantName) === RESTAURANT_PREFERENCE.FAVORITE;
+    if (favoriteA !== favoriteB) return favoriteA ? -1 : 1;
+
+    // Best value first
+    if (sortBy === 'score') {
+      return compareScores(offerScores.get(a), offerScores.get(b));
+    }
+
     // Sort by distance (nearest first)
     const distanceA = parseFloat(getOrderDistance(a));
     const distanceB = parseFloat(getOrderDistance(b));
@@ -356,37 +438,136 @@ const getOrderPriority = (order) => {
     return distanceA - distanceB;
   });
 
+  const openPresetEditor = (preset = null) => {
+    setEditingPreset(preset);
+    setShowPresetEditor(true);
+  };
+
+  // Built-in presets can't be edited, only made the default
+  const handlePresetLongPress = (preset) => {
+    if (!preset.builtIn) {
+      openPresetEditor(preset);
+      return;
+    }
+    if (preset.id === defaultPresetId) return;
+
+    Alert.alert(
+      '📌 Default Filter',
+      `Apply "${preset.name}" when the Orders tab opens?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Make Default',
+          onPress: async () => {
+            if (await setDefaultPresetId(preset.id)) setDefaultPreset(preset.id);
+          },
+        },
+      ]
+    );
+  };
+
+  const handlePresetSaved = async (preset, makeDefault) => {
+    setShowPresetEditor(false);
+    setPresets(await getFilterPresets());
+    setFilterBy(preset.id);
+
+    if (makeDefault) {
+      if (await setDefaultPresetId(preset.id)) setDefaultPreset(preset.id);
+    } else if (defaultPresetId === preset.id) {
+      if (await setDefaultPresetId(DEFAULT_PRESET_ID)) setDefaultPreset(DEFAULT_PRESET_ID);
+    }
+  };
+
+  const handlePresetDeleted = async (presetId) => {
+    setShowPresetEditor(false);
+    setPresets(await getFilterPresets());
+    setDefaultPreset(await getDefaultPresetId());
+    if (filterBy === presetId) setFilterBy(DEFAULT_PRESET_ID);
+  };
+
+  const restaurantNames = [...new Set(ordersData.map((order) => order.restaurantName).filter(Boolean))];
+
+  // Block or favorite the restaurant of an offer
+  const handleRestaurantPress = (restaurantName) => {
+    const preference = getRestaurantPreference(restaurantName);
+    const options = [
+      preference !== RESTAURANT_PREFERENCE.FAVORITE && { text: '⭐ Favorite', value: RESTAURANT_PREFERENCE.FAVORITE },
+      preference !== RESTAURANT_PREFERENCE.BLOCKED && { text: '🚫 Block', value: RESTAURANT_PREFERENCE.BLOCKED, style: 'destructive' },
+      preference !== RESTAURANT_PREFERENCE.NEUTRAL && { text: 'Reset', value: RESTAURANT_PREFERENCE.NEUTRAL },
+    ].filter(Boolean);
+
+    Alert.alert(
+      `🏪 ${restaurantName}`,
+      'Favorites are listed first and alert with their own sound. Blocked restaurants are hidden and never notify you.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        ...options.map(({ text, value, style }) => ({
+          text,
+          style,
+          onPress: async () => {
+            if (!(await setRestaurantPreference(restaurantName, value))) {
+              Alert.alert('Error', 'Failed to save restaurant preference');
+            }
+          },
+        })),
+      ]
+    );
+  };
+
   const FilterBar = () => (
     <Animated.View style={[styles.filterBar, { opacity: fadeAnim }]}>
       <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterScroll}>
+        {presets.map((preset) => {
+          const PresetIcon = PRESET_ICONS[preset.icon] || Filter;
+          const isActive = activePreset.id === preset.id;
+
+          return (
+            <TouchableOpacity
+              key={preset.id}
+              style={[
+                styles.filterChip,
+                isActive && styles.filterChipActive
+              ]}
+              onPress={() => setFilterBy(preset.id)}
+              onLongPress={() => handlePresetLongPress(preset)}
+            >
+              <PresetIcon 
+                size={14} 
+                color={isActive ? '#FFFFFF' : '#6B7280'} 
+              />
+              <Text style={[
+                styles.filterChipText,
+                isActive && styles.filterChipTextActive
+              ]}>
+                {preset.name}{preset.id === defaultPresetId ? ' 📌' : ''}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+        <TouchableOpacity style={[styles.filterChip, styles.newPresetChip]} onPress={() => openPresetEditor()}>
+          <Plus size={14} color="#1E40AF" />
+          <Text style={[styles.filterChipText, styles.newPresetChipText]}>New</Text>
+        </TouchableOpacity>
+      </ScrollView>
+      <Text style={styles.presetHint}>Long-press a filter to edit it or make it the default</Text>
+      <View style={styles.sortRow}>
+        <ArrowUpDown size={14} color="#6B7280" />
+        <Text style={styles.sortLabel}>Sort:</Text>
         {[
-          { key: 'active', label: 'Active Listed', icon: Truck },
-          { key: 'nearby', label: 'Nearby (<1km)', icon: Navigation },
-          { key: 'high-value', label: 'High Value', icon: DollarSign },
-          { key: 'urgent', label: 'Urgent', icon: Zap },
-          { key: 'all', label: 'All Orders', icon: Building }
-        ].map((filter) => (
+          { key: 'distance', label: 'Nearest' },
+          { key: 'score', label: 'Best value' },
+        ].map((option) => (
           <TouchableOpacity
-            key={filter.key}
-            style={[
-              styles.filterChip,
-              filterBy === filter.key && styles.filterChipActive
-            ]}
-            onPress={() => setFilterBy(filter.key)}
+            key={option.key}
+            style={[styles.sortChip, sortBy === option.key && styles.sortChipActive]}
+            onPress={() => setSortBy(option.key)}
           >
-            <filter.icon 
-              size={14} 
-              color={filterBy === filter.key ? '#FFFFFF' : '#6B7280'} 
-            />
-            <Text style={[
-              styles.filterChipText,
-              filterBy === filter.key && styles.filterChipTextActive
-            ]}>
-              {filter.label}
+            <Text style={[styles.sortChipText, sortBy === option.key && styles.sortChipTextActive]}>
+              {option.label}
             </Text>
           </TouchableOpacity>
         ))}
-      </ScrollView>
+      </View>
     </Animated.View>
   );
 
@@ -513,13 +694,13 @@ const getOrderPriority = (order) => {
             <Text style={styles.emptyMessage}>
               {ordersData.length === 0 
                 ? "There are currently no available orders. Check back later."
-                : `No orders match your "${filterBy}" filter. Try changing the filter.`
+                : `No orders match your "${activePreset.name}" filter. Try changing the filter.`
               }
             </Text>
-            {ordersData.length > 0 && filterBy !== 'active' && (
+            {ordersData.length > 0 && activePreset.id !== DEFAULT_PRESET_ID && (
               <TouchableOpacity 
                 style={styles.showAllButton}
-                onPress={() => setFilterBy('active')}
+                onPress={() => setFilterBy(DEFAULT_PRESET_ID)}
               >
                 <Text style={styles.showAllButtonText}>Show Active Listed</Text>
               </TouchableOpacity>
@@ -538,6 +719,9 @@ const getOrderPriority = (order) => {
             const PriorityIcon = priority.icon;
             const totalEarnings = (order.deliveryFee || 0) + (order.tip || 0);
             const distance = getOrderDistance(order);
+            const offerScore = offerScores.get(order);
+            const scoreTier = offerScore.score !== null ? getScoreTier(offerScore.score) : null;
+            const isFavorite = getRestaurantPreference(order.restaurantName) === RESTAURANT_PREFERENCE.FAVORITE;
             
             return (
               <View key={order.id || `order-${index}`} style={styles.orderCard}>
@@ -565,25 +749,50 @@ const getOrderPriority = (order) => {
 
                 {/* Distance Indicator */}
                 <View style={styles.distanceContainer}>
-                  <View style={styles.distanceBadge}>
-                    <Map color="#1E40AF" size={14} />
-                    <Text style={styles.distanceText}>{distance} km away</Text>
+                  <View style={styles.badgeRow}>
+                    <View style={styles.distanceBadge}>
+                      <Map color="#1E40AF" size={14} />
+                      <Text style={styles.distanceText}>{distance} km away</Text>
+                    </View>
+                    {isFavorite && (
+                      <View style={styles.favoriteBadge}>
+                        <Star color="#D97706" fill="#D97706" size={14} />
+                        <Text style={styles.favoriteText}>Favorite</Text>
+                      </View>
+                    )}
+                    {scoreTier && (
+                      <View style={[styles.scoreBadge, { borderColor: scoreTier.color }]}>
+                        <TrendingUp color={scoreTier.color} size={14} />
+                        <Text style={[styles.scoreText, { color: scoreTier.color }]}>
+                          {scoreTier.label} · {Math.round(offerScore.score)}
+                        </Text>
+                      </View>
+                    )}
                   </View>
+                  {scoreTier && (
+                    <Text style={styles.scoreDetailText}>
+                      ≈ {offerScore.etbPerKm.toFixed(1)} ETB/km · {offerScore.etbPerMinute.toFixed(1)} ETB/min
+                      {offerScore.tripKm !== null ? ` · ${offerScore.tripKm.toFixed(1)} km to customer` : ''}
+                    </Text>
+                  )}
                 </View>
 
                 {/* Order Details */}
                 <View style={styles.orderDetails}>
-                  <View style={styles.detailRow}>
+                  <TouchableOpacity
+                    style={styles.detailRow}
+                    onPress={() => handleRestaurantPress(order.restaurantName)}
+                  >
                     <View style={styles.detailIcon}>
                       <Building color="#6B7280" size={14} />
                     </View>
                     <View style={styles.detailContent}>
-                      <Text style={styles.detailLabel}>Restaurant</Text>
+                      <Text style={styles.detailLabel}>Restaurant · tap to favorite or block</Text>
                       <Text style={styles.detailText} numberOfLines={1}>
                         {order.restaurantName}
                       </Text>
                     </View>
-                  </View>
+                  </TouchableOpacity>
                   
                   <View style={styles.detailRow}>
                     {/* <View style={styles.detailIcon}>
@@ -622,17 +831,19 @@ const getOrderPriority = (order) => {
 
                 {/* Accept Button - Disabled when offline */}
                 <TouchableOpacity 
-                  style={[styles.acceptButton, !isOnline && styles.acceptButtonDisabled]}
+                  style={[styles.acceptButton, !isOnline && isNetworkAvailable && styles.acceptButtonDisabled]}
                   onPress={() => handleAcceptOrder(order)}
-                  disabled={!isOnline}
+                  disabled={!isOnline && isNetworkAvailable}
                 >
                   <LinearGradient
-                    colors={!isOnline ? ['#9CA3AF', '#6B7280'] : ['#10B981', '#059669']}
+                    colors={!isOnline && isNetworkAvailable ? ['#9CA3AF', '#6B7280'] : ['#10B981', '#059669']}
                     style={styles.acceptButtonGradient}
                   >
                     <Truck color="#FFFFFF" size={18} />
                     <Text style={styles.acceptButtonText}>
-                      {!isOnline ? 'Go Online to Accept' : 'Accept Order'}
+                      {!isNetworkAvailable
+                        ? 'Accept When Back Online'
+                        : !isOnline ? 'Go Online to Accept' : 'Accept Order'}
                     </Text>
                   </LinearGradient>
                 </TouchableOpacity>
@@ -641,6 +852,16 @@ const getOrderPriority = (order) => {
           })
         )}
       </ScrollView>
+
+      <FilterPresetModal
+        visible={showPresetEditor}
+        preset={editingPreset}
+        restaurants={restaurantNames}
+        isDefault={!!editingPreset && editingPreset.id === defaultPresetId}
+        onClose={() => setShowPresetEditor(false)}
+        onSaved={handlePresetSaved}
+        onDeleted={handlePresetDeleted}
+      />
     </SafeAreaView>
   );
 }
@@ -719,6 +940,47 @@ const styles = StyleSheet.create({
   filterChipTextActive: {
     color: '#FFFFFF',
   },
+  newPresetChip: {
+    borderStyle: 'dashed',
+    borderColor: '#1E40AF',
+    backgroundColor: '#EFF6FF',
+  },
+  newPresetChipText: {
+    color: '#1E40AF',
+  },
+  presetHint: {
+    fontSize: 11,
+    color: '#9CA3AF',
+    marginTop: 6,
+  },
+  sortRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    gap: 6,
+  },
+  sortLabel: {
+    fontSize: 13,
+    color: '#6B7280',
+  },
+  sortChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#F3F4F6',
+  },
+  sortChipActive: {
+    backgroundColor: '#DBEAFE',
+  },
+  sortChipText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#6B7280',
+  },
+  sortChipTextActive: {
+    color: '#1E40AF',
+    fontWeight: '600',
+  },
   offlineWarning: {
     backgroundColor: '#FEE2E2',
     paddingHorizontal: 20,
@@ -834,6 +1096,46 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#1E40AF',
   },
+  badgeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  scoreBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 12,
+    gap: 4,
+  },
+  scoreText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  favoriteBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFBEB',
+    borderWidth: 1,
+    borderColor: '#FCD34D',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 12,
+    gap: 4,
+  },
+  favoriteText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#D97706',
+  },
+  scoreDetailText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 6,
+  },
   orderDetails: {
     marginBottom: 12,
   },
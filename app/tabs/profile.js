@@ -17,7 +17,6 @@ import {
   Keyboard,
   TouchableWithoutFeedback,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { LinearGradient } from 'expo-linear-gradient';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { 
@@ -44,12 +43,20 @@ import {
   TrendingDown,
   History,
   ArrowRight,
+  Navigation,
+  Radar,
+  Scale,
+  Store,
+  Undo2,
 } from 'lucide-react-native';
 import { useAuth } from '../../providers/auth-provider';
 import { useDelivery } from '../../providers/delivery-provider';
 import { router } from 'expo-router';
+import apiService from '../../services/api-service';
+import { getBankListCache, setBankListCache } from '../../utils/secure-storage';
 import {
   getBalance,
+  initializeWithdraw,
   requestWithdrawal,
   getTransactionHistory,
   formatCurrency,
@@ -65,6 +72,16 @@ import {
 } from '../../utils/proximity-settings';
 import { checkNearbyOrders } from '../../services/orderProximityService';
 import orderNotificationService from '../../services/order-notification-service';
+import geofenceService from '../../services/geofence-service';
+import { isGeofenceAutoApplyEnabled } from '../../utils/geofence-settings';
+import {
+  isNotificationSoundEnabled,
+  setNotificationSoundEnabled as saveNotificationSoundEnabled,
+} from '../../utils/notification-settings';
+import SoundSettingsModal from '../../components/SoundSettingsModal';
+import ProximitySettingsModal from '../../components/ProximitySettingsModal';
+import OfferScoringModal from '../../components/OfferScoringModal';
+import RestaurantPreferencesModal from '../../components/RestaurantPreferencesModal';
 import { Vibration } from 'react-native';
 
 export default function ProfileScreen() {
@@ -93,6 +110,13 @@ export default function ProfileScreen() {
   // Proximity Radius Settings
   const [proximityRadius, setProximityRadiusState] = useState(2); // Default 2km
   const [showRadiusModal, setShowRadiusModal] = useState(false);
+  const [showSoundSettingsModal, setShowSoundSettingsModal] = useState(false);
+  const [showProximitySettingsModal, setShowProximitySettingsModal] = useState(false);
+  const [showOfferScoringModal, setShowOfferScoringModal] = useState(false);
+  const [showRestaurantsModal, setShowRestaurantsModal] = useState(false);
+
+  // Geofence Settings - apply arrival/pickup steps automatically instead of suggesting them
+  const [geofenceAutoApply, setGeofenceAutoApply] = useState(false);
   
   // Currency Visibility Toggle
   const [showCurrency, setShowCurrency] = useState(true);
@@ -126,23 +150,9 @@ export default function ProfileScreen() {
       // Fetch balance
       const balanceResult = await getBalance(token);
       
-      // Check if authentication is required
+      // Session expired - nothing more to load
       if (balanceResult.requiresAuth) {
-        Alert.alert(
-          'Session Expired',
-          'Your session has expired. Please log in again.',
-          [
-            {
-              text: 'OK',
-              onPress: async () => {
-                await clearDeliveryData();
-                await logout();
-                router.replace('/login');
-              },
-            },
-          ],
-          { cancelable: false }
-        );
+        // AuthProvider has already ended the session and opened the login screen
         return;
       }
       
@@ -153,23 +163,9 @@ export default function ProfileScreen() {
       // Fetch recent transactions (last 5 in descending order - newest first)
       const historyResult = await getTransactionHistory(token);
       
-      // Check if authentication is required
+      // Session expired - nothing more to load
       if (historyResult.requiresAuth) {
-        Alert.alert(
-          'Session Expired',
-          'Your session has expired. Please log in again.',
-          [
-            {
-              text: 'OK',
-              onPress: async () => {
-                await clearDeliveryData();
-                await logout();
-                router.replace('/login');
-              },
-            },
-          ],
-          { cancelable: false }
-        );
+        // AuthProvider has already ended the session and opened the login screen
         return;
       }
       
@@ -186,7 +182,7 @@ export default function ProfileScreen() {
     } finally {
       setIsLoadingBalance(false);
     }
-  }, [token, logout, clearDeliveryData]);
+  }, [token]);
 
   // Fetch delivery history on mount
   useEffect(() => {
@@ -198,14 +194,13 @@ export default function ProfileScreen() {
   // Load notification sound preference from storage
   const loadNotificationSettings = async () => {
     try {
-      const soundEnabled = await AsyncStorage.getItem('notificationSoundEnabled');
-      if (soundEnabled !== null) {
-        setNotificationSoundEnabled(soundEnabled === 'true');
-      }
+      setNotificationSoundEnabled(await isNotificationSoundEnabled());
       
       // Load proximity radius setting
       const radius = await getProximityRadius();
       setProximityRadiusState(radius);
+
+      setGeofenceAutoApply(await isGeofenceAutoApplyEnabled());
     } catch (error) {
       console.error('Error loading notification settings:', error);
     }
@@ -282,7 +277,7 @@ export default function ProfileScreen() {
   const toggleNotificationSound = async (value) => {
     try {
       setNotificationSoundEnabled(value);
-      await AsyncStorage.setItem('notificationSoundEnabled', value.toString());
+      await saveNotificationSoundEnabled(value);
       
       if (Platform.OS === 'android') {
         const { ToastAndroid } = require('react-native');
@@ -297,6 +292,16 @@ export default function ProfileScreen() {
     }
   };
 
+  // Toggle automatic geofence status steps and save preference
+  const toggleGeofenceAutoApply = async (value) => {
+    setGeofenceAutoApply(value);
+    const saved = await geofenceService.setAutoApply(value);
+    if (!saved) {
+      setGeofenceAutoApply(!value);
+      Alert.alert('Error', 'Failed to save geofence settings');
+    }
+  };
+
   // 🔄 Handle refresh - Works INDEPENDENTLY of socket connection
   const onRefresh = async () => {
     setRefreshing(true);
@@ -311,9 +316,9 @@ export default function ProfileScreen() {
   const fetchBankList = async () => {
     try {
       // Check cache first (valid for 24 hours)
-      const cachedData = await AsyncStorage.getItem('bank_list_cache');
+      const cachedData = await getBankListCache();
       if (cachedData) {
-        const { banks, balance, timestamp } = JSON.parse(cachedData);
+        const { banks, balance, timestamp } = cachedData;
         const age = Date.now() - timestamp;
         const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
         
@@ -325,28 +330,16 @@ export default function ProfileScreen() {
 
       // Fetch fresh data
       console.log('🔄 Fetching fresh bank list from API');
-      const response = await fetch(
-        'https://bahrain-delivery-backend.onrender.com/api/v1/balance/initialize-withdraw',
-        {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
-          },
-        }
-      );
-
-      const result = await response.json();
+      const result = await initializeWithdraw(token);
 
-      if (result.status === 'success' && result.data) {
+      if (result.success) {
         // Cache the data
-        await AsyncStorage.setItem('bank_list_cache', JSON.stringify({
-          banks: result.data.banks || [],
-          balance: result.data.balance,
+        await setBankListCache({
+          ...result.data,
           timestamp: Date.now(),
-        }));
+        });
         
-        return { banks: result.data.banks || [], balance: result.data.balance };
+        return result.data;
       }
       
       return null;
@@ -433,21 +426,16 @@ export default function ProfileScreen() {
     setIsChangingPassword(true);
 
     try {
-      const response = await fetch('https://api.bahirandelivery.cloud/api/v1/users/updateMyPassword', {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
-        body: JSON.stringify({
+      const data = await apiService.patch(
+        '/users/updateMyPassword',
+        {
           password: newPassword.trim(),
           passwordConfirm: confirmPassword.trim(),
-        }),
-      });
-
-      const data = await response.json();
+        },
+        { token }
+      );
 
-      if (response.ok && data.status === 'success') {
+      if (data?.status === 'success') {
         setPasswordSuccess('Password changed successfully! Redirecting to login...');
         
         setTimeout(async () => {
@@ -470,21 +458,11 @@ export default function ProfileScreen() {
           setPasswordSuccess('');
         }, 1500);
       } else {
-        // Display server error message
-        const serverMessage = data.message || data?.error || 
-                             (data?.errors && data?.errors[0]?.msg) || 
-                             'Failed to change password. Please try again.';
-        setPasswordError(serverMessage);
+        setPasswordError(data?.message || 'Failed to change password. Please try again.');
       }
     } catch (error) {
       console.error('Error changing password:', error);
-      
-      // Check if it's a network error or server error
-      if (error.message === 'Failed to fetch' || error.message.includes('Network request failed')) {
-        setPasswordError('Unable to connect to server. Please check your internet connection and try again.');
-      } else {
-        setPasswordError('Something went wrong. Please try again later.');
-      }
+      setPasswordError(error.message || 'Failed to change password. Please try again.');
     } finally {
       setIsChangingPassword(false);
     }
@@ -570,6 +548,13 @@ export default function ProfileScreen() {
         />
       ),
     },
+    {
+      icon: Bell,
+      label: 'Alert Sounds',
+      subtitle: 'Sounds, volume, repeats and quiet hours',
+      color: '#6366F1',
+      onPress: () => setShowSoundSettingsModal(true),
+    },
     {
       icon: MapPin,
       label: 'Nearby Order Radius',
@@ -583,6 +568,52 @@ export default function ProfileScreen() {
         </View>
       ),
     },
+    {
+      icon: Radar,
+      label: 'Proximity Alerts',
+      subtitle: 'Alert distances for restaurant, customer and offers',
+      color: '#0EA5E9',
+      onPress: () => setShowProximitySettingsModal(true),
+    },
+    {
+      icon: Scale,
+      label: 'Offer Scoring',
+      subtitle: 'How fee, tip, distance and waiting time rank offers',
+      color: '#059669',
+      onPress: () => setShowOfferScoringModal(true),
+    },
+    {
+      icon: Store,
+      label: 'Favorite & Blocked Restaurants',
+      subtitle: 'Prioritise restaurants you like, skip slow ones',
+      color: '#D97706',
+      onPress: () => setShowRestaurantsModal(true),
+    },
+    {
+      icon: Undo2,
+      label: 'Declined Offers',
+      subtitle: 'Why you decline, and bring back offers still available',
+      color: '#EF4444',
+      onPress: () => router.push('/declined-offers'),
+    },
+    {
+      icon: Navigation,
+      label: 'Automatic Arrival Updates',
+      subtitle: geofenceAutoApply
+        ? 'Arrived / picked up marked automatically (undo anytime)'
+        : 'Suggest arrived / picked up for you to confirm',
+      color: geofenceAutoApply ? '#1E40AF' : '#6B7280',
+      onPress: () => {},
+      rightComponent: (
+        <Switch
+          value={geofenceAutoApply}
+          onValueChange={toggleGeofenceAutoApply}
+          trackColor={{ false: '#D1D5DB', true: '#93C5FD' }}
+          thumbColor={geofenceAutoApply ? '#1E40AF' : '#9CA3AF'}
+          ios_backgroundColor="#D1D5DB"
+        />
+      ),
+    },
     {
       icon: Key,
       label: 'Change Password',
@@ -1025,6 +1056,30 @@ export default function ProfileScreen() {
         </KeyboardAvoidingView>
       </Modal>
 
+      {/* Alert Sound Settings Modal */}
+      <SoundSettingsModal
+        visible={showSoundSettingsModal}
+        onClose={() => setShowSoundSettingsModal(false)}
+      />
+
+      {/* Proximity Alert Thresholds Modal */}
+      <ProximitySettingsModal
+        visible={showProximitySettingsModal}
+        onClose={() => setShowProximitySettingsModal(false)}
+      />
+
+      {/* Offer Score Weights Modal */}
+      <OfferScoringModal
+        visible={showOfferScoringModal}
+        onClose={() => setShowOfferScoringModal(false)}
+      />
+
+      {/* Favorite / Blocked Restaurants Modal */}
+      <RestaurantPreferencesModal
+        visible={showRestaurantsModal}
+        onClose={() => setShowRestaurantsModal(false)}
+      />
+
       {/* Proximity Radius Selection Modal */}
       <Modal
         visible={showRadiusModal}
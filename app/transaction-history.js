@@ -13,7 +13,7 @@ import {
   TextInput,
   Modal,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { getBankListCache } from "../utils/secure-storage";
 import { LinearGradient } from "expo-linear-gradient";
 import { SafeAreaView } from "react-native-safe-area-context";
 
@@ -78,10 +78,9 @@ export default function TransactionHistoryScreen() {
   // ----------------------------------------------------------
   const loadBankCache = async () => {
     try {
-      const cache = await AsyncStorage.getItem("bank_list_cache");
-      if (!cache) return;
+      const parsed = await getBankListCache();
+      if (!parsed?.banks) return;
 
-      const parsed = JSON.parse(cache);
       const map = {};
 
       parsed.banks.forEach((b) => {
@@ -9,7 +9,6 @@ import {
   KeyboardAvoidingView,
   Platform,
   ActivityIndicator,
-  Alert,
   RefreshControl,
   Animated,
 } from 'react-native';
@@ -18,11 +17,19 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { DollarSign, ArrowLeft, RefreshCw } from 'lucide-react-native';
 import { router } from 'expo-router';
 import { useAuth } from '../providers/auth-provider';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { formatCurrency } from '../services/balance-service';
+import {
+  getBankListCache,
+  setBankListCache,
+  clearBankListCache,
+} from '../utils/secure-storage';
+import {
+  formatCurrency,
+  initializeWithdraw,
+  requestWithdrawal,
+} from '../services/balance-service';
 
 export default function WithdrawScreen() {
-  const { token, logout } = useAuth();
+  const { token } = useAuth();
   
   const [availableBanks, setAvailableBanks] = useState([]);
   const [selectedBank, setSelectedBank] = useState(null);
@@ -60,9 +67,9 @@ export default function WithdrawScreen() {
     setIsLoadingBanks(true);
 
     try {
-      const cached = await AsyncStorage.getItem('bank_list_cache');
+      const cached = await getBankListCache();
       if (cached) {
-        const { banks, balance, timestamp } = JSON.parse(cached);
+        const { banks, balance, timestamp } = cached;
         const CACHE_DURATION = 24 * 60 * 60 * 1000;
 
         if (Date.now() - timestamp < CACHE_DURATION) {
@@ -74,35 +81,22 @@ export default function WithdrawScreen() {
         }
       }
 
-      const response = await fetch(
-        'https://api.bahirandelivery.cloud/api/v1/balance/initialize-withdraw',
-        {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
-          },
-        }
-      );
-
-      const result = await response.json();
+      const result = await initializeWithdraw(token);
 
-      if (result.status === 'success') {
-        const banks = result.data.banks;
-        const balance = result.data.balance;
+      if (result.success) {
+        const { banks, balance } = result.data;
 
-        await AsyncStorage.setItem(
-          'bank_list_cache',
-          JSON.stringify({
-            banks,
-            balance,
-            timestamp: Date.now(),
-          })
-        );
+        await setBankListCache({
+          banks,
+          balance,
+          timestamp: Date.now(),
+        });
 
         setAvailableBanks(banks);
         setWithdrawBalance(balance);
         if (banks.length > 0) setSelectedBank(banks[0].id);
+      } else {
+        setWithdrawError(result.message || 'Failed to load bank info.');
       }
     } catch (err) {
       setWithdrawError('Failed to load bank info.');
@@ -117,7 +111,7 @@ export default function WithdrawScreen() {
     setWithdrawSuccess('');
 
     startRotateAnimation(); // 🔄 start rotating icon
-    await AsyncStorage.removeItem('bank_list_cache');
+    await clearBankListCache();
     await fetchBankList();
     stopRotateAnimation(); // 🛑 stop rotating
 
@@ -127,7 +121,7 @@ export default function WithdrawScreen() {
   // 🔄 Pull-to-refresh gesture
   const onPullRefresh = async () => {
     setRefreshing(true);
-    await AsyncStorage.removeItem('bank_list_cache');
+    await clearBankListCache();
     await fetchBankList();
     setRefreshing(false);
   };
@@ -156,39 +150,16 @@ export default function WithdrawScreen() {
     setIsWithdrawing(true);
 
     try {
-      const response = await fetch(
-        'https://api.bahirandelivery.cloud/api/v1/balance/withdraw',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
-          },
-          body: JSON.stringify({
-            amount,
-            bankId: selectedBank,
-          }),
-        }
-      );
-
-      const result = await response.json();
-
-      if (response.status === 401) {
-        Alert.alert('Session Expired', 'Please login again.', [
-          {
-            text: 'OK',
-            onPress: async () => {
-              await logout();
-              router.replace('/login');
-            },
-          },
-        ]);
+      const result = await requestWithdrawal(token, amount, selectedBank);
+
+      // AuthProvider has already ended the session and opened the login screen
+      if (result.requiresAuth) {
         return;
       }
 
-      if (result.status === 'success') {
+      if (result.success) {
         setWithdrawSuccess('Withdrawal requested successfully!');
-        await AsyncStorage.removeItem('bank_list_cache');
+        await clearBankListCache();
 
         setTimeout(() => {
           router.back();
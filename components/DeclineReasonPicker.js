@@ -0,0 +1,94 @@
+import React from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity } from 'react-native';
+import { DECLINE_REASONS } from '../utils/decline-reasons';
+
+// 🙅 Asks why an offer is declined - the answer feeds the decline stats on the Declined Offers screen
+export default function DeclineReasonPicker({ visible, onSelect, onCancel }) {
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>Why decline?</Text>
+          <Text style={styles.subtitle}>Helps you tune your filters and radius</Text>
+
+          {DECLINE_REASONS.map((reason) => (
+            <TouchableOpacity key={reason.id} style={styles.option} onPress={() => onSelect(reason.id)}>
+              <Text style={styles.optionEmoji}>{reason.emoji}</Text>
+              <Text style={styles.optionText}>{reason.label}</Text>
+            </TouchableOpacity>
+          ))}
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.footerButton} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.footerButton} onPress={() => onSelect(null)}>
+              <Text style={styles.skipText}>Decline without reason</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    backgroundColor: '#F9FAFB',
+    marginBottom: 8,
+    gap: 12,
+  },
+  optionEmoji: {
+    fontSize: 20,
+  },
+  optionText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  footerButton: {
+    paddingVertical: 8,
+  },
+  cancelText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  skipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#EF4444',
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -20,6 +20,7 @@ import {
   X,
   Navigation,
 } from 'lucide-react-native';
+import DeclineReasonPicker from './DeclineReasonPicker';
 
 const { width, height } = Dimensions.get('window');
 
@@ -32,6 +33,7 @@ export default function DeliveryOrderModal({
   const slideAnim = useRef(new Animated.Value(height)).current;
   const scaleAnim = useRef(new Animated.Value(0.9)).current;
   const opacityAnim = useRef(new Animated.Value(0)).current;
+  const [showDeclineReasons, setShowDeclineReasons] = useState(false);
 
   useEffect(() => {
     if (visible) {
@@ -86,6 +88,11 @@ export default function DeliveryOrderModal({
   const tip = formatCurrency(order.tip);
   const total = (parseFloat(deliveryFee) + parseFloat(tip)).toFixed(2);
 
+  const handleDeclineReason = (reason) => {
+    setShowDeclineReasons(false);
+    onDecline(reason);
+  };
+
   return (
     <Modal
       visible={visible}
@@ -97,7 +104,7 @@ export default function DeliveryOrderModal({
         <TouchableOpacity
           style={styles.overlayTouchable}
           activeOpacity={1}
-          onPress={onDecline}
+          onPress={() => setShowDeclineReasons(true)}
         />
         
         <Animated.View
@@ -133,6 +140,18 @@ export default function DeliveryOrderModal({
 
           {/* Content */}
           <View style={styles.content}>
+            {/* Fits the deliveries already in progress */}
+            {order.routeFit && (
+              <View style={styles.routeFitBadge}>
+                <Navigation color="#1D4ED8" size={16} strokeWidth={2} />
+                <Text style={styles.routeFitText}>
+                  {order.routeFit.sharesPickup
+                    ? 'Same pickup as your current order'
+                    : `On your route · adds ${(order.routeFit.detourKm || 0).toFixed(1)} km`}
+                </Text>
+              </View>
+            )}
+
             {/* Restaurant Info */}
             <View style={styles.section}>
               <View style={styles.sectionHeader}>
@@ -218,7 +237,7 @@ export default function DeliveryOrderModal({
           <View style={styles.actionButtons}>
             <TouchableOpacity
               style={styles.declineButton}
-              onPress={onDecline}
+              onPress={() => setShowDeclineReasons(true)}
               activeOpacity={0.8}
             >
               <X color="#EF4444" size={24} strokeWidth={2.5} />
@@ -243,6 +262,12 @@ export default function DeliveryOrderModal({
           </View>
         </Animated.View>
       </Animated.View>
+
+      <DeclineReasonPicker
+        visible={showDeclineReasons}
+        onSelect={handleDeclineReason}
+        onCancel={() => setShowDeclineReasons(false)}
+      />
     </Modal>
   );
 }
@@ -333,6 +358,23 @@ const styles = StyleSheet.create({
   section: {
     marginBottom: 20,
   },
+  routeFitBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#EFF6FF',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#BFDBFE',
+  },
+  routeFitText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1D4ED8',
+  },
   sectionHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,374 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, ScrollView, TextInput, Switch, Alert } from 'react-native';
+import { X, Trash2, Check } from 'lucide-react-native';
+import { EMPTY_PRESET, saveFilterPreset, deleteFilterPreset } from '../utils/filter-presets';
+
+const NUMBER_FIELDS = [
+  { min: 'minDistanceKm', max: 'maxDistanceKm', title: '📏 Distance to restaurant (km)' },
+  { min: 'minAgeMinutes', max: 'maxAgeMinutes', title: '⏰ Order age (minutes)' },
+];
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Empty input = no limit
+const toNumber = (text) => {
+  const trimmed = text.trim().replace(',', '.');
+  return trimmed === '' ? null : Number(trimmed);
+};
+
+const restaurantState = (form, name) => {
+  if (form.includeRestaurants.includes(name)) return 'include';
+  if (form.excludeRestaurants.includes(name)) return 'exclude';
+  return 'any';
+};
+
+// 🎛️ Create or edit an Orders tab filter preset
+export default function FilterPresetModal({ visible, preset, restaurants = [], isDefault = false, onClose, onSaved, onDeleted }) {
+  const [form, setForm] = useState(EMPTY_PRESET);
+  const [numbers, setNumbers] = useState({});
+  const [makeDefault, setMakeDefault] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    const initial = { ...EMPTY_PRESET, ...preset };
+    setForm(initial);
+    setNumbers({
+      minDistanceKm: toText(initial.minDistanceKm),
+      maxDistanceKm: toText(initial.maxDistanceKm),
+      minEarnings: toText(initial.minEarnings),
+      minAgeMinutes: toText(initial.minAgeMinutes),
+      maxAgeMinutes: toText(initial.maxAgeMinutes),
+    });
+    setMakeDefault(isDefault);
+    setError(null);
+  }, [visible, preset, isDefault]);
+
+  // Restaurants from the current offers plus any the preset already names
+  const restaurantNames = [...new Set([...restaurants, ...form.includeRestaurants, ...form.excludeRestaurants])]
+    .filter(Boolean)
+    .sort((a, b) => a.localeCompare(b));
+
+  // Tap cycles: any → only → never → any
+  const cycleRestaurant = (name) => {
+    const state = restaurantState(form, name);
+    const includeRestaurants = form.includeRestaurants.filter((existing) => existing !== name);
+    const excludeRestaurants = form.excludeRestaurants.filter((existing) => existing !== name);
+
+    if (state === 'any') includeRestaurants.push(name);
+    if (state === 'include') excludeRestaurants.push(name);
+
+    setForm((prev) => ({ ...prev, includeRestaurants, excludeRestaurants }));
+  };
+
+  const handleSave = async () => {
+    const parsed = Object.fromEntries(Object.entries(numbers).map(([field, text]) => [field, toNumber(text)]));
+    if (Object.values(parsed).some((value) => value !== null && Number.isNaN(value))) {
+      setError('Numbers only, please');
+      return;
+    }
+
+    const result = await saveFilterPreset({ ...form, ...parsed });
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    onSaved(result.preset, makeDefault);
+  };
+
+  const handleDelete = () => {
+    Alert.alert('🗑️ Delete Preset', `Delete "${form.name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          if (await deleteFilterPreset(form.id)) {
+            onDeleted(form.id);
+          } else {
+            Alert.alert('Error', 'Failed to delete preset');
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderNumberInput = (field, placeholder) => (
+    <TextInput
+      style={styles.numberInput}
+      value={numbers[field]}
+      onChangeText={(text) => setNumbers((prev) => ({ ...prev, [field]: text }))}
+      placeholder={placeholder}
+      placeholderTextColor="#9CA3AF"
+      keyboardType="decimal-pad"
+    />
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{form.id ? '🎛️ Edit Preset' : '🎛️ New Preset'}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <X color="#6B7280" size={24} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={styles.fieldLabel}>Name</Text>
+            <TextInput
+              style={styles.textInput}
+              value={form.name}
+              onChangeText={(name) => setForm((prev) => ({ ...prev, name }))}
+              placeholder="e.g. Short trips"
+              placeholderTextColor="#9CA3AF"
+              maxLength={24}
+            />
+
+            {NUMBER_FIELDS.map(({ min, max, title }) => (
+              <View key={min}>
+                <Text style={styles.fieldLabel}>{title}</Text>
+                <View style={styles.rangeRow}>
+                  {renderNumberInput(min, 'Min')}
+                  <Text style={styles.rangeSeparator}>to</Text>
+                  {renderNumberInput(max, 'Max')}
+                </View>
+              </View>
+            ))}
+
+            <Text style={styles.fieldLabel}>💰 Minimum earnings (ETB, fee + tip)</Text>
+            {renderNumberInput('minEarnings', 'Any')}
+
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>⭐ Sponsored orders only</Text>
+              <Switch
+                value={form.sponsoredOnly}
+                onValueChange={(sponsoredOnly) => setForm((prev) => ({ ...prev, sponsoredOnly }))}
+                trackColor={{ false: '#D1D5DB', true: '#93C5FD' }}
+                thumbColor={form.sponsoredOnly ? '#1E40AF' : '#9CA3AF'}
+              />
+            </View>
+
+            <Text style={styles.fieldLabel}>🏪 Restaurants</Text>
+            <Text style={styles.hintText}>Tap to show only a restaurant, tap again to hide it, once more to reset.</Text>
+            {restaurantNames.length === 0 ? (
+              <Text style={styles.hintText}>Restaurants from available orders appear here.</Text>
+            ) : (
+              <View style={styles.chipRow}>
+                {restaurantNames.map((name) => {
+                  const state = restaurantState(form, name);
+                  return (
+                    <TouchableOpacity
+                      key={name}
+                      style={[styles.chip, state === 'include' && styles.chipInclude, state === 'exclude' && styles.chipExclude]}
+                      onPress={() => cycleRestaurant(name)}
+                    >
+                      <Text
+                        style={[
+                          styles.chipText,
+                          state === 'include' && styles.chipTextInclude,
+                          state === 'exclude' && styles.chipTextExclude,
+                        ]}
+                      >
+                        {state === 'include' ? '✓ ' : state === 'exclude' ? '✕ ' : ''}
+                        {name}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            )}
+
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Apply when the Orders tab opens</Text>
+              <Switch
+                value={makeDefault}
+                onValueChange={setMakeDefault}
+                trackColor={{ false: '#D1D5DB', true: '#93C5FD' }}
+                thumbColor={makeDefault ? '#1E40AF' : '#9CA3AF'}
+              />
+            </View>
+
+            {error && <Text style={styles.errorText}>{error}</Text>}
+
+            <View style={styles.buttonRow}>
+              {form.id && (
+                <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+                  <Trash2 color="#EF4444" size={16} />
+                  <Text style={styles.deleteButtonText}>Delete</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+                <Check color="#FFFFFF" size={16} />
+                <Text style={styles.saveButtonText}>Save Preset</Text>
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    maxHeight: '90%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 16,
+    marginBottom: 6,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rangeSeparator: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginHorizontal: 10,
+  },
+  numberInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  switchLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    flex: 1,
+    marginRight: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    backgroundColor: '#FFFFFF',
+  },
+  chipInclude: {
+    borderColor: '#059669',
+    backgroundColor: '#ECFDF5',
+  },
+  chipExclude: {
+    borderColor: '#EF4444',
+    backgroundColor: '#FEF2F2',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  chipTextInclude: {
+    color: '#059669',
+    fontWeight: '600',
+  },
+  chipTextExclude: {
+    color: '#EF4444',
+    fontWeight: '600',
+    textDecorationLine: 'line-through',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginTop: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 24,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    backgroundColor: '#FEF2F2',
+  },
+  deleteButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#EF4444',
+  },
+  saveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    backgroundColor: '#1E40AF',
+  },
+  saveButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+});
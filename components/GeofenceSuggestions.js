@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { MapPin, CheckCircle, Undo2 } from 'lucide-react-native';
+import geofenceService, { GEOFENCE_TRANSITIONS, GEOFENCE_TRANSITION_LABELS } from '../services/geofence-service';
+
+const PROMPTS = {
+  [GEOFENCE_TRANSITIONS.ARRIVED_RESTAURANT]: 'Looks like you arrived at the restaurant.',
+  [GEOFENCE_TRANSITIONS.PICKED_UP]: 'Looks like you picked up the order and left the restaurant.',
+  [GEOFENCE_TRANSITIONS.ARRIVED_CUSTOMER]: 'Looks like you arrived at the customer.',
+};
+
+// 🧭 Geofence steps waiting for the rider: confirm / dismiss a suggestion, or undo an automatic one
+const GeofenceSuggestions = ({ orderId = null }) => {
+  const [suggestions, setSuggestions] = useState(() => geofenceService.getSuggestions(orderId));
+
+  useEffect(() => {
+    setSuggestions(geofenceService.getSuggestions(orderId));
+    return geofenceService.subscribe(() => setSuggestions(geofenceService.getSuggestions(orderId)));
+  }, [orderId]);
+
+  if (suggestions.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      {suggestions.map((suggestion) => {
+        const label = GEOFENCE_TRANSITION_LABELS[suggestion.type];
+        const orderLabel = !orderId && suggestion.orderCode ? ` (Order ${suggestion.orderCode})` : '';
+
+        return (
+          <View
+            key={suggestion.id}
+            style={[styles.card, suggestion.applied ? styles.cardApplied : styles.cardPending]}
+          >
+            <View style={styles.messageRow}>
+              {suggestion.applied ? (
+                <CheckCircle color="#059669" size={20} />
+              ) : (
+                <MapPin color="#1E40AF" size={20} />
+              )}
+              <Text style={styles.messageText}>
+                {suggestion.applied
+                  ? `Marked "${label}" automatically${orderLabel}.`
+                  : `${PROMPTS[suggestion.type]}${orderLabel}`}
+              </Text>
+            </View>
+
+            <View style={styles.buttonRow}>
+              {suggestion.applied ? (
+                <>
+                  <TouchableOpacity
+                    style={styles.secondaryButton}
+                    onPress={() => geofenceService.undo(suggestion.id)}
+                  >
+                    <Undo2 color="#374151" size={16} />
+                    <Text style={styles.secondaryButtonText}>Undo</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.primaryButton}
+                    onPress={() => geofenceService.dismiss(suggestion.id)}
+                  >
+                    <Text style={styles.primaryButtonText}>OK</Text>
+                  </TouchableOpacity>
+                </>
+              ) : (
+                <>
+                  <TouchableOpacity
+                    style={styles.secondaryButton}
+                    onPress={() => geofenceService.dismiss(suggestion.id)}
+                  >
+                    <Text style={styles.secondaryButtonText}>Not yet</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.primaryButton}
+                    onPress={() => geofenceService.confirm(suggestion.id)}
+                  >
+                    <Text style={styles.primaryButtonText}>Mark {label}</Text>
+                  </TouchableOpacity>
+                </>
+              )}
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 8,
+    marginBottom: 12,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 12,
+    borderWidth: 1,
+  },
+  cardPending: {
+    backgroundColor: '#EFF6FF',
+    borderColor: '#BFDBFE',
+  },
+  cardApplied: {
+    backgroundColor: '#ECFDF5',
+    borderColor: '#A7F3D0',
+  },
+  messageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  messageText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1F2937',
+    marginLeft: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 10,
+  },
+  primaryButton: {
+    backgroundColor: '#1E40AF',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F3F4F6',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    gap: 4,
+  },
+  secondaryButtonText: {
+    color: '#374151',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default GeofenceSuggestions;
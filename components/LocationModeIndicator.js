@@ -0,0 +1,73 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Crosshair, Navigation, Moon, BatteryLow, BatteryCharging } from 'lucide-react-native';
+import { SAMPLING_MODES, useLocationSampling } from '../services/location-sampling-service';
+
+const MODE_STYLES = {
+  [SAMPLING_MODES.PRECISE]: { Icon: Crosshair, color: '#1E40AF', background: '#EFF6FF', border: '#BFDBFE' },
+  [SAMPLING_MODES.DELIVERING]: { Icon: Navigation, color: '#059669', background: '#ECFDF5', border: '#A7F3D0' },
+  [SAMPLING_MODES.IDLE]: { Icon: Moon, color: '#4B5563', background: '#F9FAFB', border: '#E5E7EB' },
+  [SAMPLING_MODES.LOW_POWER]: { Icon: BatteryLow, color: '#B45309', background: '#FFFBEB', border: '#FDE68A' },
+};
+
+// 📡 Which location sampling mode is active, and why
+const LocationModeIndicator = () => {
+  const { mode, policy, batteryLevel, charging } = useLocationSampling();
+  const { Icon, color, background, border } = MODE_STYLES[mode];
+  const hasBatteryLevel = batteryLevel !== null && batteryLevel >= 0;
+
+  return (
+    <View style={[styles.container, { backgroundColor: background, borderColor: border }]}>
+      <Icon color={color} size={18} />
+      <View style={styles.textContainer}>
+        <Text style={[styles.modeText, { color }]}>Location: {policy.label}</Text>
+        <Text style={styles.descriptionText}>{policy.description}</Text>
+      </View>
+      {hasBatteryLevel && (
+        <View style={styles.batteryRow}>
+          {charging && <BatteryCharging color="#059669" size={14} />}
+          <Text style={styles.batteryText}>{Math.round(batteryLevel * 100)}%</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginBottom: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  textContainer: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  modeText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  descriptionText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  batteryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 2,
+    marginLeft: 8,
+  },
+  batteryText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#374151',
+  },
+});
+
+export default LocationModeIndicator;
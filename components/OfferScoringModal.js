@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, ScrollView } from 'react-native';
+import { X, Minus, Plus, RotateCcw } from 'lucide-react-native';
+import {
+  DEFAULT_SCORING_WEIGHTS,
+  WEIGHT_LIMITS,
+  getScoringWeights,
+  setScoringWeights,
+} from '../utils/offer-scoring-settings';
+
+const FACTORS = [
+  { factor: 'fee', title: '💵 Delivery fee', hint: 'How much the delivery fee counts' },
+  { factor: 'tip', title: '🎁 Tip', hint: 'How much the tip counts' },
+  { factor: 'pickupDistance', title: '🏪 Distance to restaurant', hint: 'Riding to the pickup (unpaid part of the trip)' },
+  { factor: 'tripDistance', title: '📍 Restaurant to customer', hint: 'Riding the delivery itself' },
+  { factor: 'age', title: '⏰ Waiting orders', hint: 'Boost for orders that have waited over 1 hour (full boost after 2 hours)' },
+];
+
+const formatWeight = (factor, value) =>
+  factor === 'age' ? `+${Math.round(value * 100)}%` : `${Number(value.toFixed(2))}×`;
+
+// Round away floating point drift from repeated steps
+const roundToStep = (value, step) => Math.round(value / step) * step;
+
+// ⚖️ Weights of the offer score shown on the Orders tab
+export default function OfferScoringModal({ visible, onClose }) {
+  const [weights, setWeights] = useState(DEFAULT_SCORING_WEIGHTS);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    setError(null);
+    getScoringWeights().then(setWeights);
+  }, [visible]);
+
+  const saveWeights = async (changes) => {
+    const result = await setScoringWeights(changes);
+
+    if (result.success) {
+      setWeights((prev) => ({ ...prev, ...changes }));
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const stepWeight = (factor, direction) => {
+    const { step } = WEIGHT_LIMITS[factor];
+    saveWeights({ [factor]: roundToStep(weights[factor] + direction * step, step) });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>⚖️ Offer Scoring</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <X color="#6B7280" size={24} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={styles.introText}>
+              An offer's score is its earnings per kilometer of riding. Raise a weight to make that factor
+              count more, or set it to 0 to ignore it.
+            </Text>
+
+            {FACTORS.map(({ factor, title, hint }) => (
+              <View key={factor} style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>{title}</Text>
+                  <Text style={styles.hintText}>{hint}</Text>
+                </View>
+                <View style={styles.stepper}>
+                  <TouchableOpacity style={styles.stepperButton} onPress={() => stepWeight(factor, -1)}>
+                    <Minus color="#374151" size={16} />
+                  </TouchableOpacity>
+                  <Text style={styles.stepperValue}>{formatWeight(factor, weights[factor])}</Text>
+                  <TouchableOpacity style={styles.stepperButton} onPress={() => stepWeight(factor, 1)}>
+                    <Plus color="#374151" size={16} />
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+
+            {error && <Text style={styles.errorText}>{error}</Text>}
+
+            <TouchableOpacity style={styles.resetButton} onPress={() => saveWeights(DEFAULT_SCORING_WEIGHTS)}>
+              <RotateCcw color="#6B7280" size={14} />
+              <Text style={styles.resetButtonText}>Reset to defaults</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    maxHeight: '85%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  introText: {
+    fontSize: 14,
+    color: '#4B5563',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 18,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+    minWidth: 52,
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginBottom: 12,
+  },
+  resetButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  resetButtonText: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+});
@@ -12,11 +12,13 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { Package, X, Check, XCircle, MapPin } from 'lucide-react-native';
 import { useAuth } from '../providers/auth-provider';
 import { useDelivery } from '../providers/delivery-provider';
+import DeclineReasonPicker from './DeclineReasonPicker';
 
 export default function OrderModal({ visible, order, onAccept, onDecline, onClose }) {
   const { userId } = useAuth();
   const { acceptOrder, isOnline, isConnected } = useDelivery();
   const [acceptingOrder, setAcceptingOrder] = useState(false);
+  const [showDeclineReasons, setShowDeclineReasons] = useState(false);
 
   // Slide animation
   const slideAnim = React.useRef(new Animated.Value(1000)).current;
@@ -84,11 +86,11 @@ export default function OrderModal({ visible, order, onAccept, onDecline, onClos
     }
   };
 
-  const handleDecline = () => {
-    Alert.alert('Decline?', 'Skip this order?', [
-      { text: 'Cancel' },
-      { text: 'Decline', style: 'destructive', onPress: () => onDecline(order) },
-    ]);
+  const handleDecline = () => setShowDeclineReasons(true);
+
+  const handleDeclineReason = (reason) => {
+    setShowDeclineReasons(false);
+    onDecline(order, reason);
   };
 
   return (
@@ -177,6 +179,12 @@ export default function OrderModal({ visible, order, onAccept, onDecline, onClos
           </LinearGradient>
         </Animated.View>
       </View>
+
+      <DeclineReasonPicker
+        visible={showDeclineReasons}
+        onSelect={handleDeclineReason}
+        onCancel={() => setShowDeclineReasons(false)}
+      />
     </Modal>
   );
 }
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { Share2 } from 'lucide-react-native';
+import orderJournalService, { ORDER_EVENTS, ORDER_EVENT_LABELS } from '../services/order-journal-service';
+
+const EVENT_COLORS = {
+  [ORDER_EVENTS.OFFERED]: '#6B7280',
+  [ORDER_EVENTS.DECLINED]: '#9CA3AF',
+  [ORDER_EVENTS.ACCEPTED]: '#3B82F6',
+  [ORDER_EVENTS.ARRIVED_RESTAURANT]: '#F97316',
+  [ORDER_EVENTS.PICKED_UP]: '#F59E0B',
+  [ORDER_EVENTS.IN_TRANSIT]: '#8B5CF6',
+  [ORDER_EVENTS.ARRIVED]: '#0EA5E9',
+  [ORDER_EVENTS.PROOF_CAPTURED]: '#14B8A6',
+  [ORDER_EVENTS.VERIFIED]: '#10B981',
+  [ORDER_EVENTS.COMPLETED]: '#059669',
+  [ORDER_EVENTS.CANCELLED]: '#EF4444',
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+// 🧾 Recorded lifecycle of one order, with an export for support disputes
+const OrderTimeline = ({ orderId, orderCode }) => {
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadEvents = useCallback(async () => {
+    const timeline = await orderJournalService.getTimeline(orderId, orderCode);
+    setEvents(timeline);
+    setIsLoading(false);
+  }, [orderId, orderCode]);
+
+  useEffect(() => {
+    loadEvents();
+    return orderJournalService.subscribe((changedOrderId) => {
+      if (String(changedOrderId) === String(orderId)) loadEvents();
+    });
+  }, [orderId, loadEvents]);
+
+  const handleExport = async () => {
+    try {
+      const exported = await orderJournalService.exportTimeline(orderId, orderCode);
+      if (!exported) {
+        Alert.alert('Nothing to Export', 'No events have been recorded for this order on this device.');
+      }
+    } catch (error) {
+      console.error('Error exporting timeline:', error);
+      Alert.alert('Error', 'Failed to export the order timeline');
+    }
+  };
+
+  if (isLoading) {
+    return <ActivityIndicator size="small" color="#1E40AF" style={styles.loader} />;
+  }
+
+  if (events.length === 0) {
+    return <Text style={styles.emptyText}>No events recorded for this order on this device.</Text>;
+  }
+
+  return (
+    <View>
+      {events.map((event, index) => {
+        const color = EVENT_COLORS[event.event] || '#6B7280';
+        const isLast = index === events.length - 1;
+
+        return (
+          <View key={event.id} style={styles.eventRow}>
+            <View style={styles.markerColumn}>
+              <View style={[styles.dot, { backgroundColor: color }]} />
+              {!isLast && <View style={styles.line} />}
+            </View>
+            <View style={styles.eventContent}>
+              <Text style={styles.eventLabel}>{ORDER_EVENT_LABELS[event.event] || event.event}</Text>
+              <Text style={styles.eventTime}>{formatTime(event.created_at)}</Text>
+              <Text style={styles.eventLocation}>
+                {event.latitude != null && event.longitude != null
+                  ? `📍 ${event.latitude.toFixed(5)}, ${event.longitude.toFixed(5)}${
+                      event.accuracy != null ? ` (±${Math.round(event.accuracy)} m)` : ''
+                    }`
+                  : 'No GPS fix'}
+              </Text>
+            </View>
+          </View>
+        );
+      })}
+
+      <TouchableOpacity style={styles.exportButton} onPress={handleExport}>
+        <Share2 color="#1E40AF" size={16} />
+        <Text style={styles.exportButtonText}>Export Timeline</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  loader: {
+    paddingVertical: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    fontStyle: 'italic',
+  },
+  eventRow: {
+    flexDirection: 'row',
+  },
+  markerColumn: {
+    width: 20,
+    alignItems: 'center',
+  },
+  dot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginTop: 4,
+  },
+  line: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#E5E7EB',
+    marginVertical: 2,
+  },
+  eventContent: {
+    flex: 1,
+    paddingLeft: 10,
+    paddingBottom: 16,
+  },
+  eventLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  eventTime: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  eventLocation: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    backgroundColor: '#EFF6FF',
+    borderRadius: 8,
+  },
+  exportButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1E40AF',
+    marginLeft: 6,
+  },
+});
+
+export default OrderTimeline;
@@ -0,0 +1,329 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  Image,
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { CameraView, Camera } from 'expo-camera';
+import { X, Camera as CameraIcon, RotateCcw, CheckCircle } from 'lucide-react-native';
+import SignaturePad from './SignaturePad';
+import { PROOF_PHOTO_OPTIONS } from '../services/delivery-proof-service';
+
+// 📸 Fallback when the customer has no code: photo of the handover + customer signature
+export default function ProofOfDeliveryModal({ visible, orderCode, onClose, onSubmit, isSubmitting }) {
+  const cameraRef = useRef(null);
+  const [hasPermission, setHasPermission] = useState(null);
+  const [step, setStep] = useState('photo'); // 'photo' | 'signature'
+  const [photo, setPhoto] = useState(null); // { uri, base64 }
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [signatureSvg, setSignatureSvg] = useState(null);
+  const [recipientName, setRecipientName] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      requestCameraPermission();
+    } else {
+      setStep('photo');
+      setPhoto(null);
+      setSignatureSvg(null);
+      setRecipientName('');
+    }
+  }, [visible]);
+
+  const requestCameraPermission = async () => {
+    try {
+      const { status } = await Camera.requestCameraPermissionsAsync();
+      setHasPermission(status === 'granted');
+
+      if (status !== 'granted') {
+        Alert.alert(
+          'Camera Permission Required',
+          'Please enable camera access in your device settings to take a proof-of-delivery photo.',
+          [{ text: 'OK' }]
+        );
+      }
+    } catch (error) {
+      console.error('Error requesting camera permission:', error);
+      Alert.alert('Error', 'Failed to request camera permission');
+    }
+  };
+
+  const handleTakePhoto = async () => {
+    if (!cameraRef.current || isCapturing) return;
+
+    setIsCapturing(true);
+    try {
+      const picture = await cameraRef.current.takePictureAsync(PROOF_PHOTO_OPTIONS);
+      setPhoto({ uri: picture.uri, base64: picture.base64 });
+    } catch (error) {
+      console.error('Error taking photo:', error);
+      Alert.alert('Error', 'Failed to take photo. Please try again.');
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  const handleSubmit = () => {
+    if (!photo?.base64 || !signatureSvg) return;
+    onSubmit({
+      photoBase64: photo.base64,
+      signatureSvg,
+      recipientName: recipientName.trim(),
+    });
+  };
+
+  const renderPhotoStep = () => {
+    if (photo) {
+      return (
+        <View style={styles.stepContent}>
+          <Image source={{ uri: photo.uri }} style={styles.preview} />
+          <View style={styles.row}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setPhoto(null)}>
+              <RotateCcw color="#374151" size={18} />
+              <Text style={styles.secondaryButtonText}>Retake</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.primaryButton} onPress={() => setStep('signature')}>
+              <Text style={styles.primaryButtonText}>Use Photo</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      );
+    }
+
+    if (hasPermission === false) {
+      return (
+        <View style={styles.centered}>
+          <Text style={styles.messageText}>Camera access is needed to take the proof photo.</Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={requestCameraPermission}>
+            <Text style={styles.primaryButtonText}>Grant Permission</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    if (hasPermission === null) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#1E40AF" />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.stepContent}>
+        <CameraView ref={cameraRef} style={styles.camera} facing="back" />
+        <Text style={styles.hintText}>Photograph the order being handed over at the door.</Text>
+        <TouchableOpacity
+          style={styles.captureButton}
+          onPress={handleTakePhoto}
+          disabled={isCapturing}
+        >
+          {isCapturing ? (
+            <ActivityIndicator color="#FFFFFF" size="small" />
+          ) : (
+            <CameraIcon color="#FFFFFF" size={28} />
+          )}
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderSignatureStep = () => (
+    <ScrollView contentContainerStyle={styles.stepContent} keyboardShouldPersistTaps="handled">
+      <Text style={styles.inputLabel}>Recipient name (optional)</Text>
+      <TextInput
+        style={styles.textInput}
+        value={recipientName}
+        onChangeText={setRecipientName}
+        placeholder="Who received the order?"
+        placeholderTextColor="#9CA3AF"
+        editable={!isSubmitting}
+      />
+
+      <Text style={styles.inputLabel}>Customer signature</Text>
+      <SignaturePad onChange={setSignatureSvg} />
+
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={() => setStep('photo')}
+          disabled={isSubmitting}
+        >
+          <Text style={styles.secondaryButtonText}>Back</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.primaryButton, (!signatureSvg || isSubmitting) && styles.buttonDisabled]}
+          onPress={handleSubmit}
+          disabled={!signatureSvg || isSubmitting}
+        >
+          {isSubmitting ? (
+            <ActivityIndicator color="#FFFFFF" size="small" />
+          ) : (
+            <CheckCircle color="#FFFFFF" size={18} />
+          )}
+          <Text style={styles.primaryButtonText}>
+            {isSubmitting ? 'Submitting...' : 'Complete Delivery'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <View>
+            <Text style={styles.title}>📸 Proof of Delivery</Text>
+            <Text style={styles.subtitle}>
+              {orderCode ? `Order ${orderCode} • ` : ''}Step {step === 'photo' ? 1 : 2} of 2
+            </Text>
+          </View>
+          <TouchableOpacity onPress={onClose} disabled={isSubmitting} style={styles.closeButton}>
+            <X color="#6B7280" size={24} />
+          </TouchableOpacity>
+        </View>
+
+        {step === 'photo' ? renderPhotoStep() : renderSignatureStep()}
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  closeButton: {
+    padding: 8,
+  },
+  stepContent: {
+    flexGrow: 1,
+    padding: 20,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  messageText: {
+    fontSize: 15,
+    color: '#4B5563',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  camera: {
+    flex: 1,
+    borderRadius: 16,
+    overflow: 'hidden',
+  },
+  preview: {
+    flex: 1,
+    borderRadius: 16,
+    backgroundColor: '#E5E7EB',
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  captureButton: {
+    alignSelf: 'center',
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: '#1E40AF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  primaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#10B981',
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#F3F4F6',
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+  },
+  secondaryButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+    marginTop: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#1F2937',
+    backgroundColor: '#FFFFFF',
+    marginBottom: 12,
+  },
+});
@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, ScrollView } from 'react-native';
+import { X, Minus, Plus, RotateCcw } from 'lucide-react-native';
+import {
+  PROXIMITY_ALERTS,
+  DEFAULT_ALERT_THRESHOLDS,
+  THRESHOLD_LIMITS,
+  getAlertThresholds,
+  setAlertThreshold,
+  getProximityRadiusSync,
+} from '../utils/proximity-settings';
+
+const SECTIONS = [
+  {
+    alertType: PROXIMITY_ALERTS.RESTAURANT,
+    title: '🏪 Approaching restaurant',
+    distanceLabel: 'Alert when within',
+  },
+  {
+    alertType: PROXIMITY_ALERTS.CUSTOMER,
+    title: '📍 Approaching customer',
+    distanceLabel: 'Alert when within',
+  },
+  {
+    alertType: PROXIMITY_ALERTS.OFFER,
+    title: '🔔 New offers',
+    distanceLabel: null, // Uses the Nearby Order Radius setting
+  },
+];
+
+const formatMeters = (meters) => (meters >= 1000 ? `${(meters / 1000).toFixed(meters % 1000 ? 2 : 0)} km` : `${meters} m`);
+
+// 📏 Per-alert trigger distance and re-arm margin (hysteresis)
+export default function ProximitySettingsModal({ visible, onClose }) {
+  const [thresholds, setThresholds] = useState(DEFAULT_ALERT_THRESHOLDS);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (!visible) return;
+    setErrors({});
+    getAlertThresholds().then(setThresholds);
+  }, [visible]);
+
+  const updateThreshold = async (alertType, field, value) => {
+    const result = await setAlertThreshold(alertType, { [field]: value });
+
+    if (result.success) {
+      setThresholds((prev) => ({ ...prev, [alertType]: { ...prev[alertType], [field]: value } }));
+      setErrors((prev) => ({ ...prev, [alertType]: null }));
+    } else {
+      setErrors((prev) => ({ ...prev, [alertType]: result.error }));
+    }
+  };
+
+  const resetThreshold = async (alertType) => {
+    const result = await setAlertThreshold(alertType, DEFAULT_ALERT_THRESHOLDS[alertType]);
+    if (result.success) {
+      setThresholds((prev) => ({ ...prev, [alertType]: DEFAULT_ALERT_THRESHOLDS[alertType] }));
+      setErrors((prev) => ({ ...prev, [alertType]: null }));
+    }
+  };
+
+  const renderStepper = (alertType, field, label) => {
+    const value = thresholds[alertType][field];
+    const { step } = THRESHOLD_LIMITS[field];
+
+    return (
+      <View style={styles.stepperRow}>
+        <Text style={styles.stepperLabel}>{label}</Text>
+        <View style={styles.stepper}>
+          <TouchableOpacity style={styles.stepperButton} onPress={() => updateThreshold(alertType, field, value - step)}>
+            <Minus color="#374151" size={16} />
+          </TouchableOpacity>
+          <Text style={styles.stepperValue}>{formatMeters(value)}</Text>
+          <TouchableOpacity style={styles.stepperButton} onPress={() => updateThreshold(alertType, field, value + step)}>
+            <Plus color="#374151" size={16} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>📏 Proximity Alerts</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <X color="#6B7280" size={24} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={styles.introText}>
+              An alert fires once when you get within its distance, and again only after you have moved
+              the re-arm distance further away.
+            </Text>
+
+            {SECTIONS.map(({ alertType, title, distanceLabel }) => {
+              const { distance, hysteresis } = thresholds[alertType];
+              const triggerMeters = distanceLabel ? distance : getProximityRadiusSync() * 1000;
+
+              return (
+                <View key={alertType} style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Text style={styles.sectionTitle}>{title}</Text>
+                    <TouchableOpacity style={styles.resetButton} onPress={() => resetThreshold(alertType)}>
+                      <RotateCcw color="#6B7280" size={14} />
+                      <Text style={styles.resetButtonText}>Default</Text>
+                    </TouchableOpacity>
+                  </View>
+
+                  {distanceLabel ? (
+                    renderStepper(alertType, 'distance', distanceLabel)
+                  ) : (
+                    <Text style={styles.hintText}>
+                      Offers within your Nearby Order Radius ({formatMeters(triggerMeters)}) are shown.
+                    </Text>
+                  )}
+                  {renderStepper(alertType, 'hysteresis', 'Re-arm after moving away')}
+
+                  <Text style={styles.hintText}>
+                    Alerts again after you've been more than {formatMeters(triggerMeters + hysteresis)} away.
+                  </Text>
+
+                  {errors[alertType] && <Text style={styles.errorText}>{errors[alertType]}</Text>}
+                </View>
+              );
+            })}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    maxHeight: '85%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  introText: {
+    fontSize: 14,
+    color: '#4B5563',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  section: {
+    marginBottom: 24,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  resetButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  resetButtonText: {
+    fontSize: 13,
+    color: '#6B7280',
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  stepperLabel: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+    minWidth: 64,
+    textAlign: 'center',
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 8,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginTop: 6,
+  },
+});
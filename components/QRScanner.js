@@ -13,10 +13,11 @@ import {
 import { CameraView, Camera } from 'expo-camera';
 import { X, Camera as CameraIcon, AlertCircle, Scan, CheckCircle } from 'lucide-react-native';
 import { LinearGradient } from 'expo-linear-gradient';
+import { parseVerificationQr } from '../utils/qr-payload';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
-export default function QRScanner({ visible, onClose, onScanSuccess, orderId }) {
+export default function QRScanner({ visible, onClose, onScanSuccess, orderId, orderCode }) {
   const [hasPermission, setHasPermission] = useState(null);
   const [scanned, setScanned] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
@@ -116,22 +117,28 @@ export default function QRScanner({ visible, onClose, onScanSuccess, orderId })
     setIsProcessing(true);
 
     try {
-      // Parse the QR code data
-      let verificationData;
-      
-      // Try to parse as JSON first
-      try {
-        verificationData = JSON.parse(data);
-      } catch {
-        // If not JSON, treat as plain verification code
-        verificationData = { code: data };
+      // Signed payloads are checked against this order; bare 6-digit codes still pass
+      const verificationData = parseVerificationQr(data, { orderId, orderCode });
+
+      if (!verificationData.valid) {
+        Alert.alert(
+          'Invalid QR Code',
+          verificationData.message,
+          [
+            { 
+              text: 'Try Again', 
+              onPress: () => {
+                setScanned(false);
+                setIsProcessing(false);
+              }
+            },
+            { text: 'Cancel', onPress: onClose }
+          ]
+        );
+        return;
       }
 
-      // Extract verification code
-      const verificationCode = verificationData.code || 
-                               verificationData.verificationCode || 
-                               verificationData.orderId || 
-                               data;
+      const verificationCode = verificationData.code;
 
       // Success feedback
       if (Platform.OS === 'android') {
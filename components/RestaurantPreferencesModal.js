@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import { X, Star, Ban, RotateCcw } from 'lucide-react-native';
+import {
+  RESTAURANT_PREFERENCE,
+  getRestaurantPreferences,
+  setRestaurantPreference,
+  subscribeRestaurantPreferences,
+} from '../utils/restaurant-preferences';
+
+const SECTIONS = [
+  {
+    preference: RESTAURANT_PREFERENCE.FAVORITE,
+    title: '⭐ Favorites',
+    hint: 'Listed first on the Orders tab and alert with the favorite sound',
+    empty: 'No favorites yet',
+  },
+  {
+    preference: RESTAURANT_PREFERENCE.BLOCKED,
+    title: '🚫 Blocked',
+    hint: 'Hidden from the Orders tab and never notify you',
+    empty: 'No blocked restaurants',
+  },
+];
+
+// 🏪 Blocked and favorite restaurants - set them by tapping a restaurant on the Orders tab
+export default function RestaurantPreferencesModal({ visible, onClose }) {
+  const [preferences, setPreferences] = useState(getRestaurantPreferences);
+
+  useEffect(() => {
+    if (!visible) return;
+    setPreferences(getRestaurantPreferences());
+    return subscribeRestaurantPreferences(setPreferences);
+  }, [visible]);
+
+  const updatePreference = async (name, preference) => {
+    if (!(await setRestaurantPreference(name, preference))) {
+      Alert.alert('Error', 'Failed to save restaurant preference');
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>🏪 Restaurants</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <X color="#6B7280" size={24} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={styles.introText}>
+              Tap a restaurant on an order card to favorite or block it.
+            </Text>
+
+            {SECTIONS.map(({ preference, title, hint, empty }) => {
+              const restaurants = preferences.filter((entry) => entry.preference === preference);
+              const isFavorite = preference === RESTAURANT_PREFERENCE.FAVORITE;
+
+              return (
+                <View key={preference} style={styles.section}>
+                  <Text style={styles.sectionTitle}>{title}</Text>
+                  <Text style={styles.hintText}>{hint}</Text>
+
+                  {restaurants.length === 0 ? (
+                    <Text style={styles.emptyText}>{empty}</Text>
+                  ) : (
+                    restaurants.map((entry) => (
+                      <View key={entry.key} style={styles.row}>
+                        {isFavorite ? (
+                          <Star color="#D97706" fill="#D97706" size={16} />
+                        ) : (
+                          <Ban color="#EF4444" size={16} />
+                        )}
+                        <Text style={styles.rowName} numberOfLines={1}>{entry.name}</Text>
+                        <TouchableOpacity
+                          style={styles.rowButton}
+                          onPress={() => updatePreference(
+                            entry.name,
+                            isFavorite ? RESTAURANT_PREFERENCE.BLOCKED : RESTAURANT_PREFERENCE.FAVORITE
+                          )}
+                        >
+                          <Text style={styles.rowButtonText}>{isFavorite ? 'Block' : 'Favorite'}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={styles.resetButton}
+                          onPress={() => updatePreference(entry.name, RESTAURANT_PREFERENCE.NEUTRAL)}
+                        >
+                          <RotateCcw color="#6B7280" size={16} />
+                        </TouchableOpacity>
+                      </View>
+                    ))
+                  )}
+                </View>
+              );
+            })}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    maxHeight: '85%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  introText: {
+    fontSize: 14,
+    color: '#4B5563',
+    lineHeight: 20,
+    marginBottom: 8,
+  },
+  section: {
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#9CA3AF',
+    fontStyle: 'italic',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    gap: 10,
+  },
+  rowName: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1F2937',
+  },
+  rowButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    backgroundColor: '#F3F4F6',
+  },
+  rowButtonText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#374151',
+  },
+  resetButton: {
+    padding: 6,
+  },
+});
@@ -0,0 +1,140 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, PanResponder } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+import { Eraser } from 'lucide-react-native';
+
+const STROKE_COLOR = '#111827';
+const STROKE_WIDTH = 3;
+
+const toPathData = (points) =>
+  points
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)} ${point.y.toFixed(1)}`)
+    .join(' ');
+
+/**
+ * Standalone SVG document for the drawn strokes (what gets stored and uploaded)
+ */
+export const toSignatureSvg = (strokes, width, height) => {
+  const paths = strokes
+    .filter((stroke) => stroke.length > 0)
+    .map(
+      (stroke) =>
+        `<path d="${toPathData(stroke)}" stroke="${STROKE_COLOR}" stroke-width="${STROKE_WIDTH}" fill="none" stroke-linecap="round" stroke-linejoin="round"/>`
+    )
+    .join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width)}" height="${Math.round(height)}" viewBox="0 0 ${Math.round(width)} ${Math.round(height)}">${paths}</svg>`;
+};
+
+// ✍️ On-screen signature capture - calls onChange(svg) after each stroke (null when cleared)
+const SignaturePad = ({ onChange, height = 180 }) => {
+  const [strokes, setStrokes] = useState([]);
+  const [currentStroke, setCurrentStroke] = useState([]);
+  const strokesRef = useRef([]);
+  const currentStrokeRef = useRef([]);
+  const sizeRef = useRef({ width: 0, height });
+
+  const panResponder = useMemo(
+    () =>
+      PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onMoveShouldSetPanResponder: () => true,
+        onPanResponderTerminationRequest: () => false, // Keep the gesture away from the ScrollView
+        onPanResponderGrant: (event) => {
+          const { locationX, locationY } = event.nativeEvent;
+          currentStrokeRef.current = [{ x: locationX, y: locationY }];
+          setCurrentStroke(currentStrokeRef.current);
+        },
+        onPanResponderMove: (event) => {
+          const { locationX, locationY } = event.nativeEvent;
+          currentStrokeRef.current = [...currentStrokeRef.current, { x: locationX, y: locationY }];
+          setCurrentStroke(currentStrokeRef.current);
+        },
+        onPanResponderRelease: () => {
+          const finished = currentStrokeRef.current;
+          currentStrokeRef.current = [];
+          setCurrentStroke([]);
+
+          strokesRef.current = [...strokesRef.current, finished];
+          setStrokes(strokesRef.current);
+          onChange?.(toSignatureSvg(strokesRef.current, sizeRef.current.width, sizeRef.current.height));
+        },
+      }),
+    [onChange]
+  );
+
+  const handleClear = () => {
+    strokesRef.current = [];
+    setStrokes([]);
+    setCurrentStroke([]);
+    onChange?.(null);
+  };
+
+  return (
+    <View>
+      <View
+        style={[styles.pad, { height }]}
+        onLayout={(event) => {
+          sizeRef.current = event.nativeEvent.layout;
+        }}
+        {...panResponder.panHandlers}
+      >
+        <Svg width="100%" height="100%">
+          {[...strokes, currentStroke].map((stroke, index) =>
+            stroke.length > 0 ? (
+              <Path
+                key={index}
+                d={toPathData(stroke)}
+                stroke={STROKE_COLOR}
+                strokeWidth={STROKE_WIDTH}
+                fill="none"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+            ) : null
+          )}
+        </Svg>
+        {strokes.length === 0 && currentStroke.length === 0 && (
+          <Text style={styles.placeholder} pointerEvents="none">Customer signs here</Text>
+        )}
+      </View>
+
+      <TouchableOpacity style={styles.clearButton} onPress={handleClear}>
+        <Eraser color="#6B7280" size={16} />
+        <Text style={styles.clearButtonText}>Clear</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  pad: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderStyle: 'dashed',
+    borderRadius: 12,
+    backgroundColor: '#FFFFFF',
+    overflow: 'hidden',
+  },
+  placeholder: {
+    position: 'absolute',
+    alignSelf: 'center',
+    top: '45%',
+    fontSize: 14,
+    color: '#9CA3AF',
+  },
+  clearButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-end',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    marginTop: 4,
+  },
+  clearButtonText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginLeft: 4,
+  },
+});
+
+export default SignaturePad;
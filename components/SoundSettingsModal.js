@@ -0,0 +1,301 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, ScrollView, Switch, Alert } from 'react-native';
+import { X, Play, Moon, Minus, Plus } from 'lucide-react-native';
+import audioManager from '../services/audio-manager';
+import {
+  SOUND_EVENTS,
+  SOUND_EVENT_LABELS,
+  SOUND_OPTIONS,
+  VOLUME_OPTIONS,
+  LOOP_OPTIONS,
+  DEFAULT_SOUND_PROFILES,
+  DEFAULT_QUIET_HOURS,
+  getSoundProfiles,
+  setSoundProfile,
+  getQuietHours,
+  setQuietHours,
+} from '../utils/notification-settings';
+
+const PREVIEW_KEY = 'sound_preview';
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+const formatLoops = (loops) => (loops === 0 ? 'Until dismissed' : `${loops}×`);
+
+// 🔊 Sound profile per alert (sound, volume, repeats) and quiet hours
+export default function SoundSettingsModal({ visible, onClose }) {
+  const [profiles, setProfiles] = useState(DEFAULT_SOUND_PROFILES);
+  const [quietHours, setQuietHoursState] = useState(DEFAULT_QUIET_HOURS);
+
+  useEffect(() => {
+    if (!visible) {
+      audioManager.stop(PREVIEW_KEY);
+      return;
+    }
+
+    (async () => {
+      setProfiles(await getSoundProfiles());
+      setQuietHoursState(await getQuietHours());
+    })();
+  }, [visible]);
+
+  const updateProfile = async (event, changes) => {
+    setProfiles((prev) => ({ ...prev, [event]: { ...prev[event], ...changes } }));
+    const saved = await setSoundProfile(event, changes);
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save sound settings');
+      setProfiles(await getSoundProfiles());
+    }
+  };
+
+  const updateQuietHours = async (changes) => {
+    setQuietHoursState((prev) => ({ ...prev, ...changes }));
+    const saved = await setQuietHours(changes);
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save quiet hours');
+      setQuietHoursState(await getQuietHours());
+    }
+  };
+
+  const shiftHour = (field, delta) => {
+    updateQuietHours({ [field]: (quietHours[field] + delta + 24) % 24 });
+  };
+
+  const previewSound = (profile) => {
+    audioManager
+      .playSound(profile.sound, { volume: profile.volume, loops: 1, key: PREVIEW_KEY })
+      .catch((error) => console.error('Error previewing sound:', error));
+  };
+
+  const renderChips = (options, selected, onSelect, getLabel) => (
+    <View style={styles.chipRow}>
+      {options.map((option) => {
+        const value = typeof option === 'object' ? option.id : option;
+        const isSelected = value === selected;
+        return (
+          <TouchableOpacity
+            key={String(value)}
+            style={[styles.chip, isSelected && styles.chipSelected]}
+            onPress={() => onSelect(value)}
+          >
+            <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{getLabel(option)}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderHourStepper = (label, field) => (
+    <View style={styles.stepperRow}>
+      <Text style={styles.stepperLabel}>{label}</Text>
+      <View style={styles.stepper}>
+        <TouchableOpacity style={styles.stepperButton} onPress={() => shiftHour(field, -1)}>
+          <Minus color="#374151" size={16} />
+        </TouchableOpacity>
+        <Text style={styles.stepperValue}>{formatHour(quietHours[field])}</Text>
+        <TouchableOpacity style={styles.stepperButton} onPress={() => shiftHour(field, 1)}>
+          <Plus color="#374151" size={16} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>🔊 Alert Sounds</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <X color="#6B7280" size={24} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            {Object.values(SOUND_EVENTS).map((event) => {
+              const profile = profiles[event];
+              return (
+                <View key={event} style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Text style={styles.sectionTitle}>{SOUND_EVENT_LABELS[event]}</Text>
+                    <TouchableOpacity style={styles.previewButton} onPress={() => previewSound(profile)}>
+                      <Play color="#1E40AF" size={14} />
+                      <Text style={styles.previewButtonText}>Preview</Text>
+                    </TouchableOpacity>
+                  </View>
+
+                  <Text style={styles.fieldLabel}>Sound</Text>
+                  {renderChips(SOUND_OPTIONS, profile.sound, (sound) => updateProfile(event, { sound }), (option) => option.label)}
+
+                  <Text style={styles.fieldLabel}>Volume</Text>
+                  {renderChips(VOLUME_OPTIONS, profile.volume, (volume) => updateProfile(event, { volume }), (option) => `${Math.round(option * 100)}%`)}
+
+                  <Text style={styles.fieldLabel}>Repeat</Text>
+                  {renderChips(LOOP_OPTIONS, profile.loops, (loops) => updateProfile(event, { loops }), formatLoops)}
+                </View>
+              );
+            })}
+
+            <View style={styles.section}>
+              <View style={styles.sectionHeader}>
+                <View style={styles.quietTitleRow}>
+                  <Moon color="#6366F1" size={18} />
+                  <Text style={styles.sectionTitle}>Quiet Hours</Text>
+                </View>
+                <Switch
+                  value={quietHours.enabled}
+                  onValueChange={(enabled) => updateQuietHours({ enabled })}
+                  trackColor={{ false: '#D1D5DB', true: '#A5B4FC' }}
+                  thumbColor={quietHours.enabled ? '#6366F1' : '#9CA3AF'}
+                  ios_backgroundColor="#D1D5DB"
+                />
+              </View>
+              <Text style={styles.hintText}>
+                Alerts only vibrate during quiet hours. Pop-ups and notifications still appear.
+              </Text>
+              {quietHours.enabled && (
+                <>
+                  {renderHourStepper('From', 'startHour')}
+                  {renderHourStepper('Until', 'endHour')}
+                </>
+              )}
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    maxHeight: '85%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  section: {
+    marginBottom: 24,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  quietTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  previewButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    backgroundColor: '#EFF6FF',
+    borderRadius: 8,
+  },
+  previewButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1E40AF',
+  },
+  fieldLabel: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    backgroundColor: '#FFFFFF',
+  },
+  chipSelected: {
+    borderColor: '#1E40AF',
+    backgroundColor: '#1E40AF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginBottom: 8,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  stepperLabel: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+    minWidth: 48,
+    textAlign: 'center',
+  },
+});
@@ -11,8 +11,13 @@ import {
   Platform,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { X, CheckCircle, AlertCircle, Scan } from 'lucide-react-native';
+import { X, CheckCircle, AlertCircle, Scan, Lock } from 'lucide-react-native';
 import QRScanner from './QRScanner';
+import {
+  MAX_VERIFICATION_ATTEMPTS,
+  useVerificationLock,
+  formatLockCountdown,
+} from '../services/verification-lock-service';
 
 export default function VerificationModal({ 
   visible, 
@@ -24,8 +29,19 @@ export default function VerificationModal({
 }) {
   const [verificationCode, setVerificationCode] = useState('');
   const [showQRScanner, setShowQRScanner] = useState(false);
+  const { attemptsLeft, isLocked, remainingMs } = useVerificationLock(orderId);
+  const isDisabled = isLoading || isLocked;
 
   const handleVerify = () => {
+    if (isLocked) {
+      Alert.alert(
+        "🔒 Verification Locked",
+        `Too many failed attempts for this order. You can try again in ${formatLockCountdown(remainingMs)}.`,
+        [{ text: 'OK' }]
+      );
+      return;
+    }
+
     if (!orderId) {
       Alert.alert(
         "⚠️ No Order Selected",
@@ -116,13 +132,25 @@ export default function VerificationModal({
               </View>
             </View>
 
-            {/* Instructions */}
-            <View style={styles.instructionsContainer}>
-              <AlertCircle color="#F59E0B" size={20} />
-              <Text style={styles.instructionsText}>
-                Please ask the customer for the verification code to complete the delivery.
-              </Text>
-            </View>
+            {/* Instructions / lock state */}
+            {isLocked ? (
+              <View style={styles.lockedContainer}>
+                <Lock color="#B91C1C" size={20} />
+                <Text style={styles.lockedText}>
+                  Too many failed attempts. You can try again in {formatLockCountdown(remainingMs)}.
+                </Text>
+              </View>
+            ) : (
+              <View style={styles.instructionsContainer}>
+                <AlertCircle color="#F59E0B" size={20} />
+                <Text style={styles.instructionsText}>
+                  Please ask the customer for the verification code to complete the delivery.
+                  {attemptsLeft < MAX_VERIFICATION_ATTEMPTS
+                    ? ` ${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} remaining.`
+                    : ''}
+                </Text>
+              </View>
+            )}
 
             {/* Verification Code Input */}
             <View style={styles.inputContainer}>
@@ -135,8 +163,8 @@ export default function VerificationModal({
                 placeholderTextColor="#9CA3AF"
                 keyboardType="numeric"
                 maxLength={10}
-                autoFocus={true}
-                editable={!isLoading}
+                autoFocus={!isLocked}
+                editable={!isDisabled}
                 returnKeyType="done"
                 onSubmitEditing={handleVerify}
               />
@@ -151,9 +179,9 @@ export default function VerificationModal({
               </View>
               
               <TouchableOpacity
-                style={styles.qrScanButton}
+                style={[styles.qrScanButton, isLocked && styles.verifyButtonDisabled]}
                 onPress={openQRScanner}
-                disabled={isLoading}
+                disabled={isDisabled}
               >
                 <LinearGradient
                   colors={['#3B82F6', '#1E40AF']}
@@ -179,17 +207,17 @@ export default function VerificationModal({
                 style={[
                   styles.button,
                   styles.verifyButton,
-                  isLoading && styles.verifyButtonDisabled
+                  isDisabled && styles.verifyButtonDisabled
                 ]}
                 onPress={handleVerify}
-                disabled={isLoading}
+                disabled={isDisabled}
               >
                 <LinearGradient
-                  colors={isLoading ? ['#9CA3AF', '#6B7280'] : ['#10B981', '#059669']}
+                  colors={isDisabled ? ['#9CA3AF', '#6B7280'] : ['#10B981', '#059669']}
                   style={styles.verifyButtonGradient}
                 >
                   <Text style={styles.verifyButtonText}>
-                    {isLoading ? 'Verifying...' : 'Verify Delivery'}
+                    {isLocked ? 'Locked' : isLoading ? 'Verifying...' : 'Verify Delivery'}
                   </Text>
                 </LinearGradient>
               </TouchableOpacity>
@@ -210,6 +238,7 @@ export default function VerificationModal({
             onClose={() => setShowQRScanner(false)}
             onScanSuccess={handleQRScanSuccess}
             orderId={orderId}
+            orderCode={orderCode}
           />
         </Modal>
       )}
@@ -301,6 +330,21 @@ const styles = StyleSheet.create({
     color: '#92400E',
     lineHeight: 20,
   },
+  lockedContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FEE2E2',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 20,
+    gap: 8,
+  },
+  lockedText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#B91C1C',
+    lineHeight: 20,
+  },
   inputContainer: {
     marginBottom: 24,
   },
@@ -0,0 +1,147 @@
+jest.mock("../../utils/logger", () => ({
+  logger: { log: jest.fn(), info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const LATEST_VERSION = 11;
+
+let SQLite;
+let getDatabase;
+let getSchemaVersion;
+
+// Fresh module state and an empty set of database files for every test
+beforeEach(() => {
+  jest.resetModules();
+  SQLite = require("expo-sqlite");
+  ({ getDatabase, getSchemaVersion } = require("../database"));
+});
+
+const tableNames = async (database) =>
+  (await database.getAllAsync(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map((row) => row.name);
+
+const columnNames = async (database, table) =>
+  (await database.getAllAsync(`PRAGMA table_info(${table})`)).map((column) => column.name);
+
+describe("database migrations", () => {
+  it("creates the current schema on a fresh install", async () => {
+    const database = await getDatabase();
+
+    expect(await getSchemaVersion()).toBe(LATEST_VERSION);
+    expect(await tableNames(database)).toEqual(
+      expect.arrayContaining([
+        "schema_version",
+        "orders",
+        "notification_log",
+        "outbox",
+        "order_events",
+        "delivery_proofs",
+        "active_deliveries",
+        "location_samples",
+        "rejected_orders",
+        "geofences",
+        "proximity_thresholds",
+        "geofence_suggestions",
+      ])
+    );
+    expect(await columnNames(database, "outbox")).toContain("user_id");
+  });
+
+  it("records every version once", async () => {
+    const database = await getDatabase();
+    const versions = await database.getAllAsync(`SELECT version FROM schema_version ORDER BY version`);
+    expect(versions.map((row) => row.version)).toEqual(Array.from({ length: LATEST_VERSION }, (_, i) => i + 1));
+  });
+
+  it("shares one connection between concurrent callers", async () => {
+    const [first, second] = await Promise.all([getDatabase(), getDatabase()]);
+    expect(first).toBe(second);
+  });
+
+  it("keeps orders and the notification log written before versioning", async () => {
+    const unversioned = await SQLite.openDatabaseAsync("bahiran_delivery.db");
+    await unversioned.execAsync(`
+      CREATE TABLE orders (
+        id TEXT PRIMARY KEY, order_code TEXT, order_status TEXT, restaurant_name TEXT,
+        restaurant_location_lat REAL, restaurant_location_lng REAL,
+        destination_location_lat REAL, destination_location_lng REAL,
+        customer_name TEXT, customer_phone TEXT, delivery_fee REAL, tip REAL, total_amount REAL,
+        items TEXT, synced INTEGER, created_at TEXT, updated_at INTEGER
+      );
+      CREATE TABLE notification_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, order_id TEXT, notification_type TEXT, message TEXT, created_at INTEGER
+      );
+      INSERT INTO orders (id, order_code, restaurant_name, restaurant_location_lat, total_amount, created_at)
+        VALUES ('o1', 'BD-1', 'Kategna', 9.01, 250, '2024-05-01T10:00:00.000Z');
+      INSERT INTO notification_log (order_id, notification_type, message, created_at)
+        VALUES ('o1', 'proximity', 'Order nearby', 1714557600000);
+    `);
+
+    const database = await getDatabase();
+
+    expect(await database.getFirstAsync(`SELECT * FROM orders WHERE order_id = 'o1'`)).toMatchObject({
+      order_code: "BD-1",
+      restaurant_name: "Kategna",
+      restaurant_lat: 9.01,
+      total: 250,
+      notified: 1,
+      created_at: Date.parse("2024-05-01T10:00:00.000Z"),
+    });
+    expect(await database.getAllAsync(`SELECT order_id, message FROM notification_log`)).toEqual([
+      { order_id: "o1", message: "Order nearby" },
+    ]);
+  });
+
+  it("imports orders.db, keeping the outbox order, and deletes it afterwards", async () => {
+    const legacy = await SQLite.openDatabaseAsync("orders.db");
+    await legacy.execAsync(`
+      CREATE TABLE orders (
+        order_id TEXT PRIMARY KEY, order_code TEXT, restaurant_name TEXT,
+        restaurant_lat REAL, restaurant_lng REAL, delivery_lat REAL, delivery_lng REAL,
+        delivery_fee REAL, tip REAL, total REAL, source TEXT, notified INTEGER, created_at TEXT
+      );
+      CREATE TABLE outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, action_type TEXT, order_id TEXT, payload TEXT,
+        attempts INTEGER, next_attempt_at INTEGER, last_error TEXT, created_at INTEGER
+      );
+      INSERT INTO orders (order_id, order_code, delivery_fee, source, notified, created_at)
+        VALUES ('o2', 'BD-2', 40, 'socket', 0, '2024-05-02T08:00:00.000Z');
+      INSERT INTO outbox (action_type, order_id, payload, attempts, created_at) VALUES
+        ('acceptOrder', 'o2', '{"orderId":"o2"}', 2, 1),
+        ('completeOrder', 'o2', '{"orderId":"o2"}', 0, 2),
+        ('verifyDelivery', 'o2', '{"orderId":"o2"}', 0, 3),
+        ('cancelOrder', 'o3', '{"orderId":"o3"}', 0, 4);
+    `);
+
+    const database = await getDatabase();
+
+    expect(await database.getFirstAsync(`SELECT * FROM orders WHERE order_id = 'o2'`)).toMatchObject({
+      order_code: "BD-2",
+      delivery_fee: 40,
+      source: "socket",
+      notified: 0,
+    });
+
+    // Complete / cancel were never replayed to the server - v9 drops them
+    const outbox = await database.getAllAsync(`SELECT action_type, attempts, user_id FROM outbox ORDER BY id`);
+    expect(outbox).toEqual([
+      { action_type: "acceptOrder", attempts: 2, user_id: null },
+      { action_type: "verifyDelivery", attempts: 0, user_id: null },
+    ]);
+
+    expect(SQLite.__hasDatabase("orders.db")).toBe(false);
+  });
+
+  it("rolls back a migration that fails and retries it on the next open", async () => {
+    // A table the v3 migration is about to create makes it fail half way
+    const blocked = await SQLite.openDatabaseAsync("bahiran_delivery.db");
+    await blocked.execAsync(`CREATE TABLE order_events (id INTEGER PRIMARY KEY)`);
+
+    await expect(getDatabase()).rejects.toThrow();
+    expect(await tableNames(blocked)).not.toContain("delivery_proofs");
+    const versions = await blocked.getAllAsync(`SELECT version FROM schema_version ORDER BY version`);
+    expect(versions.map((row) => row.version)).toEqual([1, 2]);
+
+    await blocked.execAsync(`DROP TABLE order_events`);
+    await getDatabase();
+    expect(await getSchemaVersion()).toBe(LATEST_VERSION);
+  });
+});
@@ -0,0 +1,36 @@
+import { getDatabase } from "./database";
+
+// Snapshot of the orders the rider is carrying, kept in step with the app's state
+// The background location task reads it when the app has been killed and nothing is in memory
+
+export async function replaceActiveDeliveries(orders) {
+  const database = await getDatabase();
+  const now = Date.now();
+
+  await database.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync(`DELETE FROM active_deliveries`);
+
+    for (const order of orders) {
+      const orderId = order.id || order._id || order.orderId;
+      if (!orderId) continue;
+
+      await txn.runAsync(
+        `INSERT OR REPLACE INTO active_deliveries (order_id, order_json, updated_at) VALUES (?, ?, ?)`,
+        [String(orderId), JSON.stringify(order), now]
+      );
+    }
+  });
+}
+
+export async function getActiveDeliveries() {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(`SELECT order_json FROM active_deliveries ORDER BY updated_at ASC`);
+
+  return rows.flatMap((row) => {
+    try {
+      return [JSON.parse(row.order_json)];
+    } catch (error) {
+      return [];
+    }
+  });
+}
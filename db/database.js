@@ -0,0 +1,456 @@
+import * as SQLite from "expo-sqlite";
+import { logger } from "../utils/logger";
+
+// 🗄️ The app's single SQLite database: orders, notification log and the offline outbox.
+// Schema changes go through MIGRATIONS - never edit one that has shipped, add the next version instead.
+
+const DATABASE_NAME = "bahiran_delivery.db";
+const LEGACY_ORDERS_DATABASE = "orders.db"; // Separate file used by ordersDb/outboxDb before schema v2
+
+let opening = null;
+
+const ORDER_COLUMNS = [
+  "order_id",
+  "order_code",
+  "order_status",
+  "restaurant_name",
+  "restaurant_lat",
+  "restaurant_lng",
+  "delivery_lat",
+  "delivery_lng",
+  "customer_name",
+  "customer_phone",
+  "delivery_fee",
+  "tip",
+  "total",
+  "items",
+  "source",
+  "notified",
+  "synced",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Dates were stored as ISO strings in orders.db and as milliseconds in bahiran_delivery.db
+ * @returns {number} Milliseconds since epoch
+ */
+export function toTimestamp(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? Date.now() : parsed;
+}
+
+async function tableExists(database, table) {
+  const row = await database.getFirstAsync(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+    [table]
+  );
+  return !!row;
+}
+
+// Insert a legacy row, keeping values already imported and only filling the gaps
+async function mergeOrderRow(database, order) {
+  const updates = ORDER_COLUMNS.filter((column) => column !== "order_id").map((column) =>
+    column === "notified"
+      ? "notified = excluded.notified" // Only orders.db tracked proximity notifications
+      : `${column} = COALESCE(orders.${column}, excluded.${column})`
+  );
+
+  await database.runAsync(
+    `
+    INSERT INTO orders (${ORDER_COLUMNS.join(", ")})
+    VALUES (${ORDER_COLUMNS.map(() => "?").join(", ")})
+    ON CONFLICT(order_id) DO UPDATE SET ${updates.join(", ")}
+    `,
+    ORDER_COLUMNS.map((column) => order[column] ?? null)
+  );
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "unified orders, notification_log and outbox tables",
+    up: async (txn) => {
+      // DatabaseService created these tables before versioning (orders keyed by `id`)
+      const serviceOrders = (await tableExists(txn, "orders"))
+        ? await txn.getAllAsync(`SELECT * FROM orders`)
+        : [];
+      const notificationLog = (await tableExists(txn, "notification_log"))
+        ? await txn.getAllAsync(`SELECT * FROM notification_log ORDER BY id ASC`)
+        : [];
+
+      await txn.execAsync(`
+        DROP TABLE IF EXISTS notification_log;
+        DROP TABLE IF EXISTS orders;
+
+        CREATE TABLE orders (
+          order_id TEXT PRIMARY KEY,
+          order_code TEXT,
+          order_status TEXT,
+          restaurant_name TEXT,
+          restaurant_lat REAL,
+          restaurant_lng REAL,
+          delivery_lat REAL,
+          delivery_lng REAL,
+          customer_name TEXT,
+          customer_phone TEXT,
+          delivery_fee REAL,
+          tip REAL,
+          total REAL,
+          items TEXT,
+          source TEXT,
+          notified INTEGER DEFAULT 0,
+          synced INTEGER DEFAULT 0,
+          created_at INTEGER,
+          updated_at INTEGER
+        );
+
+        CREATE INDEX idx_orders_status ON orders(order_status);
+        CREATE INDEX idx_orders_notified ON orders(notified);
+        CREATE INDEX idx_orders_created_at ON orders(created_at);
+
+        CREATE TABLE notification_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT,
+          notification_type TEXT,
+          message TEXT,
+          created_at INTEGER
+        );
+
+        CREATE INDEX idx_notif_order ON notification_log(order_id);
+        CREATE INDEX idx_notif_created ON notification_log(created_at);
+
+        CREATE TABLE outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action_type TEXT NOT NULL,
+          order_id TEXT,
+          payload TEXT,
+          attempts INTEGER DEFAULT 0,
+          next_attempt_at INTEGER DEFAULT 0,
+          last_error TEXT,
+          created_at INTEGER
+        );
+      `);
+
+      for (const row of serviceOrders) {
+        if (!row.id) continue;
+        await mergeOrderRow(txn, {
+          order_id: String(row.id),
+          order_code: row.order_code,
+          order_status: row.order_status,
+          restaurant_name: row.restaurant_name,
+          restaurant_lat: row.restaurant_location_lat,
+          restaurant_lng: row.restaurant_location_lng,
+          delivery_lat: row.destination_location_lat,
+          delivery_lng: row.destination_location_lng,
+          customer_name: row.customer_name,
+          customer_phone: row.customer_phone,
+          delivery_fee: row.delivery_fee,
+          tip: row.tip,
+          total: row.total_amount,
+          items: row.items,
+          notified: 1, // Never queued for proximity alerts - don't alert about them now
+          synced: row.synced,
+          created_at: toTimestamp(row.created_at),
+          updated_at: row.updated_at,
+        });
+      }
+
+      for (const row of notificationLog) {
+        await txn.runAsync(
+          `INSERT INTO notification_log (order_id, notification_type, message, created_at) VALUES (?, ?, ?, ?)`,
+          [row.order_id, row.notification_type, row.message, row.created_at]
+        );
+      }
+
+      logger.log(`🗄️ Kept ${serviceOrders.length} orders and ${notificationLog.length} notification log entries`);
+    },
+  },
+  {
+    version: 2,
+    name: "import orders and outbox from orders.db",
+    up: async (txn) => {
+      const legacy = await SQLite.openDatabaseAsync(LEGACY_ORDERS_DATABASE);
+      try {
+        const orders = (await tableExists(legacy, "orders"))
+          ? await legacy.getAllAsync(`SELECT * FROM orders`)
+          : [];
+        const outbox = (await tableExists(legacy, "outbox"))
+          ? await legacy.getAllAsync(`SELECT * FROM outbox ORDER BY id ASC`)
+          : [];
+
+        for (const row of orders) {
+          if (!row.order_id) continue;
+          await mergeOrderRow(txn, {
+            order_id: String(row.order_id),
+            order_code: row.order_code,
+            restaurant_name: row.restaurant_name,
+            restaurant_lat: row.restaurant_lat,
+            restaurant_lng: row.restaurant_lng,
+            delivery_lat: row.delivery_lat,
+            delivery_lng: row.delivery_lng,
+            delivery_fee: row.delivery_fee,
+            tip: row.tip,
+            total: row.total,
+            source: row.source,
+            notified: row.notified ?? 0,
+            created_at: toTimestamp(row.created_at),
+            updated_at: Date.now(),
+          });
+        }
+
+        // Insertion order is the replay order, so keep it
+        for (const row of outbox) {
+          await txn.runAsync(
+            `
+            INSERT INTO outbox (action_type, order_id, payload, attempts, next_attempt_at, last_error, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            `,
+            [
+              row.action_type,
+              row.order_id,
+              row.payload,
+              row.attempts || 0,
+              row.next_attempt_at || 0,
+              row.last_error,
+              row.created_at,
+            ]
+          );
+        }
+
+        logger.log(`🗄️ Imported ${orders.length} orders and ${outbox.length} queued actions from ${LEGACY_ORDERS_DATABASE}`);
+      } finally {
+        await legacy.closeAsync();
+      }
+    },
+    // Runs only after the import has committed
+    cleanup: () => SQLite.deleteDatabaseAsync(LEGACY_ORDERS_DATABASE),
+  },
+  {
+    version: 3,
+    name: "order lifecycle journal",
+    up: async (txn) => {
+      await txn.execAsync(`
+        CREATE TABLE order_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT NOT NULL,
+          order_code TEXT,
+          event TEXT NOT NULL,
+          latitude REAL,
+          longitude REAL,
+          accuracy REAL,
+          details TEXT,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_order_events_order ON order_events(order_id, created_at);
+        CREATE INDEX idx_order_events_code ON order_events(order_code);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "proof-of-delivery captures",
+    up: async (txn) => {
+      await txn.execAsync(`
+        CREATE TABLE delivery_proofs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT NOT NULL,
+          order_code TEXT,
+          photo_base64 TEXT,
+          signature_svg TEXT,
+          recipient_name TEXT,
+          latitude REAL,
+          longitude REAL,
+          accuracy REAL,
+          captured_at INTEGER NOT NULL,
+          upload_status TEXT DEFAULT 'pending',
+          attempts INTEGER DEFAULT 0,
+          last_error TEXT,
+          uploaded_at INTEGER
+        );
+
+        CREATE INDEX idx_delivery_proofs_order ON delivery_proofs(order_id);
+        CREATE INDEX idx_delivery_proofs_status ON delivery_proofs(upload_status);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "active deliveries and location samples for the background task",
+    up: async (txn) => {
+      await txn.execAsync(`
+        CREATE TABLE active_deliveries (
+          order_id TEXT PRIMARY KEY,
+          order_json TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE location_samples (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          accuracy REAL,
+          speed REAL,
+          heading REAL,
+          recorded_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_location_samples_recorded ON location_samples(recorded_at);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "declined offers with timestamps and reasons",
+    up: async (txn) => {
+      // Replaces the @rejected_orders AsyncStorage array (imported by initRejectedOrders)
+      await txn.execAsync(`
+        CREATE TABLE rejected_orders (
+          order_id TEXT PRIMARY KEY,
+          order_code TEXT,
+          restaurant_name TEXT,
+          earnings REAL,
+          reason TEXT,
+          rejected_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_rejected_orders_rejected ON rejected_orders(rejected_at);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "geofences for the headless geofence task",
+    up: async (txn) => {
+      await txn.execAsync(`
+        CREATE TABLE geofences (
+          region_id TEXT PRIMARY KEY,
+          order_id TEXT NOT NULL,
+          order_code TEXT,
+          kind TEXT NOT NULL,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          radius REAL NOT NULL,
+          inside INTEGER NOT NULL DEFAULT 0,
+          entered_at INTEGER
+        );
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: "proximity alert thresholds for the headless location task",
+    up: async (txn) => {
+      // Replaces the @proximity_alert_thresholds AsyncStorage entry (imported by initProximitySettings)
+      await txn.execAsync(`
+        CREATE TABLE proximity_thresholds (
+          alert_type TEXT PRIMARY KEY,
+          distance REAL,
+          hysteresis REAL NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: "drop queued complete/cancel actions",
+    up: async (txn) => {
+      // Completing and cancelling never reach the server, so they are no longer queued.
+      // Left in the outbox they would have no replay handler and block everything behind them
+      await txn.runAsync(`DELETE FROM outbox WHERE action_type IN ('completeOrder', 'cancelOrder')`);
+    },
+  },
+  {
+    version: 10,
+    name: "rider that queued each outbox action",
+    up: async (txn) => {
+      // Rows from before this version have no owner - they are dropped when the next rider signs in
+      await txn.execAsync(`
+        ALTER TABLE outbox ADD COLUMN user_id TEXT;
+        CREATE INDEX idx_outbox_user ON outbox(user_id);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: "geofence suggestions raised while the app was closed",
+    up: async (txn) => {
+      // Hidden rows (visible = 0) remember steps already offered, so a restart doesn't raise them again
+      await txn.execAsync(`
+        CREATE TABLE geofence_suggestions (
+          id TEXT PRIMARY KEY,
+          order_id TEXT NOT NULL,
+          order_code TEXT,
+          type TEXT NOT NULL,
+          auto INTEGER NOT NULL DEFAULT 0,
+          applied INTEGER NOT NULL DEFAULT 0,
+          visible INTEGER NOT NULL DEFAULT 1,
+          created_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+];
+
+async function migrate(database) {
+  await database.execAsync(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT,
+      applied_at INTEGER
+    )
+  `);
+
+  const row = await database.getFirstAsync(`SELECT MAX(version) as version FROM schema_version`);
+  const currentVersion = row?.version || 0;
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= currentVersion) continue;
+
+    // Each migration and its version row commit together or not at all
+    await database.withExclusiveTransactionAsync(async (txn) => {
+      await migration.up(txn);
+      await txn.runAsync(
+        `INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`,
+        [migration.version, migration.name, Date.now()]
+      );
+    });
+    logger.log(`🗄️ Database migrated to v${migration.version} (${migration.name})`);
+
+    if (migration.cleanup) {
+      try {
+        await migration.cleanup();
+      } catch (error) {
+        logger.warn(`⚠️ Cleanup after migration v${migration.version} failed:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Open the database (migrating it on first use). Concurrent callers share one connection.
+ */
+export function getDatabase() {
+  if (!opening) {
+    opening = (async () => {
+      const database = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      // Overwrite deleted rows on disk - replayed outbox actions carry customers' verification codes
+      await database.execAsync(`PRAGMA secure_delete = ON`);
+      await migrate(database);
+      return database;
+    })().catch((error) => {
+      opening = null; // Let the next caller retry
+      throw error;
+    });
+  }
+  return opening;
+}
+
+export async function getSchemaVersion() {
+  const database = await getDatabase();
+  const row = await database.getFirstAsync(`SELECT MAX(version) as version FROM schema_version`);
+  return row?.version || 0;
+}
@@ -0,0 +1,77 @@
+import { getDatabase } from "./database";
+
+// Proof-of-delivery captures (photo + signature) waiting to be sent with the verify request
+
+export async function insertProof(proof) {
+  const database = await getDatabase();
+  const result = await database.runAsync(
+    `
+    INSERT INTO delivery_proofs (
+      order_id, order_code, photo_base64, signature_svg, recipient_name,
+      latitude, longitude, accuracy, captured_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      String(proof.orderId),
+      proof.orderCode || null,
+      proof.photoBase64,
+      proof.signatureSvg,
+      proof.recipientName || null,
+      proof.location?.latitude ?? null,
+      proof.location?.longitude ?? null,
+      proof.location?.accuracy ?? null,
+      proof.capturedAt || Date.now(),
+    ]
+  );
+  return result.lastInsertRowId;
+}
+
+export async function getProof(id) {
+  const database = await getDatabase();
+  return await database.getFirstAsync(`SELECT * FROM delivery_proofs WHERE id = ?`, [id]);
+}
+
+// Latest capture for an order (without the photo - it's large)
+export async function getLatestProofForOrder(orderId) {
+  const database = await getDatabase();
+  return await database.getFirstAsync(
+    `
+    SELECT id, order_id, order_code, recipient_name, latitude, longitude, accuracy,
+           captured_at, upload_status, attempts, last_error, uploaded_at
+    FROM delivery_proofs
+    WHERE order_id = ?
+    ORDER BY captured_at DESC
+    LIMIT 1
+    `,
+    [String(orderId)]
+  );
+}
+
+export async function markProofUploaded(id) {
+  const database = await getDatabase();
+  await database.runAsync(
+    `UPDATE delivery_proofs SET upload_status = 'uploaded', uploaded_at = ?, last_error = NULL WHERE id = ?`,
+    [Date.now(), id]
+  );
+}
+
+export async function markProofFailed(id, error) {
+  const database = await getDatabase();
+  await database.runAsync(
+    `UPDATE delivery_proofs SET upload_status = 'failed', attempts = attempts + 1, last_error = ? WHERE id = ?`,
+    [error || null, id]
+  );
+}
+
+// Uploaded proofs only need their metadata - drop the image data after the cutoff (milliseconds)
+export async function pruneUploadedProofs(cutoff) {
+  const database = await getDatabase();
+  const result = await database.runAsync(
+    `
+    UPDATE delivery_proofs SET photo_base64 = NULL, signature_svg = NULL
+    WHERE upload_status = 'uploaded' AND uploaded_at < ? AND photo_base64 IS NOT NULL
+    `,
+    [cutoff]
+  );
+  return result.changes;
+}
@@ -0,0 +1,137 @@
+import { getDatabase } from "./database";
+
+// Pickup / drop-off fences of the active orders, with whether (and since when) the rider is inside them,
+// and the status steps they suggested. The OS can start the geofence task headless, with nothing
+// in memory - it loads them from here
+
+function toFence(row) {
+  return {
+    regionId: row.region_id,
+    orderId: row.order_id,
+    orderCode: row.order_code,
+    kind: row.kind,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    radius: row.radius,
+    inside: !!row.inside,
+    enteredAt: row.entered_at,
+  };
+}
+
+function toSuggestion(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    orderCode: row.order_code,
+    type: row.type,
+    auto: !!row.auto,
+    applied: !!row.applied,
+    visible: !!row.visible,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Replace the stored fences with the current set
+ * @param {Map<string, Object>} fences - regionId -> { orderId, orderCode, kind, latitude, longitude, radius, inside, enteredAt }
+ */
+export async function replaceGeofences(fences) {
+  const database = await getDatabase();
+
+  await database.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync(`DELETE FROM geofences`);
+
+    for (const [regionId, fence] of fences) {
+      await txn.runAsync(
+        `
+        INSERT INTO geofences (
+          region_id, order_id, order_code, kind,
+          latitude, longitude, radius, inside, entered_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          regionId,
+          String(fence.orderId),
+          fence.orderCode ?? null,
+          fence.kind,
+          fence.latitude,
+          fence.longitude,
+          fence.radius,
+          fence.inside ? 1 : 0,
+          fence.enteredAt ?? null,
+        ]
+      );
+    }
+  });
+}
+
+export async function getGeofences() {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(`SELECT * FROM geofences`);
+  return rows.map(toFence);
+}
+
+// Entering / leaving a fence
+export async function updateGeofenceState(regionId, inside, enteredAt) {
+  const database = await getDatabase();
+  await database.runAsync(
+    `UPDATE geofences SET inside = ?, entered_at = ? WHERE region_id = ?`,
+    [inside ? 1 : 0, enteredAt ?? null, regionId]
+  );
+}
+
+/**
+ * Insert or update a suggestion
+ * @param {Object} suggestion - { id, orderId, orderCode, type, auto, applied, visible }
+ */
+export async function saveGeofenceSuggestion(suggestion) {
+  const database = await getDatabase();
+  await database.runAsync(
+    `
+    INSERT OR REPLACE INTO geofence_suggestions (
+      id, order_id, order_code, type, auto, applied, visible, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      suggestion.id,
+      String(suggestion.orderId),
+      suggestion.orderCode ?? null,
+      suggestion.type,
+      suggestion.auto ? 1 : 0,
+      suggestion.applied ? 1 : 0,
+      suggestion.visible === false ? 0 : 1,
+      suggestion.createdAt ?? Date.now(),
+    ]
+  );
+}
+
+// Confirmed, undone or dismissed - kept so the step isn't offered again
+export async function hideGeofenceSuggestion(id) {
+  const database = await getDatabase();
+  await database.runAsync(`UPDATE geofence_suggestions SET visible = 0 WHERE id = ?`, [id]);
+}
+
+export async function getGeofenceSuggestions() {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(`SELECT * FROM geofence_suggestions ORDER BY created_at ASC`);
+  return rows.map(toSuggestion);
+}
+
+// Suggestions of orders that are no longer active
+export async function deleteInactiveGeofenceSuggestions(activeOrderIds) {
+  const database = await getDatabase();
+  const ids = [...activeOrderIds].map(String);
+  const result = await database.runAsync(
+    `DELETE FROM geofence_suggestions WHERE order_id NOT IN (${ids.map(() => "?").join(", ")})`,
+    ids
+  );
+  return result.changes;
+}
+
+export async function deleteAllGeofences() {
+  const database = await getDatabase();
+  await database.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync(`DELETE FROM geofences`);
+    await txn.runAsync(`DELETE FROM geofence_suggestions`);
+  });
+}
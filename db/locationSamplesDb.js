@@ -0,0 +1,64 @@
+import { getDatabase } from "./database";
+
+// Locations recorded by the background task (also while the app is killed)
+// The foreground app reads them when it resumes, then removes what it has read
+
+const MAX_SAMPLES = 1000; // Oldest samples are dropped beyond this
+
+export async function insertLocationSamples(samples) {
+  if (!samples || samples.length === 0) return;
+
+  const database = await getDatabase();
+  await database.withExclusiveTransactionAsync(async (txn) => {
+    for (const sample of samples) {
+      await txn.runAsync(
+        `
+        INSERT INTO location_samples (
+          latitude, longitude, accuracy,
+          speed, heading, recorded_at
+        ) VALUES (?, ?, ?, ?, ?, ?)
+        `,
+        [
+          sample.latitude,
+          sample.longitude,
+          sample.accuracy ?? null,
+          sample.speed ?? null,
+          sample.heading ?? null,
+          sample.timestamp || Date.now(),
+        ]
+      );
+    }
+
+    await txn.runAsync(
+      `DELETE FROM location_samples WHERE id NOT IN (
+        SELECT id FROM location_samples ORDER BY recorded_at DESC, id DESC LIMIT ?
+      )`,
+      [MAX_SAMPLES]
+    );
+  });
+}
+
+// Buffered samples, oldest first
+export async function getLocationSamples() {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(
+    `SELECT * FROM location_samples ORDER BY recorded_at ASC, id ASC`
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    accuracy: row.accuracy,
+    speed: row.speed,
+    heading: row.heading,
+    timestamp: row.recorded_at,
+  }));
+}
+
+// Remove samples that have been read (ids up to and including `lastId`)
+export async function deleteLocationSamplesThrough(lastId) {
+  const database = await getDatabase();
+  const result = await database.runAsync(`DELETE FROM location_samples WHERE id <= ?`, [lastId]);
+  return result.changes;
+}
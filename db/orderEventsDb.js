@@ -0,0 +1,86 @@
+import { getDatabase } from "./database";
+
+// Append-only journal of what happened to each order (see services/order-journal-service.js)
+// The only removals are steps the rider undoes and the age-based cleanup
+
+export async function insertOrderEvent({ orderId, orderCode, event, location, details, createdAt }) {
+  const database = await getDatabase();
+  const result = await database.runAsync(
+    `
+    INSERT INTO order_events (
+      order_id, order_code, event,
+      latitude, longitude, accuracy,
+      details, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      String(orderId),
+      orderCode || null,
+      event,
+      location?.latitude ?? null,
+      location?.longitude ?? null,
+      location?.accuracy ?? null,
+      details ? JSON.stringify(details) : null,
+      createdAt || Date.now(),
+    ]
+  );
+  return result.lastInsertRowId;
+}
+
+// Events for an order, oldest first. Matches the id or the order code (history only knows one of them)
+export async function getOrderEvents(orderId, orderCode = null) {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(
+    `
+    SELECT * FROM order_events
+    WHERE order_id = ? OR (? IS NOT NULL AND order_code = ?)
+    ORDER BY created_at ASC, id ASC
+    `,
+    [String(orderId || ""), orderCode, orderCode]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null,
+  }));
+}
+
+// One kind of step across all orders since `since` (milliseconds), newest first
+export async function getOrderEventsByType(event, since) {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(
+    `SELECT * FROM order_events WHERE event = ? AND created_at >= ? ORDER BY created_at DESC`,
+    [event, since]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null,
+  }));
+}
+
+export async function hasOrderEvent(orderId, event) {
+  const database = await getDatabase();
+  const row = await database.getFirstAsync(
+    `SELECT id FROM order_events WHERE order_id = ? AND event = ? LIMIT 1`,
+    [String(orderId), event]
+  );
+  return !!row;
+}
+
+// Remove one step (a geofence transition the rider undid)
+export async function deleteOrderEvent(orderId, event) {
+  const database = await getDatabase();
+  const result = await database.runAsync(
+    `DELETE FROM order_events WHERE order_id = ? AND event = ?`,
+    [String(orderId), event]
+  );
+  return result.changes;
+}
+
+// Drop journals older than the cutoff (milliseconds)
+export async function deleteOrderEventsBefore(cutoff) {
+  const database = await getDatabase();
+  const result = await database.runAsync(`DELETE FROM order_events WHERE created_at < ?`, [cutoff]);
+  return result.changes;
+}
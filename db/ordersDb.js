@@ -1,34 +1,8 @@
-import * as SQLite from "expo-sqlite";
-
-let db = null;
-
-async function getDatabase() {
-  if (!db) {
-    db = await SQLite.openDatabaseAsync("orders.db");
-  }
-  return db;
-}
+import { getDatabase, toTimestamp } from "./database";
 
+// Orders share the `orders` table with DatabaseService (see db/database.js for the schema)
 export async function initOrderDB() {
-  const database = await getDatabase();
-  await database.execAsync(`
-    CREATE TABLE IF NOT EXISTS orders (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      order_id TEXT UNIQUE,
-      order_code TEXT,
-      restaurant_name TEXT,
-      restaurant_lat REAL,
-      restaurant_lng REAL,
-      delivery_lat REAL,
-      delivery_lng REAL,
-      delivery_fee REAL,
-      tip REAL,
-      total REAL,
-      created_at TEXT,
-      source TEXT,
-      notified INTEGER DEFAULT 0
-    )
-  `);
+  await getDatabase();
 }
 
 export async function saveOrder(order) {
@@ -39,8 +13,8 @@ export async function saveOrder(order) {
       order_id, order_code, restaurant_name,
       restaurant_lat, restaurant_lng,
       delivery_lat, delivery_lng,
-      delivery_fee, tip, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      delivery_fee, tip, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `,
     [
       order.orderId,
@@ -52,7 +26,8 @@ export async function saveOrder(order) {
       order.deliveryLocation.longitude,
       order.deliveryFee,
       order.tip,
-      order.createdAt
+      toTimestamp(order.createdAt),
+      Date.now()
     ]
   );
 }
@@ -70,6 +45,17 @@ export async function markNotified(orderId) {
   );
 }
 
+// Let an offer be notified again (the rider left its area and came back)
+// Only plain offers - rows DatabaseService tracks as an active or finished order keep their flag
+export async function markUnnotified(orderId) {
+  const database = await getDatabase();
+  const result = await database.runAsync(
+    `UPDATE orders SET notified = 0 WHERE order_id = ? AND order_status IS NULL`,
+    [orderId]
+  );
+  return result.changes > 0;
+}
+
 export async function upsertOrder(order, source) {
   const database = await getDatabase();
   
@@ -112,18 +98,21 @@ export async function upsertOrder(order, source) {
       restaurant_lat, restaurant_lng,
       delivery_lat, delivery_lng,
       delivery_fee, tip, total,
-      created_at, source, notified
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+      created_at, updated_at, source, notified
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
     ON CONFLICT(order_id) DO UPDATE SET
+      order_code = COALESCE(excluded.order_code, orders.order_code),
+      restaurant_name = COALESCE(excluded.restaurant_name, orders.restaurant_name),
       source = excluded.source,
       restaurant_lat = excluded.restaurant_lat,
       restaurant_lng = excluded.restaurant_lng,
       delivery_lat = excluded.delivery_lat,
       delivery_lng = excluded.delivery_lng,
+      updated_at = excluded.updated_at,
       notified = 0
     `,
     [
-      order.orderId || order.id || order._id,
+      String(order.orderId || order.id || order._id),
       order.orderCode || order.code,
       order.restaurantName,
       restLat,
@@ -133,7 +122,8 @@ export async function upsertOrder(order, source) {
       order.deliveryFee || 0,
       order.tip || 0,
       order.total || order.grandTotal || 0,
-      order.createdAt || new Date().toISOString(),
+      toTimestamp(order.createdAt),
+      Date.now(),
       source,
     ]
   );
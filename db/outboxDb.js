@@ -0,0 +1,69 @@
+import { getDatabase } from "./database";
+import { logger } from "../utils/logger";
+
+// The outbox table is created by the migrations in db/database.js
+export async function initOutboxDB() {
+  await getDatabase();
+}
+
+// Queue an action (stored in insertion order so replay keeps the rider's sequence)
+// userId is the rider who queued it - only that rider's session may replay it
+export async function enqueueAction(actionType, orderId, payload = {}, userId = null) {
+  const database = await getDatabase();
+  const result = await database.runAsync(
+    `
+    INSERT INTO outbox (action_type, order_id, payload, created_at, user_id)
+    VALUES (?, ?, ?, ?, ?)
+    `,
+    [actionType, orderId || null, JSON.stringify(payload), Date.now(), userId ? String(userId) : null]
+  );
+
+  logger.log(`📥 Queued ${actionType} for order ${orderId} (outbox id: ${result.lastInsertRowId})`);
+  return result.lastInsertRowId;
+}
+
+export async function getPendingActions(userId) {
+  const database = await getDatabase();
+  return await database.getAllAsync(`SELECT * FROM outbox WHERE user_id = ? ORDER BY id ASC`, [String(userId)]);
+}
+
+export async function countPendingActions() {
+  const database = await getDatabase();
+  const row = await database.getFirstAsync(`SELECT COUNT(*) as count FROM outbox`);
+  return row?.count || 0;
+}
+
+export async function markActionRetry(id, error, nextAttemptAt) {
+  const database = await getDatabase();
+  await database.runAsync(
+    `UPDATE outbox SET attempts = attempts + 1, last_error = ?, next_attempt_at = ? WHERE id = ?`,
+    [error || null, nextAttemptAt, id]
+  );
+}
+
+export async function deleteAction(id) {
+  const database = await getDatabase();
+  await database.runAsync(`DELETE FROM outbox WHERE id = ?`, [id]);
+}
+
+export async function deleteOrderActions(actionType, orderId) {
+  const database = await getDatabase();
+  await database.runAsync(`DELETE FROM outbox WHERE action_type = ? AND order_id = ?`, [actionType, orderId]);
+}
+
+// Drop actions queued by anyone but `userId` (or by nobody known) - returns how many were removed
+export async function deleteOtherUsersActions(userId) {
+  const database = await getDatabase();
+  const result = await database.runAsync(
+    `DELETE FROM outbox WHERE user_id IS NULL OR user_id != ?`,
+    [String(userId)]
+  );
+  return result.changes;
+}
+
+// Delete all queued actions (used on logout)
+export async function clearOutbox() {
+  const database = await getDatabase();
+  await database.runAsync(`DELETE FROM outbox`);
+  logger.log('🗑️ Cleared outbox');
+}
@@ -0,0 +1,39 @@
+import { getDatabase } from "./database";
+
+// Per alert type distances (meters) - read by the location task, also when it runs headless
+
+/**
+ * Saved thresholds by alert type
+ * @returns {Promise<Object>} alertType -> { distance, hysteresis } (distance omitted when not set)
+ */
+export async function getProximityThresholds() {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(`SELECT * FROM proximity_thresholds`);
+
+  return Object.fromEntries(
+    rows.map((row) => [
+      row.alert_type,
+      row.distance === null
+        ? { hysteresis: row.hysteresis }
+        : { distance: row.distance, hysteresis: row.hysteresis },
+    ])
+  );
+}
+
+/**
+ * Save thresholds for one or more alert types
+ * @param {Object} thresholds - alertType -> { distance, hysteresis }
+ */
+export async function upsertProximityThresholds(thresholds) {
+  const database = await getDatabase();
+  const now = Date.now();
+
+  await database.withExclusiveTransactionAsync(async (txn) => {
+    for (const [alertType, { distance, hysteresis }] of Object.entries(thresholds)) {
+      await txn.runAsync(
+        `INSERT OR REPLACE INTO proximity_thresholds (alert_type, distance, hysteresis, updated_at) VALUES (?, ?, ?, ?)`,
+        [alertType, distance ?? null, hysteresis, now]
+      );
+    }
+  });
+}
@@ -0,0 +1,71 @@
+import { getDatabase } from "./database";
+
+// Offers the rider declined - they are not notified again until the entry expires or is removed
+
+function toRejectedOrder(row) {
+  return {
+    orderId: row.order_id,
+    orderCode: row.order_code,
+    restaurantName: row.restaurant_name,
+    earnings: row.earnings,
+    reason: row.reason,
+    rejectedAt: row.rejected_at,
+  };
+}
+
+/**
+ * Record declined offers (a repeat decline refreshes the entry)
+ * @param {Array<{ orderId, orderCode, restaurantName, earnings, reason, rejectedAt }>} entries
+ */
+export async function upsertRejectedOrders(entries) {
+  if (!entries || entries.length === 0) return;
+
+  const database = await getDatabase();
+  await database.withExclusiveTransactionAsync(async (txn) => {
+    for (const entry of entries) {
+      await txn.runAsync(
+        `
+        INSERT OR REPLACE INTO rejected_orders (
+          order_id, order_code, restaurant_name,
+          earnings, reason, rejected_at
+        ) VALUES (?, ?, ?, ?, ?, ?)
+        `,
+        [
+          String(entry.orderId),
+          entry.orderCode ?? null,
+          entry.restaurantName ?? null,
+          entry.earnings ?? null,
+          entry.reason ?? null,
+          entry.rejectedAt || Date.now(),
+        ]
+      );
+    }
+  });
+}
+
+// Entries declined at or after `since`, newest first
+export async function getRejectedOrdersSince(since) {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(
+    `SELECT * FROM rejected_orders WHERE rejected_at >= ? ORDER BY rejected_at DESC`,
+    [since]
+  );
+  return rows.map(toRejectedOrder);
+}
+
+export async function deleteRejectedOrder(orderId) {
+  const database = await getDatabase();
+  await database.runAsync(`DELETE FROM rejected_orders WHERE order_id = ?`, [String(orderId)]);
+}
+
+// Drop entries declined before `cutoff`
+export async function deleteRejectedOrdersBefore(cutoff) {
+  const database = await getDatabase();
+  const result = await database.runAsync(`DELETE FROM rejected_orders WHERE rejected_at < ?`, [cutoff]);
+  return result.changes;
+}
+
+export async function deleteAllRejectedOrders() {
+  const database = await getDatabase();
+  await database.runAsync(`DELETE FROM rejected_orders`);
+}
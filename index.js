@@ -0,0 +1,6 @@
+// Background tasks have to be defined before anything renders: when the OS wakes a killed app
+// for a location or geofence event it runs this file headless and never reaches the router
+import "./services/proximity-service";
+import "./services/geofence-service";
+
+import "expo-router/entry";
@@ -1,7 +1,28 @@
 import createContextHook from '@nkzw/create-context-hook';
-import { useEffect, useState, useCallback, useMemo } from 'react';
+import { useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { router } from 'expo-router';
+import { router, usePathname } from 'expo-router';
+import apiService, { setUnauthorizedHandler, setTokenRefresher } from '../services/api-service';
+import { getTokenExpiry } from '../utils/jwt';
+import {
+  loadSession,
+  saveSession,
+  clearSession,
+  getRefreshToken,
+  setAuthToken,
+  setRefreshToken,
+  migrateLegacyStorage,
+} from '../utils/secure-storage';
+
+// Screens we never send the rider back to after logging in again
+const NON_RESTORABLE_PATHS = ['/', '/login'];
+
+// Expected contract (see API_SERVICE_REFACTORING.md): /users/login returns `refreshToken` next to
+// `token`, and this endpoint trades { refreshToken } for { token, refreshToken? }
+const REFRESH_TOKEN_ENDPOINT = '/users/refreshToken';
+const REFRESH_BEFORE_EXPIRY = 2 * 60 * 1000; // Renew 2 minutes before the token expires
+const REFRESH_RETRY_DELAY = 30 * 1000; // Retry a failed renewal after 30 seconds
 
 export const [AuthProvider, useAuth] = createContextHook(() => {
   const [state, setState] = useState({
@@ -11,36 +32,32 @@ export const [AuthProvider, useAuth] = createContextHook(() => {
     userId: null,
     userRole: null,
     user: null,
+    sessionExpiredReason: null, // Shown on the login screen after a forced logout
   });
 
+  const pathname = usePathname();
+  const pathnameRef = useRef(pathname);
+  const returnPathRef = useRef(null);
+  const isExpiringRef = useRef(false);
+  const refreshTimerRef = useRef(null);
+
+  useEffect(() => {
+    pathnameRef.current = pathname;
+  }, [pathname]);
+
   const checkAuthStatus = useCallback(async () => {
     try {
-      const [token, userId, userRole, userProfile] = await Promise.all([
-        AsyncStorage.getItem('authToken'),
-        AsyncStorage.getItem('userId'),
-        AsyncStorage.getItem('userRole'),
-        AsyncStorage.getItem('userProfile'),
-      ]);
+      // Installs from before secure storage still have credentials in AsyncStorage
+      await migrateLegacyStorage();
+
+      const { token, userId, userRole, user } = await loadSession();
  
       if (token && userId) {
-        let user = null;
-        if (userProfile) {
-          try {
-            user = JSON.parse(userProfile);
-          } catch (e) {
-            console.error('Error parsing user profile:', e);
-          }
-        }
 
         // Check if user is a Delivery Person
         if (user && user.role !== 'Delivery_Person') {
           // Clear all stored data
-          await Promise.all([
-            AsyncStorage.removeItem('authToken'),
-            AsyncStorage.removeItem('userId'),
-            AsyncStorage.removeItem('userRole'),
-            AsyncStorage.removeItem('userProfile'),
-          ]);
+          await clearSession();
           
           setState({
             isAuthenticated: false,
@@ -91,27 +108,25 @@ export const [AuthProvider, useAuth] = createContextHook(() => {
       setState(prev => ({ ...prev, isLoading: true }));
       
       
-      const response = await fetch('https://api.bahirandelivery.cloud/api/v1/users/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ phone, password }),
-      });
+      const data = await apiService.post('/users/login', { phone, password }, { token: false });
 
-      const data = await response.json();
-      
-      if (response.ok && data.status === 'success') {
+      if (data?.status === 'success') {
         const { token, data: { user } } = data;
+
+        if (!data.refreshToken) {
+          // Nothing to renew with - the session simply ends when this token expires
+          console.warn('⚠️ Login response has no refreshToken - the access token cannot be renewed');
+        }
         
         
-        // Store all user data in AsyncStorage
-        await Promise.all([
-          AsyncStorage.setItem('authToken', token),
-          AsyncStorage.setItem('userId', user._id),
-          AsyncStorage.setItem('userRole', user.role),
-          AsyncStorage.setItem('userProfile', JSON.stringify(user)),
-        ]);
+        // Secrets go to the keystore, the profile to the encrypted cache
+        await saveSession({
+          token,
+          refreshToken: data.refreshToken,
+          userId: user._id,
+          userRole: user.role,
+          user,
+        });
 
         setState({
           isAuthenticated: true,
@@ -120,40 +135,57 @@ export const [AuthProvider, useAuth] = createContextHook(() => {
           userId: user._id,
           userRole: user.role,
           user,
+          sessionExpiredReason: null,
         });
 
         return { success: true, userId: user._id, user };
       } else {
         setState(prev => ({ ...prev, isLoading: false }));
-        
-        // Display server error message
-        const serverMessage = data.message || data?.error || 
-                             (data?.errors && data?.errors[0]?.msg) || 
-                             'Login failed';
-        return { success: false, message: serverMessage };
+        return { success: false, message: data?.message || 'Login failed' };
       }
     } catch (error) {
       console.error('Login error:', error);
       setState(prev => ({ ...prev, isLoading: false }));
       
-      // Check if it's a network error or something else
-      const errorMessage = error.message === 'Failed to fetch' || error.message.includes('Network request failed')
-        ? 'Unable to connect to server. Please check your internet connection and try again.'
-        : 'Something went wrong. Please try again later.';
-      
-      return { success: false, message: errorMessage };
+      // ApiError already carries the server or network message
+      return { success: false, message: error.message || 'Login failed' };
+    }
+  }, []);
+
+  // 🔑 Exchange the stored refresh token for a new access token.
+  // Resolves the new token, or null when the session can't be renewed.
+  // Network errors are rethrown so a dropped signal doesn't end the session.
+  const refreshAuthToken = useCallback(async () => {
+    const refreshToken = await getRefreshToken();
+    if (!refreshToken) return null;
+
+    try {
+      const data = await apiService.post(REFRESH_TOKEN_ENDPOINT, { refreshToken }, { token: false });
+      const newToken = data?.token;
+      if (!newToken) return null;
+
+      await Promise.all([
+        setAuthToken(newToken),
+        data.refreshToken ? setRefreshToken(data.refreshToken) : Promise.resolve(),
+      ]);
+
+      console.log('🔑 Access token renewed');
+      setState(prev => (prev.isAuthenticated ? { ...prev, token: newToken } : prev));
+      return newToken;
+    } catch (error) {
+      if (error.isNetworkError) throw error;
+      console.error('❌ Refresh token rejected:', error.message);
+      return null;
     }
   }, []);
 
   const logout = useCallback(async () => {
     try {
+      returnPathRef.current = null;
       
       // Clear all stored data
       await Promise.all([
-        AsyncStorage.removeItem('authToken'),
-        AsyncStorage.removeItem('userId'),
-        AsyncStorage.removeItem('userRole'),
-        AsyncStorage.removeItem('userProfile'),
+        clearSession(),
         AsyncStorage.removeItem('isOnline'),
         // Clear delivery-related stored data
   // delivery-related persistent storage removed from app
@@ -180,14 +212,60 @@ export const [AuthProvider, useAuth] = createContextHook(() => {
     }
   }, []);
 
+  // 🔒 The server rejected our token - drop credentials and send the rider to login.
+  // DeliveryProvider watches sessionExpiredReason to stop tracking and sockets.
+  const expireSession = useCallback(async (reason) => {
+    if (isExpiringRef.current) return;
+    isExpiringRef.current = true;
+
+    try {
+      console.log('🔒 Session expired:', reason);
+
+      const currentPath = pathnameRef.current;
+      returnPathRef.current = currentPath && !NON_RESTORABLE_PATHS.includes(currentPath)
+        ? currentPath
+        : null;
+
+      await Promise.all([
+        clearSession(),
+        AsyncStorage.removeItem('isOnline'),
+      ]);
+
+      setState({
+        isAuthenticated: false,
+        isLoading: false,
+        token: null,
+        userId: null,
+        userRole: null,
+        user: null,
+        sessionExpiredReason: reason || 'Your session has expired. Please log in again.',
+      });
+
+      router.replace('/login');
+    } catch (error) {
+      console.error('❌ Error expiring session:', error);
+      router.replace('/login');
+    } finally {
+      isExpiringRef.current = false;
+    }
+  }, []);
+
+  // Screen to reopen after logging in again (cleared once read)
+  const consumeReturnPath = useCallback(() => {
+    const path = returnPathRef.current;
+    returnPathRef.current = null;
+    return path;
+  }, []);
+
+  const dismissSessionExpired = useCallback(() => {
+    setState(prev => ({ ...prev, sessionExpiredReason: null }));
+  }, []);
+
   const clearAllData = useCallback(async () => {
     try {
       
       await Promise.all([
-        AsyncStorage.removeItem('authToken'),
-        AsyncStorage.removeItem('userId'),
-        AsyncStorage.removeItem('userRole'),
-        AsyncStorage.removeItem('userProfile'),
+        clearSession(),
         AsyncStorage.removeItem('isOnline'),
       ]);
 
@@ -212,11 +290,71 @@ export const [AuthProvider, useAuth] = createContextHook(() => {
     checkAuthStatus();
   }, [checkAuthStatus]);
 
+  // ApiService renews through us when a request gets a 401
+  useEffect(() => {
+    setTokenRefresher(refreshAuthToken);
+    return () => setTokenRefresher(null);
+  }, [refreshAuthToken]);
+
+  // ⏰ Renew silently shortly before the access token expires
+  useEffect(() => {
+    if (refreshTimerRef.current) {
+      clearTimeout(refreshTimerRef.current);
+      refreshTimerRef.current = null;
+    }
+
+    const expiresAt = getTokenExpiry(state.token);
+    if (!state.token || !expiresAt) return;
+
+    const scheduleRefresh = (delay) => {
+      if (refreshTimerRef.current) clearTimeout(refreshTimerRef.current);
+      refreshTimerRef.current = setTimeout(async () => {
+        refreshTimerRef.current = null;
+        try {
+          // On success the new token re-runs this effect and schedules the next renewal
+          await apiService.refreshSession(state.token);
+        } catch (error) {
+          console.log('⚠️ Token renewal failed, retrying shortly:', error.message);
+          scheduleRefresh(REFRESH_RETRY_DELAY);
+        }
+      }, Math.max(0, delay));
+    };
+
+    scheduleRefresh(expiresAt - REFRESH_BEFORE_EXPIRY - Date.now());
+
+    // Timers don't run while the app is suspended - re-check when it comes back
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active' && Date.now() >= expiresAt - REFRESH_BEFORE_EXPIRY) {
+        scheduleRefresh(0);
+      }
+    });
+
+    return () => {
+      subscription.remove();
+      if (refreshTimerRef.current) {
+        clearTimeout(refreshTimerRef.current);
+        refreshTimerRef.current = null;
+      }
+    };
+  }, [state.token]);
+
+  // Every authenticated API call and the socket report 401s here
+  useEffect(() => {
+    setUnauthorizedHandler((reason) => {
+      if (!state.token) return;
+      expireSession(reason);
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [state.token, expireSession]);
+
   return useMemo(() => ({
     ...state,
     login,
     checkAuthStatus,
     logout,
+    expireSession,
+    consumeReturnPath,
+    dismissSessionExpired,
     clearAllData,
-  }), [state, login, checkAuthStatus, logout, clearAllData]);
+  }), [state, login, checkAuthStatus, logout, expireSession, consumeReturnPath, dismissSessionExpired, clearAllData]);
 });
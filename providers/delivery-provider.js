@@ -5,29 +5,51 @@ import React, {
   useEffect,
   useRef,
   useCallback,
+  useMemo,
 } from "react";
-import { Alert, Vibration, Platform, ToastAndroid,AppState } from "react-native";
-import { Audio } from 'expo-av';
-import { isNotificationSoundEnabled } from '../utils/notification-settings';
+import { Alert, Platform, ToastAndroid,AppState } from "react-native";
+import audioManager from '../services/audio-manager';
 // Note: removed persistent local storage for accepted orders - using in-memory state only
 import NetInfo from "@react-native-community/netinfo";
-import io from "socket.io-client";
 import { useAuth } from "./auth-provider";
 import locationService from "../services/location-service";
 import proximityService from "../services/proximity-service";
 import orderNotificationService from "../services/order-notification-service";
 import databaseService from "../services/database-service";
 import smartOrderService from "../services/smart-order-service";
+import offlineQueueService, { OUTBOX_ACTIONS, REPLAY_RESULT } from "../services/offline-queue-service";
+import orderJournalService, { ORDER_EVENTS, STATUS_EVENTS } from "../services/order-journal-service";
+import deliveryProofService from "../services/delivery-proof-service";
+import verificationLockService, { isCodeRejected } from "../services/verification-lock-service";
+import geofenceService from "../services/geofence-service";
+import locationSamplingService from "../services/location-sampling-service";
+import socketService, { SOCKET_STATUS } from "../services/socket-service";
 import { transformOrderLocations } from '../utils/location-utils';
 import { logger } from '../utils/logger';
 import * as DeliveryAPI from '../services/delivery-api';
-import { setShowOrderModalCallback, setHasActiveOrderCallback } from '../services/delivery-api';
+import { setShowOrderModalCallback, setOfferFilterCallback } from '../services/delivery-api';
+import apiService, { isSessionExpiredMessage, reportUnauthorized } from "../services/api-service";
 import DeliveryOrderModal from '../components/DeliveryOrderModal';
 import { normalizeOrder } from "../utils/normalizeOrder";
-import { upsertOrder } from "../db/ordersDb";
+import { upsertOrder, markUnnotified } from "../db/ordersDb";
+import { replaceActiveDeliveries } from "../db/activeDeliveriesDb";
 import { checkNearbyOrders } from "../services/orderProximityService";
 import { initProximitySettings } from "../utils/proximity-settings";
-import { initRejectedOrders, addRejectedOrder, isOrderRejected } from "../utils/rejected-orders";
+import { initRejectedOrders, addRejectedOrder, isOrderRejected, removeRejectedOrder } from "../utils/rejected-orders";
+import { initRestaurantPreferences } from "../utils/restaurant-preferences";
+import { withInboundValidation } from "../utils/socket-schemas";
+import {
+  toOrderList,
+  findActiveOrder,
+  removeActiveOrder,
+  upsertActiveOrder,
+  matchesOrderId,
+  getOrderStatus,
+  getOrderId,
+  isAwaitingPickup,
+  evaluateOfferForBatching,
+  getPickupPoint,
+} from "../utils/active-orders";
 
 // 💰 Helper function to extract number from various formats (including MongoDB Decimal128)
 const extractNumber = (value) => {
@@ -41,29 +63,91 @@ const extractNumber = (value) => {
 };
 
 
+// 🚫 What the declined offers screen shows about an order
+const toDeclinedOffer = (order) => ({
+  orderCode: order.orderCode || order.code,
+  restaurantName: order.restaurantName,
+  earnings: extractNumber(order.deliveryFee) + extractNumber(order.tip),
+});
+
+// 🙅 Hide a declined offer, journal why (for the decline stats) and report the reason to the backend
+const recordDecline = async (order, reason = null) => {
+  const orderId = order.orderId || order.id || order._id;
+  if (!orderId) return;
+
+  const offer = toDeclinedOffer(order);
+  const location = locationService.getCurrentLocation();
+  const pickup = getPickupPoint(order);
+  const distanceKm = location && pickup
+    ? locationService.calculateDistance(location.latitude, location.longitude, pickup.latitude, pickup.longitude)
+    : null;
+
+  await addRejectedOrder(orderId, { ...offer, reason });
+  orderJournalService.record(ORDER_EVENTS.DECLINED, order, { reason, earnings: offer.earnings, distanceKm });
+
+  if (reason) {
+    offlineQueueService
+      .enqueue(OUTBOX_ACTIONS.DECLINE_FEEDBACK, orderId, { orderId, reason, declinedAt: Date.now() })
+      .catch((error) => logger.error('Error queueing decline feedback:', error));
+  }
+};
+
 // 💵 Helper function to format currency safely
 const formatCurrency = (value) => {
   const num = extractNumber(value);
   return num.toFixed(2);
 };
 
+// 🔒 Socket rejected our token - renew it and re-authenticate the socket, or end the session
+// The socket stays up meanwhile: a manual disconnect() turns off reconnection for good
+const handleSocketAuthError = async (failedToken, message) => {
+  logger.log("🔒 Socket auth rejected:", message);
+
+  try {
+    const renewedToken = await apiService.refreshSession(failedToken);
+    if (!renewedToken) {
+      socketService.disconnect();
+      reportUnauthorized();
+      return;
+    }
+    // Logged out (or already swapped) while the refresh was running
+    if (socketService.token !== failedToken) return;
+
+    // A new token swaps the connection's auth, the same token just retries
+    socketService.connect(renewedToken);
+  } catch (error) {
+    // No signal - keep the session and retry; socket.io backs off until we're online again
+    logger.warn("⚠️ Could not renew token for socket:", error.message);
+    if (socketService.token === failedToken) {
+      socketService.reconnect();
+    }
+  }
+};
+
+// 🏁 Drop one finished (verified / completed / cancelled) order from state
+const clearFinishedOrder = (prev, orderId) => ({
+  ...prev,
+  activeOrder: removeActiveOrder(prev.activeOrder, orderId),
+  acceptedOrder: matchesOrderId(prev.acceptedOrder, orderId) ? null : prev.acceptedOrder,
+});
+
 const DeliveryContext = createContext();
 export const useDelivery = () => useContext(DeliveryContext);
 
 export const DeliveryProvider = ({ children }) => {
-  const { userId, token, user } = useAuth();
+  const { userId, token, user, sessionExpiredReason } = useAuth();
 
   const [state, setState] = useState({
     availableOrders: [],
     deliveryHistory:[],
     availableOrdersCount: 0,
-    activeOrder: null,
+    activeOrder: null, // Array of orders the rider is carrying (null when none)
     pendingOrderPopup: null,
     showOrderModal: false,
     isConnected: false,
     isOnline: true,
+    isNetworkAvailable: true, // Device connectivity (NetInfo), independent of the rider's online toggle
     orderHistory: [],
-    socket: null,
     broadcastMessages: [],
     newOrderNotification: false, // Track if there's a new order notification
     isLoadingOrders: false, // Loading state for API calls
@@ -80,6 +164,7 @@ export const DeliveryProvider = ({ children }) => {
     socketError: null, // Last socket connection error (user friendly)
     showDeliveryModal: false, // Show delivery order modal
     currentDeliveryOrder: null, // Current delivery order to display in modal
+    pendingActionsCount: 0, // Actions waiting in the offline outbox
     
     // 🗄️ Cache Management
     dataCache: {
@@ -90,10 +175,8 @@ export const DeliveryProvider = ({ children }) => {
     cacheExpiry: 5 * 60 * 1000, // 5 minutes cache expiry
   });
 
-  const socketRef = useRef(null);
   const locationUnsubscribeRef = useRef(null);
   const periodicLocationIntervalRef = useRef(null); // Ref for periodic location updates (customer tracking)
-  const notificationSoundRef = useRef(null); // Ref for new order notification sound
   const isPeriodicTrackingActive = useRef(false); // Track if customer is actively tracking
   const appState = useRef(AppState.currentState); // Track app state for background/foreground transitions
   const activeOrderRef = useRef(null); // Track active order for callback access
@@ -146,87 +229,47 @@ export const DeliveryProvider = ({ children }) => {
     }
   }, []);
 
-  // 🔔 Play new order notification sound
-  const playNewOrderNotification = useCallback(async () => {
-    try {
-      // Check if notification sounds are enabled
-      const soundEnabled = await isNotificationSoundEnabled();
-      
-      if (!soundEnabled) {
-        Vibration.vibrate([0, 400, 200, 400]); // Two short bursts
-        return;
-      }
+  const activeOrders = useMemo(() => toOrderList(state.activeOrder), [state.activeOrder]);
+  const hasActiveOrder = activeOrders.length > 0;
 
-      // Configure audio to play in silent mode
-      await Audio.setAudioModeAsync({
-        playsInSilentModeIOS: true,
-        staysActiveInBackground: true,
-        shouldDuckAndroid: true,
-      });
-
-      // Stop any existing notification sound
-      if (notificationSoundRef.current) {
-        await notificationSoundRef.current.unloadAsync();
-        notificationSoundRef.current = null;
-      }
-
-      // Create notification sound - using a reliable notification tone
-      // Try multiple sound sources with fallback
-      const soundUrls = [
-        'https://cdn.pixabay.com/audio/2022/03/10/audio_c0856b19d7.mp3', // Pleasant notification
-        'https://assets.mixkit.co/active_storage/sfx/2869/2869-preview.mp3', // Positive notification
-        'https://freesound.org/data/previews/320/320655_5260872-lq.mp3', // Simple bell
-      ];
+  // 🔋 Carrying orders → regular sampling, otherwise coarse idle sampling
+  useEffect(() => {
+    locationSamplingService.updateSignals({ onDelivery: hasActiveOrder });
+  }, [hasActiveOrder]);
 
-      let soundLoaded = false;
-      
-      for (const soundUrl of soundUrls) {
-        try {
-          const { sound } = await Audio.Sound.createAsync(
-            { uri: soundUrl },
-            { 
-              shouldPlay: true,
-              isLooping: false, // Play once
-              volume: 1.0
-            }
-          );
-          
-          notificationSoundRef.current = sound;
-          soundLoaded = true;
-          break; // Successfully loaded, exit loop
-        } catch (err) {
-          continue;
-        }
-      }
+  // 💾 Copy of the active orders for the background task - it runs without this state once the app is killed
+  useEffect(() => {
+    // Not fetched yet this session - keep the last snapshot instead of wiping it
+    if (token && activeOrders.length === 0 && !state.dataCache.activeOrder.fetched) return;
 
-      // Vibrate to get attention (short pattern)
-      Vibration.vibrate([0, 400, 200, 400]); // Two short bursts
+    replaceActiveDeliveries(activeOrders).catch((error) =>
+      logger.error("Failed to save active orders for background checks:", error)
+    );
+  }, [token, activeOrders, state.dataCache.activeOrder.fetched]);
+
+  // 🧭 Offers shown while delivering must fit the current route
+  // Returns the offer (with routeFit attached) or null when it should be skipped
+  const filterOfferForActiveRoute = useCallback((order) => {
+    const { allowed, reason, routeFit } = evaluateOfferForBatching(
+      order,
+      activeOrderRef.current,
+      locationService.getCurrentLocation()
+    );
 
-      // Unload sound after it finishes playing
-      if (soundLoaded) {
-        setTimeout(async () => {
-          if (notificationSoundRef.current) {
-            await notificationSoundRef.current.unloadAsync();
-            notificationSoundRef.current = null;
-          }
-        }, 3000);
-      }
-      
-    } catch (err) {
-      logger.error('❌ Error playing notification sound:', err);
-      // Fallback to vibration only
-      Vibration.vibrate([0, 400, 200, 400]);
+    if (!allowed) {
+      logger.log(`🚫 Skipping order ${order.orderCode || getOrderId(order)} - ${reason}`);
+      return null;
     }
+    return routeFit ? { ...order, routeFit } : order;
   }, []);
 
-
   useEffect(() => {
     const unsubscribe = NetInfo.addEventListener(net => {
       const online =
         !!net.isConnected &&
         (net.isInternetReachable === null || net.isInternetReachable === true);
 
-      setState((prev) => ({ ...prev, isOnline: online }));
+      setState((prev) => ({ ...prev, isOnline: online, isNetworkAvailable: online }));
       logger.log(`🌐 Network: ${online ? "ONLINE" : "OFFLINE"}`);
     });
 
@@ -240,15 +283,8 @@ export const DeliveryProvider = ({ children }) => {
       }));
     });
 
-    // Set up callback for checking if driver has active order
-    setHasActiveOrderCallback(() => {
-      const activeOrder = activeOrderRef.current;
-      if (activeOrder) {
-        const orders = Array.isArray(activeOrder) ? activeOrder : [activeOrder];
-        return orders.length > 0 && orders[0] != null;
-      }
-      return false;
-    });
+    // Set up callback so API offers are checked against the current deliveries
+    setOfferFilterCallback(filterOfferForActiveRoute);
 
     return () => unsubscribe();
   }, []);
@@ -258,6 +294,39 @@ export const DeliveryProvider = ({ children }) => {
     activeOrderRef.current = state.activeOrder;
   }, [state.activeOrder]);
 
+  // 🧾 Journal pickups - an order leaving the restaurant stage means the food was collected
+  const awaitingPickupRef = useRef(new Map()); // orderId -> was awaiting pickup on the last update
+  useEffect(() => {
+    const previous = awaitingPickupRef.current;
+    const next = new Map();
+
+    toOrderList(state.activeOrder).forEach((order) => {
+      const orderId = getOrderId(order);
+      const awaiting = isAwaitingPickup(order);
+      next.set(orderId, awaiting);
+
+      if (previous.get(orderId) === true && !awaiting) {
+        orderJournalService.record(ORDER_EVENTS.PICKED_UP, order, { status: getOrderStatus(order) });
+      }
+    });
+    awaitingPickupRef.current = next;
+  }, [state.activeOrder]);
+
+  // 🧾 Journal every offer shown to the rider - once per showing, since OFFERED is repeatable
+  const shownOfferIdsRef = useRef(new Set());
+  useEffect(() => {
+    const shown = new Set();
+    [state.currentDeliveryOrder, state.pendingOrderPopup].forEach((offer) => {
+      const orderId = offer && getOrderId(offer);
+      if (!orderId) return;
+      shown.add(orderId);
+      if (!shownOfferIdsRef.current.has(orderId)) {
+        orderJournalService.record(ORDER_EVENTS.OFFERED, offer);
+      }
+    });
+    shownOfferIdsRef.current = shown;
+  }, [state.currentDeliveryOrder, state.pendingOrderPopup]);
+
     useEffect(() => {
     const subscription = AppState.addEventListener("change", nextState => {
       const wasBackground = appState.current.match(/inactive|background/);
@@ -266,9 +335,11 @@ export const DeliveryProvider = ({ children }) => {
       if (wasBackground && nextState === "active") {
         logger.log("📱 App returned to foreground — checking socket...");
 
-        if (state.isOnline && socketRef.current && !socketRef.current.connected) {
-          logger.log("♻️ Reconnecting socket...");
-          socketRef.current.connect();
+        // Pick up where the background task left off
+        locationService.restoreBackgroundSamples();
+
+        if (state.isOnline) {
+          socketService.reconnect();
         }
       }
     });
@@ -283,15 +354,6 @@ export const DeliveryProvider = ({ children }) => {
   const handleNearbyOrderFound = async (orderRow, distanceKm) => {
     const orderId = orderRow.order_id;
     
-    // Check if driver has an active order - skip notification
-    if (state.activeOrder) {
-      const activeOrders = Array.isArray(state.activeOrder) ? state.activeOrder : [state.activeOrder];
-      if (activeOrders.length > 0 && activeOrders[0]) {
-        logger.log(`🚫 Skipping notification - driver has active order: ${activeOrders[0].orderCode || activeOrders[0].orderId}`);
-        return;
-      }
-    }
-    
     // Check if order was previously rejected - skip notification
     if (isOrderRejected(orderId)) {
       logger.log(`🚫 Skipping rejected order: ${orderRow.order_code}`);
@@ -301,7 +363,7 @@ export const DeliveryProvider = ({ children }) => {
     logger.log(`🔔 Found nearby order: ${orderRow.order_code} at ${distanceKm.toFixed(2)}km`);
     
     // Create order payload for notification
-    const order = {
+    const nearbyOrder = {
       orderId: orderId,
       orderCode: orderRow.order_code,
       restaurantName: orderRow.restaurant_name,
@@ -319,13 +381,14 @@ export const DeliveryProvider = ({ children }) => {
       createdAt: orderRow.created_at,
       distanceKm,
     };
+
+    // With deliveries in progress, only offers along the current route are shown
+    const order = filterOfferForActiveRoute(nearbyOrder);
+    if (!order) return;
     
-    // Show notification with sound
+    // Show notification with sound (new-order sound profile + vibration)
     await orderNotificationService.showNewOrderNotification(order);
     
-    // Play notification sound
-    await playNewOrderNotification();
-    
     // Show order modal
     setState(prev => ({
       ...prev,
@@ -343,13 +406,13 @@ export const DeliveryProvider = ({ children }) => {
         // Initialize database first
         await databaseService.init();
         logger.log('✅ Database initialized');
+        deliveryProofService.pruneUploaded();
 
-        // Configure audio mode for maximum compatibility
-        await Audio.setAudioModeAsync({
-          playsInSilentModeIOS: true,
-          staysActiveInBackground: true,
-          shouldDuckAndroid: true,
-        });
+        // Locations recorded while the app was killed
+        await locationService.restoreBackgroundSamples();
+
+        // Configure audio mode once for every alert sound (background + silent mode)
+        await audioManager.init();
 
         // Subscribe to location updates (for state updates only, not for sending)
         locationUnsubscribeRef.current = locationService.subscribe((location) => {
@@ -376,6 +439,18 @@ export const DeliveryProvider = ({ children }) => {
         await initRejectedOrders();
         logger.log('📦 Rejected orders list initialized');
 
+        // Blocked / favorite restaurants filter and flag incoming offers
+        await initRestaurantPreferences();
+
+        // Restore verification attempts so a lock survives app restarts
+        await verificationLockService.init();
+
+        // Load the geofence auto-apply preference
+        await geofenceService.init();
+
+        // Adapt GPS accuracy and frequency to battery and what the rider is doing
+        await locationSamplingService.init();
+
         // 🔔 Start periodic proximity check for nearby orders
         logger.log('🚀 Starting periodic proximity check (every 15 seconds)');
         
@@ -424,12 +499,9 @@ export const DeliveryProvider = ({ children }) => {
       
       // Clean up smart order service
       smartOrderService.cleanup();
-      
-      // Clean up notification sound
-      if (notificationSoundRef.current) {
-        notificationSoundRef.current.unloadAsync().catch(console.error);
-        notificationSoundRef.current = null;
-      }
+
+      // Stop watching the battery
+      locationSamplingService.cleanup();
     };
   }, [userId]);
 
@@ -444,7 +516,11 @@ export const DeliveryProvider = ({ children }) => {
       // Start monitoring location against pending orders
       smartOrderService.startMonitoring(
         () => locationService.getCurrentLocation(),
-        (order) => {
+        (pendingOrder) => {
+          // Stored offers are re-checked - the rider may have picked up orders since
+          const order = filterOfferForActiveRoute(pendingOrder);
+          if (!order) return;
+
           // Show order modal when driver is near
           setState(prev => ({
             ...prev,
@@ -469,12 +545,6 @@ export const DeliveryProvider = ({ children }) => {
   // 🚨 Force online and location on when there's ANY active order
   useEffect(() => {
     const checkAndForceDeliveryMode = async () => {
-      if (!state.activeOrder) return;
-  
-      const hasActiveOrder = Array.isArray(state.activeOrder) 
-        ? state.activeOrder.length > 0 
-        : true;
-  
       if (hasActiveOrder) {
         let needsAlert = false;
         let alertMessage = '';
@@ -525,24 +595,19 @@ export const DeliveryProvider = ({ children }) => {
     };
   
     checkAndForceDeliveryMode();
-  }, [state.activeOrder, state.isOnline, state.isLocationTracking]);
+  }, [hasActiveOrder, state.isOnline, state.isLocationTracking]);
 
   // 📍 Proximity checking using proximity service (BACKGROUND MODE)
   useEffect(() => {
-    // Helper function to get active orders as array
-    const getActiveOrders = () => {
-      const activeOrders = Array.isArray(state.activeOrder) 
-        ? state.activeOrder 
-        : (state.activeOrder ? [state.activeOrder] : []);
-      return activeOrders;
-    };
+    // Read through the ref so accepting or finishing one order doesn't restart tracking
+    const getActiveOrders = () => toOrderList(activeOrderRef.current);
 
     // Helper function to get current location
     const getCurrentLocation = () => {
       return locationService.getCurrentLocation();
     };
 
-    if (!userId || !state.isLocationTracking || !state.activeOrder) {
+    if (!userId || !state.isLocationTracking || !hasActiveOrder) {
       // Stop proximity checking if not tracking or no active order
       proximityService.stopBackgroundTracking();
       return;
@@ -577,7 +642,7 @@ export const DeliveryProvider = ({ children }) => {
       proximityService.stopBackgroundTracking();
       proximityService.stopProximityChecking();
     };
-  }, [userId, state.isLocationTracking, state.activeOrder]);
+  }, [userId, state.isLocationTracking, hasActiveOrder]);
 
   // 🔄 Start periodic location updates (called when customer requests tracking)
   const startPeriodicLocationUpdates = useCallback((customerId, orderId) => {
@@ -587,7 +652,8 @@ export const DeliveryProvider = ({ children }) => {
     logger.log(`🔄 Starting periodic location updates for customer ${customerId}, order ${orderId}`);
     isPeriodicTrackingActive.current = true;
 
-    const locationUpdateIntervalMs = 10000; // 10 seconds (adjust as needed)
+    // A watching customer gets high-accuracy sampling (unless the battery is low)
+    locationSamplingService.updateSignals({ customerTracking: true });
 
     // Send location immediately and periodically
     const sendPeriodicLocation = () => {
@@ -597,9 +663,8 @@ export const DeliveryProvider = ({ children }) => {
         return;
       }
 
-      if (!socketRef.current || !socketRef.current.connected) {
-        logger.warn('⚠️ Socket not connected, stopping periodic updates');
-        stopPeriodicLocationUpdates();
+      // Brief drops (or a token renewal) just skip a tick - a real disconnect stops the updates
+      if (!socketService.isConnected()) {
         return;
       }
 
@@ -619,7 +684,7 @@ export const DeliveryProvider = ({ children }) => {
       };
 
       // Send location update to customer via backend
-      socketRef.current.emit('locationUpdateFromCustomerTracking', payload);
+      socketService.emit('locationUpdateFromCustomerTracking', payload, { buffer: false });
      
       logger.log(`📍 Periodic location update sent for order ${orderId}`);
     };
@@ -627,10 +692,16 @@ export const DeliveryProvider = ({ children }) => {
     // Send first location immediately
     sendPeriodicLocation();
     
-    // Set up interval for periodic updates
-    periodicLocationIntervalRef.current = setInterval(sendPeriodicLocation, locationUpdateIntervalMs);
+    // Each update is paced by the current sampling mode, so a mode change applies from the next tick
+    const scheduleNext = () => {
+      periodicLocationIntervalRef.current = setTimeout(() => {
+        sendPeriodicLocation();
+        scheduleNext();
+      }, locationSamplingService.getPolicy().reportIntervalMs);
+    };
+    scheduleNext();
     
-    logger.log(`✅ Periodic location updates started (${locationUpdateIntervalMs / 1000}s interval)`);
+    logger.log(`✅ Periodic location updates started (${locationSamplingService.getPolicy().reportIntervalMs / 1000}s interval)`);
   }, [userId, user]);
 
 
@@ -639,9 +710,10 @@ export const DeliveryProvider = ({ children }) => {
   // 🛑 Stop periodic location updates
   const stopPeriodicLocationUpdates = useCallback(() => {
     if (periodicLocationIntervalRef.current) {
-      clearInterval(periodicLocationIntervalRef.current);
+      clearTimeout(periodicLocationIntervalRef.current);
       periodicLocationIntervalRef.current = null;
       isPeriodicTrackingActive.current = false;
+      locationSamplingService.updateSignals({ customerTracking: false });
       logger.log('🛑 Periodic location updates stopped');
     }
   }, []);
@@ -651,25 +723,17 @@ export const DeliveryProvider = ({ children }) => {
 
 
   // 🔌 Connect to socket server with authentication
-  // Socket connects ONLY when user is ONLINE
+  // Socket connects ONLY when user is ONLINE - the connection itself lives in socketService
   useEffect(() => {
     if (!token || !userId) {
-      if (socketRef.current) {
-        socketRef.current.disconnect();
-        socketRef.current = null;
-        setState(prev => ({ ...prev, isConnected: false, socket: null }));
-      }
+      socketService.disconnect();
       return;
     }
 
     // Offline? Disconnect (unless active order)
     if (!state.isOnline) {
-      if (!state.activeOrder) {
-        if (socketRef.current) {
-          socketRef.current.disconnect();
-          socketRef.current = null;
-        }
-        setState(prev => ({ ...prev, isConnected: false, socket: null }));
+      if (!hasActiveOrder) {
+        socketService.disconnect();
         return;
       }
 
@@ -678,177 +742,159 @@ export const DeliveryProvider = ({ children }) => {
       return;
     }
 
-    // If we already have a connected socket, do nothing
-    if (socketRef.current?.connected) return;
+    // Same token is a no-op, a renewed token re-authenticates the existing connection
+    socketService.connect(token);
+  }, [token, userId, state.isOnline, hasActiveOrder]);
 
-    // Create socket (with reconnection config)
-    const socket = io("https://api.bahirandelivery.cloud", {
-      transports: ["websocket"],
-      auth: { token },
-      reconnection: true,
-      reconnectionAttempts: Infinity,
-      reconnectionDelay: 4000,
-    });
+  // Close the connection when the provider unmounts
+  useEffect(() => () => socketService.disconnect(), []);
 
-    socketRef.current = socket;
+  /***********************************************************
+   * 🔌 Connection Events
+   ***********************************************************/
+  useEffect(() => {
+    let wasConnected = false;
 
-    /***********************************************************
-     * 🔌 Connection Events
-     ***********************************************************/
-    socket.on("connect", () => {
-      setState(prev => ({ ...prev, isConnected: true }));
-      logger.log("🟢 Socket connected");
-    });
+    return socketService.onStateChange(({ status, error }) => {
+      setState(prev => ({
+        ...prev,
+        isConnected: status === SOCKET_STATUS.CONNECTED,
+        socketError: status === SOCKET_STATUS.CONNECTED ? null : error || prev.socketError,
+      }));
 
-    socket.on("disconnect", async () => {
-      setState(prev => ({ ...prev, isConnected: false }));
-      stopPeriodicLocationUpdates();
-      await proximityService.stopBackgroundTracking();
-      proximityService.stopProximityChecking();
-      logger.log("🔴 Socket disconnected");
-    });
+      if (status === SOCKET_STATUS.CONNECTED) {
+        wasConnected = true;
+        // Replay queued actions that were waiting for the socket
+        offlineQueueService.flush();
+        return;
+      }
 
-    socket.on("reconnect_attempt", attempt => {
-      logger.log(`♻️ Socket reconnect attempt #${attempt}`);
-    });
+      // 🔒 Server refused our token - end the session instead of retrying forever
+      if (status === SOCKET_STATUS.DISCONNECTED && socketService.hasSocket() && isSessionExpiredMessage(error)) {
+        handleSocketAuthError(socketService.token, error);
+      }
 
-    socket.on("reconnect", () => {
-      logger.log("🎉 Socket successfully reconnected");
-      setState(prev => ({ ...prev, isConnected: true }));
+      // A real drop (a token renewal reports RECONNECTING instead)
+      if (status === SOCKET_STATUS.DISCONNECTED && wasConnected) {
+        wasConnected = false;
+        stopPeriodicLocationUpdates();
+        proximityService.stopBackgroundTracking();
+        proximityService.stopProximityChecking();
+      }
     });
+  }, [stopPeriodicLocationUpdates]);
 
-    /***********************************************************
-     * 📦 Delivery Order Message
-     ***********************************************************/
-socket.on("deliveryMessage", async (message) => {
-  logger.log("📦 Raw socket message received:", JSON.stringify(message).substring(0, 500));
-  
-  let raw = message;
-  if (typeof raw === "string") {
-    try { raw = JSON.parse(raw); } catch {}
-  }
-  if (Array.isArray(raw)) raw = raw[0];
+  /***********************************************************
+   * 📦 Server events - subscriptions survive reconnects, so
+   * re-subscribing here never touches the connection
+   ***********************************************************/
+  useEffect(() => {
+    if (!userId) return;
 
-  const order = normalizeOrder(raw);
-  
-  if (!order) {
-    logger.error("❌ Failed to normalize order from socket");
-    return;
-  }
+    const unsubscribers = [
+      socketService.on("deliveryMessage", withInboundValidation("deliveryMessage", async (raw) => {
+        logger.log("📦 Socket order message received:", JSON.stringify(raw).substring(0, 500));
 
-  logger.log("📦 New delivery order received:", order.orderCode);
-  logger.log(`   Restaurant: ${order.restaurantName}`);
-  logger.log(`   Delivery Fee: ${order.deliveryFee}, Tip: ${order.tip}, Total: ${order.grandTotal}`);
-  
-  // Check if driver has an active order - skip notification
-  if (state.activeOrder) {
-    const activeOrders = Array.isArray(state.activeOrder) ? state.activeOrder : [state.activeOrder];
-    if (activeOrders.length > 0 && activeOrders[0]) {
-      logger.log(`🚫 Skipping socket order - driver has active order: ${activeOrders[0].orderCode || activeOrders[0].orderId}`);
-      return;
-    }
-  }
-  
-  // Check if order is rejected
-  if (isOrderRejected(order.orderId)) {
-    logger.log(`🚫 Skipping rejected order from socket: ${order.orderCode}`);
-    return;
-  }
+        const order = normalizeOrder(raw);
 
-  // Get current location
-  const currentLocation = locationService.getCurrentLocation();
+        if (!order) {
+          logger.error("❌ Failed to normalize order from socket");
+          return;
+        }
 
-  // Use smart order service to handle proximity checking
-  await smartOrderService.handleNewOrder(
-    order,
-    currentLocation,
-    (orderToShow) => {
-      // Callback to show order modal when driver is near
-      setState(prev => ({
-        ...prev,
-        showDeliveryModal: true,
-        currentDeliveryOrder: orderToShow,
-      }));
-    }
-  );
+        logger.log("📦 New delivery order received:", order.orderCode);
+        logger.log(`   Restaurant: ${order.restaurantName}`);
+        logger.log(`   Delivery Fee: ${order.deliveryFee}, Tip: ${order.tip}, Total: ${order.grandTotal}`);
 
-});
+        // Check if order is rejected
+        if (isOrderRejected(order.orderId)) {
+          logger.log(`🚫 Skipping rejected order from socket: ${order.orderCode}`);
+          return;
+        }
 
-    /***********************************************************
-     * 🔥 Location Requests (Server & Admin)
-     ***********************************************************/
-    socket.on("requestLocationUpdate", ({ reason }) => {
-      logger.log(`📡 Server requested location (${reason})`);
+        // With deliveries in progress, only offers along the current route are shown
+        const offer = filterOfferForActiveRoute(order);
+        if (!offer) return;
+
+        // Get current location
+        const currentLocation = locationService.getCurrentLocation();
+
+        // Use smart order service to handle proximity checking
+        await smartOrderService.handleNewOrder(
+          offer,
+          currentLocation,
+          (orderToShow) => {
+            // Callback to show order modal when driver is near
+            setState(prev => ({
+              ...prev,
+              showDeliveryModal: true,
+              currentDeliveryOrder: orderToShow,
+            }));
+          }
+        );
+      })),
+
+      /***********************************************************
+       * 🔥 Location Requests (Server & Admin)
+       ***********************************************************/
+      socketService.on("requestLocationUpdate", withInboundValidation("requestLocationUpdate", ({ reason }) => {
+        logger.log(`📡 Server requested location (${reason})`);
+
+        const loc = locationService.getCurrentLocation();
+        if (!loc) return;
+
+        // One update per delivery so every waiting customer sees the rider
+        toOrderList(activeOrderRef.current).forEach((activeOrder) => {
+          socketService.emit("locationUpdateFromCustomerTracking", {
+            location: {
+              latitude: loc.latitude,
+              longitude: loc.longitude,
+              accuracy: loc.accuracy || 10,
+              timestamp: loc.timestamp,
+              orderId: activeOrder._id || activeOrder.orderId,
+              customerId: activeOrder.userId || activeOrder.customerId,
+              deliveryPersonId: userId,
+            },
+          }, { buffer: false });
+        });
+      })),
 
-      const loc = locationService.getCurrentLocation();
-      if (!loc || !socketRef.current?.connected) return;
+      socketService.on("requestLocationUpdateForAdmin", withInboundValidation("requestLocationUpdateForAdmin", ({ requestedBy, reason }) => {
+        logger.log(`👨‍💼 Admin ${requestedBy} requested location (${reason})`);
 
-      const act = state.activeOrder;
-      const firstOrder = Array.isArray(act) ? act[0] : act;
+        const loc = locationService.getCurrentLocation();
+        if (!loc) return;
 
-      if (firstOrder) {
-        socketRef.current.emit("locationUpdateFromCustomerTracking", {
+        socketService.emit("locationUpdateForAdmin", {
+          requestedBy,
+          deliveryPersonId: userId,
+          deliveryPersonName: user?.firstName + " " + user?.lastName,
+          deliveryPersonPhone: user?.phone,
           location: {
             latitude: loc.latitude,
             longitude: loc.longitude,
             accuracy: loc.accuracy || 10,
             timestamp: loc.timestamp,
-            orderId: firstOrder._id || firstOrder.orderId,
-            customerId: firstOrder.userId || firstOrder.customerId,
-            deliveryPersonId: userId,
           },
-        });
-      }
-    });
-
-    socket.on("requestLocationUpdateForAdmin", ({ requestedBy, reason }) => {
-      logger.log(`👨‍💼 Admin ${requestedBy} requested location (${reason})`);
-
-      const loc = locationService.getCurrentLocation();
-      if (!loc || !socketRef.current?.connected) return;
-
-      socketRef.current.emit("locationUpdateForAdmin", {
-        requestedBy,
-        deliveryPersonId: userId,
-        deliveryPersonName: user?.firstName + " " + user?.lastName,
-        deliveryPersonPhone: user?.phone,
-        location: {
-          latitude: loc.latitude,
-          longitude: loc.longitude,
-          accuracy: loc.accuracy || 10,
-          timestamp: loc.timestamp,
-        },
-      });
-    });
-
-    /***********************************************************
-     * Customer Tracking (Start / Stop)
-     ***********************************************************/
-    socket.on("startPeriodicTracking", ({ customerId, orderId }) => {
-      logger.log(`👤 Customer started tracking order ${orderId}`);
-      startPeriodicLocationUpdates(customerId, orderId);
-    });
-
-    socket.on("stopPeriodicTracking", () => {
-      logger.log(`👤 Customer stopped tracking`);
-      stopPeriodicLocationUpdates();
-    });
+        }, { buffer: false });
+      })),
+
+      /***********************************************************
+       * Customer Tracking (Start / Stop)
+       ***********************************************************/
+      socketService.on("startPeriodicTracking", withInboundValidation("startPeriodicTracking", ({ customerId, orderId }) => {
+        logger.log(`👤 Customer started tracking order ${orderId}`);
+        startPeriodicLocationUpdates(customerId, orderId);
+      })),
+
+      socketService.on("stopPeriodicTracking", withInboundValidation("stopPeriodicTracking", () => {
+        logger.log(`👤 Customer stopped tracking`);
+        stopPeriodicLocationUpdates();
+      })),
+    ];
 
-    /***********************************************************
-     * Cleanup
-     ***********************************************************/
-    return () => {
-      socket.off();
-      socket.disconnect();
-      stopPeriodicLocationUpdates();
-    };
-  }, [
-    token,
-    userId,
-    user,
-    state.isOnline,
-    state.activeOrder,
-  ]);
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [userId, user, startPeriodicLocationUpdates, stopPeriodicLocationUpdates]);
 
 
 
@@ -876,11 +922,21 @@ const fetchActiveOrder = useCallback(
     const result = await DeliveryAPI.fetchOrdersByStatus(status, token);
     
     if (result.success) {
-      setState(prev => ({
-        ...prev,
-        isLoadingActiveOrder: false,
-        activeOrder: result.data.length > 0 ? result.data : null,
-      }));
+      setState(prev => {
+        // Only replace orders in this status - the rider may carry orders in other states
+        const otherOrders = toOrderList(prev.activeOrder).filter(
+          (order) =>
+            getOrderStatus(order) !== status &&
+            !result.data.some((fetched) => matchesOrderId(order, getOrderId(fetched)))
+        );
+        const merged = [...otherOrders, ...result.data];
+
+        return {
+          ...prev,
+          isLoadingActiveOrder: false,
+          activeOrder: merged.length > 0 ? merged : null,
+        };
+      });
     } else {
       setState(prev => ({
         ...prev,
@@ -908,12 +964,11 @@ const fetchAllActiveOrders = useCallback(async (forceRefresh = false) => {
     return;
   }
   
-  // Clear active orders first
+  // Keep showing the current orders while they refresh
   setState(prev => ({ 
     ...prev, 
     isLoadingActiveOrder: true, 
     activeOrderError: null,
-    activeOrder: null // Clear old data
   }));
 
   const result = await DeliveryAPI.fetchAllActiveOrders(token);
@@ -994,99 +1049,124 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
     }));
   }
 }, [token, isCacheValid, updateCache, state.dataCache]);
-  // 📦 Accept order function - REQUIRES SOCKET CONNECTION (only works when ONLINE)
+  // 📡 Emit acceptOrder over the socket and wait for the server acknowledgement
+  // Resolves with the server response, or null if the server didn't answer in time
+  const emitAcceptOrder = useCallback(async (orderId, deliveryPersonId) => {
+    const { status, response } = await socketService.emitWithAck(
+      'acceptOrder',
+      { orderId, deliveryPersonId },
+      { timeout: 10000 } // 10 second timeout
+    );
+
+    // Payload failed validation - nothing was sent
+    if (status === 'invalid') {
+      return { status: 'error', message: 'Invalid order details. Please refresh and try again.' };
+    }
+    return status === 'ok' ? response || {} : null;
+  }, []);
+
+  // ✅ Apply a successful acceptOrder response to local state
+  const applyAcceptedOrder = useCallback((orderId, deliveryPersonId, response) => {
+    // Transform locations from backend response
+    const transformedResponseData = transformOrderLocations(response.data || {});
+
+    // Store accepted order information using server response data
+    const acceptedOrderData = {
+      orderId: orderId,
+      deliveryPersonId: deliveryPersonId,
+      orderCode: response.data?.orderCode || `ORD-${orderId.slice(-6)}`,
+      pickUpVerification: response.data?.pickUpVerification || 'N/A',
+      message: response.message || 'Order accepted successfully',
+      acceptedAt: new Date().toISOString(),
+      // Additional order details from server (with transformed locations)
+      restaurantLocation: transformedResponseData.restaurantLocation,
+      deliveryLocation: transformedResponseData.deliveryLocation || transformedResponseData.deliverLocation,
+      destinationLocation: transformedResponseData.destinationLocation || transformedResponseData.deliverLocation,
+      deliveryFee: extractNumber(response.data?.deliveryFee),
+      tip: extractNumber(response.data?.tip),
+      distanceKm: response.data?.distanceKm || 0,
+      description: response.data?.description || '',
+      status: response.data?.status || 'Accepted',
+    };
+
+    const activeOrderData = {
+      orderId,
+      deliveryPersonId,
+      orderCode: response.data?.orderCode || `ORD-${orderId.slice(-6)}`,
+      deliveryVerificationCode: response.data?.pickUpVerification || 'N/A',
+      restaurantLocation: transformedResponseData.restaurantLocation,
+      deliveryLocation: transformedResponseData.deliveryLocation || transformedResponseData.deliverLocation,
+      destinationLocation: transformedResponseData.destinationLocation || transformedResponseData.deliverLocation,
+      deliveryFee: extractNumber(response.data?.deliveryFee),
+      tip: extractNumber(response.data?.tip),
+      distanceKm: response.data?.distanceKm || 0,
+      description: response.data?.description || '',
+      status: response.data?.status || 'Accepted',
+      userPhone: response.data?.phoneNumber,
+    };
+
+    setState((prev) => ({
+      ...prev,
+      acceptedOrder: acceptedOrderData,
+      activeOrder: upsertActiveOrder(prev.activeOrder, activeOrderData),
+      availableOrders: prev.availableOrders.filter(
+        (o) => o.orderId !== orderId
+      ),
+      availableOrdersCount: Math.max(0, prev.availableOrdersCount - 1),
+      showOrderModal: false,
+      pendingOrderPopup: null,
+    }));
+
+    orderJournalService.record(ORDER_EVENTS.ACCEPTED, activeOrderData);
+
+    // Immediately fetch active orders to update the state
+    fetchAllActiveOrders(true).catch(e => logger.error('Error fetching active orders:', e));
+
+    // Remove order from smart order service pending list
+    smartOrderService.removeOrder(orderId);
+    logger.log(`🗑️ Removed order ${orderId} from smart order service`);
+  }, [fetchAllActiveOrders]);
+
+  // 📦 Accept order function - REQUIRES SOCKET CONNECTION (queued while the rider has no signal)
   const acceptOrder = useCallback(async (orderId, deliveryPersonId) => {
-    if (!socketRef.current) {
-      Alert.alert("Error", "Not connected to server. Please go ONLINE to accept orders.");
+    if (!deliveryPersonId) {
+      Alert.alert("Error", "Delivery person ID not found");
       return false;
     }
 
-    if (!socketRef.current.connected) {
-      Alert.alert("Error", "Socket not connected to server. Please go ONLINE to accept orders.");
+    // 📥 No signal (or socket still reconnecting) - keep the action in the outbox
+    if (!offlineQueueService.isNetworkAvailable() || (socketService.hasSocket() && !socketService.isConnected())) {
+      await offlineQueueService.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, orderId, { orderId, deliveryPersonId });
+      Alert.alert(
+        "📥 Accept Queued",
+        "You're offline right now. The order will be accepted automatically as soon as your connection is back.",
+        [{ text: 'OK', style: 'default' }]
+      );
       return false;
     }
 
-    if (!deliveryPersonId) {
-      Alert.alert("Error", "Delivery person ID not found");
+    if (!socketService.hasSocket()) {
+      Alert.alert("Error", "Not connected to server. Please go ONLINE to accept orders.");
       return false;
     }
 
-    return new Promise((resolve) => {
     try {
-      
-        
-        // Emit acceptOrder event to socket server
-        socketRef.current.emit('acceptOrder', { orderId, deliveryPersonId }, (response) => {
-          
-          if (response && response.status === 'success') {
-            
-            // Transform locations from backend response
-            const transformedResponseData = transformOrderLocations(response.data || {});
-            
-            // Store accepted order information using server response data
-        const acceptedOrderData = {
-          orderId: orderId,
-          deliveryPersonId: deliveryPersonId,
-              orderCode: response.data?.orderCode || `ORD-${orderId.slice(-6)}`,
-              pickUpVerification: response.data?.pickUpVerification || 'N/A',
-              message: response.message || 'Order accepted successfully',
-          acceptedAt: new Date().toISOString(),
-              // Additional order details from server (with transformed locations)
-              restaurantLocation: transformedResponseData.restaurantLocation,
-              deliveryLocation: transformedResponseData.deliveryLocation || transformedResponseData.deliverLocation,
-              destinationLocation: transformedResponseData.destinationLocation || transformedResponseData.deliverLocation,
-              deliveryFee: extractNumber(response.data?.deliveryFee),
-              tip: extractNumber(response.data?.tip),
-              distanceKm: response.data?.distanceKm || 0,
-              description: response.data?.description || '',
-              status: response.data?.status || 'Accepted',
-        };
-        
-
-        const activeOrderData = {
-          orderId,
-          deliveryPersonId,
-          orderCode: response.data?.orderCode || `ORD-${orderId.slice(-6)}`,
-          deliveryVerificationCode: response.data?.pickUpVerification || 'N/A',
-          restaurantLocation: transformedResponseData.restaurantLocation,
-          deliveryLocation: transformedResponseData.deliveryLocation || transformedResponseData.deliverLocation,
-          destinationLocation: transformedResponseData.destinationLocation || transformedResponseData.deliverLocation,
-          deliveryFee: extractNumber(response.data?.deliveryFee),
-          tip: extractNumber(response.data?.tip),
-          distanceKm: response.data?.distanceKm || 0,
-          description: response.data?.description || '',
-          status: response.data?.status || 'Accepted',
-          userPhone:response.data?.phoneNumber,
-        };
-
-        setState((prev) => ({
-          ...prev,
-          acceptedOrder: acceptedOrderData,
-          activeOrder: activeOrderData,
-          availableOrders: prev.availableOrders.filter(
-            (o) => o.orderId !== orderId
-          ),
-          availableOrdersCount: Math.max(0, prev.availableOrdersCount - 1),
-          showOrderModal: false,
-          pendingOrderPopup: null,
-        }));
+      const response = await emitAcceptOrder(orderId, deliveryPersonId);
 
-      
-            // Calculate total earnings (handle MongoDB Decimal128 format)
-            const deliveryFee = extractNumber(response.data?.deliveryFee);
-            const tip = extractNumber(response.data?.tip);
-            const totalEarnings = deliveryFee + tip;
-
-        // Immediately fetch active orders to update the state
-        fetchActiveOrder('Cooked').catch(e => logger.error('Error fetching cooked orders:', e));
-        fetchActiveOrder('Delivering').catch(e => logger.error('Error fetching delivering orders:', e));
+      if (!response) {
+        Alert.alert(
+          "⏰ Request Timeout",
+          "The server didn't respond in time. Please check your connection and try again.",
+          [
+            { text: 'OK', style: 'default' }
+          ]
+        );
+        return false;
+      }
 
-        // Remove order from smart order service pending list
-        smartOrderService.removeOrder(orderId);
-        logger.log(`🗑️ Removed order ${orderId} from smart order service`);
+      if (response.status === 'success') {
+        applyAcceptedOrder(orderId, deliveryPersonId, response);
 
-        // Log success details to console (no blocking alert)
-        
         // Show quick toast notification on Android (non-blocking)
         if (Platform.OS === 'android') {
           ToastAndroid.show(
@@ -1094,95 +1174,77 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
             ToastAndroid.SHORT
           );
         }
-        
-            resolve(true);
-      } else {            
-            // Handle error response from socket (matches server error format)
-            const errorMessage = response.message || 'Failed to accept order';
-            
-            if (errorMessage.includes('You already have an active order')) {
-              Alert.alert(
-                "🚫 Active Order Conflict",
-                "⚠️ You already have an active order in progress!\n\n💡 Please complete or cancel your current order before accepting a new one.",
-                [
-                  { text: 'Got it', style: 'default' }
-                ]
-              );
-            } else if (errorMessage.includes('Order is not available for acceptance')) {
-              Alert.alert(
-                "😔 Order No Longer Available",
-                "❌ This order is no longer available for acceptance.\n\n👥 It may have been taken by another delivery person.\n\n🔄 Please refresh the orders list to see new available orders.",
-                [
-                  { text: 'OK', style: 'default' }
-                ]
-              );
-            } else if (errorMessage.includes('Order ID is required')) {
-              Alert.alert(
-                "⚠️ Invalid Request",
-                "❌ Order ID is missing from your request.\n\n🔄 Please try again or contact support if the issue persists.",
-                [
-                  { text: 'Try Again', style: 'default' }
-                ]
-              );
-            } else if (errorMessage.includes('Invalid order ID')) {
-              Alert.alert(
-                "⚠️ Invalid Order ID",
-                "❌ The order ID provided is not valid.\n\n🔄 Please try again or contact support if the issue persists.",
-                [
-                  { text: 'Try Again', style: 'default' }
-                ]
-              );
-            } else {
-            Alert.alert(
-                "❌ Order Acceptance Failed",
-                `⚠️ ${errorMessage}\n\n🔄 Please try again or contact support if the issue persists.`,
-                [
-                  { text: 'Try Again', style: 'default' }
-                ]
-              );
-            }
-            
-            resolve(false);
-          }
-        });
-        
-        // Add timeout to handle cases where server doesn't respond
-        setTimeout(() => {
-          Alert.alert(
-            "⏰ Request Timeout",
-            "The server didn't respond in time. Please check your connection and try again.",
-            [
-              { text: 'OK', style: 'default' }
-            ]
-          );
-          resolve(false);
-        }, 10000); // 10 second timeout
-      } catch (err) {
-        logger.error("❌ Error accepting order:", err);
-            Alert.alert(
-          "🌐 Connection Error",
-          "❌ Unable to send order acceptance request.\n\n📶 Please check your connection and try again.",
+
+        return true;
+      }
+
+      // Handle error response from socket (matches server error format)
+      const errorMessage = response.message || 'Failed to accept order';
+
+      if (errorMessage.includes('You already have an active order')) {
+        Alert.alert(
+          "🚫 Active Order Conflict",
+          "⚠️ You already have an active order in progress!\n\n💡 Please complete or cancel your current order before accepting a new one.",
+          [
+            { text: 'Got it', style: 'default' }
+          ]
+        );
+      } else if (errorMessage.includes('Order is not available for acceptance')) {
+        Alert.alert(
+          "😔 Order No Longer Available",
+          "❌ This order is no longer available for acceptance.\n\n👥 It may have been taken by another delivery person.\n\n🔄 Please refresh the orders list to see new available orders.",
+          [
+            { text: 'OK', style: 'default' }
+          ]
+        );
+      } else if (errorMessage.includes('Order ID is required')) {
+        Alert.alert(
+          "⚠️ Invalid Request",
+          "❌ Order ID is missing from your request.\n\n🔄 Please try again or contact support if the issue persists.",
+          [
+            { text: 'Try Again', style: 'default' }
+          ]
+        );
+      } else if (errorMessage.includes('Invalid order ID')) {
+        Alert.alert(
+          "⚠️ Invalid Order ID",
+          "❌ The order ID provided is not valid.\n\n🔄 Please try again or contact support if the issue persists.",
+          [
+            { text: 'Try Again', style: 'default' }
+          ]
+        );
+      } else {
+        Alert.alert(
+          "❌ Order Acceptance Failed",
+          `⚠️ ${errorMessage}\n\n🔄 Please try again or contact support if the issue persists.`,
           [
             { text: 'Try Again', style: 'default' }
           ]
         );
-        resolve(false);
       }
-    });
-  }, [fetchActiveOrder]);
 
-  // 🚨 Check if there's ANY active order (regardless of status)
-  const hasActiveDelivery = useCallback(() => {
-    if (!state.activeOrder) return false;
-    
-    // If activeOrder exists and is not null/undefined, return true
-    if (Array.isArray(state.activeOrder)) {
-      return state.activeOrder.length > 0;
+      return false;
+    } catch (err) {
+      logger.error("❌ Error accepting order:", err);
+      Alert.alert(
+        "🌐 Connection Error",
+        "❌ Unable to send order acceptance request.\n\n📶 Please check your connection and try again.",
+        [
+          { text: 'Try Again', style: 'default' }
+        ]
+      );
+      return false;
     }
-    
-    // Single order object exists
-    return true;
-  }, [state.activeOrder]);
+  }, [emitAcceptOrder, applyAcceptedOrder]);
+
+  // 🚨 Check if there's ANY active order (regardless of status)
+  const hasActiveDelivery = useCallback(() => hasActiveOrder, [hasActiveOrder]);
+
+  // 🔎 Look up one of the rider's active orders by id or order code
+  const getActiveOrderById = useCallback(
+    (orderId) => findActiveOrder(state.activeOrder, orderId),
+    [state.activeOrder]
+  );
 
   // Toggle online status with active order check
   const toggleOnlineStatus = useCallback(() => {
@@ -1223,10 +1285,7 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
         hideOrderModal();
         
         // Fetch active orders to refresh the state
-        await Promise.all([
-          fetchActiveOrder('Cooked'),
-          fetchActiveOrder('Delivering'),
-        ]);
+        await fetchAllActiveOrders(true);
         
         // Call success callback if provided (for navigation)
         if (onSuccessCallback) {
@@ -1234,14 +1293,15 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
         }
       }
     },
-    [acceptOrder, userId, hideOrderModal, fetchActiveOrder]
+    [acceptOrder, userId, hideOrderModal, fetchAllActiveOrders]
   );
 
-  const declineOrder = useCallback((order) => {
+  const declineOrder = useCallback((order, reason = null) => {
     // Remove order from smart order service
     const orderId = order.orderId || order.id || order._id;
     if (orderId) {
       smartOrderService.removeOrder(orderId);
+      recordDecline(order, reason);
       logger.log(`🗑️ Removed declined order ${orderId} from smart order service`);
     }
 
@@ -1295,8 +1355,8 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
     }));
   }, [state.currentDeliveryOrder, acceptOrder, userId, fetchActiveOrder]);
 
-  const handleDeclineDeliveryOrder = useCallback(async () => {
-    logger.log('Declining delivery order');
+  const handleDeclineDeliveryOrder = useCallback(async (reason = null) => {
+    logger.log('Declining delivery order', reason ? `(${reason})` : '');
     
     // Remove order from smart order service and add to rejected list
     if (state.currentDeliveryOrder) {
@@ -1305,7 +1365,7 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
         smartOrderService.removeOrder(orderId);
         
         // Add to rejected orders list so it won't show notification again
-        await addRejectedOrder(orderId);
+        await recordDecline(state.currentDeliveryOrder, reason);
         
         logger.log(`🚫 Order ${orderId} declined and added to rejected list`);
       }
@@ -1323,6 +1383,20 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
     }
   }, [state.currentDeliveryOrder]);
 
+  // ↩️ Un-decline an offer: notify about it again and show it in the available list
+  const restoreDeclinedOrder = useCallback(async (orderId) => {
+    if (!(await removeRejectedOrder(orderId))) return false;
+
+    try {
+      await markUnnotified(orderId);
+    } catch (error) {
+      logger.error('❌ Failed to re-arm notifications for restored order:', error);
+    }
+
+    await fetchAvailableOrders(true);
+    return true;
+  }, [fetchAvailableOrders]);
+
   const joinDeliveryMethod = useCallback((method) => {
   }, []);
 
@@ -1335,14 +1409,12 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
   }, []);
 
   // 🧹 Clear all delivery data (for logout)
-  const clearDeliveryData = useCallback(async () => {
+  // keepOutbox: leave queued offline actions in place so they replay after the next login
+  const clearDeliveryData = useCallback(async ({ keepOutbox = false } = {}) => {
     try {
       
       // Disconnect socket
-      if (socketRef.current) {
-        socketRef.current.disconnect();
-        socketRef.current = null;
-      }
+      socketService.disconnect();
       
       // Clear periodic location updates
       stopPeriodicLocationUpdates();
@@ -1350,14 +1422,13 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
       // Stop proximity alarm and vibration
       await proximityService.stopProximityAlarm();
       
-      // Clean up notification sound
-      if (notificationSoundRef.current) {
-        await notificationSoundRef.current.unloadAsync();
-        notificationSoundRef.current = null;
-      }
+      // Stop any alert sound still playing
+      await audioManager.stopAll();
       
-      // Clear stored order data
-      // persistent storage for orders removed; nothing to clear
+      // Drop queued offline actions on logout - they belong to this rider's session
+      if (!keepOutbox) {
+        await offlineQueueService.clear();
+      }
       
       // Reset state
       setState((prev) => ({
@@ -1370,7 +1441,6 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
         isConnected: false,
         isOnline: false,
         orderHistory: [],
-        socket: null,
         broadcastMessages: [],
         newOrderNotification: false,
         isLoadingOrders: false,
@@ -1389,39 +1459,34 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
     }
   }, [stopPeriodicLocationUpdates]);
 
+  // 🔒 Session expired - stop sockets, tracking and alarms before the login screen opens
+  useEffect(() => {
+    if (!sessionExpiredReason) return;
+
+    logger.log('🔒 Session expired - stopping tracking and socket');
+    (async () => {
+      // The rider did not log out - keep the outbox so it replays after they sign back in
+      await clearDeliveryData({ keepOutbox: true });
+      await proximityService.stopBackgroundTracking();
+      proximityService.stopProximityChecking();
+      await locationService.stopLocationTracking();
+    })();
+  }, [sessionExpiredReason, clearDeliveryData]);
+
   // 🔁 Attempt to reconnect the socket (exposed to UI)
   const reconnectSocket = useCallback(() => {
     try {
       // Clear previous socket error in UI while attempting reconnect
       setState((prev) => ({ ...prev, socketError: null }));
 
-      if (socketRef.current) {
-        // If socket exists, try to reconnect
-        socketRef.current.connect();
-        return true;
-      }
-
-      // If no socket instance exists, attempt to create one (minimal setup)
       if (!token || !userId) {
         setState((prev) => ({ ...prev, socketError: 'Authentication required to connect.' }));
         return false;
       }
 
-      const s = io("https://api.bahirandelivery.cloud", {
-        transports: ["websocket"],
-        auth: { token }
-      });
-      socketRef.current = s;
-
-      s.on('connect', () => {
-        setState((prev) => ({ ...prev, isConnected: true, socket: s, socketError: null }));
-      });
-
-      s.on('connect_error', (err) => {
-        const message = err?.message || String(err);
-        setState((prev) => ({ ...prev, socketError: message, isConnected: false }));
-      });
-
+      // Creates the connection if there is none, otherwise retries right away
+      socketService.connect(token);
+      socketService.reconnect();
       return true;
     } catch (err) {
       setState((prev) => ({ ...prev, socketError: 'Reconnect failed: ' + (err.message || String(err)) }));
@@ -1447,7 +1512,7 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
   const sendLocationUpdateViaSocket = useCallback(async (additionalData = {}) => {
     try {
       // Check if socket is connected
-      if (!socketRef.current || !socketRef.current.connected) {
+      if (!socketService.isConnected()) {
         logger.warn('⚠️ Socket not connected, cannot send location update');
         return false;
       }
@@ -1477,7 +1542,9 @@ const fetchAvailableOrders = useCallback(async (forceRefresh = false) => {
       };
 
       // Emit location update
-      socketRef.current.emit('locationUpdate', payload);
+      if (!socketService.emit('locationUpdate', payload, { buffer: false })) {
+        return false;
+      }
       logger.log('✅ Manual location update sent');
       return true;
       
@@ -1546,46 +1613,111 @@ const fetchDeliveryHistory = useCallback(async (forceRefresh = false) => {
 
 
 
-  // ✅ Verify delivery function - WORKS WITHOUT SOCKET CONNECTION
-  const verifyDelivery = useCallback(async (orderId, verificationCode) => {
+  // ✅ Verify delivery function - WORKS WITHOUT SOCKET CONNECTION (queued while the rider has no signal)
+  // proofId: stored proof-of-delivery capture sent instead of (or with) the code
+  const verifyDelivery = useCallback(async (orderId, verificationCode, proofId = null) => {
     if (!token) {
       Alert.alert("Error", "Authentication required. Please log in again.");
       return;
     }
 
-    const result = await DeliveryAPI.verifyDelivery(orderId, verificationCode, token);
+    const queueVerification = async () => {
+      await offlineQueueService.enqueue(OUTBOX_ACTIONS.VERIFY_DELIVERY, orderId, { orderId, verificationCode, proofId });
+      Alert.alert(
+        "📥 Verification Queued",
+        proofId
+          ? "You're offline right now. The photo and signature will be uploaded automatically as soon as your connection is back."
+          : "You're offline right now. The code will be sent automatically as soon as your connection is back."
+      );
+      return { success: false, queued: true, error: 'Verification queued until connection is restored' };
+    };
+
+    // 🔐 Code attempts are limited per order - don't even send one while locked
+    if (verificationCode) {
+      const lockState = verificationLockService.getState(orderId);
+      if (lockState.isLocked) {
+        return { success: false, error: 'Too many failed attempts for this order.', ...lockState };
+      }
+    }
+
+    if (!offlineQueueService.isNetworkAvailable()) {
+      return queueVerification();
+    }
+
+    const proof = proofId ? await deliveryProofService.getUploadPayload(proofId) : null;
+    if (proofId && !proof) {
+      return { success: false, error: 'Proof of delivery not found. Please capture it again.' };
+    }
+
+    const result = await DeliveryAPI.verifyDelivery(orderId, verificationCode, token, proof);
     
-    if (result.success) {
-      setState((prev) => ({ ...prev, activeOrder: null, acceptedOrder: null }));
+    if (result.success && !verificationCode) {
+      // ⏳ The backend hasn't confirmed that a proof alone verifies an order - keep the order
+      // open and let the refreshed active orders show whether the server completed it
+      if (proofId) deliveryProofService.markUploaded(proofId);
+      offlineQueueService.discard(OUTBOX_ACTIONS.VERIFY_DELIVERY, orderId);
+      fetchAllActiveOrders(true).catch(e => logger.error('Error fetching active orders:', e));
+
+      Alert.alert(
+        "📸 Proof Submitted",
+        "The photo and signature were uploaded. The delivery shows as verified once the server confirms it."
+      );
+      return { success: true, pending: true, data: result.data };
+    } else if (result.success) {
+      if (proofId) deliveryProofService.markUploaded(proofId);
+      verificationLockService.clear(orderId);
+      // An earlier offline attempt for this order would only replay into a conflict
+      offlineQueueService.discard(OUTBOX_ACTIONS.VERIFY_DELIVERY, orderId);
+      orderJournalService.record(ORDER_EVENTS.VERIFIED, findActiveOrder(activeOrderRef.current, orderId) || orderId);
+      setState((prev) => clearFinishedOrder(prev, orderId));
+      proximityService.stopOrderAlarm(orderId);
       
       // Fetch updated delivery history to show the completed order
       fetchDeliveryHistory().catch(e => logger.error('Error fetching delivery history:', e));
       
       // Fetch active orders to clear the completed one
-      fetchAllActiveOrders().catch(e => logger.error('Error fetching active orders:', e));
+      fetchAllActiveOrders(true).catch(e => logger.error('Error fetching active orders:', e));
       
       Alert.alert("🎉 Delivery Verified!", result.message);
       return { success: true, data: result.data };
+    } else if (result.isNetworkError) {
+      // Signal dropped mid-request - don't count it as a failed attempt
+      return queueVerification();
+    } else if (!verificationCode) {
+      // The server may simply want a code for this order - don't count the proof as a failed upload
+      Alert.alert("📸 Proof Not Accepted", `${result.error}\n\nAsk the customer for their code to finish the delivery.`);
+      return { success: false, pending: true, error: result.error };
     } else {
-      Alert.alert("❌ Verification Failed", result.error);
-      return { success: false, error: result.error };
+      // Only codes the server refused count towards the lock - server/auth errors
+      // can simply be retried
+      const lockState = verificationCode && isCodeRejected(result)
+        ? await verificationLockService.recordFailure(orderId, result.lockInfo)
+        : verificationLockService.getState(orderId);
+      if (!lockState.isLocked) {
+        Alert.alert("❌ Verification Failed", result.error);
+      }
+      return { success: false, error: result.error, ...lockState };
     }
   }, [token, fetchDeliveryHistory, fetchAllActiveOrders]);
   
   // 🏁 Complete order function
   const completeOrder = useCallback(async (orderId) => {
     try {
-      
-      // Clear active order and fetch updated data
-      setState((prev) => ({
-        ...prev,
-        activeOrder: null,
-        acceptedOrder: null,
-      }));
+      orderJournalService.record(ORDER_EVENTS.COMPLETED, findActiveOrder(activeOrderRef.current, orderId) || orderId);
+
+      // Clear this order and fetch updated data
+      setState((prev) => clearFinishedOrder(prev, orderId));
+      proximityService.stopOrderAlarm(orderId);
+
+      // 📥 No signal - the server already finished the order on verification;
+      // the lists catch up on the next refresh once the connection is back
+      if (!offlineQueueService.isNetworkAvailable()) {
+        return true;
+      }
       
       // Fetch updated delivery history to include the completed order
       await Promise.all([
-        fetchAllActiveOrders(), // Refresh active orders
+        fetchAllActiveOrders(true), // Refresh active orders (the cache still holds the finished one)
         fetchDeliveryHistory(), // Refresh completed orders history
       ]);
       
@@ -1596,26 +1728,181 @@ const fetchDeliveryHistory = useCallback(async (forceRefresh = false) => {
     }
   }, [fetchAllActiveOrders, fetchDeliveryHistory]);
 
+  // 🚦 Report a status step (picked up, in transit...) - queued so it reaches the server in order, even offline
+  const updateDeliveryStatus = useCallback(async (orderId, status, details = {}) => {
+    try {
+      if (STATUS_EVENTS[status]) {
+        orderJournalService.record(
+          STATUS_EVENTS[status],
+          findActiveOrder(activeOrderRef.current, orderId) || orderId,
+          { ...details, status }
+        );
+      }
+
+      await offlineQueueService.enqueue(OUTBOX_ACTIONS.UPDATE_STATUS, orderId, {
+        orderId,
+        status,
+        undone: false,
+        source: 'manual',
+        updatedAt: Date.now(),
+      });
+      return true;
+    } catch (error) {
+      logger.error('❌ Error queueing status update:', error);
+      return false;
+    }
+  }, []);
+
   // ❌ Cancel order function
   const cancelOrder = useCallback(async (orderId) => {
     try {
+      orderJournalService.record(ORDER_EVENTS.CANCELLED, findActiveOrder(activeOrderRef.current, orderId) || orderId);
+
+      // Clear this order and fetch updated data
+      setState((prev) => clearFinishedOrder(prev, orderId));
+
+      // 📥 No signal - nothing to send (cancelling is local), the list refreshes once the connection is back
+      if (!offlineQueueService.isNetworkAvailable()) {
+        return true;
+      }
       
-      // Clear active order and fetch updated data
-      setState((prev) => ({
-        ...prev,
-        activeOrder: null,
-        acceptedOrder: null,
-      }));
-      
-      // Fetch updated active order (should be null if no more cooked orders)
-      await fetchActiveOrder();
+      // Fetch the remaining active orders
+      await fetchAllActiveOrders(true);
       
       return true;
     } catch (error) {
       logger.error('❌ Error cancelling order:', error);
       return false;
     }
-  }, [fetchActiveOrder]);
+  }, [fetchAllActiveOrders]);
+
+  // 📤 Replay handlers for the offline action queue
+  // Re-registered whenever the callbacks change so replays always use the latest token/socket
+  useEffect(() => {
+    offlineQueueService.registerHandler(OUTBOX_ACTIONS.ACCEPT_ORDER, async ({ orderId, deliveryPersonId }) => {
+      if (!socketService.isConnected()) {
+        return { status: REPLAY_RESULT.RETRY, message: 'Socket not connected' };
+      }
+
+      const response = await emitAcceptOrder(orderId, deliveryPersonId);
+      if (!response) {
+        return { status: REPLAY_RESULT.RETRY, message: 'Server did not respond' };
+      }
+
+      if (response.status === 'success') {
+        applyAcceptedOrder(orderId, deliveryPersonId, response);
+        return { status: REPLAY_RESULT.SUCCESS };
+      }
+
+      const errorMessage = response.message || 'Failed to accept order';
+      if (errorMessage.includes('Order is not available for acceptance')) {
+        return { status: REPLAY_RESULT.CONFLICT, message: 'This order was already taken by another rider.' };
+      }
+      return { status: REPLAY_RESULT.CONFLICT, message: errorMessage };
+    });
+
+    offlineQueueService.registerHandler(OUTBOX_ACTIONS.VERIFY_DELIVERY, async ({ orderId, verificationCode, proofId }) => {
+      if (!token) {
+        return { status: REPLAY_RESULT.RETRY, message: 'Not authenticated' };
+      }
+
+      const proof = proofId ? await deliveryProofService.getUploadPayload(proofId) : null;
+      if (proofId && !proof) {
+        return { status: REPLAY_RESULT.CONFLICT, message: 'The proof of delivery is no longer on this device.' };
+      }
+
+      const result = await DeliveryAPI.verifyDelivery(orderId, verificationCode, token, proof);
+      if (result.success && !verificationCode) {
+        // ⏳ Proof-only verification stays pending until the server's active orders say otherwise
+        if (proofId) deliveryProofService.markUploaded(proofId);
+        fetchAllActiveOrders(true).catch(e => logger.error('Error fetching active orders:', e));
+        return { status: REPLAY_RESULT.SUCCESS };
+      }
+      if (result.success) {
+        if (proofId) deliveryProofService.markUploaded(proofId);
+        verificationLockService.clear(orderId);
+        orderJournalService.record(ORDER_EVENTS.VERIFIED, findActiveOrder(activeOrderRef.current, orderId) || orderId, { replayed: true });
+        setState((prev) => clearFinishedOrder(prev, orderId));
+        fetchDeliveryHistory(true).catch(e => logger.error('Error fetching delivery history:', e));
+        fetchAllActiveOrders(true).catch(e => logger.error('Error fetching active orders:', e));
+        return { status: REPLAY_RESULT.SUCCESS };
+      }
+      if (result.isNetworkError) {
+        return { status: REPLAY_RESULT.RETRY, message: result.error };
+      }
+      if (verificationCode && isCodeRejected(result)) {
+        await verificationLockService.recordFailure(orderId, result.lockInfo);
+      }
+      return { status: REPLAY_RESULT.CONFLICT, message: result.error };
+    });
+
+    offlineQueueService.registerHandler(OUTBOX_ACTIONS.DECLINE_FEEDBACK, async ({ orderId, reason, declinedAt }) => {
+      if (!token) {
+        return { status: REPLAY_RESULT.RETRY, message: 'Not authenticated' };
+      }
+
+      const result = await DeliveryAPI.sendDeclineFeedback(orderId, { reason, declinedAt }, token);
+      if (result.isNetworkError) {
+        return { status: REPLAY_RESULT.RETRY, message: result.error };
+      }
+      if (!result.success) {
+        // Best effort - a backend without the endpoint (or refusing it) shouldn't alert the rider
+        logger.warn(`⚠️ Decline feedback for ${orderId} dropped (${result.status || 'error'}): ${result.error}`);
+      }
+      return { status: REPLAY_RESULT.SUCCESS };
+    });
+
+    // Status steps, including geofence steps queued by the headless geofence task
+    offlineQueueService.registerHandler(OUTBOX_ACTIONS.UPDATE_STATUS, async ({ orderId, status, undone, source, updatedAt }) => {
+      if (!token) {
+        return { status: REPLAY_RESULT.RETRY, message: 'Not authenticated' };
+      }
+
+      const result = await DeliveryAPI.updateDeliveryStatus(orderId, status, { undone, source, updatedAt }, token);
+      if (result.isNetworkError || result.requiresAuth || result.status >= 500) {
+        return { status: REPLAY_RESULT.RETRY, message: result.error };
+      }
+      if (!result.success) {
+        // Best effort like decline feedback - the route isn't confirmed yet, so a refusal is logged, not alerted
+        logger.warn(`⚠️ Status ${status} for ${orderId} dropped (${result.status || 'error'}): ${result.error}`);
+      }
+      return { status: REPLAY_RESULT.SUCCESS };
+    });
+
+    // Handlers may have been missing when connectivity came back
+    offlineQueueService.flush();
+  }, [token, emitAcceptOrder, applyAcceptedOrder, fetchDeliveryHistory, fetchAllActiveOrders]);
+
+  // 📤 Track queued actions and surface conflicts to the rider
+  useEffect(() => {
+    const unsubscribeChange = offlineQueueService.subscribe((count) => {
+      setState((prev) => ({ ...prev, pendingActionsCount: count }));
+    });
+
+    const unsubscribeConflict = offlineQueueService.onConflict(({ actionType, orderId, message }) => {
+      const titles = {
+        [OUTBOX_ACTIONS.ACCEPT_ORDER]: "😔 Queued Accept Failed",
+        [OUTBOX_ACTIONS.VERIFY_DELIVERY]: "❌ Queued Verification Failed",
+      };
+      Alert.alert(
+        titles[actionType] || "⚠️ Queued Action Failed",
+        `Order ${orderId}: ${message || 'The server rejected this action.'}`,
+        [{ text: 'OK', style: 'default' }]
+      );
+    });
+
+    offlineQueueService.init().catch(e => logger.error('Error initializing offline queue:', e));
+
+    return () => {
+      unsubscribeChange();
+      unsubscribeConflict();
+    };
+  }, []);
+
+  // 👤 Replay only what the signed-in rider queued - a different rider signing in drops the rest
+  useEffect(() => {
+    offlineQueueService.setUser(userId).catch(e => logger.error('Error switching outbox rider:', e));
+  }, [userId]);
 
   // 🔄 Refresh stored order (useful for checking order status)
   const refreshStoredOrder = useCallback(async () => {
@@ -1691,6 +1978,8 @@ const fetchDeliveryHistory = useCallback(async (forceRefresh = false) => {
     <DeliveryContext.Provider
       value={{
         ...state,
+        activeOrders,
+        getActiveOrderById,
         acceptOrder,
         toggleOnlineStatus,
         showOrderModalFn,
@@ -1699,6 +1988,7 @@ const fetchDeliveryHistory = useCallback(async (forceRefresh = false) => {
         declineOrder,
         handleAcceptDeliveryOrder,
         handleDeclineDeliveryOrder,
+        restoreDeclinedOrder,
         joinDeliveryMethod,
         clearBroadcastMessages,
         clearNewOrderNotification,
@@ -1707,6 +1997,7 @@ const fetchDeliveryHistory = useCallback(async (forceRefresh = false) => {
         // Order management functions
         completeOrder,
         cancelOrder,
+        updateDeliveryStatus,
         verifyDelivery,
         // History and analytics functions
         fetchDeliveryHistory,
@@ -0,0 +1,238 @@
+jest.mock('@react-native-community/netinfo', () => ({
+  addEventListener: jest.fn(() => jest.fn()),
+}));
+jest.mock('../../utils/secure-storage', () => ({
+  getStoredUserId: jest.fn(async () => null),
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: { log: jest.fn(), info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const NOW = Date.UTC(2025, 0, 1, 12);
+
+let service;
+let OUTBOX_ACTIONS;
+let REPLAY_RESULT;
+let getDatabase;
+
+const rows = async () => (await getDatabase()).getAllAsync(`SELECT * FROM outbox ORDER BY id ASC`);
+
+// Fresh service, database and mocks; signed in as rider-1 and offline so nothing replays yet
+beforeEach(async () => {
+  jest.resetModules();
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+  ({ default: service, OUTBOX_ACTIONS, REPLAY_RESULT } = require('../offline-queue-service'));
+  ({ getDatabase } = require('../../db/database'));
+
+  await service.init();
+  service.isConnected = false;
+  await service.setUser('rider-1');
+  jest.spyOn(service, 'scheduleRetry').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const replay = async () => {
+  service.isConnected = true;
+  await service.flush();
+};
+
+// Records every replayed action and answers with the given results (SUCCESS by default)
+const recordHandlers = (results = {}) => {
+  const calls = [];
+  Object.values(OUTBOX_ACTIONS).forEach((actionType) => {
+    service.registerHandler(actionType, async (payload) => {
+      calls.push([actionType, payload.orderId]);
+      const result = results[`${actionType}:${payload.orderId}`] ?? results[actionType] ?? REPLAY_RESULT.SUCCESS;
+      return { status: result, message: `${result} for ${payload.orderId}` };
+    });
+  });
+  return calls;
+};
+
+describe('offline queue replay', () => {
+  it('replays queued actions in order and drops them once applied', async () => {
+    const calls = recordHandlers();
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    await service.enqueue(OUTBOX_ACTIONS.VERIFY_DELIVERY, 'o1', { orderId: 'o1' });
+
+    await replay();
+
+    expect(calls).toEqual([
+      [OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1'],
+      [OUTBOX_ACTIONS.VERIFY_DELIVERY, 'o1'],
+    ]);
+    expect(await rows()).toHaveLength(0);
+  });
+
+  it('stops at an accept that must be retried so nothing overtakes it', async () => {
+    const calls = recordHandlers({ [OUTBOX_ACTIONS.ACCEPT_ORDER]: REPLAY_RESULT.RETRY });
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    await service.enqueue(OUTBOX_ACTIONS.VERIFY_DELIVERY, 'o2', { orderId: 'o2' });
+
+    await replay();
+
+    expect(calls).toEqual([[OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1']]);
+    const [accept, verify] = await rows();
+    expect(accept).toMatchObject({ attempts: 1, next_attempt_at: NOW + 2000, last_error: 'retry for o1' });
+    expect(verify).toMatchObject({ attempts: 0 });
+    expect(service.scheduleRetry).toHaveBeenCalledWith(2000);
+  });
+
+  it('waits for the backoff before replaying an action again', async () => {
+    const calls = recordHandlers({ [OUTBOX_ACTIONS.ACCEPT_ORDER]: REPLAY_RESULT.RETRY });
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    await replay();
+
+    Date.now.mockReturnValue(NOW + 500);
+    await replay();
+    expect(calls).toHaveLength(1);
+    expect(service.scheduleRetry).toHaveBeenLastCalledWith(1500);
+
+    Date.now.mockReturnValue(NOW + 2000);
+    await replay();
+    expect(calls).toHaveLength(2);
+    expect((await rows())[0]).toMatchObject({ attempts: 2, next_attempt_at: NOW + 2000 + 4000 });
+  });
+
+  it('backs off exponentially up to five minutes', () => {
+    expect([1, 2, 3, 4].map((attempts) => service.getRetryDelay(attempts))).toEqual([2000, 4000, 8000, 16000]);
+    expect(service.getRetryDelay(20)).toBe(5 * 60 * 1000);
+  });
+
+  it('keeps replaying past status updates and decline feedback that must be retried', async () => {
+    const calls = recordHandlers({
+      [`${OUTBOX_ACTIONS.UPDATE_STATUS}:o1`]: REPLAY_RESULT.RETRY,
+      [`${OUTBOX_ACTIONS.DECLINE_FEEDBACK}:o9`]: REPLAY_RESULT.RETRY,
+    });
+    await service.enqueue(OUTBOX_ACTIONS.UPDATE_STATUS, 'o1', { orderId: 'o1' });
+    await service.enqueue(OUTBOX_ACTIONS.DECLINE_FEEDBACK, 'o9', { orderId: 'o9' });
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o2', { orderId: 'o2' });
+    await service.enqueue(OUTBOX_ACTIONS.UPDATE_STATUS, 'o1', { orderId: 'o1' }); // Must not overtake the first
+    await service.enqueue(OUTBOX_ACTIONS.UPDATE_STATUS, 'o2', { orderId: 'o2' });
+
+    await replay();
+
+    expect(calls).toEqual([
+      [OUTBOX_ACTIONS.UPDATE_STATUS, 'o1'],
+      [OUTBOX_ACTIONS.DECLINE_FEEDBACK, 'o9'],
+      [OUTBOX_ACTIONS.ACCEPT_ORDER, 'o2'],
+      [OUTBOX_ACTIONS.UPDATE_STATUS, 'o2'],
+    ]);
+    expect((await rows()).map((row) => [row.action_type, row.order_id])).toEqual([
+      [OUTBOX_ACTIONS.UPDATE_STATUS, 'o1'],
+      [OUTBOX_ACTIONS.DECLINE_FEEDBACK, 'o9'],
+      [OUTBOX_ACTIONS.UPDATE_STATUS, 'o1'],
+    ]);
+    expect(service.scheduleRetry).toHaveBeenCalledTimes(1);
+    expect(service.scheduleRetry).toHaveBeenCalledWith(2000);
+  });
+
+  it('drops a conflicting action and reports it', async () => {
+    recordHandlers({ [OUTBOX_ACTIONS.ACCEPT_ORDER]: REPLAY_RESULT.CONFLICT });
+    const conflicts = [];
+    service.onConflict((conflict) => conflicts.push(conflict));
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    await service.enqueue(OUTBOX_ACTIONS.VERIFY_DELIVERY, 'o3', { orderId: 'o3' });
+
+    await replay();
+
+    expect(conflicts).toEqual([
+      { actionType: OUTBOX_ACTIONS.ACCEPT_ORDER, orderId: 'o1', payload: { orderId: 'o1' }, message: 'conflict for o1' },
+    ]);
+    expect(await rows()).toHaveLength(0);
+  });
+
+  it('treats a throwing handler as a retry', async () => {
+    service.registerHandler(OUTBOX_ACTIONS.ACCEPT_ORDER, async () => {
+      throw new Error('socket closed');
+    });
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+
+    await replay();
+
+    expect((await rows())[0]).toMatchObject({ attempts: 1, last_error: 'socket closed' });
+  });
+
+  it('waits for a missing handler instead of skipping the action', async () => {
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    await replay();
+    expect(await rows()).toHaveLength(1);
+
+    const calls = recordHandlers();
+    await replay();
+    expect(calls).toEqual([[OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1']]);
+  });
+
+  it('drops an action whose payload cannot be read', async () => {
+    const calls = recordHandlers();
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    await service.enqueue(OUTBOX_ACTIONS.VERIFY_DELIVERY, 'o1', { orderId: 'o1' });
+    const database = await getDatabase();
+    await database.runAsync(`UPDATE outbox SET payload = '{' WHERE action_type = ?`, [OUTBOX_ACTIONS.ACCEPT_ORDER]);
+
+    await replay();
+
+    expect(calls).toEqual([[OUTBOX_ACTIONS.VERIFY_DELIVERY, 'o1']]);
+    expect(await rows()).toHaveLength(0);
+  });
+
+  it('replays when connectivity comes back', async () => {
+    const NetInfo = require('@react-native-community/netinfo');
+    const [[onNetworkChange]] = NetInfo.addEventListener.mock.calls;
+    const calls = recordHandlers();
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+
+    onNetworkChange({ isConnected: false, isInternetReachable: false });
+    onNetworkChange({ isConnected: true, isInternetReachable: true });
+    while (service.isFlushing) await new Promise((resolve) => setImmediate(resolve));
+
+    expect(calls).toEqual([[OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1']]);
+  });
+});
+
+describe('offline queue riders', () => {
+  it('stamps each action with the signed-in rider', async () => {
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    expect((await rows())[0].user_id).toBe('rider-1');
+  });
+
+  it('stamps headless actions with the stored rider', async () => {
+    require('../../utils/secure-storage').getStoredUserId.mockResolvedValue('rider-7');
+    await service.setUser(null);
+
+    await service.enqueue(OUTBOX_ACTIONS.UPDATE_STATUS, 'o1', { orderId: 'o1' });
+
+    expect((await rows())[0].user_id).toBe('rider-7');
+  });
+
+  it('does not replay without a signed-in rider', async () => {
+    const calls = recordHandlers();
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    await service.setUser(null);
+
+    await replay();
+
+    expect(calls).toHaveLength(0);
+    expect(await rows()).toHaveLength(1);
+  });
+
+  it("drops another rider's actions when a different rider signs in", async () => {
+    const calls = recordHandlers();
+    await service.enqueue(OUTBOX_ACTIONS.ACCEPT_ORDER, 'o1', { orderId: 'o1' });
+    const database = await getDatabase();
+    await database.runAsync(
+      `INSERT INTO outbox (action_type, order_id, payload, created_at) VALUES (?, ?, ?, ?)`,
+      [OUTBOX_ACTIONS.ACCEPT_ORDER, 'o0', JSON.stringify({ orderId: 'o0' }), NOW] // Queued before riders were tracked
+    );
+
+    await service.setUser('rider-2');
+    await replay();
+
+    expect(calls).toHaveLength(0);
+    expect(await rows()).toHaveLength(0);
+  });
+});
@@ -1,17 +1,147 @@
+import Constants from 'expo-constants';
 import { cacheStorage } from '../utils/cache-storage';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getAuthToken } from '../utils/secure-storage';
 
-const API_BASE_URL = 'https://api.bahirandelivery.cloud/api/v1';
+// 🌍 Environment comes from app.config.js `extra` (API_ENV / API_URL at build time)
+const extra = Constants.expoConfig?.extra || {};
+
+export const API_ENV = extra.apiEnv || 'production';
+export const API_URL = (extra.apiUrl || 'https://api.bahirandelivery.cloud').replace(/\/+$/, '');
+export const API_BASE_URL = `${API_URL}/api/v1`;
+
+const DEFAULT_TIMEOUT = 15000; // 15 seconds
+
+const NETWORK_ERROR_MESSAGE = 'Unable to connect to server. Please check your internet connection and try again.';
+const TIMEOUT_ERROR_MESSAGE = 'The server took too long to respond. Please try again.';
+const PARSE_ERROR_MESSAGE = 'Failed to parse server response.';
+const UNKNOWN_ERROR_MESSAGE = 'Something went wrong. Please try again later.';
+
+// 🔒 Called once per rejected token (set by AuthProvider)
+let unauthorizedHandler = null;
+
+/**
+ * Register the session-expiry handler. Receives a user friendly reason.
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * Report a rejected session from outside the HTTP client (e.g. socket auth)
+ */
+export const reportUnauthorized = (reason) => {
+  if (unauthorizedHandler) {
+    unauthorizedHandler(reason || 'Your session has expired. Please log in again.');
+  }
+};
+
+// 🔑 Renews the access token (set by AuthProvider). Resolves the new token or null.
+let tokenRefresher = null;
+
+export const setTokenRefresher = (refresher) => {
+  tokenRefresher = refresher;
+};
+
+/**
+ * Whether a socket / server message means the token is no longer accepted
+ */
+export const isSessionExpiredMessage = (message) =>
+  /log in again|password changed|jwt expired|invalid token|unauthori[sz]ed/i.test(message || '');
+
+/**
+ * Error thrown by every ApiService request.
+ * code: NETWORK | TIMEOUT | PARSE | HTTP | UNKNOWN
+ */
+export class ApiError extends Error {
+  constructor(message, { code = 'HTTP', status = 0, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.data = data;
+  }
+
+  // No response reached us - safe to retry later
+  get isNetworkError() {
+    return this.code === 'NETWORK' || this.code === 'TIMEOUT';
+  }
+
+  // Token rejected - the user has to log in again
+  get requiresAuth() {
+    const message = this.message?.toLowerCase() || '';
+    return (
+      this.status === 401 ||
+      message.includes('log in again') ||
+      message.includes('password changed')
+    );
+  }
+}
+
+/**
+ * Recursively convert MongoDB Decimal128 values ({ $numberDecimal: "12.5" }) to numbers
+ */
+export const coerceDecimals = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(coerceDecimals);
+  }
+  if (value && typeof value === 'object') {
+    if (value.$numberDecimal !== undefined) {
+      return parseFloat(value.$numberDecimal) || 0;
+    }
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = coerceDecimals(value[key]);
+    }
+    return result;
+  }
+  return value;
+};
+
+/**
+ * Pick the human readable message out of the backend's error formats
+ */
+export const getServerMessage = (data) => {
+  if (!data || typeof data !== 'object') return null;
+  const error = typeof data.error === 'string' ? data.error : data.error?.message;
+  return data.message || error || data.errors?.[0]?.msg || null;
+};
+
+/**
+ * Map anything a request can throw to an ApiError
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+  if (error?.name === 'AbortError') {
+    return new ApiError(TIMEOUT_ERROR_MESSAGE, { code: 'TIMEOUT' });
+  }
+  if (
+    error?.message === 'Failed to fetch' ||
+    error?.message?.includes('Network request failed')
+  ) {
+    return new ApiError(NETWORK_ERROR_MESSAGE, { code: 'NETWORK' });
+  }
+  return new ApiError(error?.message || UNKNOWN_ERROR_MESSAGE, { code: 'UNKNOWN' });
+};
 
 class ApiService {
   constructor() {
     this.pendingRequests = new Map();
+    this.refreshPromise = null;
   }
 
   async getAuthToken() {
-    return await AsyncStorage.getItem('authToken');
+    return await getAuthToken();
   }
 
+  /**
+   * @param {string} endpoint - Path under /api/v1 (e.g. '/orders/available-cooked')
+   * @param {Object} options - fetch options plus:
+   *   token   - bearer token to use; false to send no Authorization header (defaults to stored token)
+   *   timeout - milliseconds before the request is aborted
+   * @param {Object} cacheConfig - { useCache, cacheExpiry, forceRefresh }
+   * @returns {Promise<Object>} Parsed response body (Decimal128 values coerced to numbers)
+   * @throws {ApiError}
+   */
   async request(endpoint, options = {}, cacheConfig = {}) {
     const {
       useCache = false,
@@ -19,7 +149,9 @@ class ApiService {
       forceRefresh = false
     } = cacheConfig;
 
-    const cacheKey = `api_${endpoint}_${JSON.stringify(options)}`;
+    const { token: tokenOption, timeout = DEFAULT_TIMEOUT, ...fetchOptions } = options;
+
+    const cacheKey = `api_${endpoint}_${JSON.stringify(fetchOptions)}`;
 
     if (useCache && !forceRefresh) {
       const cachedData = await cacheStorage.get(cacheKey);
@@ -32,23 +164,7 @@ class ApiService {
       return this.pendingRequests.get(cacheKey);
     }
 
-    const token = await this.getAuthToken();
-    
-    const requestPromise = fetch(`${API_BASE_URL}${endpoint}`, {
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
-        ...options.headers,
-      },
-    })
-      .then(async (response) => {
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`HTTP ${response.status}: ${errorText || 'Request failed'}`);
-        }
-        return response.json();
-      })
+    const requestPromise = this.send(endpoint, fetchOptions, tokenOption, timeout)
       .then(async (data) => {
         if (useCache && data) {
           await cacheStorage.set(cacheKey, data, cacheExpiry);
@@ -65,14 +181,101 @@ class ApiService {
     return requestPromise;
   }
 
-  async get(endpoint, cacheConfig = {}) {
-    return this.request(endpoint, { method: 'GET' }, cacheConfig);
+  /**
+   * Get a usable token after `failedToken` was rejected. Concurrent callers share one refresh.
+   * @returns {Promise<string|null>} New token, or null if the session can't be renewed
+   * @throws {ApiError} Network errors, so a dropped signal doesn't log the rider out
+   */
+  async refreshSession(failedToken) {
+    // Another request already renewed it
+    const storedToken = await this.getAuthToken();
+    if (storedToken && storedToken !== failedToken) {
+      return storedToken;
+    }
+
+    if (!tokenRefresher) return null;
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = Promise.resolve()
+        .then(() => tokenRefresher())
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  async send(endpoint, fetchOptions, tokenOption, timeout, isRetry = false) {
+    const token = tokenOption === false
+      ? null
+      : tokenOption || await this.getAuthToken();
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    let text;
+    try {
+      response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        ...fetchOptions,
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...fetchOptions.headers,
+        },
+      });
+      text = await response.text();
+    } catch (error) {
+      throw toApiError(error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    let data = null;
+    if (text) {
+      try {
+        data = coerceDecimals(JSON.parse(text));
+      } catch (parseError) {
+        if (response.ok) {
+          throw new ApiError(PARSE_ERROR_MESSAGE, { code: 'PARSE', status: response.status });
+        }
+      }
+    }
+
+    // Backend reports failures as { status: 'fail' | 'error', message }
+    if (!response.ok || data?.status === 'fail' || data?.status === 'error') {
+      const error = new ApiError(
+        getServerMessage(data) || `Request failed (HTTP ${response.status})`,
+        { code: 'HTTP', status: response.status, data }
+      );
+
+      // Only an authenticated request can expire the session (a wrong login password is a 401 too)
+      if (token && error.requiresAuth) {
+        // Expired access token - renew it and retry once
+        if (error.status === 401 && !isRetry) {
+          const newToken = await this.refreshSession(token);
+          if (newToken) {
+            return this.send(endpoint, fetchOptions, newToken, timeout, true);
+          }
+        }
+        reportUnauthorized(error.message);
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  async get(endpoint, options = {}, cacheConfig = {}) {
+    return this.request(endpoint, { ...options, method: 'GET' }, cacheConfig);
   }
 
-  async post(endpoint, data, cacheConfig = {}) {
+  async post(endpoint, data, options = {}, cacheConfig = {}) {
     return this.request(
       endpoint,
       {
+        ...options,
         method: 'POST',
         body: JSON.stringify(data),
       },
@@ -80,10 +283,11 @@ class ApiService {
     );
   }
 
-  async put(endpoint, data, cacheConfig = {}) {
+  async put(endpoint, data, options = {}, cacheConfig = {}) {
     return this.request(
       endpoint,
       {
+        ...options,
         method: 'PUT',
         body: JSON.stringify(data),
       },
@@ -91,10 +295,11 @@ class ApiService {
     );
   }
 
-  async patch(endpoint, data, cacheConfig = {}) {
+  async patch(endpoint, data, options = {}, cacheConfig = {}) {
     return this.request(
       endpoint,
       {
+        ...options,
         method: 'PATCH',
         body: JSON.stringify(data),
       },
@@ -0,0 +1,156 @@
+import { Audio } from "expo-av";
+import { AppState } from "react-native";
+import { logger } from "../utils/logger";
+import {
+  isNotificationSoundEnabled,
+  getSoundProfiles,
+  getQuietHours,
+  isWithinQuietHours,
+} from "../utils/notification-settings";
+
+// Bundled sounds - ids match SOUND_OPTIONS in utils/notification-settings.js
+const SOUND_ASSETS = {
+  chime: require("../assets/sounds/chime.wav"),
+  beep: require("../assets/sounds/beep.wav"),
+  bell: require("../assets/sounds/bell.wav"),
+  alarm: require("../assets/sounds/alarm.wav"),
+};
+
+// Android fixes a channel's sound when it is created, so each bundled sound gets its own channel
+export const getSoundChannelId = (soundId) => `alerts-${soundId}`;
+
+// 🔊 One place that plays every alert sound (new orders, proximity alarms, previews)
+// Foreground only: the app has no iOS "audio" background mode (App Store Guideline 2.5.4),
+// so background alerts carry their sound on the notification instead (getNotificationSound)
+class AudioManager {
+  constructor() {
+    this.playing = new Map(); // key -> Audio.Sound
+    this.audioModePromise = null;
+  }
+
+  // Audio mode is global - set it once, with silent-mode override
+  init() {
+    if (!this.audioModePromise) {
+      this.audioModePromise = Audio.setAudioModeAsync({
+        allowsRecordingIOS: false,
+        playsInSilentModeIOS: true,
+        staysActiveInBackground: false,
+        shouldDuckAndroid: true,
+        interruptionModeIOS: 1, // Do not mix with other audio
+        interruptionModeAndroid: 1, // Do not mix with other audio
+      }).catch((error) => {
+        logger.error("Audio init error:", error);
+        this.audioModePromise = null;
+      });
+    }
+    return this.audioModePromise;
+  }
+
+  /**
+   * Play the sound profile of an alert
+   * @param {string} event - One of SOUND_EVENTS
+   * @param {string} key - Identifies this playback so it can be stopped (defaults to the event)
+   * @returns {Promise<boolean>} false when muted (sound off or quiet hours) - callers still vibrate
+   */
+  async play(event, key = event) {
+    try {
+      const profile = await this.getActiveProfile(event);
+      if (!profile) return false;
+
+      return await this.playSound(profile.sound, { volume: profile.volume, loops: profile.loops, key });
+    } catch (error) {
+      logger.error("Alert sound error:", error);
+      return false;
+    }
+  }
+
+  // Sound profile of an alert, or null while muted (sound off or quiet hours)
+  async getActiveProfile(event) {
+    const [soundEnabled, profiles, quietHours] = await Promise.all([
+      isNotificationSoundEnabled(),
+      getSoundProfiles(),
+      getQuietHours(),
+    ]);
+
+    if (!soundEnabled) return null;
+    if (isWithinQuietHours(quietHours)) {
+      logger.log(`🌙 Quiet hours - ${event} sound skipped`);
+      return null;
+    }
+
+    return profiles[event] || null;
+  }
+
+  /**
+   * Notification sound for an alert - how it is heard while the app is in the background
+   * @returns {Promise<{ file: string, channelId: string }|null>} null when muted
+   */
+  async getNotificationSound(event) {
+    try {
+      const profile = await this.getActiveProfile(event);
+      if (!profile) return null;
+
+      const soundId = SOUND_ASSETS[profile.sound] ? profile.sound : "chime";
+      return { file: `${soundId}.wav`, channelId: getSoundChannelId(soundId) };
+    } catch (error) {
+      logger.error("Notification sound error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Play one bundled sound (also used to preview a choice in settings)
+   * @param {Object} options - { volume: 0-1, loops: times to play (0 = until stopped), key }
+   */
+  async playSound(soundId, { volume = 1, loops = 1, key = soundId } = {}) {
+    if (AppState.currentState !== "active") return false;
+
+    const asset = SOUND_ASSETS[soundId] || SOUND_ASSETS.chime;
+
+    await this.init();
+    await this.stop(key);
+
+    const { sound } = await Audio.Sound.createAsync(asset, {
+      shouldPlay: true,
+      isLooping: loops === 0,
+      volume,
+    });
+    this.playing.set(key, sound);
+
+    if (loops !== 0) {
+      let remaining = loops;
+      sound.setOnPlaybackStatusUpdate((status) => {
+        if (!status.didJustFinish) return;
+
+        remaining -= 1;
+        if (remaining > 0) {
+          sound.replayAsync().catch((error) => logger.error("Replay sound error:", error));
+        } else if (this.playing.get(key) === sound) {
+          this.stop(key);
+        }
+      });
+    }
+
+    return true;
+  }
+
+  async stop(key) {
+    const sound = this.playing.get(key);
+    if (!sound) return;
+
+    this.playing.delete(key);
+    try {
+      sound.setOnPlaybackStatusUpdate(null);
+      await sound.stopAsync();
+      await sound.unloadAsync();
+    } catch (error) {
+      logger.error("Stop sound error:", error);
+    }
+  }
+
+  async stopAll() {
+    await Promise.all([...this.playing.keys()].map((key) => this.stop(key)));
+  }
+}
+
+export default new AudioManager();
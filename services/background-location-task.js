@@ -1,11 +1,44 @@
 import * as Location from "expo-location";
 import * as TaskManager from "expo-task-manager";
 import { logger } from "../utils/logger";
+import { insertLocationSamples } from "../db/locationSamplesDb";
 
 const BACKGROUND_LOCATION_TASK = "BACKGROUND_LOCATION_UPDATES";
 
-// Store callback references
-let proximityCheckCallback = null;
+// Registered by proximity-service when it loads (not when tracking starts), so the handler
+// is there again after the OS restarts the JS context headless for a location update
+let locationHandler = null;
+
+export function setBackgroundLocationHandler(handler) {
+  locationHandler = handler;
+}
+
+// Sampling follows location-sampling-service (starts like its "on delivery" mode)
+let samplingOptions = {
+  accuracy: Location.Accuracy.Balanced,
+  distanceInterval: 50, // Update every 50 meters
+  timeInterval: 5000, // Update every 5 seconds
+};
+
+const buildUpdateOptions = () => ({
+  ...samplingOptions,
+  foregroundService: {
+    notificationTitle: "Bahiran Delivery Active",
+    notificationBody: "Tracking your location for delivery updates",
+    notificationColor: "#667eea",
+  },
+  pausesUpdatesAutomatically: false,
+  showsBackgroundLocationIndicator: true,
+});
+
+const toSample = (location) => ({
+  latitude: location.coords.latitude,
+  longitude: location.coords.longitude,
+  accuracy: location.coords.accuracy,
+  speed: location.coords.speed,
+  heading: location.coords.heading,
+  timestamp: location.timestamp,
+});
 
 // Register the background task
 TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
@@ -18,20 +51,24 @@ TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
     const { locations } = data;
     
     if (locations && locations.length > 0) {
-      const location = locations[0];
+      const samples = locations.map(toSample).sort((a, b) => a.timestamp - b.timestamp);
+      const latest = samples[samples.length - 1];
       logger.log("📍 Background location update:", {
-        lat: location.coords.latitude,
-        lng: location.coords.longitude,
+        lat: latest.latitude,
+        lng: latest.longitude,
+        samples: samples.length,
       });
 
-      // Call the proximity check callback if registered
-      if (proximityCheckCallback) {
+      // Buffer every sample - the app picks them up when it comes back to the foreground
+      try {
+        await insertLocationSamples(samples);
+      } catch (err) {
+        logger.error("Failed to buffer background location:", err);
+      }
+
+      if (locationHandler) {
         try {
-          await proximityCheckCallback({
-            latitude: location.coords.latitude,
-            longitude: location.coords.longitude,
-            timestamp: location.timestamp,
-          });
+          await locationHandler(latest);
         } catch (err) {
           logger.error("Proximity check error in background:", err);
         }
@@ -41,7 +78,7 @@ TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
 });
 
 // Start background location tracking
-export async function startBackgroundLocationUpdates(callback) {
+export async function startBackgroundLocationUpdates() {
   try {
     // Check if TaskManager is available (not fully available in Expo Go on Android)
     const isTaskManagerAvailable = await TaskManager.isAvailableAsync();
@@ -65,9 +102,6 @@ export async function startBackgroundLocationUpdates(callback) {
       return false;
     }
 
-    // Store the callback
-    proximityCheckCallback = callback;
-
     // Check if task is already registered
     const isRegistered = await TaskManager.isTaskRegisteredAsync(BACKGROUND_LOCATION_TASK);
     
@@ -75,18 +109,7 @@ export async function startBackgroundLocationUpdates(callback) {
       logger.log("Background location task already registered");
     } else {
       // Start location updates
-      await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, {
-        accuracy: Location.Accuracy.Balanced,
-        distanceInterval: 50, // Update every 50 meters
-        timeInterval: 5000, // Update every 5 seconds
-        foregroundService: {
-          notificationTitle: "Bahiran Delivery Active",
-          notificationBody: "Tracking your location for delivery updates",
-          notificationColor: "#667eea",
-        },
-        pausesUpdatesAutomatically: false,
-        showsBackgroundLocationIndicator: true,
-      });
+      await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, buildUpdateOptions());
       
       logger.log("✅ Background location tracking started");
     }
@@ -99,6 +122,19 @@ export async function startBackgroundLocationUpdates(callback) {
   }
 }
 
+// Change accuracy / frequency - restarting the running task applies the new options
+export async function updateBackgroundLocationOptions({ accuracy, timeInterval, distanceInterval }) {
+  samplingOptions = { accuracy, timeInterval, distanceInterval };
+
+  try {
+    if (await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK)) {
+      await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, buildUpdateOptions());
+    }
+  } catch (error) {
+    logger.error("Failed to update background location options:", error);
+  }
+}
+
 // Stop background location tracking
 export async function stopBackgroundLocationUpdates() {
   try {
@@ -109,7 +145,6 @@ export async function stopBackgroundLocationUpdates() {
       logger.log("🛑 Background location tracking stopped");
     }
     
-    proximityCheckCallback = null;
     return true;
   } catch (error) {
     logger.error("Failed to stop background location:", error);
@@ -1,7 +1,7 @@
 // Balance and Transaction History Service
 // Handles all balance-related API calls
 
-const BASE_URL = 'https://api.bahirandelivery.cloud';
+import apiService from './api-service';
 
 /**
  * Get current balance
@@ -10,35 +10,44 @@ const BASE_URL = 'https://api.bahirandelivery.cloud';
  */
 export const getBalance = async (token) => {
   try {
-    const response = await fetch(`${BASE_URL}/api/v1/balance`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-    });
-
-    const data = await response.json();
-
-    if (response.ok && data.status === 'success') {
-      return {
-        success: true,
-        data: data.data,
-      };
-    } else {
-      return {
-        success: false,
-        message: data.message || 'Failed to fetch balance',
-        requiresAuth: response.status === 401 || data.message?.toLowerCase().includes('log in again') || data.message?.toLowerCase().includes('password changed'),
-      };
-    }
+    const data = await apiService.get('/balance', { token });
+
+    return {
+      success: true,
+      data: data?.data,
+    };
   } catch (error) {
     console.error('Error fetching balance:', error);
     return {
       success: false,
-      message: error.message === 'Failed to fetch' || error.message.includes('Network request failed')
-        ? 'Unable to connect to server. Please check your internet connection.'
-        : 'Something went wrong while fetching balance.',
+      message: error.message || 'Failed to fetch balance',
+      requiresAuth: error.requiresAuth,
+    };
+  }
+};
+
+/**
+ * Get the banks available for withdrawal and the withdrawable balance
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} { banks, balance }
+ */
+export const initializeWithdraw = async (token) => {
+  try {
+    const data = await apiService.get('/balance/initialize-withdraw', { token });
+
+    return {
+      success: true,
+      data: {
+        banks: data?.data?.banks || [],
+        balance: data?.data?.balance,
+      },
+    };
+  } catch (error) {
+    console.error('Error initializing withdrawal:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to load bank info',
+      requiresAuth: error.requiresAuth,
     };
   }
 };
@@ -47,41 +56,28 @@ export const getBalance = async (token) => {
  * Request withdrawal
  * @param {string} token - Authentication token
  * @param {number} amount - Amount to withdraw
+ * @param {string} [bankId] - Bank to pay out to
  * @returns {Promise<Object>} Withdrawal response
  */
-export const requestWithdrawal = async (token, amount) => {
+export const requestWithdrawal = async (token, amount, bankId) => {
   try {
-    const response = await fetch(`${BASE_URL}/api/v1/balance/withdraw`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({ amount }),
-    });
-
-    const data = await response.json();
-
-    if (response.ok && data.status === 'success') {
-      return {
-        success: true,
-        data: data.data,
-        message: data.message || 'Withdrawal request submitted successfully',
-      };
-    } else {
-      return {
-        success: false,
-        message: data.message || 'Failed to request withdrawal',
-        requiresAuth: response.status === 401 || data.message?.toLowerCase().includes('log in again'),
-      };
-    }
+    const data = await apiService.post(
+      '/balance/withdraw',
+      { amount, ...(bankId ? { bankId } : {}) },
+      { token }
+    );
+
+    return {
+      success: true,
+      data: data?.data,
+      message: data?.message || 'Withdrawal request submitted successfully',
+    };
   } catch (error) {
     console.error('Error requesting withdrawal:', error);
     return {
       success: false,
-      message: error.message === 'Failed to fetch' || error.message.includes('Network request failed')
-        ? 'Unable to connect to server. Please check your internet connection.'
-        : 'Something went wrong while requesting withdrawal.',
+      message: error.message || 'Failed to request withdrawal',
+      requiresAuth: error.requiresAuth,
     };
   }
 };
@@ -93,39 +89,22 @@ export const requestWithdrawal = async (token, amount) => {
  */
 export const getTransactionHistory = async (token) => {
   try {
-    const response = await fetch(`${BASE_URL}/api/v1/balance/history`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`,
+    const data = await apiService.get('/balance/history', { token });
+
+    return {
+      success: true,
+      data: {
+        transactions: data?.transactions || [],
+        totalBalance: data?.totalBalance,
+        requesterType: data?.requesterType,
       },
-    });
-
-    const data = await response.json();
-
-    if (response.ok && data.status === 'success') {
-      return {
-        success: true,
-        data: {
-          transactions: data.transactions || [],
-          totalBalance: data.totalBalance,
-          requesterType: data.requesterType,
-        },
-      };
-    } else {
-      return {
-        success: false,
-        message: data.message || 'Failed to fetch transaction history',
-        requiresAuth: response.status === 401 || data.message?.toLowerCase().includes('log in again') || data.message?.toLowerCase().includes('password changed'),
-      };
-    }
+    };
   } catch (error) {
     console.error('Error fetching transaction history:', error);
     return {
       success: false,
-      message: error.message === 'Failed to fetch' || error.message.includes('Network request failed')
-        ? 'Unable to connect to server. Please check your internet connection.'
-        : 'Something went wrong while fetching transaction history.',
+      message: error.message || 'Failed to fetch transaction history',
+      requiresAuth: error.requiresAuth,
     };
   }
 };
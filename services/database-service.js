@@ -1,21 +1,15 @@
-import * as SQLite from 'expo-sqlite';
 import { logger } from '../utils/logger';
-import { initOrderDB } from '../db/ordersDb';
+import { getDatabase, toTimestamp } from '../db/database';
 
 class DatabaseService {
   constructor() {
     this.db = null;
   }
 
-  // Initialize database
+  // Initialize database (runs pending migrations on first open)
   async init() {
     try {
-      this.db = await SQLite.openDatabaseAsync('bahiran_delivery.db');
-      await this.createTables();
-      
-      // Initialize orders database (used for proximity notifications)
-      await initOrderDB();
-      
+      this.db = await getDatabase();
       logger.log('✅ Database initialized successfully');
       return true;
     } catch (error) {
@@ -24,58 +18,7 @@ class DatabaseService {
     }
   }
 
-  // Create necessary tables
-  async createTables() {
-    try {
-      // Orders table
-      await this.db.execAsync(`
-        CREATE TABLE IF NOT EXISTS orders (
-          id TEXT PRIMARY KEY,
-          order_code TEXT,
-          order_status TEXT,
-          restaurant_name TEXT,
-          restaurant_location_lat REAL,
-          restaurant_location_lng REAL,
-          destination_location_lat REAL,
-          destination_location_lng REAL,
-          customer_name TEXT,
-          customer_phone TEXT,
-          delivery_fee REAL,
-          tip REAL,
-          total_amount REAL,
-          items TEXT,
-          created_at INTEGER,
-          updated_at INTEGER,
-          synced INTEGER DEFAULT 0
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_order_status ON orders(order_status);
-        CREATE INDEX IF NOT EXISTS idx_synced ON orders(synced);
-        CREATE INDEX IF NOT EXISTS idx_created_at ON orders(created_at);
-      `);
-
-      // Notifications log table
-      await this.db.execAsync(`
-        CREATE TABLE IF NOT EXISTS notification_log (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          order_id TEXT,
-          notification_type TEXT,
-          message TEXT,
-          created_at INTEGER,
-          FOREIGN KEY (order_id) REFERENCES orders(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_notif_order ON notification_log(order_id);
-        CREATE INDEX IF NOT EXISTS idx_notif_created ON notification_log(created_at);
-      `);
-
-      logger.log('✅ Database tables created successfully');
-    } catch (error) {
-      logger.error('❌ Error creating tables:', error);
-    }
-  }
-
-  // Save order to database
+  // Save order to database - same row db/ordersDb.js upserts, so only fill in what we know
   async saveOrder(order) {
     try {
       const restaurantLocation = this.extractLatLng(order.restaurantLocation);
@@ -85,16 +28,32 @@ class DatabaseService {
       const now = Date.now();
 
       await this.db.runAsync(
-        `INSERT OR REPLACE INTO orders (
-          id, order_code, order_status, restaurant_name,
-          restaurant_location_lat, restaurant_location_lng,
-          destination_location_lat, destination_location_lng,
+        `INSERT INTO orders (
+          order_id, order_code, order_status, restaurant_name,
+          restaurant_lat, restaurant_lng,
+          delivery_lat, delivery_lng,
           customer_name, customer_phone,
-          delivery_fee, tip, total_amount, items,
+          delivery_fee, tip, total, items,
           created_at, updated_at, synced
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(order_id) DO UPDATE SET
+          order_code = COALESCE(NULLIF(excluded.order_code, ''), orders.order_code),
+          order_status = COALESCE(NULLIF(excluded.order_status, ''), orders.order_status),
+          restaurant_name = COALESCE(NULLIF(excluded.restaurant_name, ''), orders.restaurant_name),
+          restaurant_lat = COALESCE(excluded.restaurant_lat, orders.restaurant_lat),
+          restaurant_lng = COALESCE(excluded.restaurant_lng, orders.restaurant_lng),
+          delivery_lat = COALESCE(excluded.delivery_lat, orders.delivery_lat),
+          delivery_lng = COALESCE(excluded.delivery_lng, orders.delivery_lng),
+          customer_name = excluded.customer_name,
+          customer_phone = excluded.customer_phone,
+          delivery_fee = excluded.delivery_fee,
+          tip = excluded.tip,
+          total = excluded.total,
+          items = excluded.items,
+          updated_at = excluded.updated_at,
+          synced = excluded.synced`,
         [
-          orderId,
+          String(orderId),
           order.orderCode || '',
           order.orderStatus || '',
           order.restaurantName || '',
@@ -108,7 +67,7 @@ class DatabaseService {
           this.extractNumber(order.tip),
           this.extractNumber(order.totalAmount || order.grandTotal),
           JSON.stringify(order.items || []),
-          order.createdAt || now,
+          order.createdAt ? toTimestamp(order.createdAt) : now,
           now,
           1
         ]
@@ -142,7 +101,7 @@ class DatabaseService {
   async getOrderById(orderId) {
     try {
       const result = await this.db.getFirstAsync(
-        'SELECT * FROM orders WHERE id = ?',
+        'SELECT * FROM orders WHERE order_id = ?',
         [orderId]
       );
 
@@ -157,7 +116,7 @@ class DatabaseService {
   async updateOrderStatus(orderId, newStatus) {
     try {
       await this.db.runAsync(
-        'UPDATE orders SET order_status = ?, updated_at = ? WHERE id = ?',
+        'UPDATE orders SET order_status = ?, updated_at = ? WHERE order_id = ?',
         [newStatus, Date.now(), orderId]
       );
 
@@ -172,7 +131,7 @@ class DatabaseService {
   // Delete order
   async deleteOrder(orderId) {
     try {
-      await this.db.runAsync('DELETE FROM orders WHERE id = ?', [orderId]);
+      await this.db.runAsync('DELETE FROM orders WHERE order_id = ?', [orderId]);
       logger.log(`✅ Order ${orderId} deleted from database`);
       return true;
     } catch (error) {
@@ -289,19 +248,19 @@ class DatabaseService {
   // Helper: Map database row to order object
   mapRowToOrder(row) {
     return {
-      id: row.id,
-      _id: row.id,
-      orderId: row.id,
+      id: row.order_id,
+      _id: row.order_id,
+      orderId: row.order_id,
       orderCode: row.order_code,
       orderStatus: row.order_status,
       restaurantName: row.restaurant_name,
-      restaurantLocation: row.restaurant_location_lat && row.restaurant_location_lng ? {
-        lat: row.restaurant_location_lat,
-        lng: row.restaurant_location_lng,
+      restaurantLocation: row.restaurant_lat && row.restaurant_lng ? {
+        lat: row.restaurant_lat,
+        lng: row.restaurant_lng,
       } : null,
-      destinationLocation: row.destination_location_lat && row.destination_location_lng ? {
-        lat: row.destination_location_lat,
-        lng: row.destination_location_lng,
+      destinationLocation: row.delivery_lat && row.delivery_lng ? {
+        lat: row.delivery_lat,
+        lng: row.delivery_lng,
       } : null,
       userName: row.customer_name,
       customerName: row.customer_name,
@@ -309,8 +268,8 @@ class DatabaseService {
       customerPhone: row.customer_phone,
       deliveryFee: row.delivery_fee,
       tip: row.tip,
-      totalAmount: row.total_amount,
-      grandTotal: row.total_amount,
+      totalAmount: row.total,
+      grandTotal: row.total,
       items: row.items ? JSON.parse(row.items) : [],
       createdAt: row.created_at,
       updatedAt: row.updated_at,
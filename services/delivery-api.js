@@ -10,14 +10,15 @@ import locationService from "./location-service";
 import orderNotificationService from "./order-notification-service";
 import { getProximityRadius } from "../utils/proximity-settings";
 import { isOrderRejected } from "../utils/rejected-orders";
-
-const API_BASE_URL = 'https://api.bahirandelivery.cloud/api/v1';
+import { isRestaurantBlocked, isRestaurantFavorite } from "../utils/restaurant-preferences";
+import apiService from "./api-service";
+import { extractServerLockInfo } from "./verification-lock-service";
 
 // Callback for showing order modal (set by delivery-provider)
 let showOrderModalCallback = null;
 
-// Callback to check if driver has active order
-let hasActiveOrderCallback = null;
+// Callback deciding whether an offer fits the rider's current deliveries (returns the offer or null)
+let offerFilterCallback = null;
 
 /**
  * Set the callback for showing order modal
@@ -27,10 +28,10 @@ export const setShowOrderModalCallback = (callback) => {
 };
 
 /**
- * Set the callback for checking active order status
+ * Set the callback that filters offers against the rider's active orders
  */
-export const setHasActiveOrderCallback = (callback) => {
-  hasActiveOrderCallback = callback;
+export const setOfferFilterCallback = (callback) => {
+  offerFilterCallback = callback;
 };
 
 /**
@@ -39,12 +40,6 @@ export const setHasActiveOrderCallback = (callback) => {
  */
 const checkOrdersProximity = async (orders) => {
   try {
-    // Check if driver has an active order - skip all notifications
-    if (hasActiveOrderCallback && hasActiveOrderCallback()) {
-      logger.log('🚫 Skipping proximity check - driver has active order');
-      return;
-    }
-
     const currentLocation = locationService.getCurrentLocation();
     if (!currentLocation) {
       logger.log('📍 No current location for proximity check');
@@ -54,12 +49,29 @@ const checkOrdersProximity = async (orders) => {
     const radiusKm = await getProximityRadius();
     logger.log(`📍 Checking ${orders.length} orders against ${radiusKm}km radius`);
 
-    for (const order of orders) {
-      const orderId = order.orderId || order.id || order._id;
+    // Only the first match is notified - give favorite restaurants the first chance
+    const candidates = [...orders].sort(
+      (a, b) => isRestaurantFavorite(b.restaurantName) - isRestaurantFavorite(a.restaurantName)
+    );
+
+    for (const candidate of candidates) {
+      const orderId = candidate.orderId || candidate.id || candidate._id;
       
       // Skip rejected orders
       if (isOrderRejected(orderId)) {
-        logger.log(`🚫 Skipping rejected order: ${order.orderCode}`);
+        logger.log(`🚫 Skipping rejected order: ${candidate.orderCode}`);
+        continue;
+      }
+
+      // Skip blocked restaurants
+      if (isRestaurantBlocked(candidate.restaurantName)) {
+        logger.log(`🚫 Skipping order from blocked restaurant: ${candidate.restaurantName}`);
+        continue;
+      }
+
+      // With deliveries in progress, only offers along the current route are shown
+      const order = offerFilterCallback ? offerFilterCallback(candidate) : candidate;
+      if (!order) {
         continue;
       }
 
@@ -106,15 +118,15 @@ const checkOrdersProximity = async (orders) => {
   }
 };
 
-// 💰 Helper function to extract number from various formats (including MongoDB Decimal128)
-const extractNumber = (value) => {
-  if (value === null || value === undefined) return 0;
-  if (typeof value === 'number') return value;
-  if (typeof value === 'string') return parseFloat(value) || 0;
-  if (typeof value === 'object' && value.$numberDecimal) {
-    return parseFloat(value.$numberDecimal) || 0;
-  }
-  return 0;
+// Shape an assigned order coming from get-orders-by-DeliveryMan
+const mapAssignedOrder = (order) => {
+  const transformedOrder = transformOrderLocations(order);
+  return {
+    ...transformedOrder,
+    deliveryFee: Number(order.deliveryFee) || 0,
+    tip: Number(order.tip) || 0,
+    userPhone: order.phoneNumber || order.userPhone || null,
+  };
 };
 
 /**
@@ -132,60 +144,27 @@ export const fetchOrdersByStatus = async (status, token) => {
   }
 
   try {
-    const response = await fetch(
-      `${API_BASE_URL}/orders/get-orders-by-DeliveryMan?status=${status}`,
-      {
-        headers: { Authorization: `Bearer ${token}` },
-      }
+    const data = await apiService.get(
+      `/orders/get-orders-by-DeliveryMan?status=${status}`,
+      { token }
     );
 
-    let data;
-    try {
-      data = await response.json();
-    } catch (jsonError) {
-      throw new Error(`Failed to parse server response: ${jsonError?.message || jsonError?.toString() || 'Unknown error'}`);
-    }
+    // Transform locations and normalize data
+    const normalizedOrders = Array.isArray(data?.data)
+      ? data.data.map(mapAssignedOrder)
+      : [];
 
-    if (response.ok && data && data.status === "success") {
-      // Transform locations and normalize data
-      const normalizedOrders = Array.isArray(data.data) 
-        ? data.data.map(order => {
-            const transformedOrder = transformOrderLocations(order);
-            return {
-              ...transformedOrder,
-              deliveryFee: extractNumber(order.deliveryFee),
-              tip: extractNumber(order.tip),
-              userPhone: order.phoneNumber || order.userPhone || null,
-            };
-          })
-        : [];
-
-      return {
-        success: true,
-        data: normalizedOrders,
-        count: normalizedOrders.length
-      };
-    } else {
-      const serverMessage =
-        data?.message ||
-        data?.error ||
-        data?.errors?.[0]?.msg ||
-        "Failed to fetch orders";
-      
-      return {
-        success: false,
-        error: serverMessage
-      };
-    }
+    return {
+      success: true,
+      data: normalizedOrders,
+      count: normalizedOrders.length
+    };
   } catch (err) {
-    const errorMessage = err?.message === 'Failed to fetch' || err?.message?.includes('Network request failed')
-      ? "Unable to connect to server. Please check your internet connection."
-      : (err?.message || "Something went wrong. Please try again later.");
-    
     logger.error('❌ Error fetching orders by status:', err);
     return {
       success: false,
-      error: errorMessage
+      error: err.message || "Failed to fetch orders",
+      requiresAuth: !!err.requiresAuth,
     };
   }
 };
@@ -203,65 +182,35 @@ export const fetchAllActiveOrders = async (token) => {
     };
   }
 
+  // A failing status is skipped, but losing the connection fails the whole fetch
+  const fetchStatus = (status) =>
+    apiService
+      .get(`/orders/get-orders-by-DeliveryMan?status=${status}`, { token })
+      .catch((err) => {
+        if (err.isNetworkError) throw err;
+        logger.error(`Failed to fetch ${status} orders:`, err);
+        return null;
+      });
+
   try {
     logger.log('🌐 Fetching all active orders from API');
     
     // Fetch both statuses in parallel
-    const [cookedResponse, deliveringResponse] = await Promise.all([
-      fetch(
-        `${API_BASE_URL}/orders/get-orders-by-DeliveryMan?status=Cooked`,
-        { headers: { Authorization: `Bearer ${token}` } }
-      ),
-      fetch(
-        `${API_BASE_URL}/orders/get-orders-by-DeliveryMan?status=Delivering`,
-        { headers: { Authorization: `Bearer ${token}` } }
-      ),
+    const [cookedData, deliveringData] = await Promise.all([
+      fetchStatus('Cooked'),
+      fetchStatus('Delivering'),
     ]);
     
-    // Safely parse JSON responses
-    let cookedData = null;
-    let deliveringData = null;
-    
-    try {
-      cookedData = await cookedResponse.json();
-    } catch (jsonError) {
-      logger.error('Failed to parse cooked orders response:', jsonError);
-    }
-    
-    try {
-      deliveringData = await deliveringResponse.json();
-    } catch (jsonError) {
-      logger.error('Failed to parse delivering orders response:', jsonError);
-    }
-    
     let allActiveOrders = [];
     
     // Process Cooked orders
-    if (cookedResponse.ok && cookedData && cookedData.status === 'success' && Array.isArray(cookedData.data)) {
-      const normalized = cookedData.data.map(order => {
-        const transformedOrder = transformOrderLocations(order);
-        return {
-          ...transformedOrder,
-          deliveryFee: extractNumber(order.deliveryFee),
-          tip: extractNumber(order.tip),
-          userPhone: order.phoneNumber || order.userPhone || null,
-        };
-      });
-      allActiveOrders = [...allActiveOrders, ...normalized];
+    if (Array.isArray(cookedData?.data)) {
+      allActiveOrders = [...allActiveOrders, ...cookedData.data.map(mapAssignedOrder)];
     }
     
     // Process Delivering orders
-    if (deliveringResponse.ok && deliveringData && deliveringData.status === 'success' && Array.isArray(deliveringData.data)) {
-      const normalized = deliveringData.data.map(order => {
-        const transformedOrder = transformOrderLocations(order);
-        return {
-          ...transformedOrder,
-          deliveryFee: extractNumber(order.deliveryFee),
-          tip: extractNumber(order.tip),
-          userPhone: order.phoneNumber || order.userPhone || null,
-        };
-      });
-      allActiveOrders = [...allActiveOrders, ...normalized];
+    if (Array.isArray(deliveringData?.data)) {
+      allActiveOrders = [...allActiveOrders, ...deliveringData.data.map(mapAssignedOrder)];
     }
     
     return {
@@ -294,76 +243,41 @@ export const fetchAvailableOrders = async (token) => {
   try {
     logger.log('🌐 Fetching fresh available orders from API');
 
-    const response = await fetch(
-      `${API_BASE_URL}/orders/available-cooked`,
-      {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-      }
-    );
+    const data = await apiService.get('/orders/available-cooked', { token });
+    const normalizedOrders = [];
 
-    let data;
-    
-    try {
-      data = await response.json();
-    } catch (jsonError) {
-      throw new Error(`Failed to parse server response: ${jsonError?.message || jsonError?.toString() || 'Unknown error'}`);
-    }
- 
-   if (response.ok && data?.status === "success") {
-  const normalizedOrders = [];
-
-  logger.log(`📥 Received ${data.data?.length || 0} orders from API`);
-
-  for (const raw of data.data) {
-    const order = normalizeOrder(raw);
-    normalizedOrders.push(order);
-
-    // ✅ Save every API order to SQLite for proximity notifications
-    try {
-      await upsertOrder(order, "api");
-      logger.log(`💾 Saved order ${order.orderCode} to SQLite`);
-    } catch (dbError) {
-      logger.error(`❌ Failed to save order ${order.orderCode} to SQLite:`, dbError);
-    }
-  }
+    logger.log(`📥 Received ${data?.data?.length || 0} orders from API`);
 
-  // ✅ Immediately check proximity for all fetched orders
-  if (normalizedOrders.length > 0) {
-    logger.log('🔍 Checking orders proximity immediately after fetch...');
-    checkOrdersProximity(normalizedOrders);
-  }
+    for (const raw of data?.data || []) {
+      const order = normalizeOrder(raw);
+      normalizedOrders.push(order);
 
-  return {
-    success: true,
-    data: normalizedOrders,
-    count: normalizedOrders.length,
-  };
-}
-     else {
-      const serverMessage =
-        data?.message ||
-        data?.error ||
-        data?.errors?.[0]?.msg ||
-        "Failed to fetch available orders";
-      
-      return {
-        success: false,
-        error: serverMessage
-      };
+      // ✅ Save every API order to SQLite for proximity notifications
+      try {
+        await upsertOrder(order, "api");
+        logger.log(`💾 Saved order ${order.orderCode} to SQLite`);
+      } catch (dbError) {
+        logger.error(`❌ Failed to save order ${order.orderCode} to SQLite:`, dbError);
+      }
     }
+
+    // ✅ Immediately check proximity for all fetched orders
+    if (normalizedOrders.length > 0) {
+      logger.log('🔍 Checking orders proximity immediately after fetch...');
+      checkOrdersProximity(normalizedOrders);
+    }
+
+    return {
+      success: true,
+      data: normalizedOrders,
+      count: normalizedOrders.length,
+    };
   } catch (err) {
     logger.error('❌ Error fetching available orders:', err);
-    const errorMessage = err?.message === 'Failed to fetch' || err?.message?.includes('Network request failed')
-      ? "Unable to connect to server. Please check your internet connection."
-      : (err?.message || "Something went wrong. Please try again later.");
-    
     return {
       success: false,
-      error: errorMessage
+      error: err.message || "Failed to fetch available orders",
+      requiresAuth: !!err.requiresAuth,
     };
   }
 };
@@ -385,29 +299,12 @@ export const fetchDeliveryHistory = async (token) => {
   try {
     logger.log('🌐 Fetching fresh delivery history from API');
 
-    const response = await fetch(
-      `${API_BASE_URL}/orders/get-orders-by-DeliveryMan?status=Completed`,
-      {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-      }
+    const data = await apiService.get(
+      '/orders/get-orders-by-DeliveryMan?status=Completed',
+      { token }
     );
 
-    let data;
-    try {
-      data = await response.json();
-    } catch (jsonError) {
-      throw new Error(`Failed to parse server response: ${jsonError?.message || jsonError?.toString() || 'Unknown error'}`);
-    }
-
-    if (!response.ok || !data || data.status !== "success") {
-      throw new Error(data?.message || `HTTP ${response.status}: Failed to fetch orders`);
-    }
-
-    if (!data.data || !Array.isArray(data.data) || typeof data.count !== "number") {
+    if (!data?.data || !Array.isArray(data.data) || typeof data.count !== "number") {
       throw new Error("Invalid response format: missing data array or count");
     }
 
@@ -418,9 +315,8 @@ export const fetchDeliveryHistory = async (token) => {
           return null;
         }
 
-        // Extract numbers from MongoDB Decimal128 format
-        const deliveryFee = extractNumber(order.deliveryFee);
-        const tip = extractNumber(order.tip);
+        const deliveryFee = Number(order.deliveryFee) || 0;
+        const tip = Number(order.tip) || 0;
         const totalEarnings = deliveryFee + tip;
 
         return {
@@ -447,22 +343,26 @@ export const fetchDeliveryHistory = async (token) => {
     logger.error('❌ Error fetching delivery history:', error);
     return {
       success: false,
-      error: error?.message?.includes("Failed to fetch")
-        ? "Unable to connect to server. Please try again later."
-        : error?.message || "An unexpected error occurred.",
+      error: error?.message || "An unexpected error occurred.",
+      requiresAuth: !!error?.requiresAuth,
       data: []
     };
   }
 };
 
 /**
- * Verify delivery with verification code
+ * Verify a delivery with the customer's code, or with a proof-of-delivery capture when they have none
  * @param {string} orderId - Order ID
- * @param {string} verificationCode - Verification code
+ * @param {string} verificationCode - Verification code (optional when proof is given)
  * @param {string} token - JWT authentication token
- * @returns {Promise<Object>} - { success, data, error, message }
+ * @param {Object} proof - Photo/signature payload from deliveryProofService.getUploadPayload (optional)
+ * @returns {Promise<Object>} - { success, data, error, message, status, lockInfo }
+ *   lockInfo ({ attemptsRemaining, lockedUntil, locked }) comes from the server's response on failure
+ *
+ * NOTE: a proof without a code is not a confirmed backend contract yet - a success response
+ * for one is treated as "submitted", not as a verified delivery.
  */
-export const verifyDelivery = async (orderId, verificationCode, token) => {
+export const verifyDelivery = async (orderId, verificationCode, token, proof = null) => {
   if (!token) {
     return {
       success: false,
@@ -471,63 +371,112 @@ export const verifyDelivery = async (orderId, verificationCode, token) => {
   }
 
   try {
-    const response = await fetch(
-      `${API_BASE_URL}/orders/verify-delivery`,
+    const data = await apiService.post(
+      '/orders/verify-delivery',
       {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify({ 
-          order_id: orderId, 
-          verification_code: verificationCode 
-        }),
-      }
+        order_id: orderId,
+        ...(verificationCode ? { verification_code: verificationCode } : {}),
+        ...(proof ? { proof_of_delivery: proof } : {}),
+      },
+      { token }
     );
 
-    let data;
-    try {
-      data = await response.json();
-    } catch (jsonError) {
-      throw new Error(`Failed to parse server response: ${jsonError?.message || jsonError?.toString() || 'Unknown error'}`);
-    }
-
-    if (response.ok && data && data.status === "success") {
-      return { 
-        success: true, 
-        data: data.data,
-        message: data.message
-      };
-    }
-
-    // Handle different error response formats
-    let errorMessage = "Please try again.";
-    
-    if (data && data?.error) {
-      if (typeof data?.error === 'string') {
-        errorMessage = data?.error;
-      } else if (typeof data?.error === 'object' && data?.error.message) {
-        errorMessage = data?.error.message;
-      }
-    } else if (data && data.message) {
-      errorMessage = data.message;
-    }
-    
     return { 
-      success: false, 
-      error: errorMessage 
+      success: true, 
+      data: data?.data,
+      message: data?.message
     };
   } catch (error) {
     logger.error('❌ Error verifying delivery:', error);
-    
-    const errorMessage = error?.message === 'Failed to fetch' || error?.message?.includes('Network request failed')
-      ? "Unable to connect to server. Please check your internet connection and try again."
-      : "Something went wrong. Please try again later.";
-    
+
     return { 
       success: false, 
-      error: errorMessage 
+      error: error.message || "Please try again.",
+      status: error.status,
+      isNetworkError: !!error.isNetworkError,
+      requiresAuth: !!error.requiresAuth,
+      lockInfo: extractServerLockInfo(error.data, error.status),
+    };
+  }
+};
+
+/**
+ * Tell the backend why an offer was declined
+ * @param {Object} feedback - { reason, declinedAt }
+ * @returns {Promise<Object>} - { success, error, isNetworkError, status }
+ */
+export const sendDeclineFeedback = async (orderId, feedback, token) => {
+  if (!token) {
+    return {
+      success: false,
+      error: "Authentication required. Please log in again."
+    };
+  }
+
+  try {
+    await apiService.post(
+      '/orders/decline-feedback',
+      {
+        order_id: orderId,
+        reason: feedback.reason,
+        declined_at: new Date(feedback.declinedAt).toISOString(),
+      },
+      { token }
+    );
+
+    return { success: true };
+  } catch (error) {
+    logger.error('❌ Error sending decline feedback:', error);
+
+    return {
+      success: false,
+      error: error.message || "Please try again.",
+      isNetworkError: !!error.isNetworkError,
+      status: error.status,
+    };
+  }
+};
+
+/**
+ * Report a delivery status step (e.g. arrived at the restaurant, picked up)
+ * @param {string} status - Server status name (e.g. 'ArrivedAtRestaurant', 'PickedUp')
+ * @param {Object} update - { updatedAt, undone, source }; undone takes back a step reported earlier
+ * @returns {Promise<Object>} - { success, error, isNetworkError, requiresAuth, status }
+ *
+ * NOTE: /orders/update-delivery-status is not a confirmed backend route yet - callers treat
+ * it as best effort.
+ */
+export const updateDeliveryStatus = async (orderId, status, update, token) => {
+  if (!token) {
+    return {
+      success: false,
+      error: "Authentication required. Please log in again."
+    };
+  }
+
+  try {
+    await apiService.post(
+      '/orders/update-delivery-status',
+      {
+        order_id: orderId,
+        status,
+        undone: !!update.undone,
+        source: update.source || 'manual',
+        updated_at: new Date(update.updatedAt).toISOString(),
+      },
+      { token }
+    );
+
+    return { success: true };
+  } catch (error) {
+    logger.error('❌ Error updating delivery status:', error);
+
+    return {
+      success: false,
+      error: error.message || "Please try again.",
+      isNetworkError: !!error.isNetworkError,
+      requiresAuth: !!error.requiresAuth,
+      status: error.status,
     };
   }
 };
@@ -538,5 +487,6 @@ export default {
   fetchAvailableOrders,
   fetchDeliveryHistory,
   verifyDelivery,
+  sendDeclineFeedback,
+  updateDeliveryStatus,
 };
-
@@ -0,0 +1,113 @@
+import { logger } from "../utils/logger";
+import locationService from "./location-service";
+import orderJournalService, { ORDER_EVENTS } from "./order-journal-service";
+import {
+  insertProof,
+  getProof,
+  getLatestProofForOrder,
+  markProofUploaded,
+  markProofFailed,
+  pruneUploadedProofs,
+} from "../db/deliveryProofsDb";
+
+// Camera settings for the proof photo - small JPEGs keep the upload cheap on mobile data
+export const PROOF_PHOTO_OPTIONS = {
+  quality: 0.3,
+  base64: true,
+  exif: false,
+  skipProcessing: false,
+};
+
+const MAX_PHOTO_BYTES = 1.5 * 1024 * 1024; // Reject captures larger than this after compression
+const KEEP_UPLOADED_IMAGES_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+class DeliveryProofService {
+  /**
+   * Store a proof-of-delivery capture with the rider's GPS fix and the time
+   * @param {Object} proof - { orderId, orderCode, photoBase64, signatureSvg, recipientName }
+   * @returns {Promise<number>} Id of the stored proof
+   */
+  async saveProof({ orderId, orderCode, photoBase64, signatureSvg, recipientName }) {
+    if (!orderId) throw new Error("Order ID is required");
+    if (!photoBase64) throw new Error("A photo is required");
+    if (!signatureSvg) throw new Error("A signature is required");
+
+    // base64 is ~4/3 of the binary size
+    if ((photoBase64.length * 3) / 4 > MAX_PHOTO_BYTES) {
+      throw new Error("Photo is too large. Please retake it.");
+    }
+
+    const location = locationService.getCurrentLocation();
+    const capturedAt = Date.now();
+    const proofId = await insertProof({
+      orderId,
+      orderCode,
+      photoBase64,
+      signatureSvg,
+      recipientName,
+      location,
+      capturedAt,
+    });
+
+    orderJournalService.record(ORDER_EVENTS.PROOF_CAPTURED, { orderId, orderCode }, { proofId });
+    logger.log(`📸 Proof of delivery ${proofId} stored for order ${orderCode || orderId}`);
+    return proofId;
+  }
+
+  /**
+   * Proof in the shape the verify-delivery endpoint expects
+   * @returns {Promise<Object|null>} null when the proof is missing or its images were pruned
+   */
+  async getUploadPayload(proofId) {
+    const proof = await getProof(proofId);
+    if (!proof || !proof.photo_base64 || !proof.signature_svg) return null;
+
+    return {
+      photo: `data:image/jpeg;base64,${proof.photo_base64}`,
+      signature: proof.signature_svg,
+      recipient_name: proof.recipient_name,
+      latitude: proof.latitude,
+      longitude: proof.longitude,
+      accuracy: proof.accuracy,
+      captured_at: new Date(proof.captured_at).toISOString(),
+    };
+  }
+
+  async markUploaded(proofId) {
+    try {
+      await markProofUploaded(proofId);
+    } catch (error) {
+      logger.error("❌ Error marking proof uploaded:", error);
+    }
+  }
+
+  async markFailed(proofId, message) {
+    try {
+      await markProofFailed(proofId, message);
+    } catch (error) {
+      logger.error("❌ Error marking proof failed:", error);
+    }
+  }
+
+  // Upload status of the latest capture for an order (metadata only)
+  async getStatus(orderId) {
+    try {
+      return await getLatestProofForOrder(orderId);
+    } catch (error) {
+      logger.error("❌ Error loading proof status:", error);
+      return null;
+    }
+  }
+
+  // Free the space used by images the server already has
+  async pruneUploaded() {
+    try {
+      const pruned = await pruneUploadedProofs(Date.now() - KEEP_UPLOADED_IMAGES_MS);
+      if (pruned > 0) logger.log(`🧹 Pruned images of ${pruned} uploaded proof(s)`);
+    } catch (error) {
+      logger.error("❌ Error pruning uploaded proofs:", error);
+    }
+  }
+}
+
+export default new DeliveryProofService();
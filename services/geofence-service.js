@@ -0,0 +1,445 @@
+import * as Location from "expo-location";
+import * as TaskManager from "expo-task-manager";
+import { logger } from "../utils/logger";
+import locationService from "./location-service";
+import orderJournalService, { ORDER_EVENTS } from "./order-journal-service";
+import offlineQueueService, { OUTBOX_ACTIONS } from "./offline-queue-service";
+import {
+  replaceGeofences,
+  getGeofences,
+  updateGeofenceState,
+  saveGeofenceSuggestion,
+  hideGeofenceSuggestion,
+  getGeofenceSuggestions,
+  deleteInactiveGeofenceSuggestions,
+  deleteAllGeofences,
+} from "../db/geofencesDb";
+import { isGeofenceAutoApplyEnabled, setGeofenceAutoApplyEnabled } from "../utils/geofence-settings";
+import { getOrderId, isAwaitingPickup, getPickupPoint, getDropoffPoint } from "../utils/active-orders";
+
+const GEOFENCE_TASK = "DELIVERY_GEOFENCES";
+
+// Status steps a geofence can suggest (or apply, when auto-apply is on)
+export const GEOFENCE_TRANSITIONS = {
+  ARRIVED_RESTAURANT: "arrived_restaurant",
+  PICKED_UP: "picked_up",
+  ARRIVED_CUSTOMER: "arrived_customer",
+};
+
+export const GEOFENCE_TRANSITION_LABELS = {
+  [GEOFENCE_TRANSITIONS.ARRIVED_RESTAURANT]: "Arrived at restaurant",
+  [GEOFENCE_TRANSITIONS.PICKED_UP]: "Picked up",
+  [GEOFENCE_TRANSITIONS.ARRIVED_CUSTOMER]: "Arrived at customer",
+};
+
+const TRANSITION_EVENTS = {
+  [GEOFENCE_TRANSITIONS.ARRIVED_RESTAURANT]: ORDER_EVENTS.ARRIVED_RESTAURANT,
+  [GEOFENCE_TRANSITIONS.PICKED_UP]: ORDER_EVENTS.PICKED_UP,
+  [GEOFENCE_TRANSITIONS.ARRIVED_CUSTOMER]: ORDER_EVENTS.ARRIVED,
+};
+
+// Status reported to the server for each step
+const TRANSITION_STATUSES = {
+  [GEOFENCE_TRANSITIONS.ARRIVED_RESTAURANT]: "ArrivedAtRestaurant",
+  [GEOFENCE_TRANSITIONS.PICKED_UP]: "PickedUp",
+  [GEOFENCE_TRANSITIONS.ARRIVED_CUSTOMER]: "ArrivedAtCustomer",
+};
+
+const PICKUP_RADIUS = 100; // meters
+const DROPOFF_RADIUS = 80; // meters
+const EXIT_FACTOR = 1.5; // Polling only: leave at 1.5x the radius so GPS jitter doesn't flap in and out
+const ARRIVAL_DWELL_MS = 30 * 1000; // Inside a fence this long = arrived
+const PICKUP_DWELL_MS = 60 * 1000; // At the restaurant this long, then leaving = picked up
+const APPROACH_MARGIN = 300; // meters outside a fence that count as "near" (location sampling gets finer)
+
+// OS geofence events (may arrive while the app is in the background, or start it headless)
+TaskManager.defineTask(GEOFENCE_TASK, async ({ data, error }) => {
+  if (error) {
+    logger.error("Geofence task error:", error);
+    return;
+  }
+
+  if (data?.region) {
+    await geofenceService.init();
+    await geofenceService.handleRegionEvent(
+      data.region.identifier,
+      data.eventType === Location.GeofencingEventType.Enter
+    );
+  }
+});
+
+// 🧭 Geofences around the pickup and drop-off of every active order
+class GeofenceService {
+  constructor() {
+    this.fences = new Map(); // regionId -> { orderId, orderCode, kind, latitude, longitude, radius, inside, enteredAt }
+    this.suggestions = new Map(); // `${orderId}:${type}` -> { id, orderId, orderCode, type, auto, applied, createdAt }
+    this.handled = new Set(); // Suggestion ids already raised - each step is offered once per order
+    this.listeners = new Set();
+    this.regionsSignature = "";
+    this.usingOsGeofencing = false;
+    this.autoApply = false;
+    this.initPromise = null;
+  }
+
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = Promise.all([
+        isGeofenceAutoApplyEnabled().then((enabled) => {
+          this.autoApply = enabled;
+        }),
+        this.restore(),
+      ]);
+    }
+    return this.initPromise;
+  }
+
+  async setAutoApply(enabled) {
+    this.autoApply = enabled;
+    return setGeofenceAutoApplyEnabled(enabled);
+  }
+
+  // After a (headless) start the fences and the suggestions raised meanwhile are only in the database
+  async restore() {
+    try {
+      const [storedFences, storedSuggestions] = await Promise.all([getGeofences(), getGeofenceSuggestions()]);
+
+      if (this.fences.size === 0) {
+        storedFences.forEach(({ regionId, ...fence }) => this.fences.set(regionId, fence));
+        if (storedFences.length > 0) logger.log(`🧭 Restored ${storedFences.length} geofence(s) from storage`);
+      }
+
+      storedSuggestions.forEach(({ visible, ...suggestion }) => {
+        this.handled.add(suggestion.id);
+        if (visible && !this.suggestions.has(suggestion.id)) this.suggestions.set(suggestion.id, suggestion);
+      });
+      if (storedSuggestions.some((suggestion) => suggestion.visible)) this.notify();
+    } catch (error) {
+      logger.error("❌ Error restoring geofences:", error);
+    }
+  }
+
+  // ------------------------------------------------
+  // 📍 Fences for the current active orders
+  // Pickup fence while the order waits for pickup, drop-off fence afterwards
+  // ------------------------------------------------
+  syncOrders(orders) {
+    const next = new Map();
+
+    (orders || []).forEach((order) => {
+      const orderId = getOrderId(order);
+      if (!orderId) return;
+
+      const awaitingPickup = isAwaitingPickup(order);
+      const point = awaitingPickup ? getPickupPoint(order) : getDropoffPoint(order);
+      if (!point) return;
+
+      const kind = awaitingPickup ? "pickup" : "dropoff";
+      const regionId = `${orderId}_${kind}`;
+      const existing = this.fences.get(regionId);
+
+      next.set(regionId, {
+        inside: false,
+        enteredAt: null,
+        ...existing,
+        orderId,
+        orderCode: order.orderCode || null,
+        kind,
+        latitude: point.latitude,
+        longitude: point.longitude,
+        radius: awaitingPickup ? PICKUP_RADIUS : DROPOFF_RADIUS,
+      });
+    });
+
+    const activeIds = new Set([...next.values()].map((fence) => String(fence.orderId)));
+
+    this.fences = next;
+
+    let changed = false;
+    for (const [id, suggestion] of this.suggestions) {
+      if (!activeIds.has(String(suggestion.orderId))) {
+        this.suggestions.delete(id);
+        changed = true;
+      }
+    }
+    for (const id of this.handled) {
+      if (!activeIds.has(id.split(":")[0])) this.handled.delete(id);
+    }
+    if (changed) this.notify();
+    deleteInactiveGeofenceSuggestions(activeIds).catch((error) =>
+      logger.error("❌ Error pruning geofence suggestions:", error)
+    );
+
+    this.updateOsGeofences();
+  }
+
+  // Register the fences with the OS; stays on polling when that isn't possible (Expo Go, no "Always" permission)
+  async updateOsGeofences() {
+    const regions = [...this.fences.entries()].map(([identifier, fence]) => ({
+      identifier,
+      latitude: fence.latitude,
+      longitude: fence.longitude,
+      radius: fence.radius,
+      notifyOnEnter: true,
+      notifyOnExit: true,
+    }));
+
+    const signature = regions
+      .map((region) => `${region.identifier}:${region.latitude.toFixed(5)},${region.longitude.toFixed(5)}`)
+      .join("|");
+    if (signature === this.regionsSignature) return;
+    this.regionsSignature = signature;
+
+    replaceGeofences(this.fences).catch((error) => logger.error("❌ Error saving geofences:", error));
+
+    try {
+      if (regions.length === 0) {
+        if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) {
+          await Location.stopGeofencingAsync(GEOFENCE_TASK);
+        }
+        this.usingOsGeofencing = false;
+        return;
+      }
+
+      const [isTaskManagerAvailable, background] = await Promise.all([
+        TaskManager.isAvailableAsync(),
+        Location.getBackgroundPermissionsAsync(),
+      ]);
+      if (!isTaskManagerAvailable || background.status !== "granted") {
+        this.usingOsGeofencing = false;
+        return;
+      }
+
+      await Location.startGeofencingAsync(GEOFENCE_TASK, regions);
+      this.usingOsGeofencing = true;
+      logger.log(`🧭 OS geofencing ${regions.length} region(s)`);
+    } catch (error) {
+      logger.log("ℹ️ OS geofencing not available - using location polling:", error?.message);
+      this.usingOsGeofencing = false;
+    }
+  }
+
+  // ------------------------------------------------
+  // 🔁 Location tick (foreground loop and background updates)
+  // Detects enter/exit itself when the OS isn't doing it, and checks dwell times
+  // ------------------------------------------------
+  async updateLocation(location) {
+    if (!location) return;
+
+    if (!this.usingOsGeofencing) {
+      for (const [regionId, fence] of this.fences) {
+        const meters =
+          locationService.calculateDistance(location.latitude, location.longitude, fence.latitude, fence.longitude) * 1000;
+
+        if (!fence.inside && meters <= fence.radius) {
+          await this.handleRegionEvent(regionId, true);
+        } else if (fence.inside && meters > fence.radius * EXIT_FACTOR) {
+          await this.handleRegionEvent(regionId, false);
+        }
+      }
+    }
+
+    await this.checkDwell();
+  }
+
+  // Dwell is measured from the stored entered_at on each event - there are no timers to lose
+  // when the app is killed, and a headless run picks up where the last one stopped
+  async handleRegionEvent(regionId, entered) {
+    const now = Date.now();
+
+    // Steps already due from the time spent inside (including the fence being left now)
+    await this.checkDwell(now);
+
+    const fence = this.fences.get(regionId);
+    if (!fence || fence.inside === entered) return;
+
+    if (entered) {
+      fence.inside = true;
+      fence.enteredAt = now;
+      this.saveFenceState(regionId, fence);
+      logger.log(`🧭 Entered ${fence.kind} fence of order ${fence.orderId}`);
+      return;
+    }
+
+    const dwellMs = fence.enteredAt ? now - fence.enteredAt : 0;
+    fence.inside = false;
+    fence.enteredAt = null;
+    this.saveFenceState(regionId, fence);
+    logger.log(`🧭 Left ${fence.kind} fence of order ${fence.orderId} after ${Math.round(dwellMs / 1000)}s`);
+
+    if (fence.kind === "pickup" && dwellMs >= PICKUP_DWELL_MS) {
+      await this.suggest(fence, GEOFENCE_TRANSITIONS.PICKED_UP);
+    }
+  }
+
+  saveFenceState(regionId, fence) {
+    updateGeofenceState(regionId, fence.inside, fence.enteredAt).catch((error) =>
+      logger.error("❌ Error saving geofence state:", error)
+    );
+  }
+
+  async checkDwell(now = Date.now()) {
+    for (const fence of [...this.fences.values()]) {
+      if (!fence.inside || !fence.enteredAt || now - fence.enteredAt < ARRIVAL_DWELL_MS) continue;
+
+      await this.suggest(
+        fence,
+        fence.kind === "pickup" ? GEOFENCE_TRANSITIONS.ARRIVED_RESTAURANT : GEOFENCE_TRANSITIONS.ARRIVED_CUSTOMER
+      );
+    }
+  }
+
+  // ------------------------------------------------
+  // 💡 Suggestions
+  // ------------------------------------------------
+  async suggest(fence, type) {
+    await this.init(); // Steps offered before a restart are only known once restored
+
+    const id = `${fence.orderId}:${type}`;
+    if (this.handled.has(id)) return;
+    this.handled.add(id);
+
+    // Already known (e.g. the server moved the order on, or the rider confirmed it before)
+    if (await orderJournalService.hasRecorded(fence.orderId, TRANSITION_EVENTS[type])) return;
+
+    const suggestion = {
+      id,
+      orderId: fence.orderId,
+      orderCode: fence.orderCode,
+      type,
+      auto: this.autoApply,
+      applied: false,
+      createdAt: Date.now(),
+    };
+    this.suggestions.set(id, suggestion);
+    this.saveSuggestion(suggestion);
+    logger.log(`💡 Geofence: ${GEOFENCE_TRANSITION_LABELS[type]} for order ${fence.orderId}`);
+
+    if (suggestion.auto) {
+      await this.confirm(id);
+    } else {
+      this.notify();
+    }
+  }
+
+  // Apply a suggested step. Auto-applied steps stay listed so the rider can still undo them
+  async confirm(id) {
+    const suggestion = this.suggestions.get(id);
+    if (!suggestion || suggestion.applied) return;
+
+    const order = { id: suggestion.orderId, orderCode: suggestion.orderCode };
+    await orderJournalService.record(TRANSITION_EVENTS[suggestion.type], order, {
+      source: "geofence",
+      auto: suggestion.auto,
+    });
+
+    if (suggestion.auto) {
+      const applied = { ...suggestion, applied: true };
+      this.suggestions.set(id, applied);
+      this.saveSuggestion(applied);
+    } else {
+      this.suggestions.delete(id);
+      this.hideSuggestion(id);
+    }
+    this.notify();
+    await this.reportStatus(suggestion, { undone: false });
+  }
+
+  saveSuggestion(suggestion) {
+    saveGeofenceSuggestion(suggestion).catch((error) => logger.error("❌ Error saving geofence suggestion:", error));
+  }
+
+  hideSuggestion(id) {
+    hideGeofenceSuggestion(id).catch((error) => logger.error("❌ Error saving geofence suggestion:", error));
+  }
+
+  // Tell the server through the outbox, so the step survives no signal and headless runs
+  async reportStatus(suggestion, { undone }) {
+    try {
+      await offlineQueueService.enqueue(OUTBOX_ACTIONS.UPDATE_STATUS, suggestion.orderId, {
+        orderId: suggestion.orderId,
+        status: TRANSITION_STATUSES[suggestion.type],
+        undone,
+        source: "geofence",
+        updatedAt: Date.now(),
+      });
+    } catch (error) {
+      logger.error("❌ Error queueing geofence status update:", error);
+    }
+  }
+
+  async undo(id) {
+    const suggestion = this.suggestions.get(id);
+    if (!suggestion) return;
+
+    this.suggestions.delete(id);
+    this.hideSuggestion(id);
+    if (suggestion.applied) {
+      await orderJournalService.retract(TRANSITION_EVENTS[suggestion.type], suggestion.orderId);
+      await this.reportStatus(suggestion, { undone: true });
+    }
+    this.notify();
+  }
+
+  // Whether the rider is at or approaching any pickup / drop-off fence
+  // Location sampling uses it to switch to frequent, high-accuracy fixes
+  isNearFence(location) {
+    if (!location) return false;
+
+    for (const fence of this.fences.values()) {
+      const meters =
+        locationService.calculateDistance(location.latitude, location.longitude, fence.latitude, fence.longitude) * 1000;
+      if (meters <= fence.radius + APPROACH_MARGIN) return true;
+    }
+    return false;
+  }
+
+  // Hide a suggestion (or acknowledge an auto-applied step) without changing anything
+  dismiss(id) {
+    if (!this.suggestions.delete(id)) return;
+    this.hideSuggestion(id);
+    this.notify();
+  }
+
+  getSuggestions(orderId = null) {
+    const all = [...this.suggestions.values()].sort((a, b) => a.createdAt - b.createdAt);
+    return orderId ? all.filter((suggestion) => String(suggestion.orderId) === String(orderId)) : all;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        logger.error("Error in geofence listener:", error);
+      }
+    });
+  }
+
+  async cleanup() {
+    this.fences.clear();
+    this.suggestions.clear();
+    this.handled.clear();
+    this.regionsSignature = "";
+    this.notify();
+
+    deleteAllGeofences().catch((error) => logger.error("❌ Error clearing geofences:", error));
+
+    try {
+      if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) {
+        await Location.stopGeofencingAsync(GEOFENCE_TASK);
+      }
+    } catch (error) {
+      logger.log("ℹ️ Could not stop OS geofencing:", error?.message);
+    }
+    this.usingOsGeofencing = false;
+  }
+}
+
+const geofenceService = new GeofenceService();
+
+export default geofenceService;
@@ -0,0 +1,203 @@
+import * as Location from "expo-location";
+import * as Battery from "expo-battery";
+import { useEffect, useState } from "react";
+import { logger } from "../utils/logger";
+import locationService from "./location-service";
+import { updateBackgroundLocationOptions } from "./background-location-task";
+
+export const SAMPLING_MODES = {
+  PRECISE: "precise",
+  DELIVERING: "delivering",
+  IDLE: "idle",
+  LOW_POWER: "low_power",
+};
+
+export const LOW_BATTERY_THRESHOLD = 0.2; // Below 20% (and not charging) every mode drops to low power
+
+// How accurately and how often each mode samples
+// reportIntervalMs paces the live location sent to a customer who is tracking the order
+export const SAMPLING_POLICIES = {
+  [SAMPLING_MODES.PRECISE]: {
+    label: "High accuracy",
+    description: "Near a pickup or drop-off, or a customer is tracking you",
+    accuracy: Location.Accuracy.High,
+    timeInterval: 3000,
+    distanceInterval: 5,
+    reportIntervalMs: 5000,
+  },
+  [SAMPLING_MODES.DELIVERING]: {
+    label: "On delivery",
+    description: "Regular updates while you carry orders",
+    accuracy: Location.Accuracy.Balanced,
+    timeInterval: 5000,
+    distanceInterval: 25,
+    reportIntervalMs: 10000,
+  },
+  [SAMPLING_MODES.IDLE]: {
+    label: "Idle",
+    description: "Coarse, sparse updates while you wait for offers",
+    accuracy: Location.Accuracy.Low,
+    timeInterval: 30000,
+    distanceInterval: 100,
+    reportIntervalMs: 30000,
+  },
+  [SAMPLING_MODES.LOW_POWER]: {
+    label: "Battery saver",
+    description: `Battery below ${Math.round(LOW_BATTERY_THRESHOLD * 100)}% or battery saver on - fewer, rougher updates`,
+    accuracy: Location.Accuracy.Low,
+    timeInterval: 60000,
+    distanceInterval: 200,
+    reportIntervalMs: 30000,
+  },
+};
+
+const isCharging = (batteryState) =>
+  batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL;
+
+// 🔋 Picks GPS accuracy and frequency from what the rider is doing and how much battery is left
+class LocationSamplingService {
+  constructor() {
+    this.signals = {
+      onDelivery: false,
+      customerTracking: false,
+      nearGeofence: false,
+    };
+    this.battery = { level: null, charging: false, lowPowerMode: false };
+    this.mode = SAMPLING_MODES.IDLE;
+    this.listeners = new Set();
+    this.batterySubscriptions = [];
+    this.applying = Promise.resolve(); // Policy changes apply one after another
+  }
+
+  // Start watching the battery (level, charging, OS low power mode)
+  async init() {
+    if (this.batterySubscriptions.length > 0) return;
+
+    try {
+      const [level, state, lowPowerMode] = await Promise.all([
+        Battery.getBatteryLevelAsync(),
+        Battery.getBatteryStateAsync(),
+        Battery.isLowPowerModeEnabledAsync(),
+      ]);
+      this.battery = { level, charging: isCharging(state), lowPowerMode };
+
+      this.batterySubscriptions = [
+        Battery.addBatteryLevelListener(({ batteryLevel }) => this.updateBattery({ level: batteryLevel })),
+        Battery.addBatteryStateListener(({ batteryState }) => this.updateBattery({ charging: isCharging(batteryState) })),
+        Battery.addLowPowerModeListener(({ lowPowerMode }) => this.updateBattery({ lowPowerMode })),
+      ];
+    } catch (error) {
+      logger.warn("Battery status unavailable - location sampling ignores battery:", error);
+    }
+
+    await this.evaluate(true);
+  }
+
+  updateBattery(changes) {
+    this.battery = { ...this.battery, ...changes };
+    this.evaluate();
+  }
+
+  /**
+   * Report what the rider is doing
+   * @param {Object} changes - Any of { onDelivery, customerTracking, nearGeofence }
+   */
+  updateSignals(changes) {
+    const next = { ...this.signals, ...changes };
+    if (Object.keys(next).every((key) => next[key] === this.signals[key])) return;
+
+    this.signals = next;
+    this.evaluate();
+  }
+
+  // Level is -1 when the device can't tell (simulators)
+  isLowBattery() {
+    const { level, charging, lowPowerMode } = this.battery;
+    if (charging) return false;
+    return lowPowerMode || (level !== null && level >= 0 && level < LOW_BATTERY_THRESHOLD);
+  }
+
+  // Low battery wins over everything, then precise work, then carrying orders
+  resolveMode() {
+    if (this.isLowBattery()) return SAMPLING_MODES.LOW_POWER;
+    if (this.signals.customerTracking || this.signals.nearGeofence) return SAMPLING_MODES.PRECISE;
+    if (this.signals.onDelivery) return SAMPLING_MODES.DELIVERING;
+    return SAMPLING_MODES.IDLE;
+  }
+
+  async evaluate(force = false) {
+    const mode = this.resolveMode();
+    if (mode === this.mode && !force) {
+      this.notify(); // Battery level still changed
+      return;
+    }
+
+    this.mode = mode;
+    logger.log(`🔋 Location sampling: ${SAMPLING_POLICIES[mode].label}`);
+    this.notify();
+
+    // Restarting the watch is async - queue so a quick second change isn't lost mid-restart
+    this.applying = this.applying.then(async () => {
+      const policy = this.getPolicy();
+      try {
+        await locationService.setSamplingOptions(policy);
+        await updateBackgroundLocationOptions(policy);
+      } catch (error) {
+        logger.error("Failed to apply location sampling policy:", error);
+      }
+    });
+    await this.applying;
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  getPolicy() {
+    return SAMPLING_POLICIES[this.mode];
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      policy: this.getPolicy(),
+      batteryLevel: this.battery.level,
+      charging: this.battery.charging,
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach((listener) => {
+      try {
+        listener(status);
+      } catch (error) {
+        logger.error("Sampling listener error:", error);
+      }
+    });
+  }
+
+  // Stop watching the battery (the rider's signals stay with whoever reported them)
+  cleanup() {
+    this.batterySubscriptions.forEach((subscription) => subscription.remove());
+    this.batterySubscriptions = [];
+  }
+}
+
+const locationSamplingService = new LocationSamplingService();
+
+// React hook: current sampling mode, its policy and the battery level
+export const useLocationSampling = () => {
+  const [status, setStatus] = useState(() => locationSamplingService.getStatus());
+
+  useEffect(() => locationSamplingService.subscribe(setStatus), []);
+
+  return status;
+};
+
+export default locationSamplingService;
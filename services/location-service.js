@@ -1,6 +1,7 @@
 import * as Location from 'expo-location';
 import { useState, useEffect, useRef } from 'react';
 import { logger } from '../utils/logger';
+import { getLocationSamples, deleteLocationSamplesThrough } from '../db/locationSamplesDb';
 
 class LocationService {
   constructor() {
@@ -9,6 +10,12 @@ class LocationService {
     this.isTracking = false;
     this.currentLocation = null;
     this.lastUpdateTime = null;
+    // Set by location-sampling-service as the rider's situation changes
+    this.samplingOptions = {
+      accuracy: Location.Accuracy.High,
+      timeInterval: 5000, // Update every 5 seconds
+      distanceInterval: 0,
+    };
   }
 
   // Subscribe to location updates
@@ -62,21 +69,7 @@ class LocationService {
       });
 
       // Start watching location changes
-      this.watchId = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.High,
-          timeInterval: 5000, // Update every 5 seconds
-          // distanceInterval: 10, // Update every 10 meters
-        },
-        (location) => {
-          this.updateLocation({
-            latitude: location.coords.latitude,
-            longitude: location.coords.longitude,
-            accuracy: location.coords.accuracy,
-            timestamp: location.timestamp,
-          });
-        }
-      );
+      await this.startWatching();
 
       logger.log('📍 Location tracking started');
     }
@@ -87,6 +80,45 @@ class LocationService {
     }
   }
 
+  async startWatching() {
+    const { accuracy, timeInterval, distanceInterval } = this.samplingOptions;
+
+    this.watchId = await Location.watchPositionAsync(
+      { accuracy, timeInterval, distanceInterval },
+      (location) => {
+        this.updateLocation({
+          latitude: location.coords.latitude,
+          longitude: location.coords.longitude,
+          accuracy: location.coords.accuracy,
+          timestamp: location.timestamp,
+        });
+      }
+    );
+  }
+
+  /**
+   * Change how accurately / often the foreground watch samples (restarts the watch if running)
+   * @param {Object} options - { accuracy, timeInterval, distanceInterval }
+   */
+  async setSamplingOptions({ accuracy, timeInterval, distanceInterval }) {
+    const current = this.samplingOptions;
+    if (
+      current.accuracy === accuracy &&
+      current.timeInterval === timeInterval &&
+      current.distanceInterval === distanceInterval
+    ) {
+      return;
+    }
+
+    this.samplingOptions = { accuracy, timeInterval, distanceInterval };
+
+    if (this.isTracking && this.watchId && typeof this.watchId.remove === 'function') {
+      this.watchId.remove();
+      this.watchId = null;
+      await this.startWatching();
+    }
+  }
+
   // Stop location tracking
   async stopLocationTracking() {
     if (this.watchId) {
@@ -170,6 +202,32 @@ class LocationService {
     return R * c;
   }
 
+  // Read the samples the background task buffered while the app was in the background or killed
+  // The newest becomes the current location unless we already have a fresher fix
+  async restoreBackgroundSamples() {
+    try {
+      const samples = await getLocationSamples();
+      if (samples.length === 0) return [];
+
+      const latest = samples[samples.length - 1];
+      if (!this.currentLocation || (this.currentLocation.timestamp || 0) < latest.timestamp) {
+        this.updateLocation({
+          latitude: latest.latitude,
+          longitude: latest.longitude,
+          accuracy: latest.accuracy,
+          timestamp: latest.timestamp,
+        });
+      }
+
+      await deleteLocationSamplesThrough(latest.id);
+      logger.log(`📥 Restored ${samples.length} background location sample(s)`);
+      return samples;
+    } catch (error) {
+      logger.error('Error restoring background location samples:', error);
+      return [];
+    }
+  }
+
   // Check if location is recent (within last 30 seconds)
   isLocationRecent() {
     if (!this.lastUpdateTime) return false;
@@ -0,0 +1,290 @@
+import NetInfo from "@react-native-community/netinfo";
+import { logger } from "../utils/logger";
+import {
+  initOutboxDB,
+  enqueueAction,
+  getPendingActions,
+  countPendingActions,
+  markActionRetry,
+  deleteAction,
+  deleteOrderActions,
+  deleteOtherUsersActions,
+  clearOutbox,
+} from "../db/outboxDb";
+import { getStoredUserId } from "../utils/secure-storage";
+
+// Action types that can be queued while the rider has no signal
+export const OUTBOX_ACTIONS = {
+  ACCEPT_ORDER: "acceptOrder",
+  VERIFY_DELIVERY: "verifyDelivery",
+  DECLINE_FEEDBACK: "declineFeedback",
+  UPDATE_STATUS: "updateStatus",
+};
+
+// Best-effort actions - while one waits for a retry the rest of the outbox keeps replaying,
+// so a status ping never holds up an accept or a verification
+const NON_BLOCKING_ACTIONS = new Set([OUTBOX_ACTIONS.DECLINE_FEEDBACK, OUTBOX_ACTIONS.UPDATE_STATUS]);
+
+// Results a replay handler can return
+export const REPLAY_RESULT = {
+  SUCCESS: "success", // Server applied the action - drop it
+  CONFLICT: "conflict", // Server rejected it for good (e.g. order taken) - drop and report
+  RETRY: "retry", // Transient failure - keep it and back off
+};
+
+class OfflineQueueService {
+  constructor() {
+    this.handlers = new Map(); // actionType -> async (payload, action) => { status, message }
+    this.changeListeners = new Set();
+    this.conflictListeners = new Set();
+    this.isConnected = true;
+    this.isFlushing = false;
+    this.isInitialized = false;
+    this.initPromise = null; // Shared by concurrent init() calls so NetInfo is subscribed once
+    this.retryTimeout = null;
+    this.netInfoUnsubscribe = null;
+    this.userId = null; // Signed-in rider - only their actions are replayed
+    this.BASE_RETRY_DELAY = 2000; // 2 seconds
+    this.MAX_RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+  }
+
+  // Create the outbox table and start listening to connectivity
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.initialize().catch((error) => {
+        this.initPromise = null; // Let the next caller retry
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async initialize() {
+    await initOutboxDB();
+    this.isInitialized = true;
+
+    this.netInfoUnsubscribe = NetInfo.addEventListener((net) => {
+      const online =
+        !!net.isConnected &&
+        (net.isInternetReachable === null || net.isInternetReachable === true);
+      const cameBack = online && !this.isConnected;
+      this.isConnected = online;
+
+      if (cameBack) {
+        logger.log("🌐 Connectivity restored - replaying queued actions");
+        this.flush();
+      }
+    });
+
+    logger.log("✅ Offline action queue initialized");
+    await this.notifyChange();
+    this.flush();
+  }
+
+  isNetworkAvailable() {
+    return this.isConnected;
+  }
+
+  // Register the function that replays one action type
+  registerHandler(actionType, handler) {
+    this.handlers.set(actionType, handler);
+  }
+
+  // Subscribe to pending count changes - returns unsubscribe function
+  subscribe(callback) {
+    this.changeListeners.add(callback);
+    return () => this.changeListeners.delete(callback);
+  }
+
+  // Subscribe to conflicts reported by the server - returns unsubscribe function
+  onConflict(callback) {
+    this.conflictListeners.add(callback);
+    return () => this.conflictListeners.delete(callback);
+  }
+
+  /**
+   * Set the signed-in rider (null while signed out). Actions another rider queued on this
+   * device are dropped, never replayed with this rider's token
+   */
+  async setUser(userId) {
+    this.userId = userId ? String(userId) : null;
+    if (!this.userId) return;
+
+    await this.init();
+    const removed = await deleteOtherUsersActions(this.userId);
+    if (removed > 0) {
+      logger.log(`🗑️ Dropped ${removed} queued action(s) from another rider`);
+    }
+    await this.notifyChange();
+    this.flush();
+  }
+
+  async enqueue(actionType, orderId, payload = {}) {
+    await this.init();
+
+    // Headless (no provider mounted) the rider comes from the stored session
+    const userId = this.userId || (await getStoredUserId());
+    await enqueueAction(actionType, orderId, payload, userId);
+    await this.notifyChange();
+
+    if (this.isConnected) {
+      this.flush();
+    }
+  }
+
+  async getPendingCount() {
+    try {
+      return await countPendingActions();
+    } catch (error) {
+      logger.error("❌ Error counting queued actions:", error);
+      return 0;
+    }
+  }
+
+  // Exponential backoff: 2s, 4s, 8s ... capped at 5 minutes
+  getRetryDelay(attempts) {
+    return Math.min(this.BASE_RETRY_DELAY * 2 ** Math.max(0, attempts - 1), this.MAX_RETRY_DELAY);
+  }
+
+  scheduleRetry(delay) {
+    if (this.retryTimeout) clearTimeout(this.retryTimeout);
+    this.retryTimeout = setTimeout(() => {
+      this.retryTimeout = null;
+      this.flush();
+    }, delay);
+  }
+
+  // Replay queued actions in order. Stops at the first action that must be retried
+  // so later actions never overtake an earlier one - non-blocking actions are only held
+  // back together with later actions of the same type for the same order.
+  async flush() {
+    if (this.isFlushing || !this.isConnected || !this.isInitialized || !this.userId) return;
+    this.isFlushing = true;
+
+    let retryDelay = null; // Earliest moment a held-back action is due again
+    const heldBack = new Set(); // `${actionType}:${orderId}` of non-blocking actions waiting to retry
+
+    // Returns true when the loop must stop here
+    const holdBack = (action, delay) => {
+      if (delay !== null) {
+        retryDelay = retryDelay === null ? delay : Math.min(retryDelay, delay);
+      }
+      if (!NON_BLOCKING_ACTIONS.has(action.action_type)) return true;
+      heldBack.add(`${action.action_type}:${action.order_id}`);
+      return false;
+    };
+
+    try {
+      const actions = await getPendingActions(this.userId);
+
+      for (const action of actions) {
+        if (heldBack.has(`${action.action_type}:${action.order_id}`)) continue;
+
+        const waitMs = (action.next_attempt_at || 0) - Date.now();
+        if (waitMs > 0) {
+          if (holdBack(action, waitMs)) break;
+          continue;
+        }
+
+        const handler = this.handlers.get(action.action_type);
+        if (!handler) {
+          logger.warn(`⚠️ No replay handler for ${action.action_type} yet`);
+          if (holdBack(action, null)) break;
+          continue;
+        }
+
+        let payload = {};
+        try {
+          payload = action.payload ? JSON.parse(action.payload) : {};
+        } catch (e) {
+          logger.error("❌ Corrupt outbox payload, dropping action:", action.id);
+          await deleteAction(action.id);
+          continue;
+        }
+
+        let result;
+        try {
+          result = await handler(payload, action);
+        } catch (error) {
+          result = { status: REPLAY_RESULT.RETRY, message: error?.message || String(error) };
+        }
+
+        if (result?.status === REPLAY_RESULT.SUCCESS) {
+          await deleteAction(action.id);
+          logger.log(`✅ Replayed ${action.action_type} for order ${action.order_id}`);
+        } else if (result?.status === REPLAY_RESULT.CONFLICT) {
+          await deleteAction(action.id);
+          logger.warn(`⚠️ Conflict replaying ${action.action_type}: ${result.message}`);
+          this.notifyConflict(action, payload, result.message);
+        } else {
+          const delay = this.getRetryDelay(action.attempts + 1);
+          await markActionRetry(action.id, result?.message, Date.now() + delay);
+          logger.log(`♻️ ${action.action_type} failed, retrying in ${Math.round(delay / 1000)}s`);
+          if (holdBack(action, delay)) break;
+        }
+      }
+
+      if (retryDelay !== null) {
+        this.scheduleRetry(retryDelay);
+      }
+    } catch (error) {
+      logger.error("❌ Error replaying queued actions:", error);
+    } finally {
+      this.isFlushing = false;
+      await this.notifyChange();
+    }
+  }
+
+  async notifyChange() {
+    const count = await this.getPendingCount();
+    this.changeListeners.forEach((callback) => {
+      try {
+        callback(count);
+      } catch (error) {
+        logger.error("Error in outbox listener:", error);
+      }
+    });
+  }
+
+  notifyConflict(action, payload, message) {
+    this.conflictListeners.forEach((callback) => {
+      try {
+        callback({
+          actionType: action.action_type,
+          orderId: action.order_id,
+          payload,
+          message,
+        });
+      } catch (error) {
+        logger.error("Error in outbox conflict listener:", error);
+      }
+    });
+  }
+
+  /**
+   * Drop queued actions of one type for an order that no longer need replaying
+   * (e.g. a queued verification - and its code - once the order was verified live)
+   */
+  async discard(actionType, orderId) {
+    if (!this.isInitialized) return;
+    try {
+      await deleteOrderActions(actionType, orderId);
+      await this.notifyChange();
+    } catch (error) {
+      logger.error("❌ Error discarding queued actions:", error);
+    }
+  }
+
+  // Drop everything (used on logout)
+  async clear() {
+    if (this.retryTimeout) {
+      clearTimeout(this.retryTimeout);
+      this.retryTimeout = null;
+    }
+    if (!this.isInitialized) return;
+    await clearOutbox();
+    await this.notifyChange();
+  }
+}
+
+export default new OfflineQueueService();
@@ -0,0 +1,219 @@
+import { Share } from "react-native";
+import { logger } from "../utils/logger";
+import locationService from "./location-service";
+import { getOrderId } from "../utils/active-orders";
+import {
+  insertOrderEvent,
+  getOrderEvents,
+  getOrderEventsByType,
+  hasOrderEvent,
+  deleteOrderEvent,
+} from "../db/orderEventsDb";
+
+// Lifecycle steps recorded for every order
+export const ORDER_EVENTS = {
+  OFFERED: "offered",
+  DECLINED: "declined",
+  ACCEPTED: "accepted",
+  ARRIVED_RESTAURANT: "arrived_restaurant",
+  PICKED_UP: "picked_up",
+  IN_TRANSIT: "in_transit",
+  ARRIVED: "arrived", // Reached the customer's drop-off
+  PROOF_CAPTURED: "proof_captured", // Photo + signature taken instead of a code
+  VERIFIED: "verified",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+};
+
+export const ORDER_EVENT_LABELS = {
+  [ORDER_EVENTS.OFFERED]: "Offered",
+  [ORDER_EVENTS.DECLINED]: "Declined",
+  [ORDER_EVENTS.ACCEPTED]: "Accepted",
+  [ORDER_EVENTS.ARRIVED_RESTAURANT]: "Arrived at restaurant",
+  [ORDER_EVENTS.PICKED_UP]: "Picked up",
+  [ORDER_EVENTS.IN_TRANSIT]: "In transit",
+  [ORDER_EVENTS.ARRIVED]: "Arrived at customer",
+  [ORDER_EVENTS.PROOF_CAPTURED]: "Proof of delivery captured",
+  [ORDER_EVENTS.VERIFIED]: "Delivery verified",
+  [ORDER_EVENTS.COMPLETED]: "Completed",
+  [ORDER_EVENTS.CANCELLED]: "Cancelled",
+};
+
+// Steps that can legitimately happen more than once per order (re-offered, declined again, proof retaken)
+const REPEATABLE_EVENTS = new Set([
+  ORDER_EVENTS.OFFERED,
+  ORDER_EVENTS.DECLINED,
+  ORDER_EVENTS.PROOF_CAPTURED,
+]);
+
+// Server status names (DeliveryAPI.updateDeliveryStatus) that are a journal step
+export const STATUS_EVENTS = {
+  ArrivedAtRestaurant: ORDER_EVENTS.ARRIVED_RESTAURANT,
+  PickedUp: ORDER_EVENTS.PICKED_UP,
+  InTransit: ORDER_EVENTS.IN_TRANSIT,
+  ArrivedAtCustomer: ORDER_EVENTS.ARRIVED,
+  Delivered: ORDER_EVENTS.COMPLETED,
+};
+
+class OrderJournalService {
+  constructor() {
+    this.recorded = new Set(); // `${orderId}:${event}` already written this session
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record a lifecycle step with the time and the rider's last GPS fix.
+   * Each step is written once per order - repeats (re-renders, replays) are ignored,
+   * except for REPEATABLE_EVENTS, which get a new entry every time.
+   * @param {string} event - One of ORDER_EVENTS
+   * @param {Object|string} order - Order object or its id
+   * @param {Object} details - Extra context kept with the event (optional)
+   * @returns {Promise<boolean>} Whether a new event was written
+   */
+  async record(event, order, details = null) {
+    const orderId = typeof order === "object" ? getOrderId(order) : order;
+    if (!orderId || !event) return false;
+
+    const repeatable = REPEATABLE_EVENTS.has(event);
+    const key = `${orderId}:${event}`;
+    if (!repeatable) {
+      if (this.recorded.has(key)) return false;
+      this.recorded.add(key);
+    }
+
+    try {
+      if (!repeatable && await hasOrderEvent(orderId, event)) return false;
+
+      const location = locationService.getCurrentLocation();
+      await insertOrderEvent({
+        orderId,
+        orderCode: typeof order === "object" ? order.orderCode : null,
+        event,
+        location,
+        details: location?.timestamp
+          ? { ...details, fixTimestamp: location.timestamp }
+          : details,
+      });
+
+      logger.log(`🧾 Order ${orderId}: ${ORDER_EVENT_LABELS[event] || event}`);
+      this.notify(orderId);
+      return true;
+    } catch (error) {
+      this.recorded.delete(key); // Allow another attempt
+      logger.error("❌ Error recording order event:", error);
+      return false;
+    }
+  }
+
+  // Whether a step is already in the journal
+  async hasRecorded(orderId, event) {
+    if (this.recorded.has(`${orderId}:${event}`)) return true;
+    try {
+      return await hasOrderEvent(orderId, event);
+    } catch (error) {
+      logger.error("❌ Error reading order journal:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Take back a step the rider undid (e.g. an automatic geofence transition)
+   * @returns {Promise<boolean>} Whether an event was removed
+   */
+  async retract(event, orderId) {
+    if (!orderId || !event) return false;
+
+    try {
+      const removed = await deleteOrderEvent(orderId, event);
+      this.recorded.delete(`${orderId}:${event}`);
+      if (removed > 0) {
+        logger.log(`↩️ Order ${orderId}: ${ORDER_EVENT_LABELS[event] || event} undone`);
+        this.notify(orderId);
+      }
+      return removed > 0;
+    } catch (error) {
+      logger.error("❌ Error retracting order event:", error);
+      return false;
+    }
+  }
+
+  // Timeline for one order, oldest first
+  async getTimeline(orderId, orderCode = null) {
+    try {
+      return await getOrderEvents(orderId, orderCode);
+    } catch (error) {
+      logger.error("❌ Error loading order timeline:", error);
+      return [];
+    }
+  }
+
+  // One step across all orders (e.g. every decline for the stats), newest first
+  async getEvents(event, since = 0) {
+    try {
+      return await getOrderEventsByType(event, since);
+    } catch (error) {
+      logger.error("❌ Error loading order events:", error);
+      return [];
+    }
+  }
+
+  // Subscribe to new events (callback receives the order id) - returns unsubscribe function
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify(orderId) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(orderId);
+      } catch (error) {
+        logger.error("Error in order journal listener:", error);
+      }
+    });
+  }
+
+  /**
+   * Share an order's timeline (readable summary + raw JSON) so it can be sent to support
+   * @returns {Promise<boolean>} false when there is nothing to export
+   */
+  async exportTimeline(orderId, orderCode = null) {
+    const events = await this.getTimeline(orderId, orderCode);
+    if (events.length === 0) return false;
+
+    const code = orderCode || events.find((event) => event.order_code)?.order_code || orderId;
+    const lines = events.map((event, index) => {
+      const when = new Date(event.created_at).toISOString();
+      const where =
+        event.latitude != null && event.longitude != null
+          ? `${event.latitude.toFixed(6)}, ${event.longitude.toFixed(6)}${
+              event.accuracy != null ? ` (±${Math.round(event.accuracy)} m)` : ""
+            }`
+          : "no GPS fix";
+      return `${index + 1}. ${ORDER_EVENT_LABELS[event.event] || event.event} - ${when} - ${where}`;
+    });
+
+    const journal = events.map((event) => ({
+      event: event.event,
+      at: new Date(event.created_at).toISOString(),
+      latitude: event.latitude,
+      longitude: event.longitude,
+      accuracy: event.accuracy,
+      details: event.details,
+    }));
+
+    const message = [
+      `Order ${code} (${events[0].order_id})`,
+      `Exported ${new Date().toISOString()}`,
+      "",
+      ...lines,
+      "",
+      JSON.stringify(journal, null, 2),
+    ].join("\n");
+
+    await Share.share({ title: `Order ${code} timeline`, message });
+    return true;
+  }
+}
+
+export default new OrderJournalService();
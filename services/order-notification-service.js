@@ -1,7 +1,8 @@
 import * as Notifications from "expo-notifications";
-import { Platform, Vibration } from "react-native";
-import { Audio } from "expo-av";
-import { isNotificationSoundEnabled } from "../utils/notification-settings";
+import { AppState, Platform, Vibration } from "react-native";
+import audioManager, { getSoundChannelId } from "./audio-manager";
+import { SOUND_EVENTS, SOUND_OPTIONS } from "../utils/notification-settings";
+import { isRestaurantFavorite } from "../utils/restaurant-preferences";
 import { logger } from "../utils/logger";
 
 // Configure how notifications should be handled when app is in foreground
@@ -15,7 +16,6 @@ Notifications.setNotificationHandler({
 
 class OrderNotificationService {
   constructor() {
-    this.soundObjectRef = null;
     this.notificationChannel = null;
     this.initNotifications();
   }
@@ -47,17 +47,23 @@ class OrderNotificationService {
           }
         );
         logger.log("✅ Android notification channel created:", this.notificationChannel);
+
+        // Alert channels, one per bundled sound (assets/sounds, registered in app.json)
+        for (const option of SOUND_OPTIONS) {
+          await Notifications.setNotificationChannelAsync(getSoundChannelId(option.id), {
+            name: `Alerts (${option.label})`,
+            importance: Notifications.AndroidImportance.MAX,
+            vibrationPattern: [0, 250, 250, 250],
+            lightColor: "#667eea",
+            sound: `${option.id}.wav`,
+            enableVibrate: true,
+            lockscreenVisibility: Notifications.AndroidNotificationVisibility.PUBLIC,
+          });
+        }
       }
 
-      // Configure audio for background playback
-      await Audio.setAudioModeAsync({
-        allowsRecordingIOS: false,
-        playsInSilentModeIOS: true,
-        staysActiveInBackground: true,
-        shouldDuckAndroid: true,
-        interruptionModeIOS: 1,
-        interruptionModeAndroid: 1,
-      });
+      // Configure audio for foreground playback
+      await audioManager.init();
 
       logger.log("✅ Order notification service initialized");
       return true;
@@ -67,62 +73,30 @@ class OrderNotificationService {
     }
   }
 
-  // Play notification sound (works in background)
-  async playNotificationSound() {
-    try {
-      const soundEnabled = await isNotificationSoundEnabled();
-      
-      if (!soundEnabled) {
-        return;
-      }
+  // Notification sound for an alert. In the background it is all the rider hears, so it uses the
+  // event's profile sound; in the foreground the audio manager plays the full profile instead
+  async getAlertSound(event) {
+    if (AppState.currentState === "active") return { sound: false, trigger: null };
 
-      // Stop any existing sound
-      if (this.soundObjectRef) {
-        await this.soundObjectRef.stopAsync();
-        await this.soundObjectRef.unloadAsync();
-        this.soundObjectRef = null;
-      }
+    const alertSound = await audioManager.getNotificationSound(event);
+    if (!alertSound) return { sound: false, trigger: null }; // Muted
 
-      // Play notification sound - using multiple fallback options
-      const soundUrls = [
-        'https://cdn.pixabay.com/audio/2022/03/10/audio_c0856b19d7.mp3',
-        'https://assets.mixkit.co/active_storage/sfx/2869/2869-preview.mp3',
-        'https://freesound.org/data/previews/320/320655_5260872-lq.mp3',
-      ];
-
-      for (const soundUrl of soundUrls) {
-        try {
-          const { sound } = await Audio.Sound.createAsync(
-            { uri: soundUrl },
-            {
-              shouldPlay: true,
-              isLooping: false,
-              volume: 1.0,
-            }
-          );
-
-          this.soundObjectRef = sound;
-          
-          // Auto-cleanup after 3 seconds
-          setTimeout(async () => {
-            if (this.soundObjectRef) {
-              await this.soundObjectRef.unloadAsync();
-              this.soundObjectRef = null;
-            }
-          }, 3000);
-
-          break; // Successfully loaded
-        } catch (err) {
-          continue;
-        }
-      }
-    } catch (error) {
-      logger.error("Error playing notification sound:", error);
-    }
+    return {
+      sound: alertSound.file,
+      trigger: Platform.OS === "android" ? { channelId: alertSound.channelId } : null,
+    };
+  }
+
+  // Play the new-order sound profile (bundled asset - works offline, foreground only)
+  // Favorite restaurants have their own profile but share the new-order playback so cleanup stops both
+  async playNotificationSound(favorite = false) {
+    return audioManager.play(favorite ? SOUND_EVENTS.FAVORITE_ORDER : SOUND_EVENTS.NEW_ORDER, SOUND_EVENTS.NEW_ORDER);
   }
 
   // Show new order notification (works even when app is in background)
   async showNewOrderNotification(orderData) {
+    const favorite = isRestaurantFavorite(orderData?.restaurantName);
+
     try {
       const orderCode = orderData?.orderCode || "New Order";
       const restaurantName = orderData?.restaurantName || "Restaurant";
@@ -131,27 +105,31 @@ class OrderNotificationService {
       
       // Calculate total earnings
       const totalEarnings = parseFloat(deliveryFee) + parseFloat(tip);
+      const { sound, trigger } = await this.getAlertSound(
+        favorite ? SOUND_EVENTS.FAVORITE_ORDER : SOUND_EVENTS.NEW_ORDER
+      );
 
       // Schedule local notification
       await Notifications.scheduleNotificationAsync({
         content: {
-          title: "🆕 New Delivery Order!",
+          title: favorite ? "⭐ New Order from a Favorite!" : "🆕 New Delivery Order!",
           body: `${orderCode} from ${restaurantName}\n💰 Earnings: $${totalEarnings.toFixed(2)}`,
           data: { 
             orderId: orderData?.orderId || orderData?._id,
             orderCode,
-            type: "new-order" 
+            type: "new-order",
+            favorite,
           },
-          sound: true,
+          sound,
           priority: Notifications.AndroidNotificationPriority.MAX,
           vibrate: [0, 250, 250, 250],
           badge: 1,
         },
-        trigger: null, // Show immediately
+        trigger, // Show immediately
       });
 
-      // Play custom sound (in addition to notification sound)
-      await this.playNotificationSound();
+      // Play the full sound profile while the app is open
+      await this.playNotificationSound(favorite);
 
       // Vibrate
       Vibration.vibrate([0, 500, 200, 500]);
@@ -161,24 +139,29 @@ class OrderNotificationService {
     } catch (error) {
       logger.error("Failed to show notification:", error);
       // Fallback to just sound and vibration
-      await this.playNotificationSound();
+      await this.playNotificationSound(favorite);
       Vibration.vibrate([0, 500, 200, 500]);
       return false;
     }
   }
 
   // Show simple notification with custom title and body
-  async showNotification(title, body, data = {}) {
+  // soundEvent (optional) plays that alert's profile sound instead of the default one
+  async showNotification(title, body, data = {}, soundEvent = null) {
     try {
+      const { sound, trigger } = soundEvent
+        ? await this.getAlertSound(soundEvent)
+        : { sound: true, trigger: null };
+
       await Notifications.scheduleNotificationAsync({
         content: {
           title,
           body,
           data: { ...data, timestamp: Date.now() },
-          sound: true,
+          sound,
           priority: Notifications.AndroidNotificationPriority.HIGH,
         },
-        trigger: null,
+        trigger,
       });
 
       logger.log(`✅ Notification shown: ${title}`);
@@ -225,10 +208,7 @@ class OrderNotificationService {
 
   // Cleanup
   async cleanup() {
-    if (this.soundObjectRef) {
-      await this.soundObjectRef.unloadAsync();
-      this.soundObjectRef = null;
-    }
+    await audioManager.stop(SOUND_EVENTS.NEW_ORDER);
     await this.cancelAllNotifications();
   }
 }
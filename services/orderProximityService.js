@@ -1,16 +1,49 @@
 import locationService from "./location-service";
-import { getUnnotifiedOrders, markNotified, getAllOrders } from "../db/ordersDb";
-import { getProximityRadiusSync, getProximityRadius } from "../utils/proximity-settings";
+import { getUnnotifiedOrders, markNotified, markUnnotified, getAllOrders } from "../db/ordersDb";
+import {
+  getProximityRadiusSync,
+  getProximityRadius,
+  getAlertThresholdSync,
+  PROXIMITY_ALERTS,
+} from "../utils/proximity-settings";
 import { isOrderRejected } from "../utils/rejected-orders";
+import { isRestaurantBlocked } from "../utils/restaurant-preferences";
+
+// Offers notified by checkNearbyOrders this session: orderId -> restaurant { lat, lng }
+const notifiedNearby = new Map();
+
+/**
+ * Re-arm offers the rider has moved well away from (radius + offer hysteresis)
+ * so they can be shown again when the rider comes back
+ */
+async function rearmDistantOffers(current, radiusKm) {
+  const rearmKm = radiusKm + getAlertThresholdSync(PROXIMITY_ALERTS.OFFER).hysteresis / 1000;
+
+  for (const [orderId, restaurant] of notifiedNearby) {
+    const distance = locationService.calculateDistance(
+      current.latitude,
+      current.longitude,
+      restaurant.lat,
+      restaurant.lng
+    );
+    if (distance <= rearmKm) continue;
+
+    notifiedNearby.delete(orderId);
+    if (!isOrderRejected(orderId) && (await markUnnotified(orderId))) {
+      console.log(`🔁 Order ${orderId} re-armed (${distance.toFixed(2)}km away, beyond ${rearmKm.toFixed(2)}km)`);
+    }
+  }
+}
 
 /**
  * Check for nearby orders based on user's current location
  * Compares user location with stored order restaurant locations
  * @param {Object} options - Options object
  * @param {Function} options.onNear - Callback when user is near an order
+ * @param {Object} [options.location] - Location to check from (defaults to the tracked location)
  */
-export async function checkNearbyOrders({ onNear }) {
-  const current = locationService.getCurrentLocation();
+export async function checkNearbyOrders({ onNear, location = null }) {
+  const current = location || locationService.getCurrentLocation();
   if (!current) {
     console.log('📍 No current location available for proximity check');
     return;
@@ -27,6 +60,8 @@ export async function checkNearbyOrders({ onNear }) {
   console.log(`📍 Proximity check: User at (${current.latitude.toFixed(4)}, ${current.longitude.toFixed(4)}), Radius: ${radiusKm}km`);
 
   try {
+    await rearmDistantOffers(current, radiusKm);
+
     const orders = await getUnnotifiedOrders();
     
     if (orders.length === 0) {
@@ -46,6 +81,12 @@ export async function checkNearbyOrders({ onNear }) {
         continue;
       }
 
+      // Skip blocked restaurants
+      if (isRestaurantBlocked(order.restaurant_name)) {
+        console.log(`🚫 Skipping order from blocked restaurant: ${order.restaurant_name}`);
+        continue;
+      }
+
       // Skip orders without valid coordinates
       if (!order.restaurant_lat || !order.restaurant_lng) {
         console.log(`⚠️ Order ${order.order_code} has no coordinates, skipping`);
@@ -66,11 +107,12 @@ export async function checkNearbyOrders({ onNear }) {
         
         // Mark as notified first to prevent duplicate notifications
         await markNotified(order.order_id);
+        notifiedNearby.set(order.order_id, { lat: order.restaurant_lat, lng: order.restaurant_lng });
         
         // Trigger notification callback
         if (onNear) {
           console.log('🔔 Triggering notification callback...');
-          onNear(order, distance);
+          await onNear(order, distance);
         }
         
         // Only notify for one order per cycle to avoid notification spam
@@ -1,108 +1,94 @@
-import { Alert, Vibration, Linking } from "react-native";
-import { Audio } from "expo-av";
-import { isNotificationSoundEnabled } from "../utils/notification-settings";
+import { Alert, AppState, Vibration, Linking } from "react-native";
+import audioManager from "./audio-manager";
+import { SOUND_EVENTS } from "../utils/notification-settings";
 import locationService from "./location-service";
 import { logger } from "../utils/logger";
 import databaseService from "./database-service";
+import geofenceService from "./geofence-service";
+import locationSamplingService from "./location-sampling-service";
+import orderNotificationService from "./order-notification-service";
+import { checkNearbyOrders } from "./orderProximityService";
+import { getActiveDeliveries } from "../db/activeDeliveriesDb";
+import { initRejectedOrders } from "../utils/rejected-orders";
+import { initRestaurantPreferences } from "../utils/restaurant-preferences";
+import {
+  getOrderId,
+  getOrderStatus,
+  getDropoffPoint,
+  evaluateOfferForBatching,
+} from "../utils/active-orders";
+import {
+  PROXIMITY_ALERTS,
+  getAlertThresholdSync,
+  areProximitySettingsLoaded,
+  initProximitySettings,
+} from "../utils/proximity-settings";
 import {
   startBackgroundLocationUpdates,
   stopBackgroundLocationUpdates,
   isBackgroundLocationRunning,
+  setBackgroundLocationHandler,
 } from "./background-location-task";
 
 class ProximityService {
   constructor() {
     this.notifiedOrders = new Set();
     this.CHECK_INTERVAL = 5000; // 5 seconds
-    this.THRESHOLD = 200; // meters
-    this.RESET_DISTANCE = 300;
     this.intervalRef = null;
-    this.soundObjectRef = null;
     this.vibrationIntervalRef = null;
+    this.activeAlarm = null; // { key, orderId } of the alert on screen
+    this.alarmQueue = []; // Alerts for other orders waiting their turn
     this.getActiveOrdersCallback = null;
     this.getCurrentLocationCallback = null;
     this.isBackgroundMode = false;
-    
-    // Initialize audio mode
-    this.initAudio();
+    this.headlessInit = null; // Storage loaded for updates that arrive while the app is killed
+    this.isUiMounted = false; // Set by the root layout - never happens when the OS starts us headless
   }
 
-  // Initialize audio settings
-  async initAudio() {
-    try {
-      await Audio.setAudioModeAsync({
-        allowsRecordingIOS: false,
-        playsInSilentModeIOS: true,
-        staysActiveInBackground: true, // ✅ Enable background audio
-        shouldDuckAndroid: true,
-        interruptionModeIOS: 1, // Do not mix with other audio
-        interruptionModeAndroid: 1, // Do not mix with other audio
-      });
-    } catch (e) {
-      logger.error("Audio init error:", e);
-    }
+  // Called by app/_layout.js when the app's UI mounts / unmounts
+  setUiMounted(mounted) {
+    this.isUiMounted = mounted;
+  }
+
+  // No UI - the OS started the JS context headless for a background location or geofence event
+  isHeadless() {
+    return !this.isUiMounted;
   }
 
   // ---------------------------
-  // 🔊 Play Alert Sound
+  // 🔔 Show Alert Notification
+  // One alert at a time - alerts for other orders wait until it's dismissed
+  // soundEvent picks the sound profile (see utils/notification-settings.js)
   // ---------------------------
-  playAlertSound = async () => {
-    try {
-      const soundEnabled = await isNotificationSoundEnabled();
-      
-      if (!soundEnabled) {
-        return;
-      }
-
-      // Stop any existing sound
-      if (this.soundObjectRef) {
-        await this.soundObjectRef.stopAsync();
-        await this.soundObjectRef.unloadAsync();
-        this.soundObjectRef = null;
-      }
-
-      // Play alert sound
-      const { sound } = await Audio.Sound.createAsync(
-        { uri: "https://actions.google.com/sounds/v1/alarms/beep_short.ogg" },
-        {
-          shouldPlay: true,
-          isLooping: true,
-          volume: 1.0,
-        }
-      );
-
-      this.soundObjectRef = sound;
-    } catch (e) {
-      logger.error("Alert sound error:", e);
+  showAlertNotification = async (title, body, orderId, phone = null, key = orderId, soundEvent = SOUND_EVENTS.NEAR_CUSTOMER) => {
+    // Headless there is no screen for an alert - a local notification is all the rider gets
+    if (this.isHeadless()) {
+      await orderNotificationService.showNotification(title, body, { type: "proximity", orderId }, soundEvent);
+      Vibration.vibrate([500, 1000, 500]);
+      return;
     }
-  };
 
-  // ---------------------------
-  // 🔇 Stop Alert Sound
-  // ---------------------------
-  stopAlertSound = async () => {
-    try {
-      if (this.soundObjectRef) {
-        await this.soundObjectRef.stopAsync();
-        await this.soundObjectRef.unloadAsync();
-        this.soundObjectRef = null;
+    if (this.activeAlarm) {
+      if (this.activeAlarm.key !== key && !this.alarmQueue.some((alarm) => alarm.key === key)) {
+        this.alarmQueue.push({ title, body, orderId, phone, key, soundEvent });
       }
-    } catch (e) {
-      logger.error("Stop sound error:", e);
+      return;
     }
-  };
 
-  // ---------------------------
-  // 🔔 Show Alert Notification
-  // ---------------------------
-  showAlertNotification = async (title, body, orderId, phone = null) => {
     try {
-      // Play sound
-      await this.playAlertSound();
+      this.activeAlarm = { key, orderId };
+
+      // Play sound (bundled asset - works offline; foreground only, the notification below covers the background)
+      await audioManager.play(soundEvent, key);
 
       // Vibrate
       Vibration.vibrate([500, 1000, 500]);
 
+      // In the background the alert only appears once the app is reopened - post a notification too
+      if (AppState.currentState !== "active") {
+        await orderNotificationService.showNotification(title, body, { type: "proximity", orderId }, soundEvent);
+      }
+
       // Show alert dialog
       const buttons = [];
       
@@ -110,7 +96,7 @@ class ProximityService {
         buttons.push({
           text: "📞 Call Customer",
           onPress: () => {
-            this.stopAlertSound();
+            this.dismissAlarm(key);
             Linking.openURL(`tel:${phone}`);
           },
         });
@@ -118,16 +104,30 @@ class ProximityService {
       
       buttons.push({
         text: "Got it!",
-        onPress: () => this.stopAlertSound(),
+        onPress: () => this.dismissAlarm(key),
         style: "cancel",
       });
 
       Alert.alert(title, body, buttons, {
         cancelable: false,
-        onDismiss: () => this.stopAlertSound(),
+        onDismiss: () => this.dismissAlarm(key),
       });
     } catch (e) {
       logger.error("Alert notification error:", e);
+      this.activeAlarm = null;
+    }
+  };
+
+  // Stop the alarm for `key` and show the next queued one
+  dismissAlarm = async (key) => {
+    if (this.activeAlarm?.key !== key) return;
+
+    this.activeAlarm = null;
+    await audioManager.stop(key);
+
+    const next = this.alarmQueue.shift();
+    if (next) {
+      await this.showAlertNotification(next.title, next.body, next.orderId, next.phone, next.key, next.soundEvent);
     }
   };
 
@@ -143,6 +143,10 @@ class ProximityService {
 
     if (obj.lat && obj.lng) return obj;
 
+    if (obj.latitude && obj.longitude) {
+      return { lat: obj.latitude, lng: obj.longitude };
+    }
+
     return null;
   };
 
@@ -158,19 +162,24 @@ class ProximityService {
     );
 
     const meters = dist * 1000;
+    const key = orderId + "_" + (isDestination ? "dest" : "rest");
 
-    // Reset logic when driver moves away
-    if (meters > this.RESET_DISTANCE) {
-      this.notifiedOrders.delete(orderId + "_" + (isDestination ? "dest" : "rest"));
+    // User-configurable per alert type (utils/proximity-settings.js)
+    const { distance: threshold, hysteresis } = getAlertThresholdSync(
+      isDestination ? PROXIMITY_ALERTS.CUSTOMER : PROXIMITY_ALERTS.RESTAURANT
+    );
+
+    // Re-arm once the driver has moved clearly away (hysteresis keeps GPS jitter from re-triggering)
+    if (meters > threshold + hysteresis) {
+      this.notifiedOrders.delete(key);
       return;
     }
 
     // Already notified?
-    const key = orderId + "_" + (isDestination ? "dest" : "rest");
     if (this.notifiedOrders.has(key)) return;
 
     // Trigger notification
-    if (meters <= this.THRESHOLD) {
+    if (meters <= threshold) {
       this.notifiedOrders.add(key);
 
       if (isDestination) {
@@ -182,7 +191,9 @@ class ProximityService {
           "📍 Approaching Customer!",
           message,
           orderId,
-          phone
+          phone,
+          key,
+          SOUND_EVENTS.NEAR_CUSTOMER
         );
 
         // Log notification to database
@@ -199,7 +210,9 @@ class ProximityService {
           `🏪 Near Restaurant`,
           message,
           orderId,
-          null
+          null,
+          key,
+          SOUND_EVENTS.NEAR_RESTAURANT
         );
 
         // Log notification to database
@@ -216,10 +229,11 @@ class ProximityService {
   // 🚀 Entry Point — Check both locations
   // -----------------------------------------
   async checkProximity(order, currentLocation) {
-    const orderId = order.id || order._id;
+    const orderId = getOrderId(order);
+    const status = getOrderStatus(order);
 
-    // Restaurant location check (when cooked)
-    if (order.orderStatus === "Cooked") {
+    // Restaurant location check (when cooked / just accepted)
+    if (status === "Cooked" || status === "Accepted") {
       const rest = this.extractLatLng(order.restaurantLocation);
       if (rest) {
         await this.checkOneLocation(order, currentLocation, rest, false, orderId);
@@ -228,15 +242,64 @@ class ProximityService {
 
     // Destination location check (when delivering)
     if (
-      ["Delivering", "OnTheWay", "On Delivery"].includes(order.orderStatus)
+      ["Delivering", "OnTheWay", "On Delivery"].includes(status)
     ) {
-      const dest = this.extractLatLng(order.destinationLocation);
+      const dropoff = getDropoffPoint(order);
+      const dest = dropoff && { lat: dropoff.latitude, lng: dropoff.longitude };
       if (dest) {
         await this.checkOneLocation(order, currentLocation, dest, true, orderId);
       }
     }
   }
 
+  // ------------------------------------------------
+  // 🧹 Forget alarms of orders that are no longer active
+  // ------------------------------------------------
+  pruneInactiveOrders(orders) {
+    const activeIds = new Set((orders || []).map((order) => String(getOrderId(order))));
+    const isActive = (orderId) => activeIds.has(String(orderId));
+
+    for (const key of this.notifiedOrders) {
+      if (!isActive(key.replace(/_(dest|rest)$/, ""))) {
+        this.notifiedOrders.delete(key);
+      }
+    }
+
+    this.alarmQueue = this.alarmQueue.filter((alarm) => isActive(alarm.orderId));
+
+    if (this.activeAlarm && !isActive(this.activeAlarm.orderId)) {
+      this.dismissAlarm(this.activeAlarm.key);
+    }
+  }
+
+  // ------------------------------------------------
+  // 🔕 Stop the alarm of a single order (e.g. once it's delivered)
+  // ------------------------------------------------
+  stopOrderAlarm = async (orderId) => {
+    this.alarmQueue = this.alarmQueue.filter((alarm) => String(alarm.orderId) !== String(orderId));
+    if (this.activeAlarm && String(this.activeAlarm.orderId) === String(orderId)) {
+      await this.dismissAlarm(this.activeAlarm.key);
+    }
+  };
+
+  // ------------------------------------------------
+  // 🔍 Check every active order against one location
+  // ------------------------------------------------
+  async checkOrders(orders, location) {
+    this.pruneInactiveOrders(orders);
+
+    // 🧭 Pickup/drop-off geofences (arrival and pickup suggestions) ride on the same location ticks
+    geofenceService.syncOrders(orders);
+    await geofenceService.updateLocation(location);
+    locationSamplingService.updateSignals({ nearGeofence: geofenceService.isNearFence(location) });
+
+    if (!orders || orders.length === 0) return;
+
+    for (const order of orders) {
+      await this.checkProximity(order, location);
+    }
+  }
+
   // ------------------------------------------------
   // 🔁 Global Proximity Loop — runs every 5 seconds
   // ------------------------------------------------
@@ -252,13 +315,11 @@ class ProximityService {
       if (!location) return;
 
       const orders = getActiveOrders();
-      if (!orders || orders.length === 0) return;
-
-      logger.log("🔍 Checking proximity for", orders.length, "order(s)");
-
-      for (const order of orders) {
-        await this.checkProximity(order, location);
+      if (orders?.length) {
+        logger.log("🔍 Checking proximity for", orders.length, "order(s)");
       }
+
+      await this.checkOrders(orders, location);
     }, this.CHECK_INTERVAL);
   }
 
@@ -266,16 +327,74 @@ class ProximityService {
   // 🌙 Background Location Handler
   // ------------------------------------------------
   async handleBackgroundLocationUpdate(location) {
+    // The background task can run before the app finished starting up
+    if (!areProximitySettingsLoaded()) {
+      await initProximitySettings();
+    }
+
+    if (this.isHeadless()) {
+      await this.handleHeadlessLocationUpdate(location);
+      return;
+    }
+
+    // The app is open but hasn't started tracking yet - nothing to check
     if (!this.getActiveOrdersCallback) return;
 
     const orders = this.getActiveOrdersCallback();
-    if (!orders || orders.length === 0) return;
+    if (orders?.length) {
+      logger.log("🔍 [BACKGROUND] Checking proximity for", orders.length, "order(s)");
+    }
 
-    logger.log("🔍 [BACKGROUND] Checking proximity for", orders.length, "order(s)");
+    await this.checkOrders(orders, location);
+  }
 
-    for (const order of orders) {
-      await this.checkProximity(order, location);
+  // ------------------------------------------------
+  // 💤 App killed — orders and settings come from storage, alerts become notifications
+  // ------------------------------------------------
+  async handleHeadlessLocationUpdate(location) {
+    if (!this.headlessInit) {
+      this.headlessInit = Promise.all([
+        databaseService.init(),
+        initRejectedOrders(),
+        initRestaurantPreferences(),
+        geofenceService.init(),
+      ]).catch((error) => {
+        this.headlessInit = null; // Retry on the next update
+        throw error;
+      });
+    }
+    await this.headlessInit;
+
+    const orders = await getActiveDeliveries();
+    if (orders.length) {
+      logger.log("🔍 [HEADLESS] Checking proximity for", orders.length, "order(s)");
     }
+
+    await this.checkOrders(orders, location);
+
+    // New offers within the rider's radius (same rules as the in-app check)
+    await checkNearbyOrders({
+      location,
+      onNear: async (orderRow) => {
+        const offer = {
+          orderId: orderRow.order_id,
+          orderCode: orderRow.order_code,
+          restaurantName: orderRow.restaurant_name,
+          restaurantLocation: { latitude: orderRow.restaurant_lat, longitude: orderRow.restaurant_lng },
+          deliveryLocation: { latitude: orderRow.delivery_lat, longitude: orderRow.delivery_lng },
+          deliveryFee: orderRow.delivery_fee,
+          tip: orderRow.tip,
+        };
+
+        const { allowed, reason } = evaluateOfferForBatching(offer, orders, location);
+        if (!allowed) {
+          logger.log(`🚫 [HEADLESS] Skipping order ${offer.orderCode} - ${reason}`);
+          return;
+        }
+
+        await orderNotificationService.showNewOrderNotification(offer);
+      },
+    });
   }
 
   // ------------------------------------------------
@@ -286,9 +405,7 @@ class ProximityService {
     this.getCurrentLocationCallback = getCurrentLocation;
     
     try {
-      const started = await startBackgroundLocationUpdates(
-        this.handleBackgroundLocationUpdate.bind(this)
-      );
+      const started = await startBackgroundLocationUpdates();
       
       if (started) {
         this.isBackgroundMode = true;
@@ -339,9 +456,12 @@ class ProximityService {
     this.startProximityLoop(getActiveOrders, getCurrentLocation);
   }
 
-  // Stop alarm and vibration
+  // Stop alarm and vibration (for every order)
   stopProximityAlarm = async () => {
-    await this.stopAlertSound();
+    const activeKey = this.activeAlarm?.key;
+    this.alarmQueue = [];
+    this.activeAlarm = null;
+    if (activeKey) await audioManager.stop(activeKey);
     Vibration.cancel();
   };
 
@@ -355,10 +475,16 @@ class ProximityService {
     this.stopProximityLoop();
     await this.stopBackgroundTracking();
     await this.stopProximityAlarm();
+    await geofenceService.cleanup();
     this.notifiedOrders.clear();
     this.getActiveOrdersCallback = null;
     this.getCurrentLocationCallback = null;
   };
 }
 
-export default new ProximityService();
+const proximityService = new ProximityService();
+
+// Registered on load so background updates reach us even when no screen has started tracking
+setBackgroundLocationHandler((location) => proximityService.handleBackgroundLocationUpdate(location));
+
+export default proximityService;
@@ -5,6 +5,7 @@ import orderNotificationService from "./order-notification-service";
 import { logger } from "../utils/logger";
 import { upsertOrder } from "../db/ordersDb";
 import { getProximityRadiusSync, initProximitySettings } from "../utils/proximity-settings";
+import { isRestaurantBlocked } from "../utils/restaurant-preferences";
 
 class SmartOrderService {
   constructor() {
@@ -85,6 +86,12 @@ class SmartOrderService {
       const orderId = order.id || order._id || order.orderId;
       const restaurantLocation = this.extractRestaurantLocation(order);
 
+      // Blocked restaurants never notify - not now and not when the driver gets closer
+      if (isRestaurantBlocked(order.restaurantName)) {
+        logger.log(`🚫 Order ${orderId} is from blocked restaurant ${order.restaurantName} - ignoring`);
+        return;
+      }
+
       // Always save order to SQLite for proximity checking later
       try {
         await upsertOrder(order, "socket");
@@ -199,8 +206,8 @@ class SmartOrderService {
           continue;
         }
 
-        // Skip if order is not in acceptable status
-        if (!['Cooked', 'Ready', 'Pending'].includes(order.orderStatus)) {
+        // Skip if order is not in acceptable status or its restaurant was blocked since
+        if (!['Cooked', 'Ready', 'Pending'].includes(order.orderStatus) || isRestaurantBlocked(order.restaurantName)) {
           this.pendingOrders.delete(orderId);
           continue;
         }
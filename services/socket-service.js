@@ -0,0 +1,276 @@
+import io from "socket.io-client";
+import { logger } from "../utils/logger";
+import { API_URL } from "./api-service";
+import { validateOutbound } from "../utils/socket-schemas";
+
+// Connection states reported to observers
+export const SOCKET_STATUS = {
+  DISCONNECTED: "disconnected",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting", // Swapping to a renewed token - not a real drop
+};
+
+class SocketService {
+  constructor() {
+    this.socket = null;
+    this.token = null;
+    this.status = SOCKET_STATUS.DISCONNECTED;
+    this.lastError = null;
+    this.isSwappingToken = false;
+    this.dispatchers = new Map(); // event -> function attached to the socket
+    this.listeners = new Map(); // event -> Set(handler)
+    this.stateObservers = new Set();
+    this.buffer = []; // Emits waiting for a connection
+    this.MAX_BUFFER_SIZE = 50;
+    this.BUFFER_TTL = 2 * 60 * 1000; // Drop buffered emits older than 2 minutes
+    this.DEFAULT_ACK_TIMEOUT = 10000; // 10 seconds
+  }
+
+  // Open the connection (or move the existing one to a renewed token)
+  connect(token) {
+    if (!token) return;
+
+    if (this.socket && this.token === token) {
+      if (!this.socket.connected) this.socket.connect();
+      return;
+    }
+
+    if (this.socket) {
+      logger.log("🔑 Reconnecting socket with renewed token");
+      this.token = token;
+      this.socket.auth = { ...this.socket.auth, token };
+      this.isSwappingToken = true;
+      this.setStatus(SOCKET_STATUS.RECONNECTING);
+      this.socket.disconnect();
+      this.socket.connect();
+      return;
+    }
+
+    this.token = token;
+    this.socket = io(API_URL, {
+      transports: ["websocket"],
+      auth: { token },
+      reconnection: true,
+      reconnectionAttempts: Infinity,
+      reconnectionDelay: 4000,
+    });
+
+    this.socket.on("connect", () => {
+      this.isSwappingToken = false;
+      this.lastError = null;
+      this.setStatus(SOCKET_STATUS.CONNECTED);
+      logger.log("🟢 Socket connected");
+      this.flushBuffer();
+    });
+
+    this.socket.on("disconnect", (reason) => {
+      if (this.isSwappingToken) return;
+      this.setStatus(SOCKET_STATUS.DISCONNECTED);
+      logger.log(`🔴 Socket disconnected (${reason})`);
+    });
+
+    this.socket.on("connect_error", (error) => {
+      this.isSwappingToken = false;
+      this.lastError = error?.message || String(error);
+      this.setStatus(SOCKET_STATUS.DISCONNECTED);
+    });
+
+    this.socket.io.on("reconnect_attempt", (attempt) => {
+      logger.log(`♻️ Socket reconnect attempt #${attempt}`);
+      this.setStatus(SOCKET_STATUS.CONNECTING);
+    });
+
+    // Attach everything subscribed before the socket existed
+    this.dispatchers.forEach((dispatcher, event) => this.socket.on(event, dispatcher));
+
+    this.setStatus(SOCKET_STATUS.CONNECTING);
+  }
+
+  // Close the connection for good (logout / rider went offline)
+  disconnect() {
+    if (this.socket) {
+      this.socket.off();
+      this.socket.io.off();
+      this.socket.disconnect();
+      this.socket = null;
+    }
+    this.token = null;
+    this.lastError = null;
+    this.isSwappingToken = false;
+    this.buffer.forEach((entry) => entry.resolve?.({ status: "offline" }));
+    this.buffer = [];
+    this.setStatus(SOCKET_STATUS.DISCONNECTED);
+  }
+
+  // Retry now instead of waiting for the next backoff step
+  reconnect() {
+    if (this.socket && !this.socket.connected) {
+      logger.log("♻️ Reconnecting socket...");
+      this.socket.connect();
+    }
+  }
+
+  hasSocket() {
+    return !!this.socket;
+  }
+
+  isConnected() {
+    return !!this.socket?.connected;
+  }
+
+  // Subscribe to a server event - returns unsubscribe function
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+
+      const dispatcher = (...args) => {
+        this.listeners.get(event)?.forEach((listener) => {
+          try {
+            listener(...args);
+          } catch (error) {
+            logger.error(`Error in socket listener for ${event}:`, error);
+          }
+        });
+      };
+      this.dispatchers.set(event, dispatcher);
+      this.socket?.on(event, dispatcher);
+    }
+
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.socket?.off(event, this.dispatchers.get(event));
+      this.listeners.delete(event);
+      this.dispatchers.delete(event);
+    }
+  }
+
+  // Observe connection state ({ status, error }) - called immediately with the current state
+  onStateChange(callback) {
+    this.stateObservers.add(callback);
+    callback({ status: this.status, error: this.lastError });
+    return () => this.stateObservers.delete(callback);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.stateObservers.forEach((callback) => {
+      try {
+        callback({ status, error: this.lastError });
+      } catch (error) {
+        logger.error("Error in socket state observer:", error);
+      }
+    });
+  }
+
+  /**
+   * Emit an event. While disconnected it is buffered and sent on reconnect.
+   * @param {Object} options
+   *   buffer   - keep it until we're connected (default true)
+   *   coalesce - only the latest buffered payload of this event is kept (e.g. location)
+   * @returns {boolean} Whether it was sent or buffered
+   */
+  emit(event, payload, { buffer = true, coalesce = false } = {}) {
+    if (!validateOutbound(event, payload)) return false;
+
+    if (this.isConnected()) {
+      this.socket.emit(event, payload);
+      return true;
+    }
+
+    if (!buffer || !this.socket) return false;
+
+    this.addToBuffer({ event, payload, coalesce });
+    return true;
+  }
+
+  /**
+   * Emit and wait for the server acknowledgement
+   * @param {Object} options - { timeout, buffer } (buffer defaults to false - ack callers usually want an answer now)
+   * @returns {Promise<{ status: 'ok'|'timeout'|'invalid'|'offline', response?: any }>}
+   */
+  emitWithAck(event, payload, { timeout = this.DEFAULT_ACK_TIMEOUT, buffer = false } = {}) {
+    if (!validateOutbound(event, payload)) {
+      return Promise.resolve({ status: "invalid" });
+    }
+
+    return new Promise((resolve) => {
+      const entry = { event, payload, ackTimeout: timeout, resolve };
+
+      if (this.isConnected()) {
+        this.sendWithAck(entry);
+      } else if (buffer && this.socket) {
+        this.addToBuffer(entry);
+      } else {
+        resolve({ status: "offline" });
+      }
+    });
+  }
+
+  sendWithAck({ event, payload, ackTimeout, resolve }) {
+    let settled = false;
+
+    const timeoutId = setTimeout(() => {
+      if (settled) return;
+      settled = true;
+      logger.log(`⏰ No acknowledgement for ${event} after ${ackTimeout / 1000}s`);
+      resolve({ status: "timeout" });
+    }, ackTimeout);
+
+    this.socket.emit(event, payload, (response) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      resolve({ status: "ok", response });
+    });
+  }
+
+  addToBuffer(entry) {
+    if (entry.coalesce) {
+      this.buffer = this.buffer.filter((queued) => queued.event !== entry.event);
+    }
+
+    this.buffer.push({ ...entry, queuedAt: Date.now() });
+
+    if (this.buffer.length > this.MAX_BUFFER_SIZE) {
+      const [dropped] = this.buffer.splice(0, 1);
+      dropped.resolve?.({ status: "offline" });
+    }
+  }
+
+  // Send buffered emits in order once we're connected again
+  flushBuffer() {
+    if (this.buffer.length === 0) return;
+
+    const pending = this.buffer;
+    this.buffer = [];
+    const now = Date.now();
+    let sent = 0;
+
+    for (const entry of pending) {
+      if (now - entry.queuedAt > this.BUFFER_TTL) {
+        entry.resolve?.({ status: "offline" });
+        continue;
+      }
+
+      if (entry.resolve) {
+        this.sendWithAck(entry);
+      } else {
+        this.socket.emit(entry.event, entry.payload);
+      }
+      sent++;
+    }
+
+    logger.log(`📤 Sent ${sent} buffered socket event(s)`);
+  }
+}
+
+export default new SocketService();
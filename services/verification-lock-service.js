@@ -0,0 +1,233 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useEffect, useState } from 'react';
+import { logger } from '../utils/logger';
+
+const STORAGE_KEY = '@verification_lockouts';
+
+export const MAX_VERIFICATION_ATTEMPTS = 3;
+export const LOCKOUT_COOLDOWN_MS = 15 * 60 * 1000; // Unlock path when the server doesn't send its own lockedUntil
+const ENTRY_TTL_MS = 24 * 60 * 60 * 1000; // Forget orders that haven't been touched in a day
+
+const LOCKED_STATUS_CODES = [423, 429];
+
+const pickNumber = (...values) => {
+  const value = values.find((candidate) => candidate !== undefined && candidate !== null && candidate !== '');
+  const number = Number(value);
+  return value === undefined || Number.isNaN(number) ? null : number;
+};
+
+const toMillis = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value; // seconds or ms
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Pull the attempt/lock fields out of a verify-delivery error response
+ * Accepts both camelCase and snake_case, at the top level or under `data`
+ * @returns {{ attemptsRemaining: number|null, lockedUntil: number|null, locked: boolean }}
+ */
+export const extractServerLockInfo = (errorData, status) => {
+  const body = errorData?.data && typeof errorData.data === 'object' ? { ...errorData, ...errorData.data } : errorData || {};
+
+  const attemptsRemaining = pickNumber(
+    body.attemptsRemaining,
+    body.attempts_remaining,
+    body.remainingAttempts,
+    body.remaining_attempts
+  );
+  const retryAfterSeconds = pickNumber(body.retryAfter, body.retry_after);
+  const lockedUntil =
+    toMillis(body.lockedUntil ?? body.locked_until) ??
+    (retryAfterSeconds !== null ? Date.now() + retryAfterSeconds * 1000 : null);
+
+  return {
+    attemptsRemaining,
+    lockedUntil,
+    locked: !!(body.locked || body.isLocked || body.is_locked || LOCKED_STATUS_CODES.includes(status)),
+  };
+};
+
+const REJECTED_CODE_STATUS_CODES = [400, 422];
+
+/**
+ * Whether a failed verify-delivery result means the server refused the code itself
+ * Server errors (5xx), expired sessions, unassigned orders and requests that never reached
+ * the server must not use up one of the rider's attempts
+ * @param {Object} result - Failure result from DeliveryAPI.verifyDelivery
+ * @returns {boolean}
+ */
+export const isCodeRejected = (result) => {
+  if (!result || result.success || result.isNetworkError || result.requiresAuth) return false;
+  const lockInfo = result.lockInfo || {};
+  return (
+    REJECTED_CODE_STATUS_CODES.includes(result.status) ||
+    Number.isFinite(lockInfo.attemptsRemaining) ||
+    !!lockInfo.locked
+  );
+};
+
+// 🔐 Per-order verification attempts, persisted so leaving the screen doesn't reset the lock
+class VerificationLockService {
+  constructor() {
+    this.entries = new Map(); // orderId -> { failedAttempts, lockedUntil, updatedAt }
+    this.listeners = new Set();
+    this.loadPromise = null;
+  }
+
+  init() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.load();
+    }
+    return this.loadPromise;
+  }
+
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEY);
+      const parsed = stored ? JSON.parse(stored) : {};
+      const cutoff = Date.now() - ENTRY_TTL_MS;
+
+      Object.entries(parsed).forEach(([orderId, entry]) => {
+        if (entry?.updatedAt > cutoff || entry?.lockedUntil > Date.now()) {
+          this.entries.set(orderId, entry);
+        }
+      });
+      this.notify();
+    } catch (error) {
+      logger.error('Error loading verification lockouts:', error);
+    }
+  }
+
+  async persist() {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(this.entries)));
+    } catch (error) {
+      logger.error('Error saving verification lockouts:', error);
+    }
+  }
+
+  /**
+   * Current lock state for an order (an expired cooldown unlocks with a fresh set of attempts)
+   * @returns {{ attemptsLeft: number, isLocked: boolean, lockedUntil: number|null }}
+   */
+  getState(orderId, now = Date.now()) {
+    const entry = orderId ? this.entries.get(String(orderId)) : null;
+    if (!entry) {
+      return { attemptsLeft: MAX_VERIFICATION_ATTEMPTS, isLocked: false, lockedUntil: null };
+    }
+
+    if (entry.lockedUntil && entry.lockedUntil <= now) {
+      return { attemptsLeft: MAX_VERIFICATION_ATTEMPTS, isLocked: false, lockedUntil: null };
+    }
+
+    return {
+      attemptsLeft: Math.max(0, MAX_VERIFICATION_ATTEMPTS - entry.failedAttempts),
+      isLocked: !!entry.lockedUntil,
+      lockedUntil: entry.lockedUntil || null,
+    };
+  }
+
+  /**
+   * Count a rejected code, preferring the server's numbers when it sends them
+   * @param {Object} serverInfo - Result of extractServerLockInfo (optional)
+   * @returns {{ attemptsLeft: number, isLocked: boolean, lockedUntil: number|null }}
+   */
+  async recordFailure(orderId, serverInfo = {}) {
+    await this.init();
+    const key = String(orderId);
+    const now = Date.now();
+
+    const previous = this.getState(key, now);
+    let failedAttempts =
+      serverInfo.attemptsRemaining !== null && serverInfo.attemptsRemaining !== undefined
+        ? MAX_VERIFICATION_ATTEMPTS - serverInfo.attemptsRemaining
+        : MAX_VERIFICATION_ATTEMPTS - previous.attemptsLeft + 1;
+    failedAttempts = Math.min(MAX_VERIFICATION_ATTEMPTS, Math.max(0, failedAttempts));
+
+    let lockedUntil = null;
+    if (serverInfo.lockedUntil && serverInfo.lockedUntil > now) {
+      lockedUntil = serverInfo.lockedUntil;
+      failedAttempts = MAX_VERIFICATION_ATTEMPTS;
+    } else if (serverInfo.locked || failedAttempts >= MAX_VERIFICATION_ATTEMPTS) {
+      lockedUntil = now + LOCKOUT_COOLDOWN_MS;
+      failedAttempts = MAX_VERIFICATION_ATTEMPTS;
+    }
+
+    this.entries.set(key, { failedAttempts, lockedUntil, updatedAt: now });
+    await this.persist();
+    this.notify();
+
+    if (lockedUntil) {
+      logger.log(`🔒 Verification locked for order ${key} until ${new Date(lockedUntil).toISOString()}`);
+    }
+    return this.getState(key, now);
+  }
+
+  /**
+   * Forget attempts for an order (verified, or cleared by the server)
+   */
+  async clear(orderId) {
+    await this.init();
+    if (!this.entries.delete(String(orderId))) return;
+    await this.persist();
+    this.notify();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        logger.error('Error in verification lock listener:', error);
+      }
+    });
+  }
+}
+
+const verificationLockService = new VerificationLockService();
+
+/**
+ * Lock state for one order, re-rendered on every change and once a second while locked
+ * @returns {{ attemptsLeft: number, isLocked: boolean, lockedUntil: number|null, remainingMs: number }}
+ */
+export const useVerificationLock = (orderId) => {
+  const [now, setNow] = useState(Date.now());
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    verificationLockService.init();
+    return verificationLockService.subscribe(() => setVersion((version) => version + 1));
+  }, []);
+
+  const lockState = verificationLockService.getState(orderId, now);
+
+  useEffect(() => {
+    if (!lockState.isLocked) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [lockState.isLocked]);
+
+  return {
+    ...lockState,
+    remainingMs: lockState.lockedUntil ? Math.max(0, lockState.lockedUntil - now) : 0,
+  };
+};
+
+/**
+ * "12:34" countdown for the lock banner
+ */
+export const formatLockCountdown = (remainingMs) => {
+  const totalSeconds = Math.ceil(remainingMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+export default verificationLockService;
@@ -0,0 +1,69 @@
+import { getDeclineReason, summarizeDeclines, getDeclineSuggestion } from '../decline-reasons';
+
+const declined = (reason, details = {}) => ({ details: { reason, ...details } });
+
+describe('getDeclineReason', () => {
+  it('finds a known reason', () => {
+    expect(getDeclineReason('low_pay')).toMatchObject({ id: 'low_pay', label: 'Low pay' });
+  });
+
+  it('maps missing and unknown reasons to unspecified', () => {
+    expect(getDeclineReason(undefined).id).toBe('unspecified');
+    expect(getDeclineReason('gone_home').id).toBe('unspecified');
+  });
+});
+
+describe('summarizeDeclines', () => {
+  it('returns nothing for no declines', () => {
+    expect(summarizeDeclines([])).toEqual({ total: 0, reasons: [] });
+  });
+
+  it('counts reasons, most common first, with their shares', () => {
+    const { total, reasons } = summarizeDeclines([
+      declined('too_far'),
+      declined('low_pay'),
+      declined('too_far'),
+      declined('too_far'),
+      { details: null },
+    ]);
+
+    expect(total).toBe(5);
+    expect(reasons.map(({ id, count, share }) => [id, count, share])).toEqual([
+      ['too_far', 3, 0.6],
+      ['low_pay', 1, 0.2],
+      ['unspecified', 1, 0.2],
+    ]);
+  });
+
+  it('takes medians over the known distances and earnings only', () => {
+    const { reasons } = summarizeDeclines([
+      declined('too_far', { distanceKm: 4, earnings: 90 }),
+      declined('too_far', { distanceKm: 2, earnings: 'n/a' }),
+      declined('too_far', { distanceKm: 6 }),
+      declined('too_far', { distanceKm: null, earnings: 110 }),
+    ]);
+
+    expect(reasons[0]).toMatchObject({ medianDistanceKm: 4, medianEarnings: 100 });
+  });
+
+  it('leaves the medians empty without numbers', () => {
+    const { reasons } = summarizeDeclines([declined('busy')]);
+    expect(reasons[0]).toMatchObject({ medianDistanceKm: null, medianEarnings: null });
+  });
+});
+
+describe('getDeclineSuggestion', () => {
+  it('suggests a radius below the typical too-far distance', () => {
+    expect(getDeclineSuggestion({ id: 'too_far', medianDistanceKm: 3.25 })).toContain('3.3 km');
+    expect(getDeclineSuggestion({ id: 'too_far', medianDistanceKm: null })).toEqual(expect.any(String));
+  });
+
+  it('suggests a minimum earnings preset for low pay', () => {
+    expect(getDeclineSuggestion({ id: 'low_pay', medianEarnings: 74.6 })).toContain('75 ETB');
+  });
+
+  it('has no hint for the other reasons', () => {
+    expect(getDeclineSuggestion({ id: 'busy' })).toBeNull();
+    expect(getDeclineSuggestion({ id: 'unspecified' })).toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  validatePreset,
+  matchesPreset,
+  getFilterPresets,
+  saveFilterPreset,
+  deleteFilterPreset,
+  getDefaultPresetId,
+  setDefaultPresetId,
+  EMPTY_PRESET,
+  BUILT_IN_PRESETS,
+  DEFAULT_PRESET_ID,
+} from '../filter-presets';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const preset = (overrides = {}) => ({ ...EMPTY_PRESET, name: 'Mine', ...overrides });
+const facts = (overrides = {}) => ({ distanceKm: 1.5, earnings: 120, ageMinutes: 30, ...overrides });
+const order = { restaurantName: 'Kategna', fromSponsore: false };
+
+describe('validatePreset', () => {
+  it('accepts an empty filter with a name', () => {
+    expect(validatePreset(preset())).toBeNull();
+  });
+
+  it.each([
+    ['a missing name', { name: '  ' }],
+    ['a long name', { name: 'x'.repeat(25) }],
+    ['a negative number', { minEarnings: -1 }],
+    ['a non-number', { maxDistanceKm: NaN }],
+    ['min distance above max', { minDistanceKm: 3, maxDistanceKm: 1 }],
+    ['min age above max', { minAgeMinutes: 60, maxAgeMinutes: 10 }],
+    ['a restaurant both included and excluded', { includeRestaurants: ['Kategna'], excludeRestaurants: [' kategna '] }],
+  ])('rejects %s', (_, overrides) => {
+    expect(validatePreset(preset(overrides))).toEqual(expect.any(String));
+  });
+});
+
+describe('matchesPreset', () => {
+  it('passes everything without a preset or constraints', () => {
+    expect(matchesPreset(order, null, facts())).toBe(true);
+    expect(matchesPreset(order, preset(), facts({ distanceKm: null, ageMinutes: null }))).toBe(true);
+  });
+
+  it('filters by distance and fails unknown distances only when constrained', () => {
+    const nearby = preset({ maxDistanceKm: 1 });
+    expect(matchesPreset(order, nearby, facts({ distanceKm: 0.8 }))).toBe(true);
+    expect(matchesPreset(order, nearby, facts({ distanceKm: 1.2 }))).toBe(false);
+    expect(matchesPreset(order, nearby, facts({ distanceKm: null }))).toBe(false);
+  });
+
+  it('filters by earnings', () => {
+    expect(matchesPreset(order, preset({ minEarnings: 200 }), facts())).toBe(false);
+    expect(matchesPreset(order, preset({ minEarnings: 100 }), facts())).toBe(true);
+  });
+
+  it('matches restaurant names case-insensitively', () => {
+    expect(matchesPreset(order, preset({ includeRestaurants: ['KATEGNA'] }), facts())).toBe(true);
+    expect(matchesPreset(order, preset({ includeRestaurants: ['Yod Abyssinia'] }), facts())).toBe(false);
+    expect(matchesPreset(order, preset({ excludeRestaurants: ['kategna'] }), facts())).toBe(false);
+  });
+
+  it('filters sponsored orders', () => {
+    const sponsoredOnly = preset({ sponsoredOnly: true });
+    expect(matchesPreset(order, sponsoredOnly, facts())).toBe(false);
+    expect(matchesPreset({ ...order, fromSponsore: true }, sponsoredOnly, facts())).toBe(true);
+  });
+
+  it('filters by age', () => {
+    const urgent = preset({ minAgeMinutes: 120 });
+    expect(matchesPreset(order, urgent, facts({ ageMinutes: 150 }))).toBe(true);
+    expect(matchesPreset(order, urgent, facts({ ageMinutes: 30 }))).toBe(false);
+    expect(matchesPreset(order, urgent, facts({ ageMinutes: null }))).toBe(false);
+  });
+});
+
+describe('stored presets', () => {
+  beforeEach(() => AsyncStorage.clear());
+
+  it('lists the built-in presets first', async () => {
+    expect(await getFilterPresets()).toEqual(BUILT_IN_PRESETS);
+  });
+
+  it('saves, renames and deletes a custom preset', async () => {
+    const created = await saveFilterPreset({ name: ' Lunch ', maxDistanceKm: 2 });
+    expect(created).toMatchObject({ success: true, preset: { name: 'Lunch', builtIn: false } });
+
+    const renamed = await saveFilterPreset({ ...created.preset, name: 'Lunch rush' });
+    expect(renamed.success).toBe(true);
+
+    let custom = (await getFilterPresets()).filter((item) => !item.builtIn);
+    expect(custom).toHaveLength(1);
+    expect(custom[0]).toMatchObject({ id: created.preset.id, name: 'Lunch rush', maxDistanceKm: 2 });
+
+    await deleteFilterPreset(created.preset.id);
+    custom = (await getFilterPresets()).filter((item) => !item.builtIn);
+    expect(custom).toHaveLength(0);
+  });
+
+  it('refuses duplicate names and invalid presets', async () => {
+    await saveFilterPreset({ name: 'Lunch' });
+    expect(await saveFilterPreset({ name: 'lunch' })).toMatchObject({ success: false });
+    expect(await saveFilterPreset({ name: '' })).toMatchObject({ success: false });
+  });
+
+  it('skips stored presets that no longer validate', async () => {
+    await AsyncStorage.setItem('@order_filter_presets', JSON.stringify([{ id: 'broken', name: '' }]));
+    expect(await getFilterPresets()).toEqual(BUILT_IN_PRESETS);
+  });
+
+  it('falls back to the standard default when the default preset is deleted', async () => {
+    const { preset: saved } = await saveFilterPreset({ name: 'Lunch' });
+    await setDefaultPresetId(saved.id);
+    expect(await getDefaultPresetId()).toBe(saved.id);
+
+    await deleteFilterPreset(saved.id);
+    expect(await getDefaultPresetId()).toBe(DEFAULT_PRESET_ID);
+  });
+});
@@ -0,0 +1,88 @@
+import { scoreOffer, getScoreTier, compareScores, SCORE_TIERS } from '../offer-scoring';
+import { distanceKm, AVERAGE_SPEED_KMH, PICKUP_DWELL_MINUTES, DROPOFF_DWELL_MINUTES } from '../distance';
+import { DEFAULT_SCORING_WEIGHTS } from '../offer-scoring-settings';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const rider = { latitude: 9.0, longitude: 38.75 };
+const restaurant = { latitude: 9.01, longitude: 38.75 };
+const customer = { latitude: 9.03, longitude: 38.75 };
+
+const order = (overrides = {}) => ({
+  deliveryFee: { $numberDecimal: '60' },
+  tip: 20,
+  restaurantLocation: restaurant,
+  destinationLocation: customer,
+  ...overrides,
+});
+
+describe('scoreOffer', () => {
+  it('estimates earnings, distances and time for a full offer', () => {
+    const pickupKm = distanceKm(rider.latitude, rider.longitude, restaurant.latitude, restaurant.longitude);
+    const tripKm = distanceKm(restaurant.latitude, restaurant.longitude, customer.latitude, customer.longitude);
+    const minutes = ((pickupKm + tripKm) / AVERAGE_SPEED_KMH) * 60 + PICKUP_DWELL_MINUTES + DROPOFF_DWELL_MINUTES;
+
+    const result = scoreOffer(order(), { riderLocation: rider });
+
+    expect(result.earnings).toBe(80);
+    expect(result.pickupKm).toBeCloseTo(pickupKm);
+    expect(result.tripKm).toBeCloseTo(tripKm);
+    expect(result.minutes).toBeCloseTo(minutes);
+    expect(result.etbPerKm).toBeCloseTo(80 / (pickupKm + tripKm));
+    expect(result.etbPerMinute).toBeCloseTo(80 / minutes);
+    expect(result.score).toBeCloseTo(80 / (pickupKm + tripKm));
+  });
+
+  it('scores on the trip alone when the rider location is unknown', () => {
+    const result = scoreOffer(order());
+    expect(result.pickupKm).toBeNull();
+    expect(result.score).toBeCloseTo(80 / result.tripKm);
+  });
+
+  it('leaves the score empty when no location is known', () => {
+    const result = scoreOffer(order({ restaurantLocation: null, destinationLocation: null }), { riderLocation: rider });
+    expect(result).toMatchObject({ earnings: 80, minutes: null, etbPerKm: null, score: null });
+  });
+
+  it('never divides by less than the minimum trip', () => {
+    const nextDoor = order({ restaurantLocation: rider, destinationLocation: rider });
+    expect(scoreOffer(nextDoor, { riderLocation: rider }).score).toBeCloseTo(80 / 0.5);
+  });
+
+  it('boosts waiting orders by their priority', () => {
+    const normal = scoreOffer(order(), { riderLocation: rider }).score;
+    const high = scoreOffer(order(), { riderLocation: rider, priority: 'HIGH' }).score;
+    const urgent = scoreOffer(order(), { riderLocation: rider, priority: 'URGENT' }).score;
+
+    expect(high).toBeCloseTo(normal * (1 + DEFAULT_SCORING_WEIGHTS.age * 0.5));
+    expect(urgent).toBeCloseTo(normal * (1 + DEFAULT_SCORING_WEIGHTS.age));
+  });
+
+  it('applies the weights to earnings and distances', () => {
+    const weights = { ...DEFAULT_SCORING_WEIGHTS, tip: 0, pickupDistance: 0 };
+    const result = scoreOffer(order(), { riderLocation: rider, weights });
+    expect(result.score).toBeCloseTo(60 / result.tripKm);
+    expect(result.earnings).toBe(80); // Shown estimates stay unweighted
+  });
+});
+
+describe('getScoreTier', () => {
+  it('picks the highest tier the score reaches', () => {
+    expect(getScoreTier(45).label).toBe('Great');
+    expect(getScoreTier(20).label).toBe('Good');
+    expect(getScoreTier(5).label).toBe('Low');
+  });
+
+  it('falls back to the lowest tier', () => {
+    expect(getScoreTier(-1)).toBe(SCORE_TIERS[SCORE_TIERS.length - 1]);
+  });
+});
+
+describe('compareScores', () => {
+  it('sorts best first and unscored offers last', () => {
+    const offers = [{ score: 10 }, { score: null }, { score: 30 }, { score: 20 }];
+    expect(offers.sort(compareScores).map((offer) => offer.score)).toEqual([30, 20, 10, null]);
+  });
+});
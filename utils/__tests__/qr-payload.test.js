@@ -0,0 +1,84 @@
+import nacl from 'tweetnacl';
+import { parseVerificationQr, buildSignedMessage, QR_ERRORS } from '../qr-payload';
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+const keyPair = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(7));
+const publicKey = toHex(keyPair.publicKey);
+const now = Date.UTC(2025, 0, 1);
+const exp = now / 1000 + 600;
+
+const sign = (payload, secretKey = keyPair.secretKey) =>
+  toHex(nacl.sign.detached(new TextEncoder().encode(buildSignedMessage(payload)), secretKey));
+
+const signedQr = (overrides = {}) => {
+  const payload = { v: 1, oid: 'order-1', code: '123456', exp, ...overrides };
+  return JSON.stringify({ ...payload, sig: sign(payload) });
+};
+
+const options = { orderId: 'order-1', orderCode: 'BD-42', now, publicKey };
+
+describe('parseVerificationQr', () => {
+  it('accepts a bare 6-digit code', () => {
+    expect(parseVerificationQr(' 654321 ', options)).toEqual({ valid: true, code: '654321', signed: false });
+  });
+
+  it('accepts unversioned JSON with a code for this order', () => {
+    const data = JSON.stringify({ orderId: 'BD-42', code: '111222' });
+    expect(parseVerificationQr(data, options)).toEqual({ valid: true, code: '111222', signed: false });
+  });
+
+  it('rejects unversioned JSON for another order', () => {
+    const data = JSON.stringify({ orderId: 'order-2', code: '111222' });
+    expect(parseVerificationQr(data, options).reason).toBe(QR_ERRORS.WRONG_ORDER);
+  });
+
+  it('accepts a v1 payload signed by the backend key', () => {
+    expect(parseVerificationQr(signedQr(), options)).toEqual({ valid: true, code: '123456', signed: true });
+  });
+
+  it('matches the order code as well as the order id', () => {
+    expect(parseVerificationQr(signedQr({ oid: 'BD-42' }), options).valid).toBe(true);
+  });
+
+  it('rejects a payload whose code was changed after signing', () => {
+    const payload = JSON.parse(signedQr());
+    const data = JSON.stringify({ ...payload, code: '999999' });
+    expect(parseVerificationQr(data, options).reason).toBe(QR_ERRORS.BAD_SIGNATURE);
+  });
+
+  it('rejects a payload signed by another key', () => {
+    const other = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(9));
+    const payload = { v: 1, oid: 'order-1', code: '123456', exp };
+    const data = JSON.stringify({ ...payload, sig: sign(payload, other.secretKey) });
+    expect(parseVerificationQr(data, options).reason).toBe(QR_ERRORS.BAD_SIGNATURE);
+  });
+
+  it('rejects an expired payload', () => {
+    const data = signedQr({ exp: now / 1000 - 1 });
+    expect(parseVerificationQr(data, options).reason).toBe(QR_ERRORS.EXPIRED);
+  });
+
+  it('rejects a payload for another order', () => {
+    expect(parseVerificationQr(signedQr({ oid: 'order-2' }), options).reason).toBe(QR_ERRORS.WRONG_ORDER);
+  });
+
+  it('rejects newer payload versions', () => {
+    expect(parseVerificationQr(signedQr({ v: 2 }), options).reason).toBe(QR_ERRORS.UNSUPPORTED_VERSION);
+  });
+
+  it('rejects signed payloads when no public key is configured', () => {
+    const result = parseVerificationQr(signedQr(), { ...options, publicKey: null });
+    expect(result.reason).toBe(QR_ERRORS.NO_PUBLIC_KEY);
+  });
+
+  it.each(['', 'not json', '12345', JSON.stringify({ v: 1, oid: 'order-1', code: '123456' })])(
+    'rejects malformed data %p',
+    (data) => {
+      const result = parseVerificationQr(data, options);
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe(QR_ERRORS.INVALID_FORMAT);
+      expect(result.message).toEqual(expect.any(String));
+    }
+  );
+});
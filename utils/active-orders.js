@@ -0,0 +1,197 @@
+import { distanceKm, planRoute } from './distance';
+import { extractLocation } from './normalizeOrder';
+
+// 🚚 Helpers for riders carrying several deliveries at once
+
+export const MAX_ACTIVE_ORDERS = 3; // Orders a rider may carry at the same time
+export const MAX_ROUTE_DETOUR_KM = 2; // Extra distance an offer may add to the current route
+export const SAME_PICKUP_RADIUS_KM = 0.15; // Restaurants closer than this count as the same pickup
+
+// Statuses where the food is still waiting at the restaurant
+const AWAITING_PICKUP_STATUSES = ['Cooked', 'Accepted'];
+
+/**
+ * Active orders as an array (state may hold null, one order or a list)
+ */
+export const toOrderList = (activeOrder) => {
+  if (!activeOrder) return [];
+  return (Array.isArray(activeOrder) ? activeOrder : [activeOrder]).filter(Boolean);
+};
+
+/**
+ * Stable id of an order (API orders use id/_id, accepted orders orderId)
+ */
+export const getOrderId = (order) => order?.id || order?._id || order?.orderId || null;
+
+/**
+ * Whether `id` (an id or an order code) refers to this order
+ */
+export const matchesOrderId = (order, id) => {
+  if (!order || !id) return false;
+  return [order.id, order._id, order.orderId, order.orderCode]
+    .some((value) => value && String(value) === String(id));
+};
+
+export const findActiveOrder = (activeOrder, id) =>
+  toOrderList(activeOrder).find((order) => matchesOrderId(order, id)) || null;
+
+/**
+ * Add an order, replacing an existing entry for the same order
+ * @returns {Array}
+ */
+export const upsertActiveOrder = (activeOrder, order) => {
+  const id = getOrderId(order);
+  const others = toOrderList(activeOrder).filter((existing) => !matchesOrderId(existing, id));
+  return [...others, order];
+};
+
+/**
+ * Remove one order
+ * @returns {Array|null} Remaining orders, or null when none are left
+ */
+export const removeActiveOrder = (activeOrder, id) => {
+  const remaining = toOrderList(activeOrder).filter((order) => !matchesOrderId(order, id));
+  return remaining.length > 0 ? remaining : null;
+};
+
+export const getOrderStatus = (order) => order?.orderStatus || order?.status || null;
+
+export const isAwaitingPickup = (order) => AWAITING_PICKUP_STATUSES.includes(getOrderStatus(order));
+
+const toPoint = (location) => {
+  if (!location) return null;
+  const { latitude, longitude } = extractLocation(location);
+  if (!latitude && !longitude) return null;
+  return { latitude, longitude };
+};
+
+export const getPickupPoint = (order) => toPoint(order?.restaurantLocation || order?.restaurant_location);
+
+export const getDropoffPoint = (order) =>
+  toPoint(
+    order?.destinationLocation ||
+      order?.deliveryLocation ||
+      order?.deliverLocation ||
+      order?.delivery_location
+  );
+
+/**
+ * Stops still to visit for the active orders: pickups first, then drop-offs
+ * @returns {Array<{ id, orderId, type: 'pickup'|'dropoff', point, order }>}
+ */
+export const getRemainingStops = (activeOrders) => {
+  const pickups = [];
+  const dropoffs = [];
+
+  for (const order of toOrderList(activeOrders)) {
+    const orderId = getOrderId(order);
+    const pickup = getPickupPoint(order);
+    const dropoff = getDropoffPoint(order);
+
+    if (pickup && isAwaitingPickup(order)) {
+      pickups.push({ id: `${orderId}_pickup`, orderId, type: 'pickup', point: pickup, order });
+    }
+    if (dropoff) {
+      dropoffs.push({ id: `${orderId}_dropoff`, orderId, type: 'dropoff', point: dropoff, order });
+    }
+  }
+  return [...pickups, ...dropoffs];
+};
+
+/**
+ * Best visiting order for everything the rider still has to collect and deliver
+ * @returns {{ stops: Array, totalKm: number, totalMinutes: number }} See planRoute
+ */
+export const planActiveRoute = (activeOrders, currentLocation) =>
+  planRoute(currentLocation, getRemainingStops(activeOrders));
+
+const legKm = (a, b) => distanceKm(a.latitude, a.longitude, b.latitude, b.longitude);
+
+const routeKm = (points) => {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += legKm(points[i - 1], points[i]);
+  }
+  return total;
+};
+
+/**
+ * How well an offer fits the rider's current deliveries.
+ * The offer's pickup and drop-off are inserted where they add the least distance
+ * (pickup always before its drop-off).
+ * @param {Object} offer - Normalized order
+ * @param {Array} activeOrders - Orders the rider is carrying
+ * @param {Object} currentLocation - { latitude, longitude } (optional)
+ * @returns {{ fits: boolean, detourKm: number|null, sharesPickup: boolean }}
+ */
+export const getRouteFit = (offer, activeOrders, currentLocation) => {
+  const orders = toOrderList(activeOrders);
+  const pickup = getPickupPoint(offer);
+  const dropoff = getDropoffPoint(offer);
+
+  // Same restaurant as an order we still have to collect
+  const sharesPickup = !!pickup && orders.some((order) => {
+    const orderPickup = getPickupPoint(order);
+    return isAwaitingPickup(order) && orderPickup && legKm(pickup, orderPickup) <= SAME_PICKUP_RADIUS_KM;
+  });
+
+  if (!pickup || !dropoff) {
+    return { fits: sharesPickup, detourKm: null, sharesPickup };
+  }
+
+  const stops = planActiveRoute(orders, currentLocation).stops.map((stop) => stop.point);
+  const route = currentLocation ? [currentLocation, ...stops] : stops;
+  if (route.length === 0) {
+    return { fits: true, detourKm: 0, sharesPickup };
+  }
+
+  const baseKm = routeKm(route);
+  let bestKm = Infinity;
+
+  // Insert the pickup after position i and the drop-off after position j (j >= i)
+  const firstSlot = currentLocation ? 1 : 0;
+  for (let i = firstSlot; i <= route.length; i++) {
+    const withPickup = [...route.slice(0, i), pickup, ...route.slice(i)];
+    for (let j = i + 1; j <= withPickup.length; j++) {
+      const candidate = [...withPickup.slice(0, j), dropoff, ...withPickup.slice(j)];
+      bestKm = Math.min(bestKm, routeKm(candidate));
+    }
+  }
+
+  const detourKm = Math.max(0, bestKm - baseKm);
+  return {
+    fits: sharesPickup || detourKm <= MAX_ROUTE_DETOUR_KM,
+    detourKm,
+    sharesPickup,
+  };
+};
+
+/**
+ * Decide whether to show an offer while the rider already has deliveries
+ * @returns {{ allowed: boolean, reason?: string, routeFit?: Object }}
+ */
+export const evaluateOfferForBatching = (offer, activeOrders, currentLocation) => {
+  const orders = toOrderList(activeOrders);
+  if (orders.length === 0) {
+    return { allowed: true };
+  }
+
+  if (orders.some((order) => matchesOrderId(order, getOrderId(offer)))) {
+    return { allowed: false, reason: 'already carrying this order' };
+  }
+
+  if (orders.length >= MAX_ACTIVE_ORDERS) {
+    return { allowed: false, reason: `already carrying ${orders.length} orders` };
+  }
+
+  const routeFit = getRouteFit(offer, orders, currentLocation);
+  if (!routeFit.fits) {
+    return {
+      allowed: false,
+      reason: `adds ${routeFit.detourKm?.toFixed(1) ?? '?'}km to the current route`,
+      routeFit,
+    };
+  }
+
+  return { allowed: true, routeFit };
+};
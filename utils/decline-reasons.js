@@ -0,0 +1,80 @@
+// 🙅 Why the rider turned an offer down - picked in OrderModal / DeliveryOrderModal
+
+export const DECLINE_REASONS = [
+  { id: 'too_far', label: 'Too far', emoji: '📏' },
+  { id: 'low_pay', label: 'Low pay', emoji: '💸' },
+  { id: 'restaurant_slow', label: 'Restaurant slow', emoji: '🐢' },
+  { id: 'busy', label: 'Busy right now', emoji: '⏳' },
+  { id: 'other', label: 'Other', emoji: '💬' },
+];
+
+const UNSPECIFIED_REASON = { id: 'unspecified', label: 'No reason given', emoji: '❔' };
+
+// Days of declines the stats cover
+export const DECLINE_STATS_DAYS = 30;
+
+export const getDeclineReason = (reasonId) =>
+  DECLINE_REASONS.find((reason) => reason.id === reasonId) || UNSPECIFIED_REASON;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Count declines per reason
+ * @param {Array} events - DECLINED journal events (details: { reason, earnings, distanceKm })
+ * @returns {{ total: number, reasons: Array<{ id, label, emoji, count, share, medianDistanceKm, medianEarnings }> }}
+ *   Reasons with at least one decline, most common first
+ */
+export function summarizeDeclines(events) {
+  const groups = {};
+
+  for (const event of events) {
+    const reason = getDeclineReason(event.details?.reason);
+    if (!groups[reason.id]) groups[reason.id] = { reason, distances: [], earnings: [], count: 0 };
+
+    const group = groups[reason.id];
+    group.count += 1;
+    if (isNumber(event.details?.distanceKm)) group.distances.push(event.details.distanceKm);
+    if (isNumber(event.details?.earnings)) group.earnings.push(event.details.earnings);
+  }
+
+  const total = events.length;
+  const reasons = Object.values(groups)
+    .map(({ reason, distances, earnings, count }) => ({
+      ...reason,
+      count,
+      share: total > 0 ? count / total : 0,
+      medianDistanceKm: median(distances),
+      medianEarnings: median(earnings),
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return { total, reasons };
+}
+
+/**
+ * A settings hint for a common decline reason
+ * @returns {string|null}
+ */
+export function getDeclineSuggestion(entry) {
+  switch (entry.id) {
+    case 'too_far':
+      return entry.medianDistanceKm !== null
+        ? `Offers you call too far are typically ${entry.medianDistanceKm.toFixed(1)} km away - try a nearby radius below that.`
+        : 'Try a smaller nearby order radius.';
+    case 'low_pay':
+      return entry.medianEarnings !== null
+        ? `Low-pay offers typically pay ${entry.medianEarnings.toFixed(0)} ETB - a filter preset with a higher minimum hides them.`
+        : 'A filter preset with a minimum earnings hides low-pay offers.';
+    case 'restaurant_slow':
+      return 'Block restaurants that keep you waiting - tap the restaurant on an order card.';
+    default:
+      return null;
+  }
+}
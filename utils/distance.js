@@ -11,3 +11,140 @@ export function distanceKm(lat1, lon1, lat2, lon2) {
 
   return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 }
+
+// 🗺️ Local route planner for riders carrying several orders
+
+export const AVERAGE_SPEED_KMH = 25; // City riding speed used for ETAs
+export const PICKUP_DWELL_MINUTES = 5; // Time spent collecting food at a restaurant
+export const DROPOFF_DWELL_MINUTES = 3; // Time spent handing over to a customer
+
+const MAX_2OPT_PASSES = 50;
+
+const legKm = (a, b) => distanceKm(a.latitude, a.longitude, b.latitude, b.longitude);
+
+const pathKm = (start, sequence) => {
+  let total = 0;
+  let previous = start;
+  for (const stop of sequence) {
+    if (previous) total += legKm(previous, stop.point);
+    previous = stop.point;
+  }
+  return total;
+};
+
+// Every drop-off must come after the pickup of the same order (when that pickup is still pending)
+const respectsPickupOrder = (sequence) => {
+  const pendingPickups = new Set(
+    sequence.filter((stop) => stop.type === 'pickup').map((stop) => stop.orderId)
+  );
+  for (const stop of sequence) {
+    if (stop.type === 'pickup') {
+      pendingPickups.delete(stop.orderId);
+    } else if (pendingPickups.has(stop.orderId)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Greedy start: always go to the closest stop we're allowed to visit next
+const nearestNeighbour = (start, stops) => {
+  const remaining = [...stops];
+  const sequence = [];
+  let position = start || remaining[0]?.point;
+
+  while (remaining.length > 0) {
+    const pendingPickups = new Set(
+      remaining.filter((stop) => stop.type === 'pickup').map((stop) => stop.orderId)
+    );
+
+    let bestIndex = -1;
+    let bestKm = Infinity;
+    remaining.forEach((stop, index) => {
+      if (stop.type === 'dropoff' && pendingPickups.has(stop.orderId)) return;
+      const km = legKm(position, stop.point);
+      if (km < bestKm) {
+        bestKm = km;
+        bestIndex = index;
+      }
+    });
+
+    const [next] = remaining.splice(bestIndex, 1);
+    sequence.push(next);
+    position = next.point;
+  }
+  return sequence;
+};
+
+// 2-opt: reverse segments while that shortens the route and keeps pickups first
+const twoOpt = (start, sequence) => {
+  let best = sequence;
+  let bestKm = pathKm(start, best);
+
+  for (let pass = 0; pass < MAX_2OPT_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1),
+        ];
+        if (!respectsPickupOrder(candidate)) continue;
+
+        const candidateKm = pathKm(start, candidate);
+        if (candidateKm < bestKm - 1e-9) {
+          best = candidate;
+          bestKm = candidateKm;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+  return best;
+};
+
+/**
+ * Plan the visiting order of pickups and drop-offs (nearest neighbour + 2-opt over haversine distances)
+ * @param {Object|null} start - Rider location { latitude, longitude }
+ * @param {Array} stops - [{ orderId, type: 'pickup'|'dropoff', point: { latitude, longitude }, ... }]
+ * @param {Object} options - { speedKmh, startTime }
+ * @returns {{ stops: Array, totalKm: number, totalMinutes: number }}
+ *   Each stop gets legKm, cumulativeKm, etaMinutes (from now) and eta (ms since epoch)
+ */
+export function planRoute(start, stops, { speedKmh = AVERAGE_SPEED_KMH, startTime = Date.now() } = {}) {
+  const validStops = (stops || []).filter((stop) => stop?.point);
+  if (validStops.length === 0) {
+    return { stops: [], totalKm: 0, totalMinutes: 0 };
+  }
+
+  const sequence = twoOpt(start, nearestNeighbour(start, validStops));
+
+  let position = start;
+  let cumulativeKm = 0;
+  let minutes = 0;
+
+  const planned = sequence.map((stop) => {
+    const leg = position ? legKm(position, stop.point) : 0;
+    cumulativeKm += leg;
+    minutes += (leg / speedKmh) * 60;
+
+    // ETA is the arrival time - dwell time is added after it
+    const etaMinutes = minutes;
+    minutes += stop.type === 'pickup' ? PICKUP_DWELL_MINUTES : DROPOFF_DWELL_MINUTES;
+    position = stop.point;
+
+    return {
+      ...stop,
+      legKm: leg,
+      cumulativeKm,
+      etaMinutes,
+      eta: startTime + etaMinutes * 60 * 1000,
+    };
+  });
+
+  return { stops: planned, totalKm: cumulativeKm, totalMinutes: minutes };
+}
@@ -0,0 +1,200 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CUSTOM_PRESETS_KEY = '@order_filter_presets';
+const DEFAULT_PRESET_KEY = '@order_filter_default_preset';
+
+export const DEFAULT_PRESET_ID = 'active';
+
+/**
+ * A preset narrows the Orders tab. Every field is optional - null / empty means "any".
+ * {
+ *   id, name,
+ *   minDistanceKm, maxDistanceKm,   // rider to restaurant
+ *   minEarnings,                    // delivery fee + tip, ETB
+ *   includeRestaurants,             // only these restaurants (names, case-insensitive)
+ *   excludeRestaurants,             // never these restaurants
+ *   sponsoredOnly,                  // only orders with fromSponsore
+ *   minAgeMinutes, maxAgeMinutes,   // time since the order was created
+ *   builtIn                         // shipped with the app - can't be edited or deleted
+ * }
+ */
+export const EMPTY_PRESET = {
+  name: '',
+  minDistanceKm: null,
+  maxDistanceKm: null,
+  minEarnings: null,
+  includeRestaurants: [],
+  excludeRestaurants: [],
+  sponsoredOnly: false,
+  minAgeMinutes: null,
+  maxAgeMinutes: null,
+};
+
+// The chips the Orders tab always had
+export const BUILT_IN_PRESETS = [
+  { ...EMPTY_PRESET, id: 'active', name: 'Active Listed', icon: 'truck', builtIn: true },
+  { ...EMPTY_PRESET, id: 'nearby', name: 'Nearby (<1km)', icon: 'navigation', maxDistanceKm: 1, builtIn: true },
+  { ...EMPTY_PRESET, id: 'high-value', name: 'High Value', icon: 'dollar', minEarnings: 200, builtIn: true },
+  { ...EMPTY_PRESET, id: 'urgent', name: 'Urgent', icon: 'zap', minAgeMinutes: 120, builtIn: true },
+  { ...EMPTY_PRESET, id: 'all', name: 'All Orders', icon: 'building', builtIn: true },
+];
+
+const MAX_NAME_LENGTH = 24;
+
+const isSet = (value) => value !== null && value !== undefined;
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Check a preset before saving
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePreset(preset) {
+  const name = String(preset.name || '').trim();
+  if (!name) return 'Give the preset a name';
+  if (name.length > MAX_NAME_LENGTH) return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+
+  const numbers = ['minDistanceKm', 'maxDistanceKm', 'minEarnings', 'minAgeMinutes', 'maxAgeMinutes'];
+  for (const field of numbers) {
+    if (isSet(preset[field]) && (!Number.isFinite(preset[field]) || preset[field] < 0)) {
+      return 'Numbers must be zero or more';
+    }
+  }
+
+  if (isSet(preset.minDistanceKm) && isSet(preset.maxDistanceKm) && preset.minDistanceKm > preset.maxDistanceKm) {
+    return 'Minimum distance is larger than the maximum';
+  }
+  if (isSet(preset.minAgeMinutes) && isSet(preset.maxAgeMinutes) && preset.minAgeMinutes > preset.maxAgeMinutes) {
+    return 'Minimum age is larger than the maximum';
+  }
+
+  const excluded = new Set(preset.excludeRestaurants.map(normalizeName));
+  if (preset.includeRestaurants.some((restaurant) => excluded.has(normalizeName(restaurant)))) {
+    return 'A restaurant cannot be both included and excluded';
+  }
+
+  return null;
+}
+
+/**
+ * Whether an order passes a preset
+ * @param {Object} facts - { distanceKm, earnings, ageMinutes } (distance / age null when unknown)
+ */
+export function matchesPreset(order, preset, { distanceKm, earnings, ageMinutes }) {
+  if (!preset) return true;
+
+  // Unknown distance / age only fail presets that constrain them
+  if (isSet(preset.minDistanceKm) || isSet(preset.maxDistanceKm)) {
+    if (!isSet(distanceKm)) return false;
+    if (isSet(preset.minDistanceKm) && distanceKm < preset.minDistanceKm) return false;
+    if (isSet(preset.maxDistanceKm) && distanceKm > preset.maxDistanceKm) return false;
+  }
+
+  if (isSet(preset.minEarnings) && earnings < preset.minEarnings) return false;
+
+  const restaurant = normalizeName(order.restaurantName);
+  if (preset.includeRestaurants.length > 0 && !preset.includeRestaurants.some((name) => normalizeName(name) === restaurant)) {
+    return false;
+  }
+  if (preset.excludeRestaurants.some((name) => normalizeName(name) === restaurant)) return false;
+
+  if (preset.sponsoredOnly && !order.fromSponsore) return false;
+
+  if (isSet(preset.minAgeMinutes) || isSet(preset.maxAgeMinutes)) {
+    if (!isSet(ageMinutes)) return false;
+    if (isSet(preset.minAgeMinutes) && ageMinutes < preset.minAgeMinutes) return false;
+    if (isSet(preset.maxAgeMinutes) && ageMinutes > preset.maxAgeMinutes) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Built-in presets followed by the rider's own
+ */
+export async function getFilterPresets() {
+  try {
+    const value = await AsyncStorage.getItem(CUSTOM_PRESETS_KEY);
+    const custom = value ? JSON.parse(value) : [];
+    return [
+      ...BUILT_IN_PRESETS,
+      ...custom
+        .map((preset) => ({ ...EMPTY_PRESET, ...preset, builtIn: false }))
+        .filter((preset) => !validatePreset(preset)),
+    ];
+  } catch (error) {
+    console.error('Error getting filter presets:', error);
+    return BUILT_IN_PRESETS;
+  }
+}
+
+/**
+ * Create (no id) or update one of the rider's presets
+ * @returns {Promise<{ success: boolean, preset?: Object, error?: string }>}
+ */
+export async function saveFilterPreset(preset) {
+  const next = {
+    ...EMPTY_PRESET,
+    ...preset,
+    name: String(preset.name || '').trim(),
+    id: preset.id || `custom-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, // Unique within one millisecond too
+    builtIn: false,
+  };
+
+  const error = validatePreset(next);
+  if (error) return { success: false, error };
+
+  try {
+    const custom = (await getFilterPresets()).filter((existing) => !existing.builtIn);
+    if (custom.some((existing) => existing.id !== next.id && normalizeName(existing.name) === normalizeName(next.name))) {
+      return { success: false, error: 'A preset with this name already exists' };
+    }
+
+    const updated = custom.some((existing) => existing.id === next.id)
+      ? custom.map((existing) => (existing.id === next.id ? next : existing))
+      : [...custom, next];
+
+    await AsyncStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(updated));
+    return { success: true, preset: next };
+  } catch (saveError) {
+    console.error('Error saving filter preset:', saveError);
+    return { success: false, error: 'Failed to save preset' };
+  }
+}
+
+/**
+ * Delete one of the rider's presets (falls back to the standard default if it was the default)
+ */
+export async function deleteFilterPreset(presetId) {
+  try {
+    const custom = (await getFilterPresets()).filter((preset) => !preset.builtIn && preset.id !== presetId);
+    await AsyncStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(custom));
+
+    if ((await getDefaultPresetId()) === presetId) {
+      await setDefaultPresetId(DEFAULT_PRESET_ID);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error deleting filter preset:', error);
+    return false;
+  }
+}
+
+// Preset applied when the Orders tab opens
+export async function getDefaultPresetId() {
+  try {
+    return (await AsyncStorage.getItem(DEFAULT_PRESET_KEY)) || DEFAULT_PRESET_ID;
+  } catch (error) {
+    console.error('Error getting default filter preset:', error);
+    return DEFAULT_PRESET_ID;
+  }
+}
+
+export async function setDefaultPresetId(presetId) {
+  try {
+    await AsyncStorage.setItem(DEFAULT_PRESET_KEY, presetId);
+    return true;
+  } catch (error) {
+    console.error('Error saving default filter preset:', error);
+    return false;
+  }
+}
@@ -0,0 +1,24 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const GEOFENCE_AUTO_APPLY_KEY = '@geofence_auto_apply';
+
+// Off by default: geofence transitions are only suggested until the rider opts in
+export const isGeofenceAutoApplyEnabled = async () => {
+  try {
+    const value = await AsyncStorage.getItem(GEOFENCE_AUTO_APPLY_KEY);
+    return value === 'true';
+  } catch (error) {
+    console.error('Error reading geofence auto-apply setting:', error);
+    return false;
+  }
+};
+
+export const setGeofenceAutoApplyEnabled = async (enabled) => {
+  try {
+    await AsyncStorage.setItem(GEOFENCE_AUTO_APPLY_KEY, enabled.toString());
+    return true;
+  } catch (error) {
+    console.error('Error saving geofence auto-apply setting:', error);
+    return false;
+  }
+};
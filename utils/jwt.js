@@ -0,0 +1,28 @@
+/**
+ * Decode the payload of a JWT without verifying it (the server does that).
+ * @param {string} token - JWT
+ * @returns {Object|null} Payload claims or null if the token can't be read
+ */
+export const decodeJwtPayload = (token) => {
+  try {
+    const [, payload] = (token || '').split('.');
+    if (!payload) return null;
+
+    // base64url -> base64
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    return JSON.parse(atob(padded));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get when a JWT expires
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in ms since epoch, or null if the token has no exp claim
+ */
+export const getTokenExpiry = (token) => {
+  const payload = decodeJwtPayload(token);
+  return typeof payload?.exp === 'number' ? payload.exp * 1000 : null;
+};
@@ -0,0 +1,27 @@
+import { Alert, Linking } from 'react-native';
+
+/**
+ * Open turn-by-turn directions to a point in Google Maps
+ * @param {Object} point - { latitude, longitude }
+ * @param {string} label - Shown as the destination name
+ */
+export const openExternalNavigation = async (point, label = 'Destination') => {
+  if (!point) {
+    Alert.alert('Error', `${label} location not available`);
+    return;
+  }
+
+  const googleMapsUrl = `https://www.google.com/maps/dir/?api=1&destination=${point.latitude},${point.longitude}&destination_place_id=${encodeURIComponent(label)}`;
+
+  try {
+    const supported = await Linking.canOpenURL(googleMapsUrl);
+    if (!supported) {
+      Alert.alert('Error', 'Cannot open Google Maps on this device');
+      return;
+    }
+    await Linking.openURL(googleMapsUrl);
+  } catch (error) {
+    console.error('Error opening Google Maps:', error);
+    Alert.alert('Error', 'Failed to open Google Maps');
+  }
+};
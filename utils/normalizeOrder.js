@@ -10,7 +10,7 @@ function extractNumber(value) {
 }
 
 // Helper to extract restaurant location from various formats
-function extractLocation(location) {
+export function extractLocation(location) {
   if (!location) return { latitude: null, longitude: null };
   
   // Format: { latitude, longitude }
@@ -38,3 +38,102 @@ export const getNotificationSettings = async () => {
     };
   }
 };
+
+// 🔊 Sound profiles - which bundled sound each alert plays, how loud and how often
+const SOUND_PROFILES_KEY = '@notification_sound_profiles';
+const QUIET_HOURS_KEY = '@notification_quiet_hours';
+
+export const SOUND_EVENTS = {
+  NEW_ORDER: 'new_order',
+  FAVORITE_ORDER: 'favorite_order',
+  NEAR_RESTAURANT: 'near_restaurant',
+  NEAR_CUSTOMER: 'near_customer',
+};
+
+export const SOUND_EVENT_LABELS = {
+  [SOUND_EVENTS.NEW_ORDER]: 'New order',
+  [SOUND_EVENTS.FAVORITE_ORDER]: 'Order from a favorite restaurant',
+  [SOUND_EVENTS.NEAR_RESTAURANT]: 'Near restaurant',
+  [SOUND_EVENTS.NEAR_CUSTOMER]: 'Near customer',
+};
+
+// Bundled with the app (assets/sounds) so alerts work without a connection
+export const SOUND_OPTIONS = [
+  { id: 'chime', label: 'Chime' },
+  { id: 'beep', label: 'Beep' },
+  { id: 'bell', label: 'Bell' },
+  { id: 'alarm', label: 'Alarm' },
+];
+
+export const VOLUME_OPTIONS = [0.25, 0.5, 0.75, 1];
+
+// 0 = keep repeating until the alert is dismissed
+export const LOOP_OPTIONS = [1, 2, 3, 0];
+
+export const DEFAULT_SOUND_PROFILES = {
+  [SOUND_EVENTS.NEW_ORDER]: { sound: 'chime', volume: 1, loops: 2 },
+  [SOUND_EVENTS.FAVORITE_ORDER]: { sound: 'bell', volume: 1, loops: 2 },
+  [SOUND_EVENTS.NEAR_RESTAURANT]: { sound: 'bell', volume: 1, loops: 3 },
+  [SOUND_EVENTS.NEAR_CUSTOMER]: { sound: 'alarm', volume: 1, loops: 0 },
+};
+
+// Hours are local time, 0-23. A range past midnight (22 → 7) is allowed
+export const DEFAULT_QUIET_HOURS = { enabled: false, startHour: 22, endHour: 7 };
+
+export const getSoundProfiles = async () => {
+  try {
+    const value = await AsyncStorage.getItem(SOUND_PROFILES_KEY);
+    const saved = value ? JSON.parse(value) : {};
+    return Object.fromEntries(
+      Object.values(SOUND_EVENTS).map((event) => [event, { ...DEFAULT_SOUND_PROFILES[event], ...saved[event] }])
+    );
+  } catch (error) {
+    console.error('Error reading sound profiles:', error);
+    return DEFAULT_SOUND_PROFILES;
+  }
+};
+
+export const setSoundProfile = async (event, changes) => {
+  try {
+    const profiles = await getSoundProfiles();
+    profiles[event] = { ...profiles[event], ...changes };
+    await AsyncStorage.setItem(SOUND_PROFILES_KEY, JSON.stringify(profiles));
+    return profiles;
+  } catch (error) {
+    console.error('Error saving sound profile:', error);
+    return null;
+  }
+};
+
+export const getQuietHours = async () => {
+  try {
+    const value = await AsyncStorage.getItem(QUIET_HOURS_KEY);
+    return value ? { ...DEFAULT_QUIET_HOURS, ...JSON.parse(value) } : DEFAULT_QUIET_HOURS;
+  } catch (error) {
+    console.error('Error reading quiet hours:', error);
+    return DEFAULT_QUIET_HOURS;
+  }
+};
+
+export const setQuietHours = async (changes) => {
+  try {
+    const quietHours = { ...(await getQuietHours()), ...changes };
+    await AsyncStorage.setItem(QUIET_HOURS_KEY, JSON.stringify(quietHours));
+    return quietHours;
+  } catch (error) {
+    console.error('Error saving quiet hours:', error);
+    return null;
+  }
+};
+
+/**
+ * Whether `date` falls inside the quiet hours (sounds muted, vibration only)
+ */
+export const isWithinQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours?.enabled || quietHours.startHour === quietHours.endHour) return false;
+
+  const hour = date.getHours();
+  return quietHours.startHour < quietHours.endHour
+    ? hour >= quietHours.startHour && hour < quietHours.endHour
+    : hour >= quietHours.startHour || hour < quietHours.endHour;
+};
@@ -0,0 +1,93 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const SCORING_WEIGHTS_KEY = '@offer_scoring_weights';
+
+/**
+ * How much each factor counts in an offer's score (see utils/offer-scoring.js)
+ * fee / tip scale the earnings, pickupDistance / tripDistance scale the kilometers they are divided by,
+ * age is the extra share given to orders that have been waiting (URGENT gets all of it, HIGH half)
+ */
+export const DEFAULT_SCORING_WEIGHTS = {
+  fee: 1,
+  tip: 1,
+  pickupDistance: 1,
+  tripDistance: 1,
+  age: 0.2,
+};
+
+export const WEIGHT_LIMITS = {
+  fee: { min: 0, max: 3, step: 0.25 },
+  tip: { min: 0, max: 3, step: 0.25 },
+  pickupDistance: { min: 0, max: 3, step: 0.25 },
+  tripDistance: { min: 0, max: 3, step: 0.25 },
+  age: { min: 0, max: 1, step: 0.1 },
+};
+
+let cachedWeights = DEFAULT_SCORING_WEIGHTS;
+const listeners = new Set();
+
+/**
+ * Check a full set of weights
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateScoringWeights(weights) {
+  for (const [factor, { min, max }] of Object.entries(WEIGHT_LIMITS)) {
+    const value = weights[factor];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return `Weight must be between ${min} and ${max}`;
+    }
+  }
+
+  if (weights.fee === 0 && weights.tip === 0) {
+    return 'Fee and tip cannot both be ignored';
+  }
+
+  return null;
+}
+
+/**
+ * Get the saved weights (merged over the defaults, falling back to the defaults when invalid)
+ */
+export async function getScoringWeights() {
+  try {
+    const value = await AsyncStorage.getItem(SCORING_WEIGHTS_KEY);
+    const merged = { ...DEFAULT_SCORING_WEIGHTS, ...(value ? JSON.parse(value) : {}) };
+    cachedWeights = validateScoringWeights(merged) ? DEFAULT_SCORING_WEIGHTS : merged;
+    return cachedWeights;
+  } catch (error) {
+    console.error('Error getting scoring weights:', error);
+    return DEFAULT_SCORING_WEIGHTS;
+  }
+}
+
+export function getScoringWeightsSync() {
+  return cachedWeights;
+}
+
+/**
+ * Save some weights after validating the result
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function setScoringWeights(changes) {
+  const next = { ...cachedWeights, ...changes };
+  const error = validateScoringWeights(next);
+  if (error) {
+    return { success: false, error };
+  }
+
+  try {
+    await AsyncStorage.setItem(SCORING_WEIGHTS_KEY, JSON.stringify(next));
+    cachedWeights = next;
+    listeners.forEach((listener) => listener(next));
+    return { success: true };
+  } catch (saveError) {
+    console.error('Error saving scoring weights:', saveError);
+    return { success: false, error: 'Failed to save scoring weights' };
+  }
+}
+
+// Called with the new weights whenever they are saved
+export function subscribeScoringWeights(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,81 @@
+import { distanceKm, AVERAGE_SPEED_KMH, PICKUP_DWELL_MINUTES, DROPOFF_DWELL_MINUTES } from './distance';
+import { getPickupPoint, getDropoffPoint } from './active-orders';
+import { DEFAULT_SCORING_WEIGHTS } from './offer-scoring-settings';
+
+// 💰 Ranks available orders by what they pay for the riding they take
+
+// Share of the age weight an order gets, by its getOrderPriority label (app/tabs/orders.js)
+const AGE_FACTORS = {
+  NORMAL: 0,
+  HIGH: 0.5,
+  URGENT: 1,
+};
+
+const MIN_TRIP_KM = 0.5; // Even a next-door order costs some riding - keeps ETB/km from exploding
+
+// Score bands for the badge - a score is (weighted) ETB per km
+export const SCORE_TIERS = [
+  { min: 40, label: 'Great', color: '#059669' },
+  { min: 20, label: 'Good', color: '#F59E0B' },
+  { min: 0, label: 'Low', color: '#6B7280' },
+];
+
+const toAmount = (value) => parseFloat(value?.$numberDecimal ?? value) || 0;
+
+const legKm = (from, to) =>
+  from && to ? distanceKm(from.latitude, from.longitude, to.latitude, to.longitude) : null;
+
+/**
+ * Estimate what an offer is worth
+ * @param {Object} order - Available order
+ * @param {Object} options - { riderLocation, priority: getOrderPriority label, weights }
+ * @returns {Object} { earnings, pickupKm, tripKm, minutes, etbPerKm, etbPerMinute, score }
+ *   Distances are null when a location is unknown; the estimates and score are null when both are
+ */
+export function scoreOffer(order, { riderLocation = null, priority = 'NORMAL', weights = DEFAULT_SCORING_WEIGHTS } = {}) {
+  const fee = toAmount(order?.deliveryFee);
+  const tip = toAmount(order?.tip);
+  const earnings = fee + tip;
+
+  const pickup = getPickupPoint(order);
+  const pickupKm = legKm(riderLocation, pickup);
+  const tripKm = legKm(pickup, getDropoffPoint(order));
+
+  if (pickupKm === null && tripKm === null) {
+    return { earnings, pickupKm, tripKm, minutes: null, etbPerKm: null, etbPerMinute: null, score: null };
+  }
+
+  // Plain estimates (shown to the rider as-is)
+  const totalKm = Math.max((pickupKm ?? 0) + (tripKm ?? 0), MIN_TRIP_KM);
+  const minutes = (totalKm / AVERAGE_SPEED_KMH) * 60 + PICKUP_DWELL_MINUTES + DROPOFF_DWELL_MINUTES;
+
+  // Score: weighted earnings per weighted km, boosted for orders that have been waiting
+  const weightedEarnings = fee * weights.fee + tip * weights.tip;
+  const weightedKm = Math.max(
+    (pickupKm ?? 0) * weights.pickupDistance + (tripKm ?? 0) * weights.tripDistance,
+    MIN_TRIP_KM
+  );
+  const score = (weightedEarnings / weightedKm) * (1 + weights.age * (AGE_FACTORS[priority] ?? 0));
+
+  return {
+    earnings,
+    pickupKm,
+    tripKm,
+    minutes,
+    etbPerKm: earnings / totalKm,
+    etbPerMinute: earnings / minutes,
+    score,
+  };
+}
+
+export const getScoreTier = (score) => SCORE_TIERS.find((tier) => score >= tier.min) || SCORE_TIERS[SCORE_TIERS.length - 1];
+
+/**
+ * Sort comparator for scoreOffer results: best first, unscored last
+ */
+export const compareScores = (a, b) => {
+  if (a.score === null && b.score === null) return 0;
+  if (a.score === null) return 1;
+  if (b.score === null) return -1;
+  return b.score - a.score;
+};
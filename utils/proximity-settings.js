@@ -1,8 +1,35 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getProximityThresholds, upsertProximityThresholds } from '../db/proximityThresholdsDb';
 
-const PROXIMITY_RADIUS_KEY = '@proximity_radius_km';
+// Before schema v8 the radius and alert thresholds lived in AsyncStorage - the headless location task reads SQLite
+const LEGACY_PROXIMITY_RADIUS_KEY = '@proximity_radius_km';
+const LEGACY_ALERT_THRESHOLDS_KEY = '@proximity_alert_thresholds';
 const DEFAULT_RADIUS = 2; // Default 2km
 
+// Alert types with their own distance settings
+export const PROXIMITY_ALERTS = {
+  RESTAURANT: 'restaurant', // Approaching the pickup
+  CUSTOMER: 'customer', // Approaching the drop-off
+  OFFER: 'offer', // New offers near the rider (radius = the proximity radius above)
+};
+
+/**
+ * Meters. `distance` triggers the alert; it re-arms once the rider is `hysteresis` beyond it.
+ * Offers use the proximity radius as their distance (saved in the same row, set through
+ * setProximityRadius) - a notified offer can be shown again after the rider left
+ * radius + hysteresis and came back.
+ */
+export const DEFAULT_ALERT_THRESHOLDS = {
+  [PROXIMITY_ALERTS.RESTAURANT]: { distance: 200, hysteresis: 100 },
+  [PROXIMITY_ALERTS.CUSTOMER]: { distance: 200, hysteresis: 100 },
+  [PROXIMITY_ALERTS.OFFER]: { hysteresis: 500 },
+};
+
+export const THRESHOLD_LIMITS = {
+  distance: { min: 50, max: 1000, step: 25 },
+  hysteresis: { min: 25, max: 2000, step: 25 },
+};
+
 // Available radius options
 export const RADIUS_OPTIONS = [
   { value: 0.5, label: '500m' },
@@ -19,11 +46,9 @@ export const RADIUS_OPTIONS = [
  */
 export async function getProximityRadius() {
   try {
-    const value = await AsyncStorage.getItem(PROXIMITY_RADIUS_KEY);
-    if (value !== null) {
-      return parseFloat(value);
-    }
-    return DEFAULT_RADIUS;
+    const saved = await getProximityThresholds();
+    const distance = saved[PROXIMITY_ALERTS.OFFER]?.distance;
+    return distance > 0 ? distance / 1000 : DEFAULT_RADIUS;
   } catch (error) {
     console.error('Error getting proximity radius:', error);
     return DEFAULT_RADIUS;
@@ -36,7 +61,12 @@ export async function getProximityRadius() {
  */
 export async function setProximityRadius(radiusKm) {
   try {
-    await AsyncStorage.setItem(PROXIMITY_RADIUS_KEY, radiusKm.toString());
+    await saveOfferRadius(radiusKm);
+    cachedRadius = radiusKm;
+    cachedThresholds = {
+      ...cachedThresholds,
+      [PROXIMITY_ALERTS.OFFER]: { ...cachedThresholds[PROXIMITY_ALERTS.OFFER], distance: radiusKm * 1000 },
+    };
     return true;
   } catch (error) {
     console.error('Error saving proximity radius:', error);
@@ -44,21 +74,163 @@ export async function setProximityRadius(radiusKm) {
   }
 }
 
+// The radius is the offer row's distance - keep the saved re-arm distance next to it
+async function saveOfferRadius(radiusKm) {
+  const saved = await getProximityThresholds();
+  await upsertProximityThresholds({
+    [PROXIMITY_ALERTS.OFFER]: {
+      ...DEFAULT_ALERT_THRESHOLDS[PROXIMITY_ALERTS.OFFER],
+      ...saved[PROXIMITY_ALERTS.OFFER],
+      distance: radiusKm * 1000,
+    },
+  });
+}
+
 /**
  * Get proximity radius synchronously (returns cached value or default)
  * Use getProximityRadius() for accurate value
  */
 let cachedRadius = DEFAULT_RADIUS;
+let cachedThresholds = DEFAULT_ALERT_THRESHOLDS;
+let settingsLoaded = false;
 
 export function getProximityRadiusSync() {
   return cachedRadius;
 }
 
 /**
- * Initialize and cache the radius setting
+ * Alert thresholds from the cache - safe to call from the location loop and the background task
+ * @returns {{ distance?: number, hysteresis: number }} Meters
+ */
+export function getAlertThresholdSync(alertType) {
+  return cachedThresholds[alertType] || DEFAULT_ALERT_THRESHOLDS[alertType];
+}
+
+export function areProximitySettingsLoaded() {
+  return settingsLoaded;
+}
+
+/**
+ * Check one alert type's settings
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateAlertThreshold(alertType, { distance, hysteresis }) {
+  if (!DEFAULT_ALERT_THRESHOLDS[alertType]) {
+    return 'Unknown alert type';
+  }
+
+  const inRange = (value, { min, max }) => Number.isFinite(value) && value >= min && value <= max;
+
+  if (alertType !== PROXIMITY_ALERTS.OFFER && !inRange(distance, THRESHOLD_LIMITS.distance)) {
+    return `Alert distance must be between ${THRESHOLD_LIMITS.distance.min} and ${THRESHOLD_LIMITS.distance.max} m`;
+  }
+
+  if (!inRange(hysteresis, THRESHOLD_LIMITS.hysteresis)) {
+    return `Re-arm distance must be between ${THRESHOLD_LIMITS.hysteresis.min} and ${THRESHOLD_LIMITS.hysteresis.max} m`;
+  }
+
+  return null;
+}
+
+// Move the pre-v8 radius into SQLite - runs once, from initProximitySettings
+async function importLegacyProximityRadius() {
+  try {
+    const value = await AsyncStorage.getItem(LEGACY_PROXIMITY_RADIUS_KEY);
+    if (value === null) return;
+
+    const radiusKm = parseFloat(value);
+    if (radiusKm > 0) {
+      await saveOfferRadius(radiusKm);
+    }
+    await AsyncStorage.removeItem(LEGACY_PROXIMITY_RADIUS_KEY);
+    console.log('📦 Imported proximity radius from AsyncStorage');
+  } catch (error) {
+    console.error('Error importing legacy proximity radius:', error);
+  }
+}
+
+// Move pre-v8 thresholds into SQLite - runs once, from initProximitySettings
+async function importLegacyAlertThresholds() {
+  try {
+    const value = await AsyncStorage.getItem(LEGACY_ALERT_THRESHOLDS_KEY);
+    if (!value) return;
+
+    let legacy = {};
+    try {
+      legacy = JSON.parse(value) || {};
+    } catch (parseError) {
+      console.warn('⚠️ Dropping unreadable legacy alert thresholds:', parseError.message);
+    }
+
+    // Only complete, valid entries - anything else falls back to the defaults
+    const valid = Object.entries(legacy)
+      .map(([alertType, saved]) => [alertType, { ...DEFAULT_ALERT_THRESHOLDS[alertType], ...saved }])
+      .filter(([alertType, merged]) => !validateAlertThreshold(alertType, merged));
+
+    if (valid.length > 0) {
+      await upsertProximityThresholds(Object.fromEntries(valid));
+    }
+    await AsyncStorage.removeItem(LEGACY_ALERT_THRESHOLDS_KEY);
+    console.log('📦 Imported proximity alert thresholds from AsyncStorage');
+  } catch (error) {
+    console.error('Error importing legacy alert thresholds:', error);
+  }
+}
+
+/**
+ * Get the saved alert thresholds (merged over the defaults, invalid entries dropped)
+ */
+export async function getAlertThresholds() {
+  try {
+    const saved = await getProximityThresholds();
+
+    return Object.fromEntries(
+      Object.entries(DEFAULT_ALERT_THRESHOLDS).map(([alertType, defaults]) => {
+        const merged = { ...defaults, ...saved[alertType] };
+        return [alertType, validateAlertThreshold(alertType, merged) ? defaults : merged];
+      })
+    );
+  } catch (error) {
+    console.error('Error getting alert thresholds:', error);
+    return DEFAULT_ALERT_THRESHOLDS;
+  }
+}
+
+/**
+ * Save one alert type's settings after validating them
+ * @returns {Promise<{ success: boolean, error?: string }>}
  */
+export async function setAlertThreshold(alertType, changes) {
+  const next = { ...getAlertThresholdSync(alertType), ...changes };
+  const error = validateAlertThreshold(alertType, next);
+  if (error) {
+    return { success: false, error };
+  }
+
+  try {
+    await upsertProximityThresholds({ [alertType]: next });
+    cachedThresholds = { ...cachedThresholds, [alertType]: next };
+    return { success: true };
+  } catch (saveError) {
+    console.error('Error saving alert thresholds:', saveError);
+    return { success: false, error: 'Failed to save proximity settings' };
+  }
+}
+
+/**
+ * Initialize and cache the radius and alert threshold settings
+ */
+let legacyImport = null;
+
 export async function initProximitySettings() {
-  cachedRadius = await getProximityRadius();
+  // Shared by every caller, so the legacy entries are read once per app start.
+  // Thresholds first - an imported offer row must not overwrite the imported radius
+  legacyImport = legacyImport || importLegacyAlertThresholds().then(importLegacyProximityRadius);
+  await legacyImport;
+  const [radius, thresholds] = await Promise.all([getProximityRadius(), getAlertThresholds()]);
+  cachedRadius = radius;
+  cachedThresholds = thresholds;
+  settingsLoaded = true;
   return cachedRadius;
 }
 
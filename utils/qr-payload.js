@@ -0,0 +1,124 @@
+import Constants from 'expo-constants';
+import nacl from 'tweetnacl';
+
+// 🔐 Customer verification QR codes
+//
+// v1 payload (JSON): { "v": 1, "oid": "<order id>", "code": "123456", "exp": <unix seconds>, "sig": "<hex>" }
+// sig = Ed25519 signature of "v1|<oid>|<code>|<exp>" by the backend's private key, checked against QR_PUBLIC_KEY
+// A bare 6-digit code is still accepted for customers on older app versions.
+
+export const QR_PAYLOAD_VERSION = 1;
+
+export const QR_ERRORS = {
+  INVALID_FORMAT: 'invalid_format',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  WRONG_ORDER: 'wrong_order',
+  EXPIRED: 'expired',
+  BAD_SIGNATURE: 'bad_signature',
+  NO_PUBLIC_KEY: 'no_public_key',
+};
+
+const QR_ERROR_MESSAGES = {
+  [QR_ERRORS.INVALID_FORMAT]: 'This QR code is not a delivery verification code.',
+  [QR_ERRORS.UNSUPPORTED_VERSION]: 'This QR code was made by a newer app version. Ask the customer for the 6-digit code instead.',
+  [QR_ERRORS.WRONG_ORDER]: 'This QR code belongs to a different order. Make sure you are delivering the right order.',
+  [QR_ERRORS.EXPIRED]: 'This QR code has expired. Ask the customer to refresh it or read out the 6-digit code.',
+  [QR_ERRORS.BAD_SIGNATURE]: 'This QR code could not be verified. It may have been altered.',
+  [QR_ERRORS.NO_PUBLIC_KEY]: 'QR verification is not set up on this device. Please enter the 6-digit code manually.',
+};
+
+const CODE_PATTERN = /^\d{6}$/;
+
+const HEX_PATTERN = /^(?:[0-9a-f]{2})+$/i;
+
+const getPublicKey = () => Constants.expoConfig?.extra?.qrPublicKey || null;
+
+const hexToBytes = (hex) => {
+  if (!HEX_PATTERN.test(hex)) return null;
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+const isValidSignature = (message, signatureHex, publicKeyHex) => {
+  const signature = hexToBytes(signatureHex);
+  const publicKey = hexToBytes(publicKeyHex);
+  if (signature?.length !== nacl.sign.signatureLength) return false;
+  if (publicKey?.length !== nacl.sign.publicKeyLength) return false;
+  return nacl.sign.detached.verify(new TextEncoder().encode(message), signature, publicKey);
+};
+
+const invalid = (reason) => ({ valid: false, reason, message: QR_ERROR_MESSAGES[reason] });
+
+const belongsToOrder = (scannedOrderId, orderId, orderCode) =>
+  [orderId, orderCode].some((value) => value && String(value) === String(scannedOrderId));
+
+/**
+ * String that gets signed for a v1 payload
+ */
+export const buildSignedMessage = ({ oid, code, exp }) => `v${QR_PAYLOAD_VERSION}|${oid}|${code}|${exp}`;
+
+/**
+ * Check a scanned QR code against the order being delivered
+ * @param {string} data - Raw QR contents
+ * @param {Object} options - { orderId, orderCode, now (ms), publicKey (hex) }
+ * @returns {{ valid: true, code: string, signed: boolean } | { valid: false, reason: string, message: string }}
+ */
+export const parseVerificationQr = (data, { orderId, orderCode, now = Date.now(), publicKey = getPublicKey() } = {}) => {
+  const raw = String(data || '').trim();
+
+  // Backward compatibility: plain 6-digit code
+  if (CODE_PATTERN.test(raw)) {
+    return { valid: true, code: raw, signed: false };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch {
+    return invalid(QR_ERRORS.INVALID_FORMAT);
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return invalid(QR_ERRORS.INVALID_FORMAT);
+  }
+
+  // Unversioned JSON from older customer apps: only a 6-digit code (for this order) is accepted
+  if (payload.v === undefined) {
+    const code = String(payload.code || payload.verificationCode || '');
+    if (!CODE_PATTERN.test(code)) return invalid(QR_ERRORS.INVALID_FORMAT);
+    if (payload.orderId && !belongsToOrder(payload.orderId, orderId, orderCode)) {
+      return invalid(QR_ERRORS.WRONG_ORDER);
+    }
+    return { valid: true, code, signed: false };
+  }
+
+  if (payload.v !== QR_PAYLOAD_VERSION) {
+    return invalid(QR_ERRORS.UNSUPPORTED_VERSION);
+  }
+
+  const { oid, code, exp, sig } = payload;
+  if (!oid || !CODE_PATTERN.test(String(code || '')) || !Number.isFinite(exp) || !sig) {
+    return invalid(QR_ERRORS.INVALID_FORMAT);
+  }
+
+  if (!belongsToOrder(oid, orderId, orderCode)) {
+    return invalid(QR_ERRORS.WRONG_ORDER);
+  }
+
+  if (exp * 1000 < now) {
+    return invalid(QR_ERRORS.EXPIRED);
+  }
+
+  if (!publicKey) {
+    return invalid(QR_ERRORS.NO_PUBLIC_KEY);
+  }
+
+  if (!isValidSignature(buildSignedMessage({ oid, code, exp }), String(sig), publicKey)) {
+    return invalid(QR_ERRORS.BAD_SIGNATURE);
+  }
+
+  return { valid: true, code: String(code), signed: true };
+};
@@ -1,24 +1,60 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  upsertRejectedOrders,
+  getRejectedOrdersSince,
+  deleteRejectedOrder,
+  deleteRejectedOrdersBefore,
+  deleteAllRejectedOrders,
+} from '../db/rejectedOrdersDb';
+import { logger } from './logger';
 
-const REJECTED_ORDERS_KEY = '@rejected_orders';
+// Before schema v6 every declined ID lived in this one AsyncStorage array, kept forever
+const LEGACY_REJECTED_ORDERS_KEY = '@rejected_orders';
+const REJECTED_ORDER_EXPIRY_KEY = '@rejected_order_expiry_hours';
 
-// In-memory cache for faster access
-let rejectedOrdersCache = new Set();
+// How long a declined offer stays hidden from notifications
+export const REJECTED_ORDER_EXPIRY_OPTIONS = [
+  { hours: 6, label: '6 hours' },
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '1 week' },
+];
+
+export const DEFAULT_REJECTED_ORDER_EXPIRY_HOURS = 24;
+
+// In-memory cache for faster access: orderId -> rejectedAt
+let rejectedOrdersCache = new Map();
+let expiryHours = DEFAULT_REJECTED_ORDER_EXPIRY_HOURS;
+
+const getExpiryCutoff = () => Date.now() - expiryHours * 60 * 60 * 1000;
+
+// Import the pre-v6 array once - its entries have no timestamps, so they start their window now
+async function importLegacyRejectedOrders() {
+  const stored = await AsyncStorage.getItem(LEGACY_REJECTED_ORDERS_KEY);
+  if (!stored) return;
+
+  const orderIds = JSON.parse(stored);
+  const rejectedAt = Date.now();
+  await upsertRejectedOrders(orderIds.map((orderId) => ({ orderId, rejectedAt })));
+  await AsyncStorage.removeItem(LEGACY_REJECTED_ORDERS_KEY);
+  logger.log(`📦 Imported ${orderIds.length} rejected orders from the old list`);
+}
 
 /**
- * Initialize the rejected orders cache from AsyncStorage
+ * Initialize the rejected orders cache from the database, dropping expired entries
  */
 export async function initRejectedOrders() {
   try {
-    const stored = await AsyncStorage.getItem(REJECTED_ORDERS_KEY);
-    if (stored) {
-      const orderIds = JSON.parse(stored);
-      rejectedOrdersCache = new Set(orderIds);
-      console.log(`📦 Loaded ${rejectedOrdersCache.size} rejected orders from storage`);
-    }
-    return rejectedOrdersCache;
+    expiryHours = await getRejectedOrderExpiryHours();
+    await importLegacyRejectedOrders();
+    await cleanupOldRejectedOrders();
+
+    const entries = await getRejectedOrdersSince(getExpiryCutoff());
+    rejectedOrdersCache = new Map(entries.map((entry) => [entry.orderId, entry.rejectedAt]));
+    logger.log(`📦 Loaded ${rejectedOrdersCache.size} rejected orders from storage`);
+    return getRejectedOrders();
   } catch (error) {
-    console.error('Error loading rejected orders:', error);
+    logger.error('Error loading rejected orders:', error);
     return new Set();
   }
 }
@@ -26,30 +62,31 @@ export async function initRejectedOrders() {
 /**
  * Add an order to the rejected list
  * @param {string} orderId - Order ID to reject
+ * @param {Object} details - { orderCode, restaurantName, earnings, reason } shown on the declined offers screen
  */
-export async function addRejectedOrder(orderId) {
+export async function addRejectedOrder(orderId, details = {}) {
   try {
     if (!orderId) return;
-    
-    rejectedOrdersCache.add(orderId);
-    
-    // Save to AsyncStorage
-    const orderIds = Array.from(rejectedOrdersCache);
-    await AsyncStorage.setItem(REJECTED_ORDERS_KEY, JSON.stringify(orderIds));
-    
-    console.log(`🚫 Order ${orderId} added to rejected list (total: ${rejectedOrdersCache.size})`);
+
+    const rejectedAt = Date.now();
+    rejectedOrdersCache.set(String(orderId), rejectedAt);
+
+    await upsertRejectedOrders([{ ...details, orderId, rejectedAt }]);
+
+    logger.log(`🚫 Order ${orderId} added to rejected list (total: ${rejectedOrdersCache.size})`);
   } catch (error) {
-    console.error('Error saving rejected order:', error);
+    logger.error('Error saving rejected order:', error);
   }
 }
 
 /**
- * Check if an order is rejected
+ * Check if an order is rejected (and its rejection has not expired)
  * @param {string} orderId - Order ID to check
  * @returns {boolean}
  */
 export function isOrderRejected(orderId) {
-  return rejectedOrdersCache.has(orderId);
+  const rejectedAt = rejectedOrdersCache.get(String(orderId));
+  return rejectedAt !== undefined && rejectedAt >= getExpiryCutoff();
 }
 
 /**
@@ -57,7 +94,20 @@ export function isOrderRejected(orderId) {
  * @returns {Set<string>}
  */
 export function getRejectedOrders() {
-  return rejectedOrdersCache;
+  return new Set([...rejectedOrdersCache.keys()].filter(isOrderRejected));
+}
+
+/**
+ * Declined offers that have not expired, newest first
+ * @returns {Promise<Array<{ orderId, orderCode, restaurantName, earnings, reason, rejectedAt }>>}
+ */
+export async function getDeclinedOffers() {
+  try {
+    return await getRejectedOrdersSince(getExpiryCutoff());
+  } catch (error) {
+    logger.error('Error getting declined offers:', error);
+    return [];
+  }
 }
 
 /**
@@ -66,14 +116,14 @@ export function getRejectedOrders() {
  */
 export async function removeRejectedOrder(orderId) {
   try {
-    rejectedOrdersCache.delete(orderId);
-    
-    const orderIds = Array.from(rejectedOrdersCache);
-    await AsyncStorage.setItem(REJECTED_ORDERS_KEY, JSON.stringify(orderIds));
-    
-    console.log(`✅ Order ${orderId} removed from rejected list`);
+    rejectedOrdersCache.delete(String(orderId));
+    await deleteRejectedOrder(orderId);
+
+    logger.log(`✅ Order ${orderId} removed from rejected list`);
+    return true;
   } catch (error) {
-    console.error('Error removing rejected order:', error);
+    logger.error('Error removing rejected order:', error);
+    return false;
   }
 }
 
@@ -83,20 +133,64 @@ export async function removeRejectedOrder(orderId) {
 export async function clearRejectedOrders() {
   try {
     rejectedOrdersCache.clear();
-    await AsyncStorage.removeItem(REJECTED_ORDERS_KEY);
-    console.log('🗑️ All rejected orders cleared');
+    await deleteAllRejectedOrders();
+    logger.log('🗑️ All rejected orders cleared');
   } catch (error) {
-    console.error('Error clearing rejected orders:', error);
+    logger.error('Error clearing rejected orders:', error);
   }
 }
 
 /**
- * Clean up old rejected orders (older than 24 hours)
- * This should be called periodically to prevent the list from growing too large
+ * Delete rejected orders older than the expiry window
+ * Runs on init so the list never grows past one window of declines
  */
 export async function cleanupOldRejectedOrders() {
-  // For now, we keep all rejected orders
-  // In the future, we could store timestamps and clean up old ones
-  console.log(`📦 Current rejected orders count: ${rejectedOrdersCache.size}`);
+  try {
+    const cutoff = getExpiryCutoff();
+    const removed = await deleteRejectedOrdersBefore(cutoff);
+
+    for (const [orderId, rejectedAt] of rejectedOrdersCache) {
+      if (rejectedAt < cutoff) rejectedOrdersCache.delete(orderId);
+    }
+
+    if (removed > 0) {
+      logger.log(`🧹 Removed ${removed} expired rejected orders`);
+    }
+  } catch (error) {
+    logger.error('Error cleaning up rejected orders:', error);
+  }
 }
 
+export async function getRejectedOrderExpiryHours() {
+  try {
+    const value = await AsyncStorage.getItem(REJECTED_ORDER_EXPIRY_KEY);
+    const hours = value ? Number(value) : DEFAULT_REJECTED_ORDER_EXPIRY_HOURS;
+    return REJECTED_ORDER_EXPIRY_OPTIONS.some((option) => option.hours === hours)
+      ? hours
+      : DEFAULT_REJECTED_ORDER_EXPIRY_HOURS;
+  } catch (error) {
+    logger.error('Error getting rejected order expiry:', error);
+    return DEFAULT_REJECTED_ORDER_EXPIRY_HOURS;
+  }
+}
+
+/**
+ * Change how long declined offers stay hidden (applies to existing entries too)
+ * @param {number} hours - One of REJECTED_ORDER_EXPIRY_OPTIONS
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function setRejectedOrderExpiryHours(hours) {
+  if (!REJECTED_ORDER_EXPIRY_OPTIONS.some((option) => option.hours === hours)) {
+    return { success: false, error: 'Invalid expiry' };
+  }
+
+  try {
+    await AsyncStorage.setItem(REJECTED_ORDER_EXPIRY_KEY, String(hours));
+    expiryHours = hours;
+    await cleanupOldRejectedOrders();
+    return { success: true };
+  } catch (error) {
+    logger.error('Error saving rejected order expiry:', error);
+    return { success: false, error: 'Failed to save expiry' };
+  }
+}
@@ -0,0 +1,96 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { logger } from './logger';
+
+const RESTAURANT_PREFERENCES_KEY = '@restaurant_preferences';
+
+export const RESTAURANT_PREFERENCE = {
+  BLOCKED: 'blocked',
+  FAVORITE: 'favorite',
+  NEUTRAL: 'neutral',
+};
+
+// In-memory cache for synchronous checks while offers come in
+// key -> { name, preference, updatedAt } (neutral restaurants are not stored)
+let preferencesCache = {};
+const listeners = new Set();
+
+// Orders carry no restaurant ID, so restaurants are matched by name
+export const restaurantKey = (restaurantName) => String(restaurantName || '').trim().toLowerCase();
+
+const notifyListeners = () => listeners.forEach((listener) => listener(getRestaurantPreferences()));
+
+/**
+ * Initialize the restaurant preferences cache from AsyncStorage
+ */
+export async function initRestaurantPreferences() {
+  try {
+    const stored = await AsyncStorage.getItem(RESTAURANT_PREFERENCES_KEY);
+    preferencesCache = stored ? JSON.parse(stored) : {};
+    logger.log(`🏪 Loaded ${Object.keys(preferencesCache).length} restaurant preferences from storage`);
+    notifyListeners();
+    return preferencesCache;
+  } catch (error) {
+    logger.error('Error loading restaurant preferences:', error);
+    return {};
+  }
+}
+
+/**
+ * Get the rider's preference for a restaurant
+ * @param {string} restaurantName
+ * @returns {string} One of RESTAURANT_PREFERENCE
+ */
+export function getRestaurantPreference(restaurantName) {
+  return preferencesCache[restaurantKey(restaurantName)]?.preference || RESTAURANT_PREFERENCE.NEUTRAL;
+}
+
+export const isRestaurantBlocked = (restaurantName) =>
+  getRestaurantPreference(restaurantName) === RESTAURANT_PREFERENCE.BLOCKED;
+
+export const isRestaurantFavorite = (restaurantName) =>
+  getRestaurantPreference(restaurantName) === RESTAURANT_PREFERENCE.FAVORITE;
+
+/**
+ * All blocked and favorite restaurants, by name
+ * @returns {Array<{ key, name, preference, updatedAt }>}
+ */
+export function getRestaurantPreferences() {
+  return Object.entries(preferencesCache)
+    .map(([key, entry]) => ({ key, ...entry }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Block, favorite or reset a restaurant
+ * @param {string} restaurantName
+ * @param {string} preference - One of RESTAURANT_PREFERENCE
+ * @returns {Promise<boolean>}
+ */
+export async function setRestaurantPreference(restaurantName, preference) {
+  const key = restaurantKey(restaurantName);
+  if (!key || !Object.values(RESTAURANT_PREFERENCE).includes(preference)) return false;
+
+  const updated = { ...preferencesCache };
+  if (preference === RESTAURANT_PREFERENCE.NEUTRAL) {
+    delete updated[key];
+  } else {
+    updated[key] = { name: String(restaurantName).trim(), preference, updatedAt: Date.now() };
+  }
+
+  try {
+    await AsyncStorage.setItem(RESTAURANT_PREFERENCES_KEY, JSON.stringify(updated));
+    preferencesCache = updated;
+    logger.log(`🏪 ${restaurantName} set to ${preference}`);
+    notifyListeners();
+    return true;
+  } catch (error) {
+    logger.error('Error saving restaurant preference:', error);
+    return false;
+  }
+}
+
+// Called with the full preference list whenever it changes
+export function subscribeRestaurantPreferences(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,212 @@
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+
+// Keys kept in the platform keystore (Keychain / Android Keystore)
+const AUTH_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_ID_KEY = 'userId';
+const USER_PROFILE_KEY = 'userProfile';
+const BANK_LIST_CACHE_KEY = 'bankListCache'; // Withdrawal banks + balance
+
+// Not sensitive - stays in AsyncStorage
+const USER_ROLE_KEY = 'userRole';
+
+const MIGRATION_KEY = '@secure_storage_migrated';
+
+// SecureStore warns above ~2KB per value, so larger JSON is split into chunks
+const CHUNK_SIZE = 1000;
+
+// SecureStore has no web implementation - fall back to AsyncStorage there
+const useKeystore = Platform.OS !== 'web';
+
+const keystoreOptions = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK, // Background tasks still need the token
+};
+
+/**
+ * Read a secret from the keystore
+ * @param {string} key
+ * @returns {Promise<string|null>}
+ */
+export async function getSecureItem(key) {
+  try {
+    if (!useKeystore) return await AsyncStorage.getItem(key);
+    return await SecureStore.getItemAsync(key, keystoreOptions);
+  } catch (error) {
+    console.error(`Error reading secure item ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Write a secret to the keystore (null/undefined removes it)
+ * @param {string} key
+ * @param {string|null} value
+ */
+export async function setSecureItem(key, value) {
+  if (value === null || value === undefined) {
+    return removeSecureItem(key);
+  }
+  if (!useKeystore) return AsyncStorage.setItem(key, value);
+  return SecureStore.setItemAsync(key, value, keystoreOptions);
+}
+
+export async function removeSecureItem(key) {
+  try {
+    if (!useKeystore) return await AsyncStorage.removeItem(key);
+    await SecureStore.deleteItemAsync(key, keystoreOptions);
+  } catch (error) {
+    console.error(`Error removing secure item ${key}:`, error);
+  }
+}
+
+/**
+ * Read JSON written with setSecureJSON
+ * @param {string} key
+ * @returns {Promise<any|null>}
+ */
+export async function getSecureJSON(key) {
+  try {
+    const count = parseInt(await getSecureItem(`${key}_chunks`), 10);
+    if (!count) return null;
+
+    const chunks = await Promise.all(
+      Array.from({ length: count }, (_, i) => getSecureItem(`${key}_${i}`))
+    );
+    if (chunks.some((chunk) => chunk === null)) return null;
+
+    return JSON.parse(chunks.join(''));
+  } catch (error) {
+    console.error(`Error reading secure JSON ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Store JSON encrypted by the keystore
+ * @param {string} key
+ * @param {any} value
+ */
+export async function setSecureJSON(key, value) {
+  const json = JSON.stringify(value);
+  const chunks = [];
+  for (let i = 0; i < json.length; i += CHUNK_SIZE) {
+    chunks.push(json.slice(i, i + CHUNK_SIZE));
+  }
+
+  await removeSecureJSON(key);
+  await Promise.all(chunks.map((chunk, i) => setSecureItem(`${key}_${i}`, chunk)));
+  await setSecureItem(`${key}_chunks`, String(chunks.length));
+}
+
+export async function removeSecureJSON(key) {
+  const count = parseInt(await getSecureItem(`${key}_chunks`), 10) || 0;
+  await removeSecureItem(`${key}_chunks`);
+  await Promise.all(
+    Array.from({ length: count }, (_, i) => removeSecureItem(`${key}_${i}`))
+  );
+}
+
+/**
+ * Save everything needed to restore a login
+ * @param {Object} session - { token, refreshToken, userId, userRole, user }
+ */
+export async function saveSession({ token, refreshToken, userId, userRole, user }) {
+  await Promise.all([
+    setSecureItem(AUTH_TOKEN_KEY, token),
+    setSecureItem(REFRESH_TOKEN_KEY, refreshToken || null),
+    setSecureItem(USER_ID_KEY, userId),
+    user ? setSecureJSON(USER_PROFILE_KEY, user) : removeSecureJSON(USER_PROFILE_KEY),
+    userRole ? AsyncStorage.setItem(USER_ROLE_KEY, userRole) : AsyncStorage.removeItem(USER_ROLE_KEY),
+  ]);
+}
+
+/**
+ * Load the stored login
+ * @returns {Promise<Object>} { token, userId, userRole, user } (null fields when logged out)
+ */
+export async function loadSession() {
+  const [token, userId, userRole, user] = await Promise.all([
+    getSecureItem(AUTH_TOKEN_KEY),
+    getSecureItem(USER_ID_KEY),
+    AsyncStorage.getItem(USER_ROLE_KEY),
+    getSecureJSON(USER_PROFILE_KEY),
+  ]);
+  return { token, userId, userRole, user };
+}
+
+/**
+ * Remove every stored credential and cached account data
+ */
+export async function clearSession() {
+  await Promise.all([
+    removeSecureItem(AUTH_TOKEN_KEY),
+    removeSecureItem(REFRESH_TOKEN_KEY),
+    removeSecureItem(USER_ID_KEY),
+    removeSecureJSON(USER_PROFILE_KEY),
+    removeSecureJSON(BANK_LIST_CACHE_KEY),
+    AsyncStorage.removeItem(USER_ROLE_KEY),
+  ]);
+}
+
+export const getAuthToken = () => getSecureItem(AUTH_TOKEN_KEY);
+export const setAuthToken = (token) => setSecureItem(AUTH_TOKEN_KEY, token);
+export const getRefreshToken = () => getSecureItem(REFRESH_TOKEN_KEY);
+export const getStoredUserId = () => getSecureItem(USER_ID_KEY);
+export const setRefreshToken = (refreshToken) => setSecureItem(REFRESH_TOKEN_KEY, refreshToken);
+
+// 🏦 Bank list cache ({ banks, balance, timestamp }) used by the withdraw screens
+export const getBankListCache = () => getSecureJSON(BANK_LIST_CACHE_KEY);
+export const setBankListCache = (value) => setSecureJSON(BANK_LIST_CACHE_KEY, value);
+export const clearBankListCache = () => removeSecureJSON(BANK_LIST_CACHE_KEY);
+
+/**
+ * One-time move of credentials written in clear text by older versions.
+ * Old values are only deleted after the secure copy is written, so a failed
+ * migration leaves the rider logged in and is retried on the next launch.
+ */
+export async function migrateLegacyStorage() {
+  try {
+    if ((await AsyncStorage.getItem(MIGRATION_KEY)) === 'true') return;
+
+    const [[, token], [, refreshToken], [, userId], [, userProfile]] = await AsyncStorage.multiGet([
+      AUTH_TOKEN_KEY,
+      REFRESH_TOKEN_KEY,
+      USER_ID_KEY,
+      USER_PROFILE_KEY,
+    ]);
+
+    if (token && useKeystore) {
+      let user = null;
+      try {
+        user = userProfile ? JSON.parse(userProfile) : null;
+      } catch (e) {
+        console.error('Error parsing legacy user profile:', e);
+      }
+
+      await Promise.all([
+        setSecureItem(AUTH_TOKEN_KEY, token),
+        setSecureItem(REFRESH_TOKEN_KEY, refreshToken),
+        setSecureItem(USER_ID_KEY, userId),
+        user ? setSecureJSON(USER_PROFILE_KEY, user) : Promise.resolve(),
+      ]);
+      console.log('🔐 Moved stored credentials to secure storage');
+    }
+
+    if (useKeystore) {
+      // The bank list cache held account data - it's refetched on demand
+      await AsyncStorage.multiRemove([
+        AUTH_TOKEN_KEY,
+        REFRESH_TOKEN_KEY,
+        USER_ID_KEY,
+        USER_PROFILE_KEY,
+        'bank_list_cache',
+      ]);
+    }
+
+    await AsyncStorage.setItem(MIGRATION_KEY, 'true');
+  } catch (error) {
+    console.error('❌ Error migrating credentials to secure storage:', error);
+  }
+}
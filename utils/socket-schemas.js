@@ -0,0 +1,207 @@
+import { logger } from './logger';
+
+// 🧾 Schema registry for every socket.io event we receive or emit.
+// Inbound messages that don't match are dropped; outbound payloads that don't
+// match are never emitted. Both are counted per event and logged with the reason.
+
+const rule = (check, expected) => Object.assign(check, { expected });
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+const types = {
+  string: rule((v) => typeof v === 'string' && v.trim() !== '', 'must be a non-empty string'),
+  id: rule(
+    (v) => (typeof v === 'string' && v.trim() !== '') || (typeof v === 'number' && Number.isFinite(v)),
+    'must be an id'
+  ),
+  number: rule((v) => typeof v === 'number' && Number.isFinite(v), 'must be a number'),
+  latitude: rule((v) => typeof v === 'number' && v >= -90 && v <= 90, 'must be a latitude'),
+  longitude: rule((v) => typeof v === 'number' && v >= -180 && v <= 180, 'must be a longitude'),
+  boolean: rule((v) => typeof v === 'boolean', 'must be a boolean'),
+};
+
+const optional = (check) => rule((v) => !isPresent(v) || check(v), `${check.expected} when present`);
+
+/**
+ * Check an object against a { field: rule | nestedShape } description
+ * @returns {string|null} First problem found, or null when valid
+ */
+const checkShape = (value, shape, path = 'payload') => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return `${path} must be an object`;
+  }
+
+  for (const [key, fieldRule] of Object.entries(shape)) {
+    const fieldPath = `${path}.${key}`;
+    const fieldValue = value[key];
+
+    if (typeof fieldRule === 'function') {
+      if (!fieldRule(fieldValue)) return `${fieldPath} ${fieldRule.expected}`;
+    } else {
+      const problem = checkShape(fieldValue, fieldRule, fieldPath);
+      if (problem) return problem;
+    }
+  }
+  return null;
+};
+
+// Order payloads arrive as an object, a JSON string or a one-element array
+const parseOrderMessage = (message) => {
+  let raw = message;
+  if (typeof raw === 'string') {
+    raw = JSON.parse(raw);
+  }
+  if (Array.isArray(raw)) raw = raw[0];
+  return raw;
+};
+
+const validateOrderMessage = (raw) => {
+  if (!raw || typeof raw !== 'object') return 'order must be an object';
+
+  const data = raw.data || raw;
+  if (!types.id(data.orderId || data.id || data._id)) return 'order has no orderId, id or _id';
+  if (!data.restaurantLocation && !data.restaurant_location) return 'order has no restaurant location';
+  return null;
+};
+
+const coordinates = {
+  latitude: types.latitude,
+  longitude: types.longitude,
+};
+
+const INBOUND_SCHEMAS = {
+  deliveryMessage: {
+    parse: parseOrderMessage,
+    validate: validateOrderMessage,
+  },
+  requestLocationUpdate: {
+    shape: { reason: optional(types.string) },
+  },
+  requestLocationUpdateForAdmin: {
+    shape: {
+      requestedBy: types.id,
+      reason: optional(types.string),
+    },
+  },
+  startPeriodicTracking: {
+    shape: {
+      customerId: types.id,
+      orderId: types.id,
+    },
+  },
+  stopPeriodicTracking: {
+    allowEmpty: true,
+  },
+};
+
+const OUTBOUND_SCHEMAS = {
+  acceptOrder: {
+    shape: {
+      orderId: types.id,
+      deliveryPersonId: types.id,
+    },
+  },
+  locationUpdate: {
+    shape: {
+      location: {
+        ...coordinates,
+        accuracy: optional(types.number),
+        timestamp: optional(types.number),
+      },
+      deliveryPersonId: types.id,
+      deliveryPersonName: optional(types.string),
+      activeOrderId: optional(types.id),
+      orderStatus: optional(types.string),
+    },
+  },
+  locationUpdateFromCustomerTracking: {
+    shape: {
+      location: {
+        ...coordinates,
+        orderId: types.id,
+        customerId: types.id,
+        deliveryPersonId: types.id,
+      },
+    },
+  },
+  locationUpdateForAdmin: {
+    shape: {
+      requestedBy: types.id,
+      deliveryPersonId: types.id,
+      location: coordinates,
+    },
+  },
+};
+
+const droppedCounts = {};
+
+const recordDrop = (direction, event, reason) => {
+  const key = `${direction}:${event}`;
+  droppedCounts[key] = (droppedCounts[key] || 0) + 1;
+  logger.log(`🚫 Dropped ${direction} "${event}" (${droppedCounts[key]} so far): ${reason}`);
+};
+
+/**
+ * Validate a payload against the registered schema
+ * @param {'inbound'|'outbound'} direction
+ * @param {string} event - Socket event name
+ * @param {any} payload
+ * @returns {{ ok: boolean, value?: any, reason?: string }}
+ */
+export const validateSocketPayload = (direction, event, payload) => {
+  const registry = direction === 'inbound' ? INBOUND_SCHEMAS : OUTBOUND_SCHEMAS;
+  const schema = registry[event];
+  if (!schema) {
+    return { ok: false, reason: 'no schema registered for this event' };
+  }
+
+  if (schema.allowEmpty && !isPresent(payload)) {
+    return { ok: true, value: payload };
+  }
+
+  let value = payload;
+  if (schema.parse) {
+    try {
+      value = schema.parse(payload);
+    } catch (error) {
+      return { ok: false, reason: `unreadable payload (${error.message})` };
+    }
+  }
+
+  const problem =
+    (schema.shape && checkShape(value, schema.shape)) ||
+    (schema.validate && schema.validate(value));
+
+  return problem ? { ok: false, reason: problem } : { ok: true, value };
+};
+
+/**
+ * Wrap a socket.on handler so it only sees valid (parsed) payloads
+ * @param {string} event - Socket event name
+ * @param {Function} handler - Receives the validated payload
+ */
+export const withInboundValidation = (event, handler) => (payload, ...rest) => {
+  const result = validateSocketPayload('inbound', event, payload);
+  if (!result.ok) {
+    recordDrop('inbound', event, result.reason);
+    return undefined;
+  }
+  return handler(result.value, ...rest);
+};
+
+/**
+ * Check an outbound payload before it is emitted (drops are counted and logged)
+ * @returns {boolean} Whether the payload may be sent
+ */
+export const validateOutbound = (event, payload) => {
+  const result = validateSocketPayload('outbound', event, payload);
+  if (!result.ok) {
+    recordDrop('outbound', event, result.reason);
+  }
+  return result.ok;
+};
+
+/**
+ * Dropped message counts keyed by "direction:event"
+ */
+export const getDroppedSocketMessageStats = () => ({ ...droppedCounts });